@@ -0,0 +1,327 @@
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { getAuth } = require('firebase-admin/auth');
+const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { defineSecret } = require('firebase-functions/params');
+const { createCheckoutSession, createWebhookHandler } = require('./src/payments');
+const { ModelError, SafetyBlockedError, generateText, generateHeadshot, classifySelfie } = require('./src/models');
+const { evaluateHeadshot } = require('./src/quality');
+const { ModerationError, moderateJob, moderateText, recordModelBlock } = require('./src/moderation');
+const { InsufficientCreditsError } = require('./src/ledger');
+const { MAX_PROMPT_LENGTH, QuotaExceededError, takeTextQuota } = require('./src/quota');
+const { JobRequestError, createGenerationJob, processGenerationJob } = require('./src/jobs');
+const { GalleryRequestError, deleteGenerationImages } = require('./src/gallery');
+const { AccountRequestError, requestAccountDeletion, processAccountDeletion } = require('./src/account');
+const {
+    OrganizationRequestError,
+    requireOwner,
+    createOrganization,
+    inviteMember,
+    acceptInvite,
+    deleteInvite,
+    updateMember,
+    removeMember,
+    listOrganizations,
+    getOrganizationUsage
+} = require('./src/organizations');
+const {
+    AdminRequestError,
+    searchUsers,
+    getUserDetails,
+    adjustCredits,
+    setSuspended,
+    isSuspended,
+    listAuditLog
+} = require('./src/admin');
+
+initializeApp();
+const db = getFirestore();
+
+const paymentsSecretKey = defineSecret('STRIPE_SECRET_KEY');
+const paymentsWebhookSecret = defineSecret('STRIPE_WEBHOOK_SECRET');
+const geminiApiKey = defineSecret('GEMINI_API_KEY');
+const imageApiKey = defineSecret('IMAGE_API_KEY');
+
+// Upstream failures reach the browser as a readable message, never a stack or key.
+const toHttpsError = (err) => {
+    if (err instanceof SafetyBlockedError) {
+        return new HttpsError('failed-precondition', err.message, { blocked: true });
+    }
+    console.error('Model call failed:', err);
+    return new HttpsError(err.status === 429 ? 'resource-exhausted' : 'unavailable', err.message);
+};
+
+// --- Callable Guard ---
+// Every callable starts here. Suspending a user disables them in Auth, but ID
+// tokens already issued stay valid for up to an hour, so the profile's
+// `suspended` flag is checked on each call too. deleteAccount is the one
+// exception: erasing your own data stays possible while suspended.
+const requireActiveUser = async (request, signInMessage) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', signInMessage);
+    }
+    if (await isSuspended(db, request.auth.uid)) {
+        throw new HttpsError('permission-denied', 'This account is suspended.');
+    }
+};
+
+// --- Payments ---
+exports.createCheckoutSession = onCall({ secrets: [paymentsSecretKey] }, async (request) => {
+    await requireActiveUser(request, 'Sign in to buy credits.');
+    const { packId, returnUrl, orgId, currency, locale } = request.data || {};
+    try {
+        if (orgId) {
+            await requireOwner(db, orgId, request.auth.uid);
+        }
+        return await createCheckoutSession(db, {
+            secretKey: paymentsSecretKey.value(),
+            uid: request.auth.uid,
+            email: request.auth.token.email,
+            packId,
+            returnUrl,
+            orgId: orgId || null,
+            currency,
+            locale
+        });
+    } catch (err) {
+        if (err instanceof OrganizationRequestError) {
+            throw new HttpsError('permission-denied', err.message);
+        }
+        console.error('Error creating checkout session:', err);
+        throw new HttpsError('internal', 'Could not start checkout. Please try again.');
+    }
+});
+
+exports.paymentsWebhook = onRequest(
+    { secrets: [paymentsWebhookSecret] },
+    createWebhookHandler({ db, getSecret: () => paymentsWebhookSecret.value() })
+);
+
+// --- Model Proxy ---
+// Metered per user (src/quota.js), since text calls cost no credits.
+exports.generateText = onCall({ secrets: [geminiApiKey] }, async (request) => {
+    await requireActiveUser(request, 'Sign in to use the AI tools.');
+    const { prompt, json } = request.data || {};
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new HttpsError('invalid-argument', 'A prompt is required.');
+    }
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+        throw new HttpsError('invalid-argument', `The text is too long (at most ${MAX_PROMPT_LENGTH} characters).`);
+    }
+    try {
+        await takeTextQuota(db, request.auth.uid);
+        await moderateText(db, { uid: request.auth.uid, prompt });
+        return { text: await generateText({ apiKey: geminiApiKey.value(), prompt, json: !!json }) };
+    } catch (err) {
+        if (err instanceof QuotaExceededError) {
+            throw new HttpsError('resource-exhausted', err.message);
+        }
+        if (err instanceof ModerationError) {
+            throw new HttpsError('invalid-argument', err.message, { rejections: err.rejections });
+        }
+        if (err instanceof SafetyBlockedError) {
+            await recordModelBlock(db, { uid: request.auth.uid, reason: err.message })
+                .catch((recordErr) => console.error('Could not record a safety block:', recordErr));
+        }
+        throw toHttpsError(err);
+    }
+});
+
+// --- Generation Jobs ---
+// Styles and selfies are moderated before the credits are charged.
+exports.startGenerationJob = onCall({ secrets: [geminiApiKey] }, async (request) => {
+    await requireActiveUser(request, 'Sign in to generate headshots.');
+    const { jobId, inputs, styles, variants, orgId } = request.data || {};
+    if (typeof jobId !== 'string' || !/^[\w-]{8,64}$/.test(jobId)) {
+        throw new HttpsError('invalid-argument', 'A valid job id is required.');
+    }
+    try {
+        await createGenerationJob(db, {
+            uid: request.auth.uid,
+            jobId,
+            inputs,
+            styles,
+            variants,
+            orgId: orgId || null,
+            moderate: (checked) => moderateJob(db, {
+                ...checked,
+                uid: request.auth.uid,
+                jobId,
+                bucket: getStorage().bucket(),
+                classifyImage: (image) => classifySelfie({ apiKey: geminiApiKey.value(), image })
+            })
+        });
+        return { jobId };
+    } catch (err) {
+        if (err instanceof ModerationError) {
+            throw new HttpsError('invalid-argument', err.message, { rejections: err.rejections });
+        }
+        if (err instanceof InsufficientCreditsError) {
+            // The client offers to buy credits, which only helps when the
+            // job is billed to the user's own balance.
+            throw new HttpsError('failed-precondition', err.message, orgId ? undefined : { code: 'insufficient-credits' });
+        }
+        if (err instanceof JobRequestError || err instanceof OrganizationRequestError) {
+            throw new HttpsError('invalid-argument', err.message);
+        }
+        if (err instanceof ModelError) {
+            // The selfie check could not run; nothing was charged, so the
+            // user can simply try again.
+            throw toHttpsError(err);
+        }
+        console.error('Error creating generation job:', err);
+        throw new HttpsError('internal', 'Could not start the generation. Please try again.');
+    }
+});
+
+// Retried on crashes or timeouts; processGenerationJob resumes where it stopped.
+// Every headshot is scored by the critic and low scores are regenerated.
+exports.processGenerationJob = onDocumentCreated({
+    document: 'generationJobs/{jobId}',
+    secrets: [imageApiKey, geminiApiKey],
+    retry: true,
+    timeoutSeconds: 540,
+    memory: '1GiB'
+}, (event) => processGenerationJob({
+    db,
+    bucket: getStorage().bucket(),
+    jobId: event.params.jobId,
+    generate: (image, stylePrompt) => generateHeadshot({ apiKey: imageApiKey.value(), image, stylePrompt }),
+    evaluate: (selfie, headshot, stylePrompt) => evaluateHeadshot({ apiKey: geminiApiKey.value(), selfie, headshot, stylePrompt })
+}));
+
+// --- Gallery ---
+exports.deleteGenerationImages = onCall(async (request) => {
+    await requireActiveUser(request, 'Sign in to manage your gallery.');
+    const { generationId, paths } = request.data || {};
+    try {
+        const deleted = await deleteGenerationImages(db, getStorage().bucket(), {
+            uid: request.auth.uid,
+            generationId,
+            paths
+        });
+        return { deleted };
+    } catch (err) {
+        if (err instanceof GalleryRequestError) {
+            throw new HttpsError('invalid-argument', err.message);
+        }
+        console.error('Error deleting headshots:', err);
+        throw new HttpsError('internal', 'Could not delete the headshots. Please try again.');
+    }
+});
+
+// --- Account ---
+exports.deleteAccount = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in to delete your account.');
+    }
+    try {
+        const { status } = await requestAccountDeletion(db, {
+            uid: request.auth.uid,
+            confirmation: request.data?.confirmation
+        });
+        return { status };
+    } catch (err) {
+        if (err instanceof AccountRequestError) {
+            throw new HttpsError('invalid-argument', err.message);
+        }
+        console.error('Error requesting account deletion:', err);
+        throw new HttpsError('internal', 'Could not delete your account. Please try again.');
+    }
+});
+
+// Retried until every step has succeeded; see src/account.js.
+exports.processAccountDeletion = onDocumentCreated({
+    document: 'accountDeletions/{uid}',
+    retry: true,
+    timeoutSeconds: 540
+}, (event) => processAccountDeletion({
+    db,
+    bucket: getStorage().bucket(),
+    auth: getAuth(),
+    uid: event.params.uid
+}));
+
+// --- Organizations ---
+// Invites are matched on the caller's email, so only verified addresses count.
+const organizationCall = (failureMessage, handler) => onCall(async (request) => {
+    await requireActiveUser(request, 'Sign in to manage organizations.');
+    const caller = {
+        uid: request.auth.uid,
+        email: request.auth.token.email_verified ? request.auth.token.email : null
+    };
+    try {
+        return (await handler(request.data || {}, caller)) || {};
+    } catch (err) {
+        if (err instanceof OrganizationRequestError) {
+            throw new HttpsError('failed-precondition', err.message);
+        }
+        console.error(`${failureMessage}:`, err);
+        throw new HttpsError('internal', `${failureMessage}. Please try again.`);
+    }
+});
+
+exports.createOrganization = organizationCall('Could not create the organization', ({ name }, caller) =>
+    createOrganization(db, { ...caller, name }));
+
+exports.listOrganizations = organizationCall('Could not load your organizations', (data, caller) =>
+    listOrganizations(db, caller));
+
+exports.getOrganizationUsage = organizationCall('Could not load the organization', ({ orgId }, caller) =>
+    getOrganizationUsage(db, { uid: caller.uid, orgId }));
+
+exports.inviteOrganizationMember = organizationCall('Could not send the invite', ({ orgId, email, limit }, caller) =>
+    inviteMember(db, { uid: caller.uid, orgId, email, limit }));
+
+exports.acceptOrganizationInvite = organizationCall('Could not join the organization', ({ orgId }, caller) =>
+    acceptInvite(db, { ...caller, orgId }));
+
+exports.deleteOrganizationInvite = organizationCall('Could not remove the invite', ({ orgId, email }, caller) =>
+    deleteInvite(db, { ...caller, orgId, inviteEmail: email }));
+
+exports.updateOrganizationMember = organizationCall('Could not update the member', ({ orgId, memberUid, limit }, caller) =>
+    updateMember(db, { uid: caller.uid, orgId, memberUid, limit }));
+
+exports.removeOrganizationMember = organizationCall('Could not remove the member', ({ orgId, memberUid }, caller) =>
+    removeMember(db, { uid: caller.uid, orgId, memberUid }));
+
+// --- Admin ---
+// Only for accounts with the `admin` custom claim (scripts/set-admin.js).
+const adminCall = (failureMessage, handler) => onCall(async (request) => {
+    if (request.auth?.token.admin !== true) {
+        throw new HttpsError('permission-denied', 'Admins only.');
+    }
+    await requireActiveUser(request, 'Admins only.');
+    const admin = { uid: request.auth.uid, email: request.auth.token.email };
+    try {
+        return await handler(request.data || {}, admin);
+    } catch (err) {
+        if (err instanceof AdminRequestError) {
+            throw new HttpsError('invalid-argument', err.message);
+        }
+        if (err instanceof InsufficientCreditsError) {
+            throw new HttpsError('failed-precondition', err.message);
+        }
+        console.error(`${failureMessage}:`, err);
+        throw new HttpsError('internal', `${failureMessage}. Please try again.`);
+    }
+});
+
+exports.adminSearchUsers = adminCall('Could not search users', async ({ email }) => ({
+    users: await searchUsers(db, getAuth(), { email })
+}));
+
+exports.adminGetUser = adminCall('Could not load the user', ({ uid }) =>
+    getUserDetails(db, getAuth(), { uid }));
+
+exports.adminAdjustCredits = adminCall('Could not adjust credits', ({ uid, action, amount, reason, requestId, jobId }, admin) =>
+    adjustCredits(db, { admin, uid, action, amount, reason, requestId, jobId }));
+
+exports.adminSetSuspended = adminCall('Could not update the account', ({ uid, suspended, reason, requestId }, admin) =>
+    setSuspended(db, getAuth(), { admin, uid, suspended, reason, requestId }));
+
+exports.adminAuditLog = adminCall('Could not load the audit log', async () => ({
+    entries: await listAuditLog(db)
+}));
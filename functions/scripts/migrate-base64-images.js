@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Moves base64 headshots stored inside `generations` documents into Cloud
+// Storage, leaving only paths, thumbnail URLs and metadata in Firestore.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json STORAGE_BUCKET=<bucket> node scripts/migrate-base64-images.js
+//
+// Against the emulators, set FIRESTORE_EMULATOR_HOST=127.0.0.1:8080,
+// FIREBASE_STORAGE_EMULATOR_HOST=127.0.0.1:9199 and GCLOUD_PROJECT instead of
+// the credentials. Safe to re-run: migrated documents are skipped.
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { migrateGeneration } = require('../src/images');
+
+initializeApp({ storageBucket: process.env.STORAGE_BUCKET });
+
+const run = async () => {
+    const bucket = getStorage().bucket();
+    const snapshot = await getFirestore().collection('generations').get();
+    let migrated = 0;
+
+    for (const generationSnap of snapshot.docs) {
+        try {
+            if (await migrateGeneration(bucket, generationSnap)) {
+                migrated++;
+                console.log(`Migrated generation ${generationSnap.id}`);
+            }
+        } catch (err) {
+            console.error(`Failed to migrate generation ${generationSnap.id}:`, err);
+            process.exitCode = 1;
+        }
+    }
+    console.log(`Done: ${migrated} of ${snapshot.size} generations migrated.`);
+};
+
+run();
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Runs the local model stand-in for use with the emulators:
+//
+//   node scripts/model-stand-in.js
+//
+// then start the functions emulator with
+// GEMINI_API_URL=http://localhost:4343 IMAGE_API_URL=http://localhost:4343/image.
+const { startModelStandIn } = require('../src/testing/modelStandIn');
+
+startModelStandIn({ port: Number(process.env.PORT || 4343) }).then(({ url }) => {
+    console.log(`Model stand-in listening on ${url}`);
+});
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Runs the local payment provider stand-in for use with the emulators:
+//
+//   STRIPE_WEBHOOK_SECRET=whsec_local \
+//   WEBHOOK_URL=http://127.0.0.1:5001/<project>/us-central1/paymentsWebhook \
+//   node scripts/payments-stand-in.js
+//
+// then start the functions emulator with PAYMENTS_API_URL=http://localhost:4242.
+const { startPaymentsStandIn } = require('../src/testing/paymentsStandIn');
+
+startPaymentsStandIn({
+    webhookUrl: process.env.WEBHOOK_URL,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    port: Number(process.env.PORT || 4242)
+}).then(({ url }) => {
+    console.log(`Payment provider stand-in listening on ${url}`);
+});
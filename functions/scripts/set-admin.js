@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Grants (or with --revoke, removes) the `admin` custom claim that opens the
+// admin console:
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json node scripts/set-admin.js someone@example.com
+//
+// Against the emulators, set FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 and
+// GCLOUD_PROJECT instead of the credentials. The user picks up the change the
+// next time their ID token refreshes, or after signing out and in again.
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+
+initializeApp();
+
+const run = async () => {
+    const email = process.argv.find((arg, index) => index > 1 && !arg.startsWith('--'));
+    if (!email) {
+        console.error('Usage: node scripts/set-admin.js <email> [--revoke]');
+        process.exitCode = 1;
+        return;
+    }
+    const revoke = process.argv.includes('--revoke');
+    const auth = getAuth();
+    const user = await auth.getUserByEmail(email);
+    const { admin, ...claims } = user.customClaims || {};
+    await auth.setCustomUserClaims(user.uid, revoke ? claims : { ...claims, admin: true });
+    console.log(`${revoke ? 'Removed admin from' : 'Made admin:'} ${email} (${user.uid})`);
+};
+
+run().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
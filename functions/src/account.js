@@ -0,0 +1,143 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { TERMINAL_STATUSES, isStaleJob, abandonJob } = require('./jobs');
+const { normalizeEmail } = require('./organizations');
+
+// --- Account Deletion ---
+// Deleting an account is a two-step job: the deleteAccount callable records a
+// request in accountDeletions/{uid}, and a worker triggered by that document
+// does the cleanup with retries, so it finishes even if the browser goes away.
+// The request document keeps only the uid and timestamps.
+
+const DELETION_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// A deletion still failing this long after it was requested stops retrying
+// and is marked `failed` with its last error, instead of the trigger's
+// retries silently running out.
+const DELETION_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+// Typed by the user to confirm; checked again here so a stray call cannot delete.
+const DELETE_CONFIRMATION = 'DELETE';
+
+class AccountRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AccountRequestError';
+    }
+}
+
+const requestAccountDeletion = async (db, { uid, confirmation }) => {
+    if (confirmation !== DELETE_CONFIRMATION) {
+        throw new AccountRequestError(`Type ${DELETE_CONFIRMATION} to confirm.`);
+    }
+    const ref = db.collection('accountDeletions').doc(uid);
+    return db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(ref);
+        if (snap.exists) {
+            return snap.data();
+        }
+        const request = { status: DELETION_STATUS.PENDING, requestedAt: FieldValue.serverTimestamp() };
+        transaction.create(ref, request);
+        return request;
+    });
+};
+
+const deleteWhereOwner = async (db, collection, value, field = 'userId') => {
+    const { docs } = await db.collection(collection).where(field, '==', value).get();
+    await Promise.all(docs.map((doc) => db.recursiveDelete(doc.ref)));
+};
+
+// An organization cannot outlive its owner: its memberships and pending
+// invites go, so nobody can join or spend the pool. The organization document
+// and its ledger stay as the record of what was bought and spent.
+const closeOwnedOrganizations = async (db, uid) => {
+    const { docs } = await db.collection('organizations').where('ownerUid', '==', uid).get();
+    for (const org of docs) {
+        await deleteWhereOwner(db, 'organizationMembers', org.id, 'orgId');
+        await deleteWhereOwner(db, 'organizationInvites', org.id, 'orgId');
+        await org.ref.update({ closedAt: FieldValue.serverTimestamp() });
+    }
+};
+
+// Thrown while generation jobs are still running, so the worker is retried
+// once they have settled instead of removing files they are still writing.
+// Jobs whose worker has given up are settled here instead of waited for.
+class JobsActiveError extends Error {
+    constructor(count) {
+        super(`${count} generation job(s) still running`);
+        this.name = 'JobsActiveError';
+    }
+}
+
+// Every step is idempotent, so a retried delivery simply runs them again. The
+// Auth user goes first: it signs the user out everywhere and stops a still-open
+// tab from recreating the profile while the rest is removed.
+const deleteAccountData = async ({ db, bucket, auth, uid, now }) => {
+    await auth.deleteUser(uid).catch((err) => {
+        if (err.code !== 'auth/user-not-found') throw err;
+    });
+    const jobs = await db.collection('generationJobs').where('userId', '==', uid).get();
+    const unsettled = jobs.docs.filter((doc) => !TERMINAL_STATUSES.includes(doc.data().status));
+    const stale = unsettled.filter((doc) => isStaleJob(doc.data(), now));
+    for (const doc of stale) {
+        await abandonJob(db, doc.id);
+    }
+    if (unsettled.length > stale.length) {
+        throw new JobsActiveError(unsettled.length - stale.length);
+    }
+    await deleteWhereOwner(db, 'generationJobs', uid);
+    await deleteWhereOwner(db, 'generations', uid);
+    await closeOwnedOrganizations(db, uid);
+    // Organization pools and their ledgers stay with the organization.
+    await deleteWhereOwner(db, 'organizationMembers', uid, 'uid');
+    // Invites to the user's address; the profile still has it on a retry,
+    // when the Auth user is already gone.
+    const { email } = (await db.collection('profiles').doc(uid).get()).data() || {};
+    if (email) {
+        await deleteWhereOwner(db, 'organizationInvites', normalizeEmail(email), 'email');
+    }
+    // Copies others made of shared presets are theirs and stay.
+    await deleteWhereOwner(db, 'stylePresets', uid, 'ownerUid');
+    await deleteWhereOwner(db, 'moderationDecisions', uid, 'uid');
+    await db.collection('aiUsage').doc(uid).delete();
+    await bucket.deleteFiles({ prefix: `users/${uid}/` });
+    // The profile and its credit ledger.
+    await db.recursiveDelete(db.collection('profiles').doc(uid));
+};
+
+const processAccountDeletion = async ({ db, bucket, auth, uid, now = Date.now() }) => {
+    const ref = db.collection('accountDeletions').doc(uid);
+    const request = (await ref.get()).data();
+    if (request?.status !== DELETION_STATUS.PENDING) {
+        return;
+    }
+
+    try {
+        await deleteAccountData({ db, bucket, auth, uid, now });
+    } catch (err) {
+        const expired = now - (request.requestedAt?.toMillis?.() ?? now) > DELETION_TIMEOUT_MS;
+        await ref.update({
+            lastError: err.message,
+            ...(expired && { status: DELETION_STATUS.FAILED, failedAt: FieldValue.serverTimestamp() })
+        });
+        if (expired) {
+            console.error(`Account deletion for ${uid} gave up:`, err);
+            return;
+        }
+        throw err;
+    }
+    await ref.update({ status: DELETION_STATUS.COMPLETED, completedAt: FieldValue.serverTimestamp() });
+};
+
+module.exports = {
+    DELETE_CONFIRMATION,
+    DELETION_STATUS,
+    DELETION_TIMEOUT_MS,
+    AccountRequestError,
+    JobsActiveError,
+    requestAccountDeletion,
+    processAccountDeletion
+};
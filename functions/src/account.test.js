@@ -0,0 +1,124 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Timestamp } = require('firebase-admin/firestore');
+const { DELETION_TIMEOUT_MS, JobsActiveError, requestAccountDeletion, processAccountDeletion } = require('./account');
+const { JOB_TIMEOUT_MS } = require('./jobs');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+const { createFakeBucket } = require('./testing/fakeStorage');
+
+let db;
+let bucket;
+let auth;
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    bucket = createFakeBucket();
+    const users = new Set(['u1', 'u2']);
+    auth = {
+        users,
+        deleteUser: async (uid) => {
+            if (!users.delete(uid)) {
+                throw Object.assign(new Error('no user'), { code: 'auth/user-not-found' });
+            }
+        }
+    };
+    for (const uid of ['u1', 'u2']) {
+        await db.doc(`profiles/${uid}`).set({ credits: 50, email: `${uid.toUpperCase()}@example.com` });
+        await db.doc(`organizationInvites/org-0002_${uid}@example.com`).set({ orgId: 'org-0002', email: `${uid}@example.com` });
+        await db.doc(`profiles/${uid}/ledger/${uid}-purchase`).set({ amount: 50 });
+        await db.doc(`generations/${uid}-job`).set({ userId: uid, images: [] });
+        await db.doc(`generationJobs/${uid}-job`).set({ userId: uid, status: 'succeeded' });
+        await db.doc(`organizationMembers/org-0001_${uid}`).set({ orgId: 'org-0001', uid });
+        await db.doc(`stylePresets/${uid}-preset`).set({ ownerUid: uid, name: 'Brand' });
+        await bucket.file(`users/${uid}/uploads/${uid}-job/0`).save(Buffer.from('selfie'));
+        await bucket.file(`users/${uid}/generations/${uid}-job/0.png`).save(Buffer.from('png'));
+    }
+});
+
+test('needs the typed confirmation', async () => {
+    await assert.rejects(() => requestAccountDeletion(db, { uid: 'u1', confirmation: 'yes' }), /Type DELETE/);
+    assert.ok(!db.store.has('accountDeletions/u1'));
+});
+
+test('removes everything the user owns and nothing else, even when delivered twice', async () => {
+    await requestAccountDeletion(db, { uid: 'u1', confirmation: 'DELETE' });
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1' });
+    // A retried delivery after the request was completed is a no-op.
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1' });
+
+    assert.deepStrictEqual([...auth.users], ['u2']);
+    assert.deepStrictEqual([...db.store.keys()].filter((key) => key.includes('u1')), ['accountDeletions/u1']);
+    assert.strictEqual(db.store.get('accountDeletions/u1').status, 'completed');
+    assert.deepStrictEqual([...bucket.files.keys()].sort(), ['users/u2/generations/u2-job/0.png', 'users/u2/uploads/u2-job/0']);
+    assert.ok(db.store.has('profiles/u2/ledger/u2-purchase'));
+    // Invites to u1's address went with the account.
+    assert.ok(db.store.has('organizationInvites/org-0002_u2@example.com'));
+});
+
+test('finishes a cleanup that failed halfway', async () => {
+    await requestAccountDeletion(db, { uid: 'u1', confirmation: 'DELETE' });
+    const deleteFiles = bucket.deleteFiles;
+    bucket.deleteFiles = async () => { throw new Error('storage unavailable'); };
+    await assert.rejects(() => processAccountDeletion({ db, bucket, auth, uid: 'u1' }));
+
+    bucket.deleteFiles = deleteFiles;
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1' });
+    assert.ok(!db.store.has('profiles/u1'));
+    assert.ok(![...bucket.files.keys()].some((path) => path.startsWith('users/u1/')));
+});
+
+test('waits for running generation jobs before deleting anything they write to', async () => {
+    await db.doc('generationJobs/u1-job').update({ status: 'running', createdAt: Timestamp.now() });
+    await requestAccountDeletion(db, { uid: 'u1', confirmation: 'DELETE' });
+    await assert.rejects(() => processAccountDeletion({ db, bucket, auth, uid: 'u1' }), JobsActiveError);
+    assert.ok(db.store.has('generationJobs/u1-job'));
+    assert.ok(bucket.files.has('users/u1/uploads/u1-job/0'));
+
+    await db.doc('generationJobs/u1-job').update({ status: 'partial' });
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1' });
+    assert.strictEqual(db.store.get('accountDeletions/u1').status, 'completed');
+});
+
+test('closes the organizations the user owns and keeps their ledgers', async () => {
+    await db.doc('organizations/org-0001').set({ name: 'Acme', ownerUid: 'u1', credits: 20 });
+    await db.doc('organizations/org-0001/ledger/buy').set({ amount: 20 });
+    await db.doc('organizationInvites/org-0001_c@example.com').set({ orgId: 'org-0001', email: 'c@example.com' });
+    await db.doc('organizationMembers/org-0002_u2').set({ orgId: 'org-0002', uid: 'u2' });
+
+    await requestAccountDeletion(db, { uid: 'u1', confirmation: 'DELETE' });
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1' });
+
+    assert.ok(!db.store.has('organizationMembers/org-0001_u2'));
+    assert.ok(!db.store.has('organizationInvites/org-0001_c@example.com'));
+    assert.ok(db.store.get('organizations/org-0001').closedAt);
+    assert.ok(db.store.has('organizations/org-0001/ledger/buy'));
+    assert.ok(db.store.has('organizationMembers/org-0002_u2'));
+});
+
+test('settles jobs whose worker gave up instead of waiting for them', async () => {
+    await db.doc('generationJobs/u1-job').update({
+        status: 'running',
+        cost: 50,
+        items: [{ input: { path: 'users/u1/uploads/u1-job/0' }, status: 'running' }],
+        createdAt: Timestamp.fromMillis(Date.now() - JOB_TIMEOUT_MS - 1000)
+    });
+    await requestAccountDeletion(db, { uid: 'u1', confirmation: 'DELETE' });
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1' });
+
+    assert.strictEqual(db.store.get('accountDeletions/u1').status, 'completed');
+    assert.ok(!db.store.has('generationJobs/u1-job'));
+});
+
+test('gives up after a day of failures and records why', async () => {
+    await db.doc('accountDeletions/u1').set({ status: 'pending', requestedAt: Timestamp.fromMillis(0) });
+    bucket.deleteFiles = async () => { throw new Error('storage unavailable'); };
+
+    await assert.rejects(() => processAccountDeletion({ db, bucket, auth, uid: 'u1', now: DELETION_TIMEOUT_MS }));
+    assert.strictEqual(db.store.get('accountDeletions/u1').lastError, 'storage unavailable');
+
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1', now: DELETION_TIMEOUT_MS + 1 });
+    assert.strictEqual(db.store.get('accountDeletions/u1').status, 'failed');
+    // A later delivery leaves it for an admin.
+    await processAccountDeletion({ db, bucket, auth, uid: 'u1', now: DELETION_TIMEOUT_MS + 2 });
+    assert.strictEqual(db.store.get('accountDeletions/u1').status, 'failed');
+});
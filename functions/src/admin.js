@@ -0,0 +1,217 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { writeEntry } = require('./ledger');
+const { toPlain, withId } = require('./serialize');
+
+// --- Admin Console ---
+// Support tools for accounts holding the `admin` custom claim (set with
+// scripts/set-admin.js). Every change is written to adminAuditLog in the same
+// step as the change itself. Changes carry a request id from the console, so a
+// retried call is applied once.
+
+const ADMIN_ACTIONS = {
+    GRANT: 'grant',
+    REFUND: 'refund',
+    SUSPEND: 'suspend',
+    UNSUSPEND: 'unsuspend'
+};
+
+const MAX_ADJUSTMENT = 10000;
+const MAX_REASON_LENGTH = 500;
+const SEARCH_LIMIT = 20;
+const HISTORY_LIMIT = 50;
+
+class AdminRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AdminRequestError';
+    }
+}
+
+const checkReason = (reason) => {
+    const text = String(reason || '').trim();
+    if (!text) {
+        throw new AdminRequestError('A reason is required.');
+    }
+    if (text.length > MAX_REASON_LENGTH) {
+        throw new AdminRequestError(`Reasons can be at most ${MAX_REASON_LENGTH} characters.`);
+    }
+    return text;
+};
+
+const checkRequestId = (requestId) => {
+    if (typeof requestId !== 'string' || !/^[\w-]{8,64}$/.test(requestId)) {
+        throw new AdminRequestError('A valid request id is required.');
+    }
+    return requestId;
+};
+
+const checkUid = (uid) => {
+    if (typeof uid !== 'string' || !uid || uid.includes('/')) {
+        throw new AdminRequestError('A valid user id is required.');
+    }
+    return uid;
+};
+
+const auditEntry = (admin, action, uid, { reason, ...details }) => ({
+    action,
+    adminUid: admin.uid,
+    adminEmail: admin.email || null,
+    targetUid: uid,
+    reason,
+    ...details,
+    createdAt: FieldValue.serverTimestamp()
+});
+
+const getAuthUser = (auth, lookup) => lookup(auth).catch((err) => {
+    if (err.code === 'auth/user-not-found') return null;
+    throw err;
+});
+
+// Profiles whose email starts with `email`, plus the exact Auth match for
+// users whose profile predates the stored email.
+const searchUsers = async (db, auth, { email }) => {
+    const prefix = String(email || '').trim();
+    if (prefix.length < 3) {
+        throw new AdminRequestError('Enter at least 3 characters of the email address.');
+    }
+    const [{ docs }, authUser] = await Promise.all([
+        db.collection('profiles')
+            .where('email', '>=', prefix)
+            .where('email', '<=', `${prefix}\uf8ff`)
+            .limit(SEARCH_LIMIT)
+            .get(),
+        getAuthUser(auth, (a) => a.getUserByEmail(prefix))
+    ]);
+    const users = docs.map((snap) => ({
+        uid: snap.id,
+        email: snap.data().email || null,
+        credits: snap.data().credits || 0,
+        suspended: !!snap.data().suspended
+    }));
+    if (authUser && !users.some((user) => user.uid === authUser.uid)) {
+        const profile = (await db.collection('profiles').doc(authUser.uid).get()).data() || {};
+        users.push({ uid: authUser.uid, email: authUser.email, credits: profile.credits || 0, suspended: !!profile.suspended });
+    }
+    return users;
+};
+
+// Newest first; for one user when `uid` is given.
+const listAuditLog = async (db, { uid } = {}) => {
+    const log = db.collection('adminAuditLog');
+    const { docs } = await (uid ? log.where('targetUid', '==', uid) : log)
+        .orderBy('createdAt', 'desc')
+        .limit(HISTORY_LIMIT)
+        .get();
+    return docs.map(withId);
+};
+
+// Everything support needs about one user: sign-in record, balance, recent
+// ledger entries and recent generation jobs with their prompts, errors and outputs.
+const getUserDetails = async (db, auth, { uid }) => {
+    checkUid(uid);
+    const profileRef = db.collection('profiles').doc(uid);
+    const [authUser, profileSnap, ledger, jobs, moderation, audit] = await Promise.all([
+        getAuthUser(auth, (a) => a.getUser(uid)),
+        profileRef.get(),
+        profileRef.collection('ledger').orderBy('createdAt', 'desc').limit(HISTORY_LIMIT).get(),
+        db.collection('generationJobs').where('userId', '==', uid).orderBy('createdAt', 'desc').limit(HISTORY_LIMIT).get(),
+        db.collection('moderationDecisions').where('uid', '==', uid).orderBy('createdAt', 'desc').limit(HISTORY_LIMIT).get(),
+        listAuditLog(db, { uid })
+    ]);
+    if (!authUser && !profileSnap.exists) {
+        throw new AdminRequestError('No user with that id.');
+    }
+    return {
+        uid,
+        auth: authUser && {
+            email: authUser.email || null,
+            disabled: authUser.disabled,
+            providers: (authUser.providerData || []).map((provider) => provider.providerId),
+            createdAt: authUser.metadata?.creationTime || null,
+            lastSignInAt: authUser.metadata?.lastSignInTime || null
+        },
+        profile: toPlain(profileSnap.data() || null),
+        ledger: ledger.docs.map(withId),
+        jobs: jobs.docs.map(withId),
+        moderation: moderation.docs.map(withId),
+        audit
+    };
+};
+
+// Adds credits as a goodwill grant or a refund, with the ledger entry and the
+// audit entry written in one transaction.
+const adjustCredits = async (db, { admin, uid, action, amount, reason, requestId, jobId }) => {
+    checkUid(uid);
+    checkRequestId(requestId);
+    if (action !== ADMIN_ACTIONS.GRANT && action !== ADMIN_ACTIONS.REFUND) {
+        throw new AdminRequestError('Choose grant or refund.');
+    }
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_ADJUSTMENT) {
+        throw new AdminRequestError(`Enter a whole number of credits between 1 and ${MAX_ADJUSTMENT}.`);
+    }
+    const text = checkReason(reason);
+    const auditRef = db.collection('adminAuditLog').doc(requestId);
+
+    return db.runTransaction(async (transaction) => {
+        const auditSnap = await transaction.get(auditRef);
+        if (auditSnap.exists) {
+            return auditSnap.data();
+        }
+        const profileSnap = await transaction.get(db.collection('profiles').doc(uid));
+        if (!profileSnap.exists) {
+            throw new AdminRequestError('No profile for that user.');
+        }
+        const entry = await writeEntry(transaction, db, uid, {
+            key: `admin-${requestId}`,
+            type: action,
+            amount,
+            description: action === ADMIN_ACTIONS.REFUND ? `Refund: ${text}` : `Credit grant: ${text}`,
+            ...(jobId ? { jobId: String(jobId) } : {})
+        });
+        const audit = auditEntry(admin, action, uid, { reason: text, amount, balanceAfter: entry.balanceAfter });
+        transaction.set(auditRef, audit);
+        return audit;
+    });
+};
+
+// Suspension disables sign-in and revokes refresh tokens, so no new ID tokens
+// are issued. Tokens already issued stay valid until they expire, which is why
+// every callable also checks isSuspended (requireActiveUser in index.js).
+const setSuspended = async (db, auth, { admin, uid, suspended, reason, requestId }) => {
+    checkUid(uid);
+    checkRequestId(requestId);
+    const text = checkReason(reason);
+    const auditRef = db.collection('adminAuditLog').doc(requestId);
+    const existing = await auditRef.get();
+    if (existing.exists) {
+        return existing.data();
+    }
+
+    await auth.updateUser(uid, { disabled: !!suspended });
+    if (suspended) {
+        await auth.revokeRefreshTokens(uid);
+    }
+    const audit = auditEntry(admin, suspended ? ADMIN_ACTIONS.SUSPEND : ADMIN_ACTIONS.UNSUSPEND, uid, { reason: text });
+    await db.runTransaction(async (transaction) => {
+        transaction.set(db.collection('profiles').doc(uid), {
+            suspended: !!suspended,
+            suspendedReason: suspended ? text : null
+        }, { merge: true });
+        transaction.set(auditRef, audit);
+    });
+    return audit;
+};
+
+const isSuspended = async (db, uid) =>
+    !!(await db.collection('profiles').doc(uid).get()).data()?.suspended;
+
+module.exports = {
+    ADMIN_ACTIONS,
+    AdminRequestError,
+    searchUsers,
+    getUserDetails,
+    adjustCredits,
+    setSuspended,
+    isSuspended,
+    listAuditLog
+};
@@ -0,0 +1,102 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { searchUsers, getUserDetails, adjustCredits, setSuspended, isSuspended } = require('./admin');
+const { createGenerationJob } = require('./jobs');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+
+let db;
+let auth;
+
+const admin = { uid: 'admin1', email: 'support@example.com' };
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    const users = {
+        u1: { uid: 'u1', email: 'ada@example.com', disabled: false },
+        u2: { uid: 'u2', email: 'grace@example.com', disabled: false }
+    };
+    auth = {
+        users,
+        revoked: [],
+        getUser: async (uid) => {
+            if (!users[uid]) throw Object.assign(new Error('no user'), { code: 'auth/user-not-found' });
+            return users[uid];
+        },
+        getUserByEmail: async (email) => {
+            const user = Object.values(users).find((u) => u.email === email);
+            if (!user) throw Object.assign(new Error('no user'), { code: 'auth/user-not-found' });
+            return user;
+        },
+        updateUser: async (uid, { disabled }) => { users[uid].disabled = disabled; },
+        revokeRefreshTokens: async (uid) => { auth.revoked.push(uid); }
+    };
+    await db.doc('profiles/u1').set({ email: 'ada@example.com', credits: 10 });
+    // Created before profiles stored the email
+    await db.doc('profiles/u2').set({ credits: 0 });
+});
+
+const credits = (uid) => db.store.get(`profiles/${uid}`).credits;
+const auditLog = () => [...db.store.keys()].filter((key) => key.startsWith('adminAuditLog/'));
+
+test('finds users by email prefix and by exact Auth email', async () => {
+    assert.deepStrictEqual((await searchUsers(db, auth, { email: 'ada@' })).map((user) => user.uid), ['u1']);
+    assert.deepStrictEqual(await searchUsers(db, auth, { email: 'grace@example.com' }), [
+        { uid: 'u2', email: 'grace@example.com', credits: 0, suspended: false }
+    ]);
+    await assert.rejects(() => searchUsers(db, auth, { email: 'a' }));
+});
+
+test('grants and refunds credits once per request, with an audit entry', async () => {
+    await adjustCredits(db, { admin, uid: 'u1', action: 'grant', amount: 50, reason: 'Goodwill', requestId: 'request-1' });
+    await adjustCredits(db, { admin, uid: 'u1', action: 'grant', amount: 50, reason: 'Goodwill', requestId: 'request-1' });
+    await adjustCredits(db, { admin, uid: 'u1', action: 'refund', amount: 25, reason: 'Blurry results', requestId: 'request-2', jobId: 'job1' });
+
+    assert.strictEqual(credits('u1'), 85);
+    const refund = db.store.get('profiles/u1/ledger/admin-request-2');
+    assert.strictEqual(refund.type, 'refund');
+    assert.strictEqual(refund.jobId, 'job1');
+    assert.deepStrictEqual(auditLog(), ['adminAuditLog/request-1', 'adminAuditLog/request-2']);
+    assert.strictEqual(db.store.get('adminAuditLog/request-1').adminEmail, 'support@example.com');
+    assert.strictEqual(db.store.get('adminAuditLog/request-2').balanceAfter, 85);
+});
+
+test('rejects adjustments without a reason or a valid amount', async () => {
+    await assert.rejects(() => adjustCredits(db, { admin, uid: 'u1', action: 'grant', amount: 50, reason: ' ', requestId: 'request-1' }));
+    await assert.rejects(() => adjustCredits(db, { admin, uid: 'u1', action: 'grant', amount: -5, reason: 'x', requestId: 'request-1' }));
+    await assert.rejects(() => adjustCredits(db, { admin, uid: 'u1', action: 'debit', amount: 5, reason: 'x', requestId: 'request-1' }));
+    assert.strictEqual(credits('u1'), 10);
+    assert.deepStrictEqual(auditLog(), []);
+});
+
+test('suspends an account and blocks its calls and new generations', async () => {
+    await setSuspended(db, auth, { admin, uid: 'u1', suspended: true, reason: 'Chargeback', requestId: 'request-1' });
+
+    assert.strictEqual(auth.users.u1.disabled, true);
+    assert.deepStrictEqual(auth.revoked, ['u1']);
+    assert.strictEqual(await isSuspended(db, 'u1'), true);
+    await assert.rejects(
+        () => createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: [{ path: 'users/u1/uploads/job1/0' }] }),
+        /suspended/
+    );
+
+    await setSuspended(db, auth, { admin, uid: 'u1', suspended: false, reason: 'Resolved', requestId: 'request-2' });
+    assert.strictEqual(auth.users.u1.disabled, false);
+    assert.strictEqual(await isSuspended(db, 'u1'), false);
+    assert.strictEqual(await isSuspended(db, 'nobody'), false);
+    const details = await getUserDetails(db, auth, { uid: 'u1' });
+    assert.strictEqual(details.profile.suspended, false);
+    assert.deepStrictEqual(details.audit.map((entry) => entry.action).sort(), ['suspend', 'unsuspend']);
+});
+
+test('shows a user\'s jobs and ledger', async () => {
+    await db.doc('generationJobs/job1').set({ userId: 'u1', status: 'failed', error: 'Model API Error', createdAt: 1 });
+    await db.doc('generationJobs/job2').set({ userId: 'u2', status: 'succeeded', createdAt: 2 });
+    await db.doc('profiles/u1/ledger/p1').set({ type: 'purchase', amount: 10, createdAt: 1 });
+
+    const details = await getUserDetails(db, auth, { uid: 'u1' });
+    assert.strictEqual(details.auth.email, 'ada@example.com');
+    assert.deepStrictEqual(details.jobs.map((job) => job.id), ['job1']);
+    assert.strictEqual(details.jobs[0].error, 'Model API Error');
+    assert.deepStrictEqual(details.ledger.map((entry) => entry.id), ['p1']);
+    await assert.rejects(() => getUserDetails(db, auth, { uid: 'nobody' }));
+});
@@ -0,0 +1,49 @@
+// --- Concurrency Helpers ---
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs `fn(value, index)` over `values` with at most `limit` calls in flight.
+// Resolves with the results in input order.
+const mapWithConcurrency = async (values, limit, fn) => {
+    const results = new Array(values.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < values.length) {
+            const index = next++;
+            results[index] = await fn(values[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, values.length) }, worker));
+    return results;
+};
+
+// Calls `fn(attempt)` until it resolves, retrying errors that `isRetryable`
+// accepts with exponential backoff and jitter. `onRetry(err, attempt)` is
+// called before each wait.
+const withRetry = async (fn, {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 15000,
+    isRetryable = () => true,
+    onRetry = () => {},
+    wait = sleep
+} = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err)) {
+                throw err;
+            }
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            await onRetry(err, attempt + 1);
+            await wait(delay / 2 + Math.random() * (delay / 2));
+        }
+    }
+};
+
+module.exports = {
+    sleep,
+    mapWithConcurrency,
+    withRetry
+};
@@ -0,0 +1,56 @@
+// --- Gallery ---
+// Deleting headshots touches Storage, which the browser cannot write to, so it
+// goes through here. Favorites are a plain field the owner updates directly.
+
+class GalleryRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GalleryRequestError';
+    }
+}
+
+const storagePaths = (image) => [image.path, image.thumbnailPath].filter(Boolean);
+
+// Removes the images at `paths` from generations/{generationId}, or the whole
+// session when `paths` is omitted. A session left without images is deleted
+// together with its uploaded selfies. Resolves with the number of images removed.
+const deleteGenerationImages = async (db, bucket, { uid, generationId, paths }) => {
+    if (typeof generationId !== 'string' || !generationId) {
+        throw new GalleryRequestError('A generation id is required.');
+    }
+    if (paths !== undefined && (!Array.isArray(paths) || paths.some((path) => typeof path !== 'string'))) {
+        throw new GalleryRequestError('Images are identified by their storage paths.');
+    }
+
+    const generationRef = db.collection('generations').doc(generationId);
+    const { removed, inputs } = await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(generationRef);
+        if (!snap.exists || snap.data().userId !== uid) {
+            throw new GalleryRequestError('This generation does not exist.');
+        }
+        const { images = [], favorites = [], inputs: sessionInputs = [] } = snap.data();
+        const isRemoved = (image) => !paths || paths.includes(image.path);
+        const remaining = images.filter((image) => !isRemoved(image));
+
+        if (remaining.length === 0) {
+            transaction.delete(generationRef);
+            return { removed: images, inputs: sessionInputs };
+        }
+        transaction.update(generationRef, {
+            images: remaining,
+            favorites: favorites.filter((key) => remaining.some((image) => image.path === key))
+        });
+        return { removed: images.filter(isRemoved), inputs: [] };
+    });
+
+    // Files go after the document so the gallery never points at a missing file.
+    await Promise.all([...removed.flatMap(storagePaths), ...inputs]
+        .filter((path) => path.startsWith(`users/${uid}/`))
+        .map((path) => bucket.file(path).delete({ ignoreNotFound: true })));
+    return removed.length;
+};
+
+module.exports = {
+    GalleryRequestError,
+    deleteGenerationImages
+};
@@ -0,0 +1,49 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { deleteGenerationImages } = require('./gallery');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+const { createFakeBucket } = require('./testing/fakeStorage');
+
+let db;
+let bucket;
+
+const image = (index) => ({
+    path: `users/u1/generations/job1/${index}.png`,
+    thumbnailPath: `users/u1/generations/job1/${index}_thumb.webp`
+});
+const selfie = 'users/u1/uploads/job1/0';
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    bucket = createFakeBucket();
+    const images = [image(0), image(1)];
+    await db.doc('generations/job1').set({
+        userId: 'u1',
+        inputs: [selfie],
+        images,
+        favorites: [image(1).path]
+    });
+    await Promise.all([selfie, ...images.flatMap((i) => [i.path, i.thumbnailPath])]
+        .map((path) => bucket.file(path).save(Buffer.from('x'))));
+});
+
+test('deletes single images with their thumbnails and favorites', async () => {
+    assert.strictEqual(await deleteGenerationImages(db, bucket, { uid: 'u1', generationId: 'job1', paths: [image(1).path] }), 1);
+
+    const generation = db.store.get('generations/job1');
+    assert.deepStrictEqual(generation.images, [image(0)]);
+    assert.deepStrictEqual(generation.favorites, []);
+    assert.deepStrictEqual([...bucket.files.keys()].sort(), [image(0).path, image(0).thumbnailPath, selfie].sort());
+});
+
+test('deletes a whole session including its selfies', async () => {
+    assert.strictEqual(await deleteGenerationImages(db, bucket, { uid: 'u1', generationId: 'job1' }), 2);
+    assert.ok(!db.store.has('generations/job1'));
+    assert.strictEqual(bucket.files.size, 0);
+});
+
+test('refuses to delete another user\'s session', async () => {
+    await assert.rejects(() => deleteGenerationImages(db, bucket, { uid: 'u2', generationId: 'job1' }));
+    assert.strictEqual(db.store.get('generations/job1').images.length, 2);
+    assert.strictEqual(bucket.files.size, 5);
+});
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// --- Generated Image Storage ---
+// Outputs live in Cloud Storage under users/{uid}/generations/{runId}/. The
+// generation documents only keep paths, a thumbnail URL and metadata, so they
+// stay far below Firestore's 1 MB limit and gallery snapshots stay small.
+
+const THUMBNAIL_SIZE = 256;
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
+const generationPath = (uid, runId) => `users/${uid}/generations/${runId}`;
+
+// Files written with the Admin SDK get no download token, so we attach one and
+// build the same URL the client SDK's getDownloadURL() would return.
+const storageEndpoint = () =>
+    `${process.env.STORAGE_EMULATOR_HOST || 'https://firebasestorage.googleapis.com'}/v0`;
+
+const downloadUrl = (file, token) =>
+    `${storageEndpoint()}/b/${file.bucket.name}/o/${encodeURIComponent(file.name)}?alt=media&token=${token}`;
+
+// Uploads one output and its thumbnail. Resolves with the record to store in
+// the generation document.
+const saveGeneratedImage = async (bucket, { uid, runId, index, data, mimeType = 'image/png' }) => {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64');
+    const basePath = `${generationPath(uid, runId)}/${index}`;
+    const path = `${basePath}.${EXTENSIONS[mimeType] || 'png'}`;
+    const thumbnailPath = `${basePath}_thumb.webp`;
+
+    const { width, height } = await sharp(buffer).metadata();
+    const thumbnail = await sharp(buffer)
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+    const thumbnailFile = bucket.file(thumbnailPath);
+    const thumbnailToken = crypto.randomUUID();
+    await Promise.all([
+        bucket.file(path).save(buffer, { contentType: mimeType, resumable: false }),
+        thumbnailFile.save(thumbnail, {
+            contentType: 'image/webp',
+            resumable: false,
+            metadata: { metadata: { firebaseStorageDownloadTokens: thumbnailToken } }
+        })
+    ]);
+
+    return {
+        path,
+        thumbnailPath,
+        thumbnailUrl: downloadUrl(thumbnailFile, thumbnailToken),
+        mimeType,
+        width,
+        height,
+        size: buffer.length
+    };
+};
+
+// Parses a legacy `data:image/png;base64,...` entry from the `images` array.
+const parseDataUrl = (value) => {
+    const match = /^data:([^;]+);base64,(.*)$/s.exec(value);
+    return match ? { mimeType: match[1], data: match[2] } : null;
+};
+
+// Moves any base64 images of one generation document into Storage. Entries
+// that are already records are kept, so running it twice is harmless.
+const migrateGeneration = async (bucket, generationSnap) => {
+    const { userId, images = [] } = generationSnap.data();
+    if (!images.some((image) => typeof image === 'string')) {
+        return false;
+    }
+
+    const migrated = await Promise.all(images.map((image, index) => {
+        const parsed = typeof image === 'string' && parseDataUrl(image);
+        return parsed
+            ? saveGeneratedImage(bucket, { uid: userId, runId: generationSnap.id, index, ...parsed })
+            : image;
+    }));
+    await generationSnap.ref.update({ images: migrated });
+    return true;
+};
+
+module.exports = {
+    THUMBNAIL_SIZE,
+    generationPath,
+    saveGeneratedImage,
+    parseDataUrl,
+    migrateGeneration
+};
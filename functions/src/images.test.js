@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { THUMBNAIL_SIZE, saveGeneratedImage, migrateGeneration } = require('./images');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+const { createFakeBucket } = require('./testing/fakeStorage');
+
+const samplePng = () => sharp({
+    create: { width: 640, height: 480, channels: 3, background: '#777' }
+}).png().toBuffer();
+
+test('stores the image and a square thumbnail under the run path', async () => {
+    const bucket = createFakeBucket();
+    const record = await saveGeneratedImage(bucket, {
+        uid: 'u1',
+        runId: 'run1',
+        index: 2,
+        data: (await samplePng()).toString('base64')
+    });
+
+    assert.strictEqual(record.path, 'users/u1/generations/run1/2.png');
+    assert.strictEqual(record.thumbnailPath, 'users/u1/generations/run1/2_thumb.webp');
+    assert.deepStrictEqual([record.width, record.height], [640, 480]);
+
+    const thumbnail = bucket.files.get(record.thumbnailPath);
+    const token = thumbnail.options.metadata.metadata.firebaseStorageDownloadTokens;
+    assert.strictEqual(
+        record.thumbnailUrl,
+        `https://firebasestorage.googleapis.com/v0/b/test-bucket/o/${encodeURIComponent(record.thumbnailPath)}?alt=media&token=${token}`
+    );
+    const { width, height, format } = await sharp(thumbnail.buffer).metadata();
+    assert.deepStrictEqual([width, height, format], [THUMBNAIL_SIZE, THUMBNAIL_SIZE, 'webp']);
+    assert.strictEqual(bucket.files.get(record.path).options.contentType, 'image/png');
+});
+
+test('migrates base64 images out of generation documents once', async () => {
+    const db = createFakeFirestore();
+    const bucket = createFakeBucket();
+    const legacy = `data:image/png;base64,${(await samplePng()).toString('base64')}`;
+    await db.doc('generations/g1').set({ userId: 'u1', images: [legacy, legacy] });
+
+    assert.strictEqual(await migrateGeneration(bucket, await db.doc('generations/g1').get()), true);
+    const { images } = db.store.get('generations/g1');
+    assert.deepStrictEqual(images.map((image) => image.path), [
+        'users/u1/generations/g1/0.png',
+        'users/u1/generations/g1/1.png'
+    ]);
+    assert.ok(images.every((image) => typeof image.thumbnailUrl === 'string'));
+
+    assert.strictEqual(await migrateGeneration(bucket, await db.doc('generations/g1').get()), false);
+});
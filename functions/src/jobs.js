@@ -0,0 +1,399 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { writeEntry } = require('./ledger');
+const { writeMemberEntry } = require('./organizations');
+const { saveGeneratedImage } = require('./images');
+const { isTransientError, SafetyBlockedError, DEFAULT_STYLE } = require('./models');
+const { recordModelBlock } = require('./moderation');
+const { MIN_QUALITY_SCORE, QUALITY_RETRIES } = require('./quality');
+const { mapWithConcurrency, withRetry } = require('./concurrency');
+
+// --- Generation Jobs ---
+// A job document moves queued -> running -> succeeded | partial | failed. The
+// browser uploads the selfies and asks for a job; everything after that runs
+// here, so closing the tab no longer loses the run or its credits.
+
+// One set is one image per selfie in one style variant.
+const GENERATION_COST = 50;
+const MAX_INPUTS = 5;
+const MAX_STYLES = 5;
+const MAX_VARIANTS = 4;
+const MAX_STYLE_PROMPT_LENGTH = 500;
+// Worker deliveries per job before we give up and refund.
+const MAX_ATTEMPTS = 3;
+// A job still unsettled this long after it was created has no deliveries
+// left (each runs for at most nine minutes) and will never finish by itself.
+const JOB_TIMEOUT_MS = 60 * 60 * 1000;
+// Model calls in flight per job, and retries per image for transient errors.
+const IMAGE_CONCURRENCY = 3;
+const IMAGE_RETRIES = 3;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    PARTIAL: 'partial',
+    FAILED: 'failed'
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.PARTIAL, JOB_STATUS.FAILED];
+
+// gRPC status of an update to a document that no longer exists.
+const NOT_FOUND = 5;
+
+class JobRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JobRequestError';
+    }
+}
+
+const summarize = (items) => ({
+    total: items.length,
+    succeeded: items.filter((item) => item.status === 'succeeded').length,
+    failed: items.filter((item) => item.status === 'failed').length
+});
+
+const jobCost = (styleCount, variants) => GENERATION_COST * styleCount * variants;
+
+// No styles means the standard corporate look.
+const normalizeStyles = (styles) => {
+    if (styles === undefined || (Array.isArray(styles) && styles.length === 0)) {
+        return [{ name: 'Standard', prompt: '' }];
+    }
+    if (!Array.isArray(styles) || styles.length > MAX_STYLES) {
+        throw new JobRequestError(`Choose between 1 and ${MAX_STYLES} styles.`);
+    }
+    return styles.map((style, index) => {
+        const prompt = String(style?.prompt || '').trim();
+        if (prompt.length > MAX_STYLE_PROMPT_LENGTH) {
+            throw new JobRequestError(`Style descriptions can be at most ${MAX_STYLE_PROMPT_LENGTH} characters.`);
+        }
+        return { name: String(style?.name || '').trim().slice(0, 60) || `Style ${index + 1}`, prompt };
+    });
+};
+
+// The style request sent to the model for one item. Variants of the same style
+// ask for a different pose and framing so they don't come back identical.
+const promptForItem = (style, variant, variants) => {
+    const prompt = style.prompt || DEFAULT_STYLE;
+    return variants > 1
+        ? `${prompt}\nThis is variation ${variant + 1} of ${variants}: vary the pose, framing and expression while keeping this style.`
+        : prompt;
+};
+
+// Charges a job's ledger entry to the user, or to an organization pool for jobs
+// run on its behalf.
+const chargeJob = (transaction, db, { uid, orgId }, entry) => (orgId
+    ? writeMemberEntry(transaction, db, { orgId, uid, ...entry })
+    : writeEntry(transaction, db, uid, entry));
+
+// The caller's job with this id, or null when there is none yet.
+const existingJob = (jobSnap, uid) => {
+    if (!jobSnap.exists) {
+        return null;
+    }
+    if (jobSnap.data().userId !== uid) {
+        throw new JobRequestError('Job id already in use.');
+    }
+    return jobSnap.data();
+};
+
+// Debits the run and queues the job in one transaction. Each selfie is
+// generated once per style and variant, paid for by the user or, with
+// `orgId`, by that organization's pool. `moderate({ styles, inputs })` checks
+// the request first and throws to refuse it (see moderation.js). Calling it
+// again with the same job id returns the existing job instead of charging twice.
+const createGenerationJob = async (db, { uid, jobId, inputs, styles, variants = 1, orgId = null, moderate = null }) => {
+    const uploadPrefix = `users/${uid}/uploads/${jobId}/`;
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > MAX_INPUTS) {
+        throw new JobRequestError(`Upload between 1 and ${MAX_INPUTS} selfies.`);
+    }
+    if (!inputs.every((input) => typeof input?.path === 'string' && input.path.startsWith(uploadPrefix))) {
+        throw new JobRequestError('Selfies must be uploaded to your own upload folder.');
+    }
+    if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+        throw new JobRequestError(`Choose between 1 and ${MAX_VARIANTS} variants per style.`);
+    }
+    if (orgId !== null && (typeof orgId !== 'string' || !/^[\w-]{8,64}$/.test(orgId))) {
+        throw new JobRequestError('A valid organization id is required.');
+    }
+    const jobStyles = normalizeStyles(styles);
+    const cost = jobCost(jobStyles.length, variants);
+    const jobRef = db.collection('generationJobs').doc(jobId);
+    // Checked before moderating too, so a retry does not pay for the selfie
+    // check again and nobody can overwrite another user's moderation record.
+    const existing = existingJob(await jobRef.get(), uid);
+    if (existing) {
+        return existing;
+    }
+    if (moderate) {
+        await moderate({ styles: jobStyles, inputs });
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const jobSnap = await transaction.get(jobRef);
+        if (jobSnap.exists) {
+            return existingJob(jobSnap, uid);
+        }
+        const profileSnap = await transaction.get(db.collection('profiles').doc(uid));
+        if (profileSnap.data()?.suspended) {
+            throw new JobRequestError('This account is suspended.');
+        }
+
+        await chargeJob(transaction, db, { uid, orgId }, {
+            key: `${jobId}-debit`,
+            type: 'debit',
+            amount: -cost,
+            jobId,
+            description: jobStyles.length * variants > 1
+                ? `Headshot generation (${jobStyles.length} styles × ${variants} variants)`
+                : 'Headshot generation'
+        });
+
+        const items = jobStyles.flatMap((style, styleIndex) =>
+            Array.from({ length: variants }, (_, variant) =>
+                inputs.map(({ path, mimeType }) => ({
+                    input: { path, mimeType: mimeType || 'image/jpeg' },
+                    style: styleIndex,
+                    variant,
+                    status: 'pending'
+                }))
+            ).flat()
+        );
+        const job = {
+            userId: uid,
+            orgId,
+            status: JOB_STATUS.QUEUED,
+            styles: jobStyles,
+            variants,
+            cost,
+            items,
+            progress: summarize(items),
+            attempts: 0,
+            createdAt: FieldValue.serverTimestamp()
+        };
+        transaction.set(jobRef, job);
+        return job;
+    });
+};
+
+// Credits returned for the images that failed, rounded down.
+const refundFor = (cost, { total, failed }) => (total ? Math.floor((cost * failed) / total) : 0);
+
+// Settles a job exactly once: records the final status, saves the gallery
+// entry for whatever succeeded and refunds the failed share of the cost.
+// A job deleted with its owner's account is left alone.
+const finishJob = (db, jobId, items, error) =>
+    db.runTransaction(async (transaction) => {
+        const jobRef = db.collection('generationJobs').doc(jobId);
+        const job = (await transaction.get(jobRef)).data();
+        if (!job || TERMINAL_STATUSES.includes(job.status)) {
+            return job?.status;
+        }
+
+        const progress = summarize(items);
+        const status = progress.succeeded === progress.total ? JOB_STATUS.SUCCEEDED
+            : progress.succeeded > 0 ? JOB_STATUS.PARTIAL
+            : JOB_STATUS.FAILED;
+
+        const refunded = status === JOB_STATUS.FAILED ? job.cost : refundFor(job.cost, progress);
+        if (refunded > 0) {
+            await chargeJob(transaction, db, { uid: job.userId, orgId: job.orgId }, {
+                key: `${jobId}-refund`,
+                type: 'refund',
+                amount: refunded,
+                jobId,
+                description: status === JOB_STATUS.FAILED
+                    ? 'Generation failed'
+                    : `${progress.failed} of ${progress.total} images failed`
+            });
+        }
+        if (status !== JOB_STATUS.FAILED) {
+            transaction.set(db.collection('generations').doc(jobId), {
+                userId: job.userId,
+                orgId: job.orgId || null,
+                jobId,
+                styles: job.styles,
+                variants: job.variants,
+                inputs: [...new Set(items.map((item) => item.input.path))],
+                images: items
+                    .filter((item) => item.status === 'succeeded')
+                    .map((item) => ({
+                        ...item.output,
+                        style: item.style,
+                        variant: item.variant,
+                        input: item.input.path,
+                        quality: item.quality || null
+                    })),
+                favorites: [],
+                createdAt: FieldValue.serverTimestamp()
+            });
+        }
+
+        transaction.update(jobRef, {
+            status,
+            items,
+            progress,
+            refunded,
+            ...(error && { error }),
+            finishedAt: FieldValue.serverTimestamp()
+        });
+        return status;
+    });
+
+const TIMED_OUT_MESSAGE = 'Generation did not complete. Credits for the missing images have been refunded.';
+
+// Fails every image that has not finished.
+const timedOut = (items) => items.map((item) => ['succeeded', 'failed'].includes(item.status)
+    ? item
+    : { ...item, status: 'failed', error: 'Generation timed out' });
+
+// Whether an unsettled job has outlived JOB_TIMEOUT_MS. Jobs without a
+// creation time predate it and count as stale.
+const isStaleJob = (job, now = Date.now()) =>
+    !TERMINAL_STATUSES.includes(job.status) && now - (job.createdAt?.toMillis?.() ?? 0) > JOB_TIMEOUT_MS;
+
+// Settles a job whose worker gave up on it, refunding what did not finish.
+const abandonJob = async (db, jobId) => {
+    const job = (await db.collection('generationJobs').doc(jobId).get()).data();
+    return job && finishJob(db, jobId, timedOut(job.items || []), TIMED_OUT_MESSAGE);
+};
+
+// Calls `generate()` and, when `evaluate(output)` scores the result below
+// MIN_QUALITY_SCORE, generates again up to QUALITY_RETRIES times while the
+// job's `budget` lasts. Resolves with the best-scoring { output, quality }.
+// Images that cannot be scored are kept as they are.
+const generateBest = async ({ generate, evaluate, budget, onRegenerate }) => {
+    let best = null;
+    for (let attempt = 1; ; attempt++) {
+        const output = await generate();
+        if (!output) {
+            if (best) break;
+            throw new Error('The AI did not return an image');
+        }
+        const quality = evaluate ? await evaluate(output) : null;
+        if (!best || (quality && quality.score > (best.quality?.score ?? -1))) {
+            best = { output, quality };
+        }
+        if (!quality || quality.score >= MIN_QUALITY_SCORE || attempt > QUALITY_RETRIES || budget.left <= 0) {
+            break;
+        }
+        budget.left--;
+        await onRegenerate(attempt, quality);
+    }
+    return best;
+};
+
+// Worker entry point. `generate(image, stylePrompt)` resolves with
+// { data, mimeType } or null, and the optional `evaluate(selfie, headshot,
+// stylePrompt)` with the headshot's { score, scores, notes } (see quality.js).
+// Images run IMAGE_CONCURRENCY at a time and transient model errors are
+// retried with backoff. Low scores are regenerated with up to `qualityBudget`
+// extra generations per delivery, by default one per image. Safe to deliver
+// more than once: finished items are skipped and settling is idempotent.
+const processGenerationJob = async ({
+    db,
+    bucket,
+    jobId,
+    generate,
+    evaluate = null,
+    concurrency = IMAGE_CONCURRENCY,
+    retries = IMAGE_RETRIES,
+    qualityBudget,
+    wait
+}) => {
+    const jobRef = db.collection('generationJobs').doc(jobId);
+    const job = (await jobRef.get()).data();
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+        return job?.status;
+    }
+
+    const items = job.items.map((item) => item.status === 'running' ? { ...item, status: 'pending' } : item);
+    const attempts = (job.attempts || 0) + 1;
+    if (attempts > MAX_ATTEMPTS) {
+        return finishJob(db, jobId, timedOut(items), TIMED_OUT_MESSAGE);
+    }
+    await jobRef.update({
+        status: JOB_STATUS.RUNNING,
+        attempts,
+        startedAt: FieldValue.serverTimestamp()
+    });
+
+    // Progress writes are chained so a slow write never overwrites a newer one.
+    // When the owner deletes their account mid-run the job document goes away:
+    // later writes are dropped and no further images are started.
+    let lastWrite = Promise.resolve();
+    let deleted = false;
+    const setItem = (index, item) => {
+        items[index] = item;
+        lastWrite = lastWrite.then(() => !deleted && jobRef.update({ items: [...items], progress: summarize(items) })
+            .catch((err) => {
+                if (err.code !== NOT_FOUND) throw err;
+                deleted = true;
+            }));
+        return lastWrite;
+    };
+
+    const pending = items.map((item, index) => ({ item, index })).filter(({ item }) => item.status === 'pending');
+    const budget = { left: qualityBudget ?? pending.length };
+    await mapWithConcurrency(pending, concurrency, async ({ item, index }) => {
+        await setItem(index, { ...item, status: 'running' });
+        if (deleted) {
+            return;
+        }
+        try {
+            const [buffer] = await bucket.file(item.input.path).download();
+            const image = { data: buffer.toString('base64'), mimeType: item.input.mimeType };
+            const prompt = promptForItem(job.styles[item.style], item.variant, job.variants);
+            const best = await generateBest({
+                generate: () => withRetry(() => generate(image, prompt), {
+                    retries,
+                    wait,
+                    isRetryable: isTransientError,
+                    onRetry: (err, retry) => setItem(index, { ...items[index], status: 'running', retries: retry, lastError: err.message })
+                }),
+                evaluate: evaluate && ((output) => evaluate(image, output, prompt).catch((err) => {
+                    console.error(`Job ${jobId} image ${index} could not be scored:`, err);
+                    return null;
+                })),
+                budget,
+                onRegenerate: (attempt, quality) => setItem(index, {
+                    ...items[index],
+                    status: 'running',
+                    regenerations: attempt,
+                    lastError: `Scored ${quality.score}: ${quality.notes}`
+                })
+            });
+            const record = await saveGeneratedImage(bucket, { uid: job.userId, runId: jobId, index, ...best.output });
+            await setItem(index, { ...items[index], status: 'succeeded', output: record, quality: best.quality });
+        } catch (err) {
+            console.error(`Job ${jobId} image ${index} failed:`, err);
+            if (err instanceof SafetyBlockedError) {
+                await recordModelBlock(db, { uid: job.userId, jobId, index, reason: err.message })
+                    .catch((recordErr) => console.error(`Job ${jobId} could not record a safety block:`, recordErr));
+            }
+            await setItem(index, { ...items[index], status: 'failed', error: err.message });
+        }
+    });
+
+    await lastWrite;
+    return finishJob(db, jobId, items);
+};
+
+module.exports = {
+    GENERATION_COST,
+    MAX_INPUTS,
+    MAX_STYLES,
+    MAX_VARIANTS,
+    MAX_ATTEMPTS,
+    JOB_TIMEOUT_MS,
+    IMAGE_CONCURRENCY,
+    JOB_STATUS,
+    TERMINAL_STATUSES,
+    JobRequestError,
+    jobCost,
+    createGenerationJob,
+    processGenerationJob,
+    isStaleJob,
+    abandonJob
+};
@@ -0,0 +1,216 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+    GENERATION_COST,
+    MAX_ATTEMPTS,
+    createGenerationJob,
+    processGenerationJob
+} = require('./jobs');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+const { createFakeBucket } = require('./testing/fakeStorage');
+const { PLACEHOLDER_PNG } = require('./testing/modelStandIn');
+const { ModelError } = require('./models');
+
+let db;
+let bucket;
+
+const inputs = (count) => Array.from({ length: count }, (_, i) => ({
+    path: `users/u1/uploads/job1/${i}.jpg`,
+    mimeType: 'image/jpeg'
+}));
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    bucket = createFakeBucket();
+    await db.doc('profiles/u1').set({ credits: 100 });
+    await Promise.all(inputs(3).map(({ path }) => bucket.file(path).save(Buffer.from('selfie'))));
+});
+
+const BW = { name: 'B&W cinematic', prompt: 'black and white, cinematic lighting' };
+
+const placeholder = async () => ({ data: PLACEHOLDER_PNG, mimeType: 'image/png' });
+const credits = () => db.store.get('profiles/u1').credits;
+const job = () => db.store.get('generationJobs/job1');
+
+test('charges once when the same job is requested twice', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3), styles: [BW] });
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3), styles: [BW] });
+
+    assert.strictEqual(credits(), 100 - GENERATION_COST);
+    assert.strictEqual(job().status, 'queued');
+    assert.deepStrictEqual(job().progress, { total: 3, succeeded: 0, failed: 0 });
+});
+
+test('charges one set per style and variant and tags every output', async () => {
+    await db.doc('profiles/u1').set({ credits: 250 });
+    const styles = [BW, { name: 'Outdoor natural', prompt: 'outdoor, natural background' }];
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(2), styles, variants: 2 });
+    assert.strictEqual(credits(), 250 - 4 * GENERATION_COST);
+    assert.strictEqual(job().items.length, 8);
+
+    const prompts = [];
+    const recording = async (image, prompt) => { prompts.push(prompt); return placeholder(); };
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: recording }), 'succeeded');
+
+    assert.ok(prompts.includes(`${BW.prompt}\nThis is variation 2 of 2: vary the pose, framing and expression while keeping this style.`));
+    const { images } = db.store.get('generations/job1');
+    assert.deepStrictEqual(images.map((image) => `${image.style}:${image.variant}`), [
+        '0:0', '0:0', '0:1', '0:1', '1:0', '1:0', '1:1', '1:1'
+    ]);
+});
+
+test('checks who owns a job id before moderating, and moderates a job only once', async () => {
+    let checks = 0;
+    const moderate = async () => { checks++; };
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(1), moderate });
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(1), moderate });
+    assert.strictEqual(checks, 1);
+
+    const foreign = [{ path: 'users/u2/uploads/job1/0.jpg' }];
+    await assert.rejects(() => createGenerationJob(db, { uid: 'u2', jobId: 'job1', inputs: foreign, moderate }), /already in use/);
+    assert.strictEqual(checks, 1);
+});
+
+test('rejects too many styles or variants before charging', async () => {
+    const styles = Array.from({ length: 6 }, (_, i) => ({ name: `S${i}`, prompt: 'p' }));
+    await assert.rejects(() => createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(1), styles }));
+    await assert.rejects(() => createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(1), variants: 5 }));
+    assert.strictEqual(credits(), 100);
+});
+
+test('rejects inputs outside the caller\'s upload folder', async () => {
+    const foreign = [{ path: 'users/u2/uploads/job1/0.jpg' }];
+    await assert.rejects(() => createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: foreign }));
+    assert.strictEqual(credits(), 100);
+});
+
+test('processes every image and saves the gallery entry', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3), styles: [BW] });
+    const status = await processGenerationJob({ db, bucket, jobId: 'job1', generate: placeholder });
+
+    assert.strictEqual(status, 'succeeded');
+    assert.deepStrictEqual(job().progress, { total: 3, succeeded: 3, failed: 0 });
+    const generation = db.store.get('generations/job1');
+    assert.deepStrictEqual(generation.styles, [BW]);
+    assert.deepStrictEqual(generation.inputs, inputs(3).map((input) => input.path));
+    assert.strictEqual(generation.images[2].input, inputs(3)[2].path);
+    assert.deepStrictEqual(generation.images.map((image) => image.path), [
+        'users/u1/generations/job1/0.png',
+        'users/u1/generations/job1/1.png',
+        'users/u1/generations/job1/2.png'
+    ]);
+});
+
+test('keeps what succeeded when some images fail', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3) });
+    let call = 0;
+    const flaky = async () => (call++ === 1 ? null : placeholder());
+
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: flaky }), 'partial');
+    assert.strictEqual(job().items[1].error, 'The AI did not return an image');
+    assert.strictEqual(db.store.get('generations/job1').images.length, 2);
+});
+
+test('refunds the failed share of a partial job', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3) });
+    let call = 0;
+    const oneFails = async () => {
+        if (call++ === 0) {
+            throw new ModelError('Model API Error: invalid image', 400);
+        }
+        return placeholder();
+    };
+
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: oneFails, concurrency: 1 }), 'partial');
+    assert.strictEqual(job().refunded, 16);
+    assert.strictEqual(credits(), 100 - GENERATION_COST + 16);
+    assert.strictEqual(call, 3);
+});
+
+test('retries transient errors with backoff and runs a bounded number of calls at once', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3) });
+    const failures = { 0: [429, 503], 1: [504] };
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const waits = [];
+    const transient = async (image) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setImmediate(resolve));
+        inFlight--;
+        const index = Number(Buffer.from(image.data, 'base64').toString().slice(-1));
+        const status = failures[index]?.shift();
+        if (status) {
+            throw new ModelError(`Model API Error: ${status}`, status);
+        }
+        return placeholder();
+    };
+    await Promise.all(inputs(3).map(({ path }, i) => bucket.file(path).save(Buffer.from(`selfie${i}`))));
+
+    const status = await processGenerationJob({
+        db, bucket, jobId: 'job1', generate: transient, concurrency: 2, wait: async (ms) => waits.push(ms)
+    });
+    assert.strictEqual(status, 'succeeded');
+    assert.strictEqual(maxInFlight, 2);
+    assert.strictEqual(waits.length, 3);
+    assert.deepStrictEqual(job().items.map((item) => item.retries || 0), [2, 1, 0]);
+    assert.strictEqual(credits(), 100 - GENERATION_COST);
+});
+
+test('gives up on an image once its retries are used up', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(1) });
+    let calls = 0;
+    const overloaded = async () => { calls++; throw new ModelError('Model API Error: overloaded', 503); };
+
+    const status = await processGenerationJob({
+        db, bucket, jobId: 'job1', generate: overloaded, retries: 2, wait: async () => {}
+    });
+    assert.strictEqual(status, 'failed');
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(credits(), 100);
+});
+
+test('refunds a failed job exactly once, even when delivered again', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3) });
+    const broken = async () => { throw new Error('Model API Error: overloaded'); };
+
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: broken }), 'failed');
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: broken }), 'failed');
+    assert.strictEqual(credits(), 100);
+    assert.ok(db.store.has('profiles/u1/ledger/job1-refund'));
+    assert.ok(!db.store.has('generations/job1'));
+});
+
+test('resumes an interrupted job and gives up after too many deliveries', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3) });
+    // A worker that died after the first image
+    const items = job().items.map((item, i) => (i === 0 ? { ...item, status: 'succeeded', output: { path: 'p0' } } : item));
+    await db.doc('generationJobs/job1').update({ status: 'running', attempts: 1, items });
+
+    const calls = [];
+    const recording = async (image) => { calls.push(image); return placeholder(); };
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: recording }), 'succeeded');
+    assert.strictEqual(calls.length, 2);
+
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job2', inputs: inputs(1).map((input) => ({ path: input.path.replace('job1', 'job2') })) });
+    await db.doc('generationJobs/job2').update({ attempts: MAX_ATTEMPTS });
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job2', generate: recording }), 'failed');
+    assert.strictEqual(credits(), 100 - GENERATION_COST);
+});
+
+test('stops quietly when the job is deleted with its owner\'s account', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(3) });
+
+    let calls = 0;
+    const deleting = async () => {
+        calls++;
+        await db.doc('generationJobs/job1').delete();
+        return placeholder();
+    };
+    const status = await processGenerationJob({ db, bucket, jobId: 'job1', generate: deleting, concurrency: 1 });
+
+    assert.strictEqual(status, undefined);
+    assert.strictEqual(calls, 1);
+    assert.ok(!db.store.has('generationJobs/job1'));
+    assert.ok(!db.store.has('generations/job1'));
+});
@@ -0,0 +1,59 @@
+const { FieldValue } = require('firebase-admin/firestore');
+
+// --- Credit Ledger (server) ---
+// The only writer of balances: every change is an immutable entry in
+// profiles/{uid}/ledger (or organizations/{orgId}/ledger for shared pools)
+// whose id is the idempotency key. The browser only reads the ledger
+// (src/lib/credits.js).
+
+class InsufficientCreditsError extends Error {
+    constructor(balance, required) {
+        super(`You need at least ${required} credits, but only have ${balance}.`);
+        this.name = 'InsufficientCreditsError';
+        this.balance = balance;
+        this.required = required;
+    }
+}
+
+// Reads and writes one entry on the account document `accountRef` (a profile
+// or an organization pool) within an open transaction. Returns the stored
+// entry, which is the existing one if the key has already been used.
+const writeAccountEntry = async (transaction, accountRef, { key, type, amount, ...details }) => {
+    const entryRef = accountRef.collection('ledger').doc(key);
+
+    const entrySnap = await transaction.get(entryRef);
+    if (entrySnap.exists) {
+        return entrySnap.data();
+    }
+
+    const accountSnap = await transaction.get(accountRef);
+    const balance = accountSnap.data()?.credits || 0;
+    const balanceAfter = balance + amount;
+    if (balanceAfter < 0) {
+        throw new InsufficientCreditsError(balance, -amount);
+    }
+
+    const entry = {
+        type,
+        amount,
+        balanceAfter,
+        createdAt: FieldValue.serverTimestamp(),
+        ...details
+    };
+    transaction.set(accountRef, { credits: balanceAfter }, { merge: true });
+    transaction.set(entryRef, entry);
+    return entry;
+};
+
+const writeEntry = (transaction, db, uid, entry) =>
+    writeAccountEntry(transaction, db.collection('profiles').doc(uid), entry);
+
+const applyLedgerEntry = (db, uid, entry) =>
+    db.runTransaction((transaction) => writeEntry(transaction, db, uid, entry));
+
+module.exports = {
+    InsufficientCreditsError,
+    writeAccountEntry,
+    writeEntry,
+    applyLedgerEntry
+};
@@ -0,0 +1,41 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { applyLedgerEntry, InsufficientCreditsError } = require('./ledger');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+
+let db;
+
+beforeEach(() => {
+    db = createFakeFirestore();
+    db.doc('profiles/u1').set({ credits: 60 });
+});
+
+const balance = () => db.store.get('profiles/u1').credits;
+
+test('moves the balance and records an immutable entry', async () => {
+    await applyLedgerEntry(db, 'u1', { key: 'job1-debit', type: 'debit', amount: -50 });
+
+    assert.strictEqual(balance(), 10);
+    assert.deepStrictEqual(
+        { ...db.store.get('profiles/u1/ledger/job1-debit'), createdAt: undefined },
+        { type: 'debit', amount: -50, balanceAfter: 10, createdAt: undefined }
+    );
+});
+
+test('replaying the same key does not change the balance twice', async () => {
+    await applyLedgerEntry(db, 'u1', { key: 'job1-debit', type: 'debit', amount: -50 });
+    await applyLedgerEntry(db, 'u1', { key: 'job1-debit', type: 'debit', amount: -50 });
+    await applyLedgerEntry(db, 'u1', { key: 'job1-refund', type: 'refund', amount: 50 });
+    await applyLedgerEntry(db, 'u1', { key: 'job1-refund', type: 'refund', amount: 50 });
+
+    assert.strictEqual(balance(), 60);
+});
+
+test('rejects an entry that would overdraw the balance', async () => {
+    await assert.rejects(
+        applyLedgerEntry(db, 'u1', { key: 'job1-debit', type: 'debit', amount: -100 }),
+        InsufficientCreditsError
+    );
+    assert.strictEqual(balance(), 60);
+    assert.ok(!db.store.has('profiles/u1/ledger/job1-debit'));
+});
@@ -0,0 +1,104 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ModelError, SafetyBlockedError, generateText, generateHeadshot, classifySelfie, critiqueHeadshot } = require('./models');
+const { PLACEHOLDER_PNG, DEFAULT_CRITIQUE, startModelStandIn } = require('./testing/modelStandIn');
+
+let standIn;
+
+before(async () => {
+    standIn = await startModelStandIn();
+    process.env.GEMINI_API_URL = standIn.url;
+    process.env.IMAGE_API_URL = `${standIn.url}/image`;
+});
+
+after(async () => {
+    delete process.env.GEMINI_API_URL;
+    delete process.env.IMAGE_API_URL;
+    await standIn.close();
+});
+
+beforeEach(() => {
+    standIn.requests.length = 0;
+    standIn.failWith = null;
+    standIn.blockWith = null;
+    standIn.selfieReply = null;
+});
+
+test('forwards text prompts upstream with the server-side key', async () => {
+    const text = await generateText({ apiKey: 'server-key', prompt: 'Suggest styles', json: true });
+
+    assert.deepStrictEqual(JSON.parse(text)[0].name, 'Stand-in Style');
+    const [request] = standIn.requests;
+    assert.strictEqual(request.key, 'server-key');
+    assert.match(request.path, /\/models\/.+:generateContent$/);
+    assert.strictEqual(request.payload.generationConfig.responseMimeType, 'application/json');
+});
+
+test('builds the headshot prompt on the server and returns the image', async () => {
+    const image = await generateHeadshot({
+        apiKey: 'image-key',
+        image: { data: 'c2VsZmll', mimeType: 'image/png' },
+        stylePrompt: 'outdoor, natural background'
+    });
+
+    assert.deepStrictEqual(image, { data: PLACEHOLDER_PNG, mimeType: 'image/png' });
+    const [text, inline] = standIn.requests[0].payload.contents[0].parts;
+    assert.match(text.text, /expert photographer[\s\S]*Style request: outdoor, natural background$/);
+    assert.deepStrictEqual(inline.inlineData, { mimeType: 'image/png', data: 'c2VsZmll' });
+});
+
+test('surfaces upstream errors with their status', async () => {
+    standIn.failWith = 429;
+    await assert.rejects(
+        generateText({ apiKey: 'k', prompt: 'hi' }),
+        (err) => err instanceof ModelError && err.status === 429 && /Stand-in failure/.test(err.message)
+    );
+});
+
+test('turns safety blocks into a readable reason instead of a missing result', async () => {
+    standIn.blockWith = 'IMAGE_SAFETY';
+    await assert.rejects(
+        generateHeadshot({ apiKey: 'k', image: { data: 'c2VsZmll', mimeType: 'image/png' }, stylePrompt: 'studio' }),
+        (err) => err instanceof SafetyBlockedError && err.message === 'The request was blocked because the image was flagged by the safety filters (sexually explicit).'
+    );
+    standIn.blockWith = 'SAFETY';
+    await assert.rejects(generateText({ apiKey: 'k', prompt: 'hi' }), SafetyBlockedError);
+    assert.deepStrictEqual(
+        await classifySelfie({ apiKey: 'k', image: { data: 'c2VsZmll', mimeType: 'image/png' } }),
+        { allowed: false, category: 'inappropriate', reason: 'The request was blocked because it was flagged by the safety filters (sexually explicit).' }
+    );
+});
+
+test('checks selfies with the text model', async () => {
+    const verdict = await classifySelfie({ apiKey: 'k', image: { data: 'c2VsZmll', mimeType: 'image/png' } });
+
+    assert.deepStrictEqual(verdict, { allowed: true, category: 'ok', reason: '' });
+    const [text, inline] = standIn.requests[0].payload.contents[0].parts;
+    assert.match(text.text, /multiple-people/);
+    assert.strictEqual(inline.inlineData.data, 'c2VsZmll');
+});
+
+test('refuses a selfie whose check comes back unreadable', async () => {
+    standIn.selfieReply = '{"allowed": tr';
+    assert.deepStrictEqual(
+        await classifySelfie({ apiKey: 'k', image: { data: 'c2VsZmll', mimeType: 'image/png' } }),
+        { allowed: false, category: 'other', reason: 'This photo could not be checked. Try again or use another photo.' }
+    );
+    standIn.selfieReply = 'null';
+    assert.strictEqual((await classifySelfie({ apiKey: 'k', image: { data: 'c2VsZmll', mimeType: 'image/png' } })).allowed, false);
+});
+
+test('asks the vision model to compare the headshot with the selfie', async () => {
+    const critique = await critiqueHeadshot({
+        apiKey: 'k',
+        selfie: { data: 'c2VsZmll', mimeType: 'image/jpeg' },
+        headshot: { data: PLACEHOLDER_PNG, mimeType: 'image/png' },
+        stylePrompt: 'studio'
+    });
+
+    assert.deepStrictEqual(critique, DEFAULT_CRITIQUE);
+    const [text, selfie, headshot] = standIn.requests[0].payload.contents[0].parts;
+    assert.match(text.text, /likeness[\s\S]*Style request: studio$/);
+    assert.strictEqual(selfie.inlineData.data, 'c2VsZmll');
+    assert.strictEqual(headshot.inlineData.data, PLACEHOLDER_PNG);
+});
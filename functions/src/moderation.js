@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
+
+// --- Moderation ---
+// Runs before anything is charged: style prompts and text prompts are checked
+// against the rules below, and every selfie is checked by the text model
+// (models.classifySelfie). Safety blocks reported by the model during a run
+// are recorded too. Each decision is kept in moderationDecisions/{id} with the
+// uid, what was checked and why it was rejected, for admins to review.
+
+const CATEGORIES = {
+    INJECTION: 'prompt-injection',
+    LIKENESS: 'likeness',
+    INAPPROPRIATE: 'inappropriate',
+    MODEL_BLOCKED: 'model-blocked'
+};
+
+const DECISIONS = {
+    ALLOWED: 'allowed',
+    REJECTED: 'rejected'
+};
+
+// What a reviewer sees of a checked prompt.
+const EXCERPT_LENGTH = 200;
+
+const PROMPT_RULES = [
+    {
+        category: CATEGORIES.INJECTION,
+        reason: 'It contains instructions to the AI. Describe only the look you want.',
+        patterns: [
+            /\b(ignore|disregard|forget|override)\b.{0,40}\b(instructions?|rules|prompts?|above|previous)\b/i,
+            /\bsystem prompt\b|\byou are now\b|\bnew instructions\b|\bjailbreak\b/i
+        ]
+    },
+    {
+        category: CATEGORIES.LIKENESS,
+        reason: 'Headshots can only show the person in your selfies, not someone else.',
+        patterns: [
+            // A full name after "look like", "resemble" and the like.
+            /\b(look(s|ing)?( just| exactly)? like|resembl(e|es|ing)|likeness of)\s+[A-Z][a-z'-]+(\s+[A-Z][a-z'-]+)+/,
+            /\b(impersonat\w*|deep ?fakes?|face ?swap\w*|swap (my |the )?face|look-?alike|doppelg[aä]nger|celebrit(y|ies)|famous (person|actor|actress|people))\b/i
+        ]
+    },
+    {
+        category: CATEGORIES.INAPPROPRIATE,
+        reason: 'Keep it professional: no nudity, sexual content, violence or hate symbols.',
+        patterns: [
+            /\b(nude|naked|topless|nsfw|lingerie|underwear|bikini|sexy|sexual|erotic|porn\w*|gore|bloody|corpse|weapons?|guns?|rifles?|nazi|swastika)\b/i
+        ]
+    }
+];
+
+// Text prompts (bios, style suggestions) are free-form descriptions of a real
+// person's work, where "celebrity chef" or "weapons detection engineer" are
+// fine. Only attempts to override the instructions are rejected; the model's
+// own safety filters handle the rest.
+const TEXT_RULES = PROMPT_RULES.filter((rule) => rule.category === CATEGORIES.INJECTION);
+
+class ModerationError extends Error {
+    constructor(message, rejections) {
+        super(message);
+        this.name = 'ModerationError';
+        this.rejections = rejections;
+    }
+}
+
+// Resolves with { category, reason } for the first rule the text breaks, or null.
+const checkPrompt = (text, rules = PROMPT_RULES) => {
+    const rule = rules.find(({ patterns }) => patterns.some((pattern) => pattern.test(text || '')));
+    return rule ? { category: rule.category, reason: rule.reason } : null;
+};
+
+const excerpt = (text) => String(text || '').slice(0, EXCERPT_LENGTH);
+
+const recordDecision = (db, id, decision) =>
+    db.collection('moderationDecisions').doc(id).set({ ...decision, createdAt: FieldValue.serverTimestamp() });
+
+// One sentence per rejection, e.g. 'Style "Beach": ... Selfie 2: ...'.
+const describeRejections = (rejections) =>
+    `This request was not accepted. ${rejections.map(({ target, reason }) => `${target}: ${reason}`).join(' ')}`;
+
+// Checks a generation request's styles and selfies. `inputs` are the uploaded
+// selfies' { path, mimeType }; `classifyImage({ data, mimeType })` is the
+// selfie check. Records the decision under the job id and throws a
+// ModerationError listing every rejection.
+const moderateJob = async (db, { uid, jobId, styles, inputs, bucket, classifyImage }) => {
+    const promptRejections = styles
+        .map((style) => ({ target: `Style "${style.name}"`, kind: 'prompt', excerpt: excerpt(style.prompt), ...checkPrompt(style.prompt) }))
+        .filter((check) => check.category);
+    const selfieChecks = await Promise.all(inputs.map(async ({ path, mimeType }, index) => {
+        const [buffer] = await bucket.file(path).download();
+        const verdict = await classifyImage({ data: buffer.toString('base64'), mimeType: mimeType || 'image/jpeg' });
+        return { target: `Selfie ${index + 1}`, kind: 'image', path, ...verdict };
+    }));
+    const rejections = [
+        ...promptRejections,
+        ...selfieChecks.filter((check) => !check.allowed).map(({ allowed, ...check }) => check)
+    ];
+
+    await recordDecision(db, jobId, {
+        uid,
+        jobId,
+        kind: 'job',
+        decision: rejections.length ? DECISIONS.REJECTED : DECISIONS.ALLOWED,
+        prompts: styles.map((style) => excerpt(style.prompt)),
+        selfies: inputs.map((input) => input.path),
+        rejections
+    });
+    if (rejections.length) {
+        throw new ModerationError(describeRejections(rejections), rejections);
+    }
+};
+
+// Checks a prompt for the text model. Only rejections are recorded.
+const moderateText = async (db, { uid, prompt }) => {
+    const rejection = checkPrompt(prompt, TEXT_RULES);
+    if (!rejection) {
+        return;
+    }
+    const rejections = [{ target: 'Your text', kind: 'text', excerpt: excerpt(prompt), ...rejection }];
+    await recordDecision(db, crypto.randomUUID(), { uid, kind: 'text', decision: DECISIONS.REJECTED, rejections });
+    throw new ModerationError(describeRejections(rejections), rejections);
+};
+
+// Records a model safety block, for a text call or one image of a job.
+const recordModelBlock = (db, { uid, jobId = null, index = null, reason }) =>
+    recordDecision(db, jobId === null ? crypto.randomUUID() : `${jobId}-${index}`, {
+        uid,
+        jobId,
+        kind: jobId === null ? 'text' : 'output',
+        decision: DECISIONS.REJECTED,
+        rejections: [{ target: jobId === null ? 'Your text' : `Image ${index + 1}`, kind: 'output', category: CATEGORIES.MODEL_BLOCKED, reason }]
+    });
+
+module.exports = {
+    CATEGORIES,
+    DECISIONS,
+    ModerationError,
+    checkPrompt,
+    moderateJob,
+    moderateText,
+    recordModelBlock
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
+const { writeAccountEntry } = require('./ledger');
+const { toPlain, withId } = require('./serialize');
+
+// --- Organizations ---
+// An organization holds a shared credit pool in organizations/{orgId}, with
+// its own ledger. Membership lives in organizationMembers/{orgId}_{uid} and
+// pending invites in organizationInvites/{orgId}_{email}, so both can be
+// queried per user and per organization. Members generate against the pool up
+// to their own spending limit; the owner buys credits and sees everyone's usage.
+
+const ROLES = {
+    OWNER: 'owner',
+    MEMBER: 'member'
+};
+
+const MAX_NAME_LENGTH = 80;
+const MAX_MEMBER_LIMIT = 100000;
+const USAGE_LIMIT = 50;
+
+class OrganizationRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrganizationRequestError';
+    }
+}
+
+const orgRef = (db, orgId) => db.collection('organizations').doc(orgId);
+const memberRef = (db, orgId, uid) => db.collection('organizationMembers').doc(`${orgId}_${uid}`);
+const inviteRef = (db, orgId, email) => db.collection('organizationInvites').doc(`${orgId}_${email}`);
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// null means no limit beyond the pool itself.
+const checkLimit = (limit) => {
+    if (limit === null || limit === undefined || limit === '') {
+        return null;
+    }
+    if (!Number.isInteger(limit) || limit < 0 || limit > MAX_MEMBER_LIMIT) {
+        throw new OrganizationRequestError(`Spending limits must be a whole number between 0 and ${MAX_MEMBER_LIMIT}.`);
+    }
+    return limit;
+};
+
+const checkOrgId = (orgId) => {
+    if (typeof orgId !== 'string' || !/^[\w-]{8,64}$/.test(orgId)) {
+        throw new OrganizationRequestError('A valid organization id is required.');
+    }
+    return orgId;
+};
+
+const checkMemberUid = (memberUid) => {
+    if (typeof memberUid !== 'string' || !memberUid || memberUid.includes('/')) {
+        throw new OrganizationRequestError('A valid member id is required.');
+    }
+    return memberUid;
+};
+
+const getMember = async (db, orgId, uid) => (await memberRef(db, checkOrgId(orgId), uid).get()).data() || null;
+
+const requireOwner = async (db, orgId, uid) => {
+    const member = await getMember(db, orgId, uid);
+    if (member?.role !== ROLES.OWNER) {
+        throw new OrganizationRequestError('Only the organization owner can do that.');
+    }
+    return member;
+};
+
+// Credits a member may still spend: the pool, capped by their own limit.
+const availableTo = (org, member) => {
+    const pool = org?.credits || 0;
+    return member.limit === null ? pool : Math.max(0, Math.min(pool, member.limit - (member.spent || 0)));
+};
+
+const createOrganization = async (db, { uid, email, name }) => {
+    const orgName = String(name || '').trim();
+    if (!orgName || orgName.length > MAX_NAME_LENGTH) {
+        throw new OrganizationRequestError(`Organization names must be 1 to ${MAX_NAME_LENGTH} characters.`);
+    }
+    const orgId = crypto.randomUUID();
+    await db.runTransaction(async (transaction) => {
+        transaction.set(orgRef(db, orgId), {
+            name: orgName,
+            ownerUid: uid,
+            credits: 0,
+            createdAt: FieldValue.serverTimestamp()
+        });
+        transaction.set(memberRef(db, orgId, uid), {
+            orgId,
+            orgName,
+            uid,
+            email: normalizeEmail(email),
+            role: ROLES.OWNER,
+            limit: null,
+            spent: 0,
+            joinedAt: FieldValue.serverTimestamp()
+        });
+    });
+    return { orgId };
+};
+
+// Inviting the same address again updates the pending invite's limit.
+const inviteMember = async (db, { uid, orgId, email, limit }) => {
+    await requireOwner(db, orgId, uid);
+    const address = normalizeEmail(email);
+    if (!/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(address)) {
+        throw new OrganizationRequestError('Enter a valid email address.');
+    }
+    const existing = await db.collection('organizationMembers')
+        .where('orgId', '==', orgId)
+        .where('email', '==', address)
+        .get();
+    if (!existing.empty) {
+        throw new OrganizationRequestError(`${address} is already a member.`);
+    }
+    const org = (await orgRef(db, orgId).get()).data();
+    await inviteRef(db, orgId, address).set({
+        orgId,
+        orgName: org.name,
+        email: address,
+        limit: checkLimit(limit),
+        invitedBy: uid,
+        createdAt: FieldValue.serverTimestamp()
+    });
+};
+
+// `email` must be the caller's verified sign-in email.
+const acceptInvite = async (db, { uid, email, orgId }) => {
+    const address = normalizeEmail(email);
+    if (!address) {
+        throw new OrganizationRequestError('Verify your email address to join an organization.');
+    }
+    const ref = inviteRef(db, checkOrgId(orgId), address);
+    await db.runTransaction(async (transaction) => {
+        const inviteSnap = await transaction.get(ref);
+        if (!inviteSnap.exists) {
+            throw new OrganizationRequestError('This invite no longer exists.');
+        }
+        const memberSnap = await transaction.get(memberRef(db, orgId, uid));
+        const invite = inviteSnap.data();
+        if (!memberSnap.exists) {
+            transaction.set(memberRef(db, orgId, uid), {
+                orgId,
+                orgName: invite.orgName,
+                uid,
+                email: address,
+                role: ROLES.MEMBER,
+                limit: invite.limit,
+                spent: 0,
+                joinedAt: FieldValue.serverTimestamp()
+            });
+        }
+        transaction.delete(ref);
+    });
+};
+
+// Declined by the invitee, or withdrawn by the owner.
+const deleteInvite = async (db, { uid, email, orgId, inviteEmail }) => {
+    const address = normalizeEmail(inviteEmail || email);
+    if (!address) {
+        throw new OrganizationRequestError('An email address is required.');
+    }
+    if (address !== normalizeEmail(email)) {
+        await requireOwner(db, orgId, uid);
+    }
+    await inviteRef(db, checkOrgId(orgId), address).delete();
+};
+
+const updateMember = async (db, { uid, orgId, memberUid, limit }) => {
+    await requireOwner(db, orgId, uid);
+    const ref = memberRef(db, orgId, checkMemberUid(memberUid));
+    if (!(await ref.get()).exists) {
+        throw new OrganizationRequestError('No such member.');
+    }
+    await ref.update({ limit: checkLimit(limit) });
+};
+
+// Past generations stay with the member; only access to the pool ends.
+const removeMember = async (db, { uid, orgId, memberUid }) => {
+    const owner = await requireOwner(db, orgId, uid);
+    if (checkMemberUid(memberUid) === owner.uid) {
+        throw new OrganizationRequestError('The owner cannot be removed.');
+    }
+    await memberRef(db, orgId, memberUid).delete();
+};
+
+// Organizations the user belongs to, with the pool and what they may still
+// spend, plus invites waiting for their email address.
+const listOrganizations = async (db, { uid, email }) => {
+    const address = normalizeEmail(email);
+    const [members, invites] = await Promise.all([
+        db.collection('organizationMembers').where('uid', '==', uid).get(),
+        address ? db.collection('organizationInvites').where('email', '==', address).get() : { docs: [] }
+    ]);
+    const organizations = await Promise.all(members.docs.map(async (snap) => {
+        const member = snap.data();
+        const org = (await orgRef(db, member.orgId).get()).data();
+        return {
+            orgId: member.orgId,
+            name: org?.name || member.orgName,
+            role: member.role,
+            credits: org?.credits || 0,
+            limit: member.limit,
+            spent: member.spent || 0,
+            available: availableTo(org, member)
+        };
+    }));
+    return {
+        organizations,
+        invites: invites.docs.map((snap) => ({ orgId: snap.data().orgId, orgName: snap.data().orgName, limit: snap.data().limit }))
+    };
+};
+
+// The owner's view: pool balance and ledger, members with their usage,
+// pending invites and the latest generation jobs charged to the pool.
+const getOrganizationUsage = async (db, { uid, orgId }) => {
+    await requireOwner(db, orgId, uid);
+    const [org, members, invites, ledger, jobs] = await Promise.all([
+        orgRef(db, orgId).get(),
+        db.collection('organizationMembers').where('orgId', '==', orgId).get(),
+        db.collection('organizationInvites').where('orgId', '==', orgId).get(),
+        orgRef(db, orgId).collection('ledger').orderBy('createdAt', 'desc').limit(USAGE_LIMIT).get(),
+        db.collection('generationJobs').where('orgId', '==', orgId).orderBy('createdAt', 'desc').limit(USAGE_LIMIT).get()
+    ]);
+    return {
+        orgId,
+        ...toPlain(org.data()),
+        members: members.docs.map(withId),
+        invites: invites.docs.map(withId),
+        ledger: ledger.docs.map(withId),
+        jobs: jobs.docs.map(withId)
+    };
+};
+
+// Writes a pool entry on behalf of a member within an open transaction and
+// tracks their spending: debits check membership and the member's limit,
+// refunds give the spend back (if they are still a member).
+const writeMemberEntry = async (transaction, db, { orgId, uid, ...entry }) => {
+    const pool = orgRef(db, orgId);
+    const entrySnap = await transaction.get(pool.collection('ledger').doc(entry.key));
+    if (entrySnap.exists) {
+        return entrySnap.data();
+    }
+    const mRef = memberRef(db, orgId, uid);
+    const member = (await transaction.get(mRef)).data();
+    if (entry.amount < 0) {
+        if (!member) {
+            throw new OrganizationRequestError('You are not a member of this organization.');
+        }
+        const spent = member.spent || 0;
+        if (member.limit !== null && spent - entry.amount > member.limit) {
+            throw new OrganizationRequestError(
+                `This run needs ${-entry.amount} credits, but your organization limit leaves you ${Math.max(0, member.limit - spent)}.`
+            );
+        }
+    }
+    const written = await writeAccountEntry(transaction, pool, { ...entry, memberUid: uid });
+    if (member) {
+        transaction.set(mRef, { spent: Math.max(0, (member.spent || 0) - entry.amount) }, { merge: true });
+    }
+    return written;
+};
+
+module.exports = {
+    ROLES,
+    OrganizationRequestError,
+    orgRef,
+    normalizeEmail,
+    requireOwner,
+    createOrganization,
+    inviteMember,
+    acceptInvite,
+    deleteInvite,
+    updateMember,
+    removeMember,
+    listOrganizations,
+    getOrganizationUsage,
+    writeMemberEntry
+};
@@ -0,0 +1,107 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+    createOrganization,
+    inviteMember,
+    acceptInvite,
+    deleteInvite,
+    updateMember,
+    removeMember,
+    listOrganizations,
+    getOrganizationUsage
+} = require('./organizations');
+const { GENERATION_COST, createGenerationJob, processGenerationJob } = require('./jobs');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+const { createFakeBucket } = require('./testing/fakeStorage');
+
+let db;
+let bucket;
+let orgId;
+
+const inputs = (uid, jobId) => [{ path: `users/${uid}/uploads/${jobId}/0.jpg`, mimeType: 'image/jpeg' }];
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    bucket = createFakeBucket();
+    await db.doc('profiles/owner').set({ credits: 0 });
+    await db.doc('profiles/m1').set({ credits: 0 });
+    ({ orgId } = await createOrganization(db, { uid: 'owner', email: 'Owner@example.com', name: 'Acme' }));
+    await db.doc(`organizations/${orgId}`).update({ credits: 200 });
+});
+
+const pool = () => db.store.get(`organizations/${orgId}`).credits;
+const member = (uid) => db.store.get(`organizationMembers/${orgId}_${uid}`);
+
+test('invites a member by email, who joins with that address', async () => {
+    await inviteMember(db, { uid: 'owner', orgId, email: ' Ada@Example.com', limit: 100 });
+    assert.deepStrictEqual((await listOrganizations(db, { uid: 'm1', email: 'ada@example.com' })).invites, [
+        { orgId, orgName: 'Acme', limit: 100 }
+    ]);
+
+    await assert.rejects(() => acceptInvite(db, { uid: 'm2', email: 'someone@example.com', orgId }), /no longer exists/);
+    await acceptInvite(db, { uid: 'm1', email: 'ada@example.com', orgId });
+    assert.deepStrictEqual({ role: member('m1').role, limit: member('m1').limit }, { role: 'member', limit: 100 });
+    assert.ok(!db.store.has(`organizationInvites/${orgId}_ada@example.com`));
+
+    const { organizations } = await listOrganizations(db, { uid: 'm1', email: 'ada@example.com' });
+    assert.deepStrictEqual(organizations, [
+        { orgId, name: 'Acme', role: 'member', credits: 200, limit: 100, spent: 0, available: 100 }
+    ]);
+    await assert.rejects(() => inviteMember(db, { uid: 'owner', orgId, email: 'ada@example.com' }), /already a member/);
+});
+
+test('only the owner manages members and invites', async () => {
+    await inviteMember(db, { uid: 'owner', orgId, email: 'ada@example.com' });
+    await acceptInvite(db, { uid: 'm1', email: 'ada@example.com', orgId });
+
+    await assert.rejects(() => inviteMember(db, { uid: 'm1', orgId, email: 'eve@example.com' }), /owner/);
+    await assert.rejects(() => updateMember(db, { uid: 'm1', orgId, memberUid: 'm1', limit: 5000 }), /owner/);
+    await assert.rejects(() => getOrganizationUsage(db, { uid: 'm1', orgId }), /owner/);
+    await assert.rejects(() => removeMember(db, { uid: 'owner', orgId, memberUid: 'owner' }));
+
+    await inviteMember(db, { uid: 'owner', orgId, email: 'eve@example.com' });
+    await assert.rejects(() => deleteInvite(db, { uid: 'm1', email: 'ada@example.com', orgId, inviteEmail: 'eve@example.com' }), /owner/);
+    await deleteInvite(db, { uid: 'eve', email: 'eve@example.com', orgId });
+    assert.ok(!db.store.has(`organizationInvites/${orgId}_eve@example.com`));
+
+    await removeMember(db, { uid: 'owner', orgId, memberUid: 'm1' });
+    assert.strictEqual(member('m1'), undefined);
+});
+
+test('members generate against the pool within their limit', async () => {
+    await inviteMember(db, { uid: 'owner', orgId, email: 'ada@example.com', limit: GENERATION_COST });
+    await acceptInvite(db, { uid: 'm1', email: 'ada@example.com', orgId });
+
+    await createGenerationJob(db, { uid: 'm1', jobId: 'job-0001', inputs: inputs('m1', 'job-0001'), orgId });
+    assert.strictEqual(pool(), 200 - GENERATION_COST);
+    assert.strictEqual(member('m1').spent, GENERATION_COST);
+    assert.strictEqual(db.store.get('profiles/m1').credits, 0);
+
+    await assert.rejects(
+        () => createGenerationJob(db, { uid: 'm1', jobId: 'job-0002', inputs: inputs('m1', 'job-0002'), orgId }),
+        /limit leaves you 0/
+    );
+    await assert.rejects(
+        () => createGenerationJob(db, { uid: 'm2', jobId: 'job-0003', inputs: inputs('m2', 'job-0003'), orgId }),
+        /not a member/
+    );
+
+    await updateMember(db, { uid: 'owner', orgId, memberUid: 'm1', limit: null });
+    await createGenerationJob(db, { uid: 'm1', jobId: 'job-0002', inputs: inputs('m1', 'job-0002'), orgId });
+    assert.strictEqual(member('m1').spent, 2 * GENERATION_COST);
+});
+
+test('refunds failed runs to the pool and shows usage to the owner', async () => {
+    await createGenerationJob(db, { uid: 'owner', jobId: 'job-0001', inputs: inputs('owner', 'job-0001'), orgId });
+    const broken = async () => { throw new Error('Model API Error: overloaded'); };
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job-0001', generate: broken }), 'failed');
+
+    assert.strictEqual(pool(), 200);
+    assert.strictEqual(member('owner').spent, 0);
+
+    const usage = await getOrganizationUsage(db, { uid: 'owner', orgId });
+    assert.strictEqual(usage.name, 'Acme');
+    assert.deepStrictEqual(usage.members.map((m) => m.uid), ['owner']);
+    assert.deepStrictEqual(usage.jobs.map((job) => job.id), ['job-0001']);
+    assert.deepStrictEqual(usage.ledger.map((entry) => entry.type).sort(), ['debit', 'refund']);
+});
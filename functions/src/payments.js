@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
+const { writeEntry, writeAccountEntry } = require('./ledger');
+const { orgRef } = require('./organizations');
+
+// --- Credit Packs ---
+// Prices live on the server so the browser can only choose a pack and one of
+// its currencies, never an amount. src/lib/payments.js keeps a copy for display.
+const CREDIT_PACKS = {
+    starter: { name: 'Starter Pack', credits: 50, prices: { usd: 2900, eur: 2900 } }
+};
+
+// Stripe-compatible API base. Point PAYMENTS_API_URL at a local stand-in in development.
+const paymentsApiUrl = () => process.env.PAYMENTS_API_URL || 'https://api.stripe.com';
+
+// Only send the buyer back to an http(s) page on APP_URL's origin, so the
+// checkout can't be used as an open redirect. Without APP_URL only the
+// functions emulator accepts other origins.
+const resolveReturnUrl = (returnUrl) => {
+    const url = new URL(returnUrl);
+    if (!process.env.APP_URL && process.env.FUNCTIONS_EMULATOR !== 'true') {
+        throw new Error('APP_URL is not configured');
+    }
+    const allowedOrigin = process.env.APP_URL && new URL(process.env.APP_URL).origin;
+    if (!['http:', 'https:'].includes(url.protocol) || (allowedOrigin && url.origin !== allowedOrigin)) {
+        throw new Error(`Return URL not allowed: ${returnUrl}`);
+    }
+    return `${url.origin}${url.pathname}`;
+};
+
+// Flattens nested objects into Stripe's form encoding, e.g. metadata[userId]=...
+const toFormBody = (value, prefix, params = new URLSearchParams()) => {
+    Object.entries(value).forEach(([key, child]) => {
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (child !== null && typeof child === 'object') {
+            toFormBody(child, name, params);
+        } else if (child !== undefined) {
+            params.append(name, String(child));
+        }
+    });
+    return params;
+};
+
+// Creates a hosted checkout session for a pack and records it as pending, so the
+// webhook can later look up who paid for what. With `orgId` the credits go to
+// that organization's pool; the caller must have checked the buyer owns it.
+// `locale` sets the language of the provider's checkout page.
+const createCheckoutSession = async (db, { secretKey, uid, email, packId, returnUrl, orgId = null, currency = 'usd', locale }) => {
+    const pack = CREDIT_PACKS[packId];
+    if (!pack) {
+        throw new Error(`Unknown credit pack: ${packId}`);
+    }
+    const amount = pack.prices[currency];
+    if (!amount) {
+        throw new Error(`Credit pack ${packId} is not sold in ${currency}`);
+    }
+    const baseUrl = resolveReturnUrl(returnUrl);
+
+    const response = await fetch(`${paymentsApiUrl()}/v1/checkout/sessions`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: toFormBody({
+            mode: 'payment',
+            success_url: `${baseUrl}?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${baseUrl}?checkout=cancelled`,
+            client_reference_id: uid,
+            customer_email: email,
+            locale,
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency,
+                    unit_amount: amount,
+                    product_data: { name: `${pack.name} (${pack.credits} credits)` }
+                }
+            }],
+            metadata: { userId: uid, packId, ...(orgId && { orgId }) }
+        }).toString()
+    });
+
+    const session = await response.json();
+    if (!response.ok) {
+        throw new Error(`Payment provider error: ${session.error?.message || 'Unknown error'}`);
+    }
+
+    await db.collection('checkoutSessions').doc(session.id).set({
+        userId: uid,
+        orgId,
+        packId,
+        credits: pack.credits,
+        amount,
+        currency,
+        status: 'pending',
+        createdAt: FieldValue.serverTimestamp()
+    });
+
+    return { id: session.id, url: session.url };
+};
+
+// --- Webhook Signatures ---
+// Same scheme as Stripe: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.payload">`.
+const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+const verifyWebhookSignature = (payload, header, secret, toleranceSeconds = 300) => {
+    const parts = String(header || '').split(',').map((part) => part.split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) {
+        return false;
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+    return signatures.some((signature) => {
+        const candidate = Buffer.from(signature, 'hex');
+        return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+};
+
+// --- Fulfillment ---
+// Grants a paid session's credits exactly once. Returns false when there was
+// nothing to do (already settled, or not one of our sessions). A payment for
+// a different amount or currency grants nothing and is recorded as
+// 'mismatch' for support to follow up: redelivering the event would not fix
+// it, so it is not treated as a failure.
+const fulfillCheckoutSession = (db, session) =>
+    db.runTransaction(async (transaction) => {
+        const sessionRef = db.collection('checkoutSessions').doc(session.id);
+        const sessionSnap = await transaction.get(sessionRef);
+        if (!sessionSnap.exists || sessionSnap.data().status !== 'pending') {
+            return false;
+        }
+
+        const { userId, orgId, packId, credits, amount, currency } = sessionSnap.data();
+        // A session without an amount or currency cannot be checked, so it
+        // counts as a mismatch too.
+        if (session.amount_total !== amount || session.currency !== currency) {
+            console.error(`Amount mismatch for checkout session ${session.id}`);
+            transaction.update(sessionRef, {
+                status: 'mismatch',
+                paidAmount: session.amount_total ?? null,
+                paidCurrency: session.currency ?? null,
+                paymentIntent: session.payment_intent || null,
+                settledAt: FieldValue.serverTimestamp()
+            });
+            return false;
+        }
+
+        const entry = {
+            key: `${session.id}-purchase`,
+            type: 'purchase',
+            amount: credits,
+            description: `${CREDIT_PACKS[packId]?.name || 'Credit pack'} (${credits} credits)`,
+            checkoutSessionId: session.id
+        };
+        await (orgId
+            ? writeAccountEntry(transaction, orgRef(db, orgId), { ...entry, memberUid: userId })
+            : writeEntry(transaction, db, userId, entry));
+        transaction.update(sessionRef, {
+            status: 'fulfilled',
+            paymentIntent: session.payment_intent || null,
+            fulfilledAt: FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+
+const FULFILLING_EVENTS = ['checkout.session.completed', 'checkout.session.async_payment_succeeded'];
+
+// Express-style handler for the provider's webhook. Needs the raw request body
+// for signature verification.
+const createWebhookHandler = ({ db, getSecret }) => async (req, res) => {
+    const payload = req.rawBody ? req.rawBody.toString('utf8') : '';
+    if (!verifyWebhookSignature(payload, req.get('stripe-signature'), getSecret())) {
+        res.status(400).send('Invalid signature');
+        return;
+    }
+
+    const event = JSON.parse(payload);
+    const session = event.data?.object;
+    if (!FULFILLING_EVENTS.includes(event.type) || session?.payment_status !== 'paid') {
+        res.json({ received: true, fulfilled: false });
+        return;
+    }
+
+    try {
+        const fulfilled = await fulfillCheckoutSession(db, session);
+        res.json({ received: true, fulfilled });
+    } catch (err) {
+        console.error('Error fulfilling checkout session:', err);
+        // A 5xx makes the provider retry later; fulfillment is idempotent.
+        res.status(500).send('Fulfillment failed');
+    }
+};
+
+module.exports = {
+    CREDIT_PACKS,
+    createCheckoutSession,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    fulfillCheckoutSession,
+    createWebhookHandler
+};
@@ -0,0 +1,174 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+    createCheckoutSession,
+    createWebhookHandler,
+    signWebhookPayload,
+    verifyWebhookSignature
+} = require('./payments');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+const { startPaymentsStandIn } = require('./testing/paymentsStandIn');
+
+const SECRET = 'whsec_test';
+
+// Serves the webhook handler over HTTP with the bits of the Express API it uses.
+const serveWebhook = (handler) => new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => handler(
+            { rawBody: Buffer.concat(chunks), get: (name) => req.headers[name.toLowerCase()] },
+            {
+                status(code) { res.statusCode = code; return this; },
+                send: (body) => res.end(body),
+                json: (body) => res.end(JSON.stringify(body))
+            }
+        ));
+    });
+    server.listen(0, () => resolve(server));
+});
+
+let db;
+let webhookServer;
+let standIn;
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    db.doc('profiles/u1').set({ credits: 0 });
+    webhookServer = await serveWebhook(createWebhookHandler({ db, getSecret: () => SECRET }));
+    standIn = await startPaymentsStandIn({
+        webhookUrl: `http://localhost:${webhookServer.address().port}`,
+        webhookSecret: SECRET
+    });
+    process.env.PAYMENTS_API_URL = standIn.url;
+    process.env.APP_URL = 'http://localhost:3000';
+});
+
+afterEach(async () => {
+    delete process.env.PAYMENTS_API_URL;
+    delete process.env.APP_URL;
+    await standIn.close();
+    await new Promise((done) => webhookServer.close(done));
+});
+
+const checkout = () => createCheckoutSession(db, {
+    secretKey: 'sk_test',
+    uid: 'u1',
+    email: 'u1@example.com',
+    packId: 'starter',
+    returnUrl: 'http://localhost:3000/dashboard'
+});
+
+const credits = () => db.store.get('profiles/u1').credits;
+
+test('verifies signatures and rejects tampering, wrong secrets and stale timestamps', () => {
+    const payload = '{"id":"evt_1"}';
+    assert.ok(verifyWebhookSignature(payload, signWebhookPayload(payload, SECRET), SECRET));
+    assert.ok(!verifyWebhookSignature('{"id":"evt_2"}', signWebhookPayload(payload, SECRET), SECRET));
+    assert.ok(!verifyWebhookSignature(payload, signWebhookPayload(payload, 'other'), SECRET));
+    assert.ok(!verifyWebhookSignature(payload, signWebhookPayload(payload, SECRET, 1000), SECRET));
+    assert.ok(!verifyWebhookSignature(payload, undefined, SECRET));
+});
+
+test('grants credits only after the paid webhook arrives', async () => {
+    const { id, url } = await checkout();
+    assert.strictEqual(db.store.get(`checkoutSessions/${id}`).status, 'pending');
+    assert.strictEqual(credits(), 0);
+
+    const response = await fetch(url, { redirect: 'manual' });
+    assert.strictEqual(response.headers.get('x-webhook-status'), '200');
+    assert.match(response.headers.get('location'), new RegExp(`checkout=success&session_id=${id}$`));
+    assert.strictEqual(credits(), 50);
+    assert.strictEqual(db.store.get(`checkoutSessions/${id}`).status, 'fulfilled');
+});
+
+test('credits an organization pool when bought for one', async () => {
+    const { id, url } = await createCheckoutSession(db, {
+        secretKey: 'sk_test',
+        uid: 'u1',
+        email: 'u1@example.com',
+        packId: 'starter',
+        returnUrl: 'http://localhost:3000/organizations',
+        orgId: 'org-0001'
+    });
+    await fetch(url, { redirect: 'manual' });
+    assert.strictEqual(db.store.get('organizations/org-0001').credits, 50);
+    assert.strictEqual(db.store.get(`organizations/org-0001/ledger/${id}-purchase`).memberUid, 'u1');
+    assert.strictEqual(credits(), 0);
+});
+
+test('replayed webhooks grant credits once', async () => {
+    const { id, url } = await checkout();
+    await fetch(url, { redirect: 'manual' });
+    assert.strictEqual(await standIn.sendWebhook(standIn.sessions.get(id)), 200);
+    assert.strictEqual(credits(), 50);
+});
+
+test('a payment for the wrong amount is recorded once and not retried', async () => {
+    const { id } = await checkout();
+    const session = { ...standIn.sessions.get(id), payment_status: 'paid', amount_total: 100 };
+    assert.strictEqual(await standIn.sendWebhook(session), 200);
+    assert.strictEqual(await standIn.sendWebhook(session), 200);
+    assert.strictEqual(credits(), 0);
+    assert.strictEqual(db.store.get(`checkoutSessions/${id}`).status, 'mismatch');
+    assert.strictEqual(db.store.get(`checkoutSessions/${id}`).paidAmount, 100);
+});
+
+test('a paid session without an amount grants nothing', async () => {
+    const { id } = await checkout();
+    const { amount_total: amountTotal, ...session } = standIn.sessions.get(id);
+    assert.strictEqual(await standIn.sendWebhook({ ...session, payment_status: 'paid' }), 200);
+    assert.strictEqual(credits(), 0);
+    assert.strictEqual(db.store.get(`checkoutSessions/${id}`).status, 'mismatch');
+    assert.strictEqual(db.store.get(`checkoutSessions/${id}`).paidAmount, null);
+});
+
+test('cancelled and unsigned checkouts grant nothing', async () => {
+    const { id, url } = await checkout();
+    const response = await fetch(`${url}?cancel=1`, { redirect: 'manual' });
+    assert.match(response.headers.get('location'), /checkout=cancelled$/);
+
+    const forged = await fetch(`http://localhost:${webhookServer.address().port}`, {
+        method: 'POST',
+        body: JSON.stringify({
+            type: 'checkout.session.completed',
+            data: { object: { id, payment_status: 'paid', amount_total: 2900 } }
+        })
+    });
+    assert.strictEqual(forged.status, 400);
+    assert.strictEqual(credits(), 0);
+});
+
+test('charges the price for the chosen currency', async () => {
+    const { id } = await createCheckoutSession(db, {
+        secretKey: 'sk_test',
+        uid: 'u1',
+        email: 'u1@example.com',
+        packId: 'starter',
+        returnUrl: 'http://localhost:3000/dashboard',
+        currency: 'eur',
+        locale: 'de'
+    });
+    const session = db.store.get(`checkoutSessions/${id}`);
+    assert.strictEqual(session.currency, 'eur');
+    assert.strictEqual(session.amount, 2900);
+});
+
+test('rejects unknown packs, currencies and foreign return URLs', async () => {
+    await assert.rejects(createCheckoutSession(db, { packId: 'free', returnUrl: 'http://localhost:3000' }));
+    await assert.rejects(createCheckoutSession(db, { packId: 'starter', returnUrl: 'http://localhost:3000', currency: 'gbp' }));
+    await assert.rejects(createCheckoutSession(db, { packId: 'starter', returnUrl: 'javascript:alert(1)' }));
+    await assert.rejects(createCheckoutSession(db, { packId: 'starter', returnUrl: 'https://evil.example/dashboard' }));
+});
+
+test('refuses checkouts until APP_URL is configured, except in the emulator', async () => {
+    delete process.env.APP_URL;
+    await assert.rejects(checkout(), /APP_URL is not configured/);
+    process.env.FUNCTIONS_EMULATOR = 'true';
+    try {
+        await checkout();
+    } finally {
+        delete process.env.FUNCTIONS_EMULATOR;
+    }
+});
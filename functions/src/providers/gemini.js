@@ -0,0 +1,70 @@
+const { ModelError, SafetyBlockedError, createHttpProvider } = require('./http');
+
+// --- Gemini Image Provider ---
+// The hosted headshot endpoint, which speaks Gemini's generateContent format.
+
+const imageModelUrl = () =>
+    process.env.IMAGE_API_URL || 'https://ai-professional-headshot-generator-25795193617.us-west1.run.app';
+
+const geminiErrorMessage = (json) => json.error?.message || 'Unknown error';
+
+// Finish reasons that mean the answer was withheld rather than finished.
+const BLOCK_REASONS = {
+    SAFETY: 'it was flagged by the safety filters',
+    IMAGE_SAFETY: 'the image was flagged by the safety filters',
+    PROHIBITED_CONTENT: 'it asks for prohibited content',
+    BLOCKLIST: 'it contains blocked terms',
+    SPII: 'it contains sensitive personal information',
+    RECITATION: 'the answer would copy protected material',
+    OTHER: 'the model refused it'
+};
+
+// A blocked prompt is reported in promptFeedback.blockReason, a blocked answer
+// as the candidate's finishReason. Resolves with a readable reason naming the
+// flagged categories, or null when nothing was blocked.
+const geminiBlockReason = (json) => {
+    const candidate = json?.candidates?.[0];
+    const reason = json?.promptFeedback?.blockReason || (BLOCK_REASONS[candidate?.finishReason] && candidate.finishReason);
+    if (!reason) {
+        return null;
+    }
+    const categories = [...(json.promptFeedback?.safetyRatings || []), ...(candidate?.safetyRatings || [])]
+        .filter((rating) => rating.blocked || rating.probability === 'HIGH')
+        .map((rating) => rating.category.replace('HARM_CATEGORY_', '').toLowerCase().replace(/_/g, ' '));
+    const flagged = categories.length ? ` (${[...new Set(categories)].join(', ')})` : '';
+    return `The request was blocked because ${BLOCK_REASONS[reason] || BLOCK_REASONS.OTHER}${flagged}.`;
+};
+
+module.exports = createHttpProvider({
+    name: 'gemini',
+    capabilities: {
+        inputMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+        // Inline data is limited to 20 MB per request, base64 included.
+        maxInputBytes: 15 * 1024 * 1024,
+        outputMimeTypes: ['image/png', 'image/jpeg']
+    },
+    buildRequest: ({ apiKey, image, prompt }) => ({
+        url: `${imageModelUrl()}?key=${encodeURIComponent(apiKey)}`,
+        body: {
+            contents: [{
+                parts: [
+                    { text: prompt },
+                    { inlineData: { mimeType: image.mimeType || 'image/jpeg', data: image.data } }
+                ]
+            }],
+            generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+        }
+    }),
+    parseResponse: (json) => {
+        const blocked = geminiBlockReason(json);
+        if (blocked) {
+            throw new SafetyBlockedError(blocked);
+        }
+        const inlineData = json?.candidates?.[0]?.content?.parts?.find((part) => part.inlineData)?.inlineData;
+        return inlineData ? { data: inlineData.data, mimeType: inlineData.mimeType || 'image/png' } : null;
+    },
+    mapError: (status, json) => new ModelError(`Model API Error: ${geminiErrorMessage(json)}`, status)
+});
+
+module.exports.geminiErrorMessage = geminiErrorMessage;
+module.exports.geminiBlockReason = geminiBlockReason;
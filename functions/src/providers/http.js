@@ -0,0 +1,70 @@
+// --- HTTP Providers ---
+// Shared plumbing for providers that call a JSON API: the request timeout,
+// network failures as ModelErrors, and the provider shape itself.
+
+// Image generations regularly take 20-40 seconds; anything far beyond that is stuck.
+const MODEL_TIMEOUT_MS = Number(process.env.MODEL_TIMEOUT_MS || 90000);
+
+class ModelError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ModelError';
+        this.status = status;
+    }
+}
+
+// The model refused the request or withheld its answer for safety reasons.
+// Never retried: the same request is blocked again.
+class SafetyBlockedError extends ModelError {
+    constructor(message) {
+        super(message, 400);
+        this.name = 'SafetyBlockedError';
+    }
+}
+
+// Rate limits, server errors, timeouts and network failures are worth retrying.
+const isTransientError = (err) =>
+    err instanceof ModelError && (err.status === 429 || err.status >= 500);
+
+// POSTs JSON and resolves with the fetch Response, whatever its status.
+const postJson = async (url, body, headers = {}) => {
+    try {
+        return await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(MODEL_TIMEOUT_MS)
+        });
+    } catch (err) {
+        throw err.name === 'TimeoutError'
+            ? new ModelError('Model API Error: request timed out', 504)
+            : new ModelError(`Model API Error: ${err.message}`, 503);
+    }
+};
+
+// Builds a provider from its three API-specific parts:
+//   buildRequest({ apiKey, image, prompt }) -> { url, headers?, body }
+//   parseResponse(json) -> { data, mimeType } | null
+//   mapError(status, json) -> ModelError
+const createHttpProvider = ({ name, capabilities, buildRequest, parseResponse, mapError }) => ({
+    name,
+    capabilities,
+    generate: async (request) => {
+        const { url, headers, body } = buildRequest(request);
+        const response = await postJson(url, body, headers);
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw mapError(response.status, json);
+        }
+        return parseResponse(json);
+    }
+});
+
+module.exports = {
+    MODEL_TIMEOUT_MS,
+    ModelError,
+    SafetyBlockedError,
+    isTransientError,
+    postJson,
+    createHttpProvider
+};
@@ -0,0 +1,45 @@
+const { ModelError } = require('./http');
+
+// --- Image Providers ---
+// A provider turns one selfie and a prompt into a headshot:
+//   { name, capabilities, generate({ apiKey, image, prompt }) -> { data, mimeType } | null }
+// `capabilities` lists the accepted inputMimeTypes, maxInputBytes and the
+// outputMimeTypes it produces. HTTP backends are built with createHttpProvider
+// (see http.js). A provider may also answer the selfie check with
+// classify({ image }) -> { allowed, category, reason }; the others leave it
+// to the text model. IMAGE_PROVIDER picks the provider the worker uses.
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+    providers.set(provider.name, provider);
+    return provider;
+};
+
+const getProvider = (name = process.env.IMAGE_PROVIDER || 'gemini') => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown image provider "${name}". Registered: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+};
+
+// Rejects inputs the provider cannot take before anything is sent.
+const checkInput = (provider, image) => {
+    const { inputMimeTypes, maxInputBytes } = provider.capabilities;
+    if (!inputMimeTypes.includes(image.mimeType)) {
+        throw new ModelError(`${provider.name} does not accept ${image.mimeType} images`, 400);
+    }
+    if (Buffer.byteLength(image.data, 'base64') > maxInputBytes) {
+        throw new ModelError(`The selfie is too large for ${provider.name}`, 400);
+    }
+};
+
+registerProvider(require('./gemini'));
+registerProvider(require('./stub'));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    checkInput
+};
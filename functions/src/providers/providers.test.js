@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { registerProvider, getProvider } = require('.');
+const { ModelError } = require('./http');
+const { generateHeadshot, classifySelfie } = require('../models');
+
+const selfie = { data: Buffer.from('selfie').toString('base64'), mimeType: 'image/jpeg' };
+
+test('picks the provider named by IMAGE_PROVIDER', () => {
+    assert.strictEqual(getProvider().name, 'gemini');
+    process.env.IMAGE_PROVIDER = 'stub';
+    try {
+        assert.strictEqual(getProvider().name, 'stub');
+    } finally {
+        delete process.env.IMAGE_PROVIDER;
+    }
+    assert.throws(() => getProvider('missing'), /Unknown image provider "missing"/);
+});
+
+test('the stub provider returns the same placeholder for the same request', async () => {
+    const stub = getProvider('stub');
+    const first = await generateHeadshot({ image: selfie, stylePrompt: 'outdoor', provider: stub });
+    const again = await generateHeadshot({ image: selfie, stylePrompt: 'outdoor', provider: stub });
+    const other = await generateHeadshot({ image: selfie, stylePrompt: 'studio', provider: stub });
+
+    assert.strictEqual(first.mimeType, 'image/png');
+    assert.strictEqual(first.data, again.data);
+    assert.notStrictEqual(first.data, other.data);
+    const { width, height } = await sharp(Buffer.from(first.data, 'base64')).metadata();
+    assert.deepStrictEqual([width, height], [512, 512]);
+});
+
+test('the stub provider passes selfie checks without calling the model', async () => {
+    process.env.IMAGE_PROVIDER = 'stub';
+    try {
+        assert.deepStrictEqual(await classifySelfie({ image: selfie }), { allowed: true, category: 'ok', reason: '' });
+    } finally {
+        delete process.env.IMAGE_PROVIDER;
+    }
+});
+
+test('registered providers receive the full prompt, and inputs they cannot take are refused', async () => {
+    const calls = [];
+    const pngOnly = registerProvider({
+        name: 'png-only',
+        capabilities: { inputMimeTypes: ['image/png'], maxInputBytes: 1024, outputMimeTypes: ['image/png'] },
+        generate: async (request) => { calls.push(request); return null; }
+    });
+
+    await assert.rejects(
+        generateHeadshot({ image: selfie, stylePrompt: 'x', provider: pngOnly }),
+        (err) => err instanceof ModelError && err.status === 400
+    );
+    assert.strictEqual(await generateHeadshot({ apiKey: 'k', image: { ...selfie, mimeType: 'image/png' }, stylePrompt: 'studio', provider: pngOnly }), null);
+    assert.match(calls[0].prompt, /Style request: studio$/);
+    assert.strictEqual(calls[0].apiKey, 'k');
+});
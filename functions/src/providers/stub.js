@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// --- Stub Image Provider ---
+// Runs offline. Returns a placeholder portrait whose background colour is
+// derived from the selfie and prompt, so the same request always produces the
+// same image and different styles are easy to tell apart. It also passes every
+// selfie check, so moderation needs no model either.
+
+const SIZE = 512;
+
+const colourFor = (image, prompt) => {
+    const digest = crypto.createHash('sha256').update(prompt).update(image.data).digest();
+    return { r: digest[0], g: digest[1], b: digest[2] };
+};
+
+const silhouette = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}">` +
+    `<circle cx="${SIZE / 2}" cy="${SIZE * 0.38}" r="${SIZE * 0.16}" fill="#f3f4f6"/>` +
+    `<ellipse cx="${SIZE / 2}" cy="${SIZE * 0.95}" rx="${SIZE * 0.34}" ry="${SIZE * 0.3}" fill="#f3f4f6"/>` +
+    '</svg>'
+);
+
+module.exports = {
+    name: 'stub',
+    capabilities: {
+        inputMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+        maxInputBytes: Infinity,
+        outputMimeTypes: ['image/png']
+    },
+    generate: async ({ image, prompt }) => {
+        const png = await sharp({
+            create: { width: SIZE, height: SIZE, channels: 3, background: colourFor(image, prompt) }
+        })
+            .composite([{ input: silhouette }])
+            .png()
+            .toBuffer();
+        return { data: png.toString('base64'), mimeType: 'image/png' };
+    },
+    classify: async () => ({ allowed: true, category: 'ok', reason: '' })
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { critiqueHeadshot } = require('./models');
+
+// --- Quality Scoring ---
+// Every generated headshot is compared with its source selfie by a critic,
+// which rates likeness, framing, artifacts (10 = none) and adherence to the
+// style prompt from 0 to 10. The weighted total is a 0-100 score; images below
+// MIN_QUALITY_SCORE are regenerated by the job worker (see jobs.js).
+// QUALITY_CRITIC picks the critic: `gemini`, the vision model (which the
+// model stand-in can replace), or `stub`, which scores offline and is the
+// default when IMAGE_PROVIDER is `stub` too.
+
+const QUALITY_WEIGHTS = {
+    likeness: 0.4,
+    framing: 0.2,
+    artifacts: 0.2,
+    prompt: 0.2
+};
+
+const MIN_QUALITY_SCORE = Number(process.env.MIN_QUALITY_SCORE || 60);
+// Extra generations per image when it keeps scoring low.
+const QUALITY_RETRIES = 2;
+const MAX_NOTES_LENGTH = 200;
+
+const clampRating = (value) => Math.min(10, Math.max(0, Number(value) || 0));
+
+// Turns a critic's ratings into { score, scores, notes }.
+const scoreCritique = (critique) => {
+    const scores = Object.fromEntries(Object.keys(QUALITY_WEIGHTS).map((key) => [key, clampRating(critique?.[key])]));
+    const score = Math.round(Object.entries(QUALITY_WEIGHTS).reduce((total, [key, weight]) => total + scores[key] * weight * 10, 0));
+    return { score, scores, notes: String(critique?.notes || '').slice(0, MAX_NOTES_LENGTH) };
+};
+
+// Deterministic ratings between 6 and 10 derived from the image, so offline
+// runs behave the same every time.
+const stubCritique = async ({ headshot }) => {
+    const digest = crypto.createHash('sha256').update(headshot.data).digest();
+    return {
+        ...Object.fromEntries(Object.keys(QUALITY_WEIGHTS).map((key, i) => [key, 6 + (digest[i] % 5)])),
+        notes: 'Scored offline by the stub critic.'
+    };
+};
+
+const critics = {
+    gemini: critiqueHeadshot,
+    stub: stubCritique
+};
+
+// Resolves with the headshot's { score, scores, notes }.
+const defaultCritic = () => process.env.QUALITY_CRITIC || (process.env.IMAGE_PROVIDER === 'stub' ? 'stub' : 'gemini');
+
+const evaluateHeadshot = async ({ apiKey, selfie, headshot, stylePrompt, critic = defaultCritic() }) => {
+    if (!critics[critic]) {
+        throw new Error(`Unknown quality critic "${critic}". Available: ${Object.keys(critics).join(', ')}`);
+    }
+    return scoreCritique(await critics[critic]({ apiKey, selfie, headshot, stylePrompt }));
+};
+
+module.exports = {
+    QUALITY_WEIGHTS,
+    MIN_QUALITY_SCORE,
+    QUALITY_RETRIES,
+    scoreCritique,
+    evaluateHeadshot
+};
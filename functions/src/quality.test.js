@@ -0,0 +1,94 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { MIN_QUALITY_SCORE, scoreCritique, evaluateHeadshot } = require('./quality');
+const { createGenerationJob, processGenerationJob } = require('./jobs');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+const { createFakeBucket } = require('./testing/fakeStorage');
+const { PLACEHOLDER_PNG } = require('./testing/modelStandIn');
+
+let db;
+let bucket;
+
+const inputs = (count) => Array.from({ length: count }, (_, i) => ({
+    path: `users/u1/uploads/job1/${i}.jpg`,
+    mimeType: 'image/jpeg'
+}));
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    bucket = createFakeBucket();
+    await db.doc('profiles/u1').set({ credits: 100 });
+    await Promise.all(inputs(2).map(({ path }) => bucket.file(path).save(Buffer.from('selfie'))));
+});
+
+const placeholder = async () => ({ data: PLACEHOLDER_PNG, mimeType: 'image/png' });
+const job = () => db.store.get('generationJobs/job1');
+
+// Scores each call from the list in turn, then passes everything.
+const scoring = (scores) => {
+    const calls = [];
+    const evaluate = async () => {
+        const score = scores[calls.length] ?? 90;
+        calls.push(score);
+        return { score, scores: {}, notes: score < MIN_QUALITY_SCORE ? 'Does not look like the selfie.' : '' };
+    };
+    return { calls, evaluate };
+};
+
+test('weights likeness most and clamps the ratings', () => {
+    assert.deepStrictEqual(scoreCritique({ likeness: 10, framing: 5, artifacts: 5, prompt: 5, notes: 'Soft focus.' }), {
+        score: 70,
+        scores: { likeness: 10, framing: 5, artifacts: 5, prompt: 5 },
+        notes: 'Soft focus.'
+    });
+    assert.strictEqual(scoreCritique({ likeness: 14, framing: -2, artifacts: 'x', prompt: 10 }).score, 60);
+});
+
+test('scores offline with the stub critic, the same way every time', async () => {
+    const headshot = { data: PLACEHOLDER_PNG, mimeType: 'image/png' };
+    const first = await evaluateHeadshot({ selfie: headshot, headshot, critic: 'stub' });
+    assert.ok(first.score >= 60 && first.score <= 100);
+    assert.deepStrictEqual(await evaluateHeadshot({ selfie: headshot, headshot, critic: 'stub' }), first);
+    await assert.rejects(() => evaluateHeadshot({ selfie: headshot, headshot, critic: 'nope' }), /Unknown quality critic/);
+
+    process.env.IMAGE_PROVIDER = 'stub';
+    try {
+        assert.deepStrictEqual(await evaluateHeadshot({ selfie: headshot, headshot }), first);
+    } finally {
+        delete process.env.IMAGE_PROVIDER;
+    }
+});
+
+test('regenerates low-scoring images and keeps the best attempt with its score', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(1) });
+    const { calls, evaluate } = scoring([30, 45, 40]);
+    let generated = 0;
+    const counting = async () => { generated++; return placeholder(); };
+
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: counting, evaluate }), 'succeeded');
+
+    // The default budget is one extra generation per image.
+    assert.strictEqual(generated, 2);
+    assert.deepStrictEqual(calls, [30, 45]);
+    assert.strictEqual(job().items[0].quality.score, 45);
+    assert.strictEqual(job().items[0].regenerations, 1);
+    assert.strictEqual(db.store.get('generations/job1').images[0].quality.score, 45);
+});
+
+test('stops regenerating once an image passes or the retry limit is reached', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(2) });
+    const { calls, evaluate } = scoring([10, 20, 30, 95]);
+
+    await processGenerationJob({ db, bucket, jobId: 'job1', generate: placeholder, evaluate, concurrency: 1, qualityBudget: 10 });
+
+    assert.deepStrictEqual(calls, [10, 20, 30, 95]);
+    assert.deepStrictEqual(job().items.map((item) => item.quality.score), [30, 95]);
+});
+
+test('keeps unscored images when the critic fails', async () => {
+    await createGenerationJob(db, { uid: 'u1', jobId: 'job1', inputs: inputs(1) });
+    const broken = async () => { throw new Error('critic offline'); };
+
+    assert.strictEqual(await processGenerationJob({ db, bucket, jobId: 'job1', generate: placeholder, evaluate: broken }), 'succeeded');
+    assert.strictEqual(job().items[0].quality, null);
+});
@@ -0,0 +1,43 @@
+// --- Text Quota ---
+// generateText costs no credits, so it is metered per user instead: a fixed
+// number of calls per hour, counted in aiUsage/{uid}. A bio run makes one
+// call per platform, so the limit leaves room for a few dozen runs.
+
+const TEXT_QUOTA = {
+    calls: 60,
+    windowMs: 60 * 60 * 1000
+};
+
+// Longer than any bio or style-suggestion prompt the app builds.
+const MAX_PROMPT_LENGTH = 8000;
+
+class QuotaExceededError extends Error {
+    constructor(retryAfterMs) {
+        super(`You have used the AI tools a lot in the last hour. Try again in ${Math.ceil(retryAfterMs / 60000)} minutes.`);
+        this.name = 'QuotaExceededError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Counts one call for `uid`, or throws a QuotaExceededError when the current
+// window is used up.
+const takeTextQuota = (db, uid, now = Date.now(), quota = TEXT_QUOTA) =>
+    db.runTransaction(async (transaction) => {
+        const usageRef = db.collection('aiUsage').doc(uid);
+        const { windowStart = 0, calls = 0 } = (await transaction.get(usageRef)).data() || {};
+        if (now - windowStart >= quota.windowMs) {
+            transaction.set(usageRef, { windowStart: now, calls: 1 });
+            return;
+        }
+        if (calls >= quota.calls) {
+            throw new QuotaExceededError(windowStart + quota.windowMs - now);
+        }
+        transaction.set(usageRef, { windowStart, calls: calls + 1 });
+    });
+
+module.exports = {
+    TEXT_QUOTA,
+    MAX_PROMPT_LENGTH,
+    QuotaExceededError,
+    takeTextQuota
+};
@@ -0,0 +1,29 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { QuotaExceededError, takeTextQuota } = require('./quota');
+const { createFakeFirestore } = require('./testing/fakeFirestore');
+
+const quota = { calls: 2, windowMs: 1000 };
+
+let db;
+
+beforeEach(() => {
+    db = createFakeFirestore();
+});
+
+test('allows a fixed number of calls per window and per user', async () => {
+    await takeTextQuota(db, 'u1', 0, quota);
+    await takeTextQuota(db, 'u1', 500, quota);
+    await assert.rejects(() => takeTextQuota(db, 'u1', 900, quota), QuotaExceededError);
+    await takeTextQuota(db, 'u2', 900, quota);
+
+    assert.deepStrictEqual(db.store.get('aiUsage/u1'), { windowStart: 0, calls: 2 });
+});
+
+test('starts a new window once the old one has passed', async () => {
+    await takeTextQuota(db, 'u1', 0, quota);
+    await takeTextQuota(db, 'u1', 10, quota);
+    await takeTextQuota(db, 'u1', 1000, quota);
+
+    assert.deepStrictEqual(db.store.get('aiUsage/u1'), { windowStart: 1000, calls: 1 });
+});
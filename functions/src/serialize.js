@@ -0,0 +1,19 @@
+// --- Callable Responses ---
+// Documents returned by callables. Timestamps become ISO strings so they
+// survive the trip to the browser.
+
+const toPlain = (value) => {
+    if (value?.toDate) return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toPlain(inner)]));
+    }
+    return value;
+};
+
+const withId = (snap) => toPlain({ id: snap.id, ...snap.data() });
+
+module.exports = {
+    toPlain,
+    withId
+};
@@ -0,0 +1,111 @@
+// --- In-memory Firestore ---
+// Just enough of the Admin SDK surface for unit tests: document paths,
+// get/set/update/delete, simple queries, recursive deletes and transactions
+// whose writes apply only on success.
+
+const createFakeFirestore = () => {
+    const store = new Map();
+
+    const snapshot = (ref) => ({
+        id: ref.id,
+        ref,
+        exists: store.has(ref.path),
+        data: () => (store.has(ref.path) ? { ...store.get(ref.path) } : undefined)
+    });
+
+    const write = (ref, data, { merge = false } = {}) => {
+        store.set(ref.path, merge ? { ...store.get(ref.path), ...data } : { ...data });
+    };
+
+    const docRef = (path) => ({
+        id: path.split('/').pop(),
+        path,
+        collection: (name) => collectionRef(`${path}/${name}`),
+        get: async () => snapshot(docRef(path)),
+        set: async (data, options) => write(docRef(path), data, options),
+        update: async (data) => {
+            if (!store.has(path)) {
+                // Firestore answers with gRPC status NOT_FOUND.
+                throw Object.assign(new Error(`No document to update: ${path}`), { code: 5 });
+            }
+            write(docRef(path), data, { merge: true });
+        },
+        delete: async () => { store.delete(path); }
+    });
+
+    // Documents directly inside the collection at `path`.
+    const childPaths = (path) => [...store.keys()]
+        .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'));
+
+    const OPERATORS = {
+        '==': (a, b) => a === b,
+        '>=': (a, b) => a >= b,
+        '<=': (a, b) => a <= b
+    };
+
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    // serverTimestamp() sentinels sort as "now", i.e. last.
+    const sortable = (value) => (value && typeof value === 'object' ? Infinity : value);
+
+    const queryRef = (path, { filters = [], order = null, max = Infinity } = {}) => ({
+        where: (field, op, value) => {
+            if (!OPERATORS[op]) {
+                throw new Error(`Unsupported operator: ${op}`);
+            }
+            return queryRef(path, { filters: [...filters, [field, op, value]], order, max });
+        },
+        orderBy: (field, direction = 'asc') => queryRef(path, { filters, order: [field, direction], max }),
+        limit: (count) => queryRef(path, { filters, order, max: count }),
+        get: async () => {
+            let keys = childPaths(path)
+                .filter((key) => filters.every(([field, op, value]) => OPERATORS[op](store.get(key)[field], value)));
+            if (order) {
+                const [field, direction] = order;
+                keys = keys.sort((a, b) => compare(sortable(store.get(a)[field]), sortable(store.get(b)[field])) * (direction === 'desc' ? -1 : 1));
+            }
+            const docs = keys.slice(0, max).map((key) => snapshot(docRef(key)));
+            return { docs, empty: docs.length === 0, size: docs.length };
+        }
+    });
+
+    const collectionRef = (path) => ({
+        path,
+        doc: (id) => docRef(`${path}/${id}`),
+        ...queryRef(path)
+    });
+
+    const recursiveDelete = async (ref) => {
+        [...store.keys()]
+            .filter((key) => key === ref.path || key.startsWith(`${ref.path}/`))
+            .forEach((key) => store.delete(key));
+    };
+
+    const runTransaction = async (update) => {
+        const writes = [];
+        const transaction = {
+            get: async (ref) => snapshot(ref),
+            set: (ref, data, options) => writes.push(() => write(ref, data, options)),
+            update: (ref, data) => writes.push(() => write(ref, data, { merge: true })),
+            delete: (ref) => writes.push(() => store.delete(ref.path)),
+            create: (ref, data) => writes.push(() => {
+                if (store.has(ref.path)) {
+                    throw new Error(`Document already exists: ${ref.path}`);
+                }
+                write(ref, data);
+            })
+        };
+        const result = await update(transaction);
+        writes.forEach((apply) => apply());
+        return result;
+    };
+
+    return {
+        store,
+        collection: collectionRef,
+        doc: docRef,
+        runTransaction,
+        recursiveDelete
+    };
+};
+
+module.exports = { createFakeFirestore };
@@ -0,0 +1,31 @@
+// --- In-memory Cloud Storage bucket ---
+// Records files the way @google-cloud/storage's File#save receives them and
+// serves them back from File#download.
+
+const createFakeBucket = (name = 'test-bucket') => {
+    const files = new Map();
+    const bucket = {
+        name,
+        files,
+        file: (path) => ({
+            name: path,
+            bucket,
+            save: async (buffer, options = {}) => { files.set(path, { buffer, options }); },
+            download: async () => {
+                if (!files.has(path)) {
+                    throw new Error(`No such object: ${path}`);
+                }
+                return [files.get(path).buffer];
+            },
+            delete: async () => { files.delete(path); }
+        }),
+        deleteFiles: async ({ prefix = '' } = {}) => {
+            [...files.keys()].filter((path) => path.startsWith(prefix)).forEach((path) => files.delete(path));
+        },
+        getFiles: async ({ prefix = '' } = {}) =>
+            [[...files.keys()].filter((path) => path.startsWith(prefix)).map((path) => bucket.file(path))]
+    };
+    return bucket;
+};
+
+module.exports = { createFakeBucket };
@@ -0,0 +1,82 @@
+const http = require('http');
+
+// --- Local Model Stand-in ---
+// Answers generateContent calls in Gemini's response shape. Requests with an
+// inline image get a placeholder PNG back; text requests get canned text, or a
+// JSON array when responseMimeType asks for JSON; a JSON request with one
+// image is a selfie check and is approved, one with two images is a headshot
+// critique and gets `critique` back. Set `selfieReply` to replace the selfie
+// check's answer text. Set `failWith` to an HTTP status to
+// simulate upstream errors, or `blockWith` to a finish reason such as
+// 'IMAGE_SAFETY' to simulate a safety block.
+
+// 8x8 grey PNG
+const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAD0lEQVR4nGPowAEYhpYEANsRZgG2EIOkAAAAAElFTkSuQmCC';
+
+const DEFAULT_CRITIQUE = { likeness: 8, framing: 8, artifacts: 9, prompt: 8, notes: 'Stand-in critique.' };
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+});
+
+const blocked = (finishReason) => ({ candidates: [{
+    finishReason,
+    safetyRatings: [{ category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', probability: 'HIGH', blocked: true }]
+}] });
+
+const APPROVED_SELFIE = JSON.stringify({ allowed: true, category: 'ok', reason: '' });
+
+const respond = (payload, { critique, selfieReply }) => {
+    const parts = payload.contents?.[0]?.parts || [];
+    const json = payload.generationConfig?.responseMimeType === 'application/json';
+    const images = parts.filter((part) => part.inlineData).length;
+    if (images === 2 && json) {
+        return { candidates: [{ content: { parts: [{ text: JSON.stringify(critique) }] } }] };
+    }
+    if (images && json) {
+        return { candidates: [{ content: { parts: [{ text: selfieReply ?? APPROVED_SELFIE }] } }] };
+    }
+    if (images) {
+        return { candidates: [{ content: { parts: [
+            { text: 'Here is your headshot.' },
+            { inlineData: { mimeType: 'image/png', data: PLACEHOLDER_PNG } }
+        ] } }] };
+    }
+    const text = json
+        ? JSON.stringify([{ name: 'Stand-in Style', description: 'Neutral grey backdrop, soft studio light.' }])
+        : 'Stand-in model response.';
+    return { candidates: [{ content: { parts: [{ text }] } }] };
+};
+
+const startModelStandIn = ({ port = 0 } = {}) => {
+    const requests = [];
+    const standIn = { requests, failWith: null, blockWith: null, critique: DEFAULT_CRITIQUE, selfieReply: null };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const payload = JSON.parse((await readBody(req)) || '{}');
+        requests.push({ path: url.pathname, key: url.searchParams.get('key'), payload });
+
+        res.setHeader('Content-Type', 'application/json');
+        if (standIn.failWith) {
+            res.statusCode = standIn.failWith;
+            res.end(JSON.stringify({ error: { code: standIn.failWith, message: 'Stand-in failure' } }));
+            return;
+        }
+        res.end(JSON.stringify(standIn.blockWith ? blocked(standIn.blockWith) : respond(payload, standIn)));
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, () => {
+            resolve(Object.assign(standIn, {
+                url: `http://localhost:${server.address().port}`,
+                close: () => new Promise((done) => server.close(done))
+            }));
+        });
+    });
+};
+
+module.exports = { PLACEHOLDER_PNG, DEFAULT_CRITIQUE, startModelStandIn };
@@ -0,0 +1,102 @@
+const http = require('http');
+const crypto = require('crypto');
+const { signWebhookPayload } = require('../payments');
+
+// --- Local Payment Provider Stand-in ---
+// Implements the slice of the Stripe API the app uses. Creating a session
+// returns a /pay/<id> URL; opening it "pays", sends a signed
+// checkout.session.completed webhook and redirects to the success URL.
+// Add ?cancel=1 to the pay URL to go to the cancel URL instead.
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+});
+
+const startPaymentsStandIn = ({ webhookUrl, webhookSecret, port = 0 }) => {
+    const sessions = new Map();
+    let baseUrl;
+
+    const sendWebhook = async (session) => {
+        const payload = JSON.stringify({
+            id: `evt_test_${crypto.randomUUID()}`,
+            type: 'checkout.session.completed',
+            data: { object: session }
+        });
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'stripe-signature': signWebhookPayload(payload, webhookSecret)
+            },
+            body: payload
+        });
+        return response.status;
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, baseUrl);
+
+        if (req.method === 'POST' && url.pathname === '/v1/checkout/sessions') {
+            const form = new URLSearchParams(await readBody(req));
+            const id = `cs_test_${crypto.randomUUID().replace(/-/g, '')}`;
+            const session = {
+                id,
+                object: 'checkout.session',
+                url: `${baseUrl}/pay/${id}`,
+                amount_total: Number(form.get('line_items[0][price_data][unit_amount]')) *
+                    Number(form.get('line_items[0][quantity]') || 1),
+                currency: form.get('line_items[0][price_data][currency]'),
+                client_reference_id: form.get('client_reference_id'),
+                metadata: {
+                    userId: form.get('metadata[userId]'),
+                    packId: form.get('metadata[packId]')
+                },
+                payment_status: 'unpaid',
+                success_url: form.get('success_url'),
+                cancel_url: form.get('cancel_url')
+            };
+            sessions.set(id, session);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(session));
+            return;
+        }
+
+        const payMatch = url.pathname.match(/^\/pay\/([\w-]+)$/);
+        const session = payMatch && sessions.get(payMatch[1]);
+        if (req.method === 'GET' && session) {
+            if (url.searchParams.has('cancel')) {
+                res.writeHead(302, { Location: session.cancel_url });
+                res.end();
+                return;
+            }
+            Object.assign(session, { payment_status: 'paid', payment_intent: `pi_test_${session.id.slice(8)}` });
+            const status = await sendWebhook(session).catch(() => 502);
+            res.writeHead(302, {
+                Location: session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id),
+                'X-Webhook-Status': String(status)
+            });
+            res.end();
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `No such route: ${req.method} ${url.pathname}` } }));
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            resolve({
+                url: baseUrl,
+                sessions,
+                sendWebhook,
+                close: () => new Promise((done) => server.close(done))
+            });
+        });
+    });
+};
+
+module.exports = { startPaymentsStandIn };
@@ -1,156 +1,192 @@
-import React, { useState, useEffect } from 'react';
-import { initializeApp } from 'firebase/app';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Routes, Route, Navigate, Link, useNavigate, useParams } from 'react-router-dom';
 import {
-    getAuth,
-    signInWithRedirect,
-    signInWithPopup,
     getRedirectResult,
-    GoogleAuthProvider,
     signOut,
-    onAuthStateChanged,
-    setPersistence,
-    browserLocalPersistence
+    onAuthStateChanged
 } from 'firebase/auth';
 import {
-    getFirestore,
     doc,
     setDoc,
-    updateDoc,
-    onSnapshot,
-    collection,
-    query,
-    where,
-    addDoc
+    onSnapshot
 } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import {
+    GENERATION_COST,
+    CREDIT_PACK_SIZE,
+    subscribeToLedger
+} from './lib/credits';
+import {
+    CREDIT_PACKS,
+    DEFAULT_PACK_ID,
+    startCheckout,
+    rememberPendingCheckout,
+    takePendingCheckout,
+    takeCheckoutResult,
+    takeStartedCheckout
+} from './lib/payments';
+import { generateText } from './lib/ai';
+import {
+    uploadSelfies,
+    startGenerationJob,
+    subscribeToRecentJobs,
+    isJobActive
+} from './lib/jobs';
+import {
+    MAX_STYLES,
+    stylesForRun,
+    estimateRun
+} from './lib/styles';
+import { subscribeToGallery, setFavorite, deleteFromGallery, selectedImages, galleryEntries } from './lib/gallery';
+import { DEFAULT_EXPORT_OPTIONS, exportZip } from './lib/export';
+import { saveBlob } from './lib/images';
+import { MAX_SELFIES, prepareSelfie, releaseSelfie, usableSelfies } from './lib/selfies';
+import CreditHistory from './components/CreditHistory';
+import GenerationProgress from './components/GenerationProgress';
+import StyleSelector from './components/StyleSelector';
+import Gallery from './components/Gallery';
+import Lightbox from './components/Lightbox';
+import ExportPanel from './components/ExportPanel';
+import SelfieList from './components/SelfieList';
+import RequireAuth from './components/RequireAuth';
+import SignInOptions from './components/SignInOptions';
+import DeleteAccountForm from './components/DeleteAccountForm';
+import AdminConsole from './components/AdminConsole';
+import OrganizationsPage from './components/OrganizationsPage';
+import PresetsPage from './components/PresetsPage';
+import BioWriterPage from './components/BioWriterPage';
+import SharedPresetPage from './components/SharedPresetPage';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import ConsentBanner from './components/ConsentBanner';
+import ErrorAlert from './components/ErrorAlert';
+import { ROUTES, takeReturnTo, clearReturnTo } from './lib/routes';
+import {
+    signInWithProvider,
+    explainSignInError,
+    takeRedirectProvider,
+    linkPendingCredential,
+    sendEmailSignInLink,
+    isEmailSignInLink,
+    completeEmailLinkSignIn,
+    signInErrorMessage,
+    SIGN_IN_PROVIDERS
+} from './lib/auth';
+import { exportAccountData, requestAccountDeletion } from './lib/account';
+import { isAdminUser } from './lib/admin';
+import { listOrganizations } from './lib/organizations';
+import { subscribeToPresets, isExampleImage } from './lib/presets';
+import { useI18n } from './lib/i18n';
+import { logger } from './lib/logger';
+import { AppError, ERROR_CODES, toAppError } from './lib/errors';
+import { CONSENT, getAnalyticsConsent, setAnalyticsConsent, track, trackJobOutcome } from './lib/analytics';
 
-// --- Firebase Configuration ---
-// NOTE FOR DEPLOYMENT: For a real production environment, these values should be
-// loaded from secure environment variables (like on Vercel) and not hardcoded in the source code.
-const firebaseConfig = {
-    apiKey: process.env.REACT_APP_API,
-    authDomain: process.env.REACT_APP_AUTH_DOMAIN,
-    projectId: process.env.REACT_APP_PROJECT_ID,
-    storageBucket: process.env.REACT_APP_STORAGE_BUCKET,
-    messagingSenderId: process.env.REACT_APP_MESSAGING_SENDER_ID,
-    appId: process.env.REACT_APP_APP_ID,
-    measurementId: process.env.REACT_APP_MEASUREMENT_ID,
-    imageapiKey: process.env.REACT_APP_GEMINI_API
-};
-
-// --- Firebase Initialization ---
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-
-// Set auth persistence to preserve login state
-setPersistence(auth, browserLocalPersistence)
-    .then(() => {
-        console.log("Auth persistence set to local storage");
-    })
-    .catch((error) => {
-        console.error("Error setting auth persistence:", error);
-    });
-
-// Debug: Check if Firebase is initialized correctly
-console.log("Firebase initialized with config:", {
-  authDomain: firebaseConfig.authDomain,
-  projectId: firebaseConfig.projectId
-});
+// Shown as "Last Updated" on the legal pages.
+const LEGAL_UPDATED = new Date(2026, 9, 19);
 
 // --- Main App Component ---
 function App() {
-    const [page, setPage] = useState('landing');
+    const navigate = useNavigate();
+    const { t, locale, language, currency, legal, formatPrice, formatDate } = useI18n();
     const [user, setUser] = useState(null); // eslint-disable-line @typescript-eslint/no-unused-vars
     const [profile, setProfile] = useState(null);
-    const [uploadedFiles, setUploadedFiles] = useState([]);
-    const [generatedImages, setGeneratedImages] = useState([]);
+    const [ledgerEntries, setLedgerEntries] = useState([]);
+    const [selfies, setSelfies] = useState([]);
+    const [isPreparingSelfies, setIsPreparingSelfies] = useState(false);
+    const [gallerySessions, setGallerySessions] = useState([]);
+    const [isGalleryLoaded, setIsGalleryLoaded] = useState(false);
+    const [galleryFilter, setGalleryFilter] = useState({ favoritesOnly: false, style: '', sort: '' });
+    const [gallerySelection, setGallerySelection] = useState([]);
+    const [lightbox, setLightbox] = useState(null); // { keys, key, mode, pinnedKey } while the viewer is open
+    const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+    const [exportProgress, setExportProgress] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [isAuthLoading, setIsAuthLoading] = useState(true); // New state for auth loading
     const [isTextLoading, setIsTextLoading] = useState(false);
     const [error, setError] = useState('');
+    const [authError, setAuthError] = useState('');
+    const [isSignInOpen, setIsSignInOpen] = useState(false);
+    const [signInLinkSentTo, setSignInLinkSentTo] = useState('');
+    const [notice, setNotice] = useState('');
+    const [accountExportProgress, setAccountExportProgress] = useState(null);
+    const [isDeletingAccount, setIsDeletingAccount] = useState(false);
+    const [isAdmin, setIsAdmin] = useState(null); // null until the claim has been checked
+    const [organizations, setOrganizations] = useState([]);
+    const [organizationInvites, setOrganizationInvites] = useState([]);
+    const [billingOrgId, setBillingOrgId] = useState(''); // '' pays with personal credits
     const [customPrompt, setCustomPrompt] = useState('');
+    const [selectedStyles, setSelectedStyles] = useState([]);
+    const [variants, setVariants] = useState(1);
     const [styleSuggestions, setStyleSuggestions] = useState([]);
-    const [linkedInBio, setLinkedInBio] = useState('');
+    const [presets, setPresets] = useState([]);
+    const [checkoutResult, setCheckoutResult] = useState(null);
+    const [jobs, setJobs] = useState([]);
+    const [dismissedJobIds, setDismissedJobIds] = useState([]);
+    const [analyticsConsent, setAnalyticsConsentChoice] = useState(getAnalyticsConsent); // null until answered
+
 
 
+    // The auth effect runs once, but its messages follow the current language.
+    const localeRef = useRef(locale);
+    localeRef.current = locale;
 
     // --- Authentication Effect ---
     useEffect(() => {
         // Set up auth state listener to track user authentication
         const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
-            console.log("Auth state changed:", currentUser);
-            console.log("Setting user state and page to dashboard if authenticated");
+            logger.debug('Auth state changed, signed in:', Boolean(currentUser));
             setUser(currentUser);
-            if (currentUser) {
-                // User is authenticated, set page to dashboard
-                console.log("User authenticated, setting page to dashboard");
-                setPage('dashboard');
-            } else {
-                console.log("No user authenticated, keeping current page state");
-            }
             setIsAuthLoading(false); // Stop loading when auth state is determined
         });
 
         // Also check current auth state immediately
         const currentUser = auth.currentUser;
-        console.log("Current auth state on mount:", currentUser);
         if (currentUser) {
-            console.log("User already authenticated on mount, setting page to dashboard");
-            setPage('dashboard');
             setUser(currentUser);
             setIsAuthLoading(false);
         }
 
+        // Opened from an email sign-in link
+        if (isEmailSignInLink(window.location.href)) {
+            setIsAuthLoading(true);
+            completeEmailLinkSignIn(window.location.href, localeRef.current)
+                .then(() => track('sign_in', { method: 'emailLink' }))
+                .catch((err) => {
+                    logger.error('Email link sign-in failed:', err);
+                    setAuthError(signInErrorMessage(err, localeRef.current));
+                })
+                .finally(() => {
+                    // Drop the one-time code from the address bar.
+                    window.history.replaceState(null, '', window.location.pathname);
+                    setIsAuthLoading(false);
+                });
+        }
+
         // Check if we're coming back from an authentication redirect
         const urlParams = new URLSearchParams(window.location.search);
         const hasAuthParams = urlParams.has('apiKey') || urlParams.has('authType') ||
                              window.location.href.includes('__/auth/handler');
-        
-        console.log("Auth effect - URL contains auth params:", hasAuthParams);
-        console.log("Current URL:", window.location.href);
 
         // Process the redirect result when the component mounts.
         // This finalizes the sign-in process initiated by signInWithRedirect.
         // Use a small delay to ensure Firebase is fully initialized
         const processRedirect = setTimeout(() => {
-            console.log("Processing redirect result...");
-            console.log("Current URL:", window.location.href);
-            console.log("Has auth params:", hasAuthParams);
-            
             getRedirectResult(auth)
                 .then((result) => {
-                    console.log("Redirect result received:", !!result);
+                    const providerId = takeRedirectProvider();
+                    logger.debug('Redirect result received:', Boolean(result));
                     if (result) {
-                        // User successfully signed in with redirect
-                        console.log("Redirect sign-in successful:", result.user);
-                        console.log("Redirect result:", result);
-                        
+                        track('sign_in', { method: providerId || result.providerId });
                         // Force a re-check of auth state to ensure user is properly set
-                        auth.currentUser?.reload().then(() => {
-                            console.log("User reloaded after redirect");
-                        }).catch(err => {
-                            console.error("Error reloading user:", err);
-                        });
-                    } else {
-                        console.log("No redirect result - user may have navigated directly or session expired");
-                        console.log("Current auth state:", auth.currentUser);
+                        auth.currentUser?.reload().catch(err => logger.error('Could not reload the user:', err));
                     }
                     // Always stop auth loading after processing redirect result
                     setIsAuthLoading(false);
                 })
-                .catch((error) => {
+                .catch(async (error) => {
                     // Handle errors here, such as the user closing the sign-in window.
-                    console.error("Auth redirect error details:", {
-                        code: error.code,
-                        message: error.message,
-                        email: error.email,
-                        credential: error.credential
-                    });
-                    
-                    // Only show error if it's not a redirect cancellation
-                    if (error.code !== 'auth/redirect-cancelled-by-user') {
-                        setError(`Failed to complete sign-in: ${error.message}. Please try again.`);
-                    }
+                    logger.error('Redirect sign-in failed:', error);
+                    setAuthError(signInErrorMessage(await explainSignInError(error, takeRedirectProvider()), localeRef.current));
+                    setIsSignInOpen(true);
                     // If the redirect fails, we should stop the loading indicator.
                     setIsAuthLoading(false);
                 });
@@ -160,9 +196,97 @@ function App() {
             clearTimeout(processRedirect);
             unsubscribe(); // Clean up auth listener
         };
-    
     }, []); // This should only run ONCE on component mount.
 
+    // --- Checkout Return Effect ---
+    useEffect(() => {
+        // The payment page sends the user back with ?checkout=success|cancelled
+        const result = takeCheckoutResult();
+        const started = takeStartedCheckout();
+        if (result) {
+            setCheckoutResult(result);
+        }
+        // Credits arrive through the webhook; the return to the app is the
+        // closest the browser gets to seeing the purchase.
+        if (result === 'success' && started) {
+            const pack = CREDIT_PACKS[started.packId];
+            track('credits_purchased', {
+                pack: started.packId,
+                credits: pack?.credits,
+                value: pack?.prices[started.currency] / 100,
+                currency: started.currency,
+                pool: started.pool
+            });
+        }
+    }, []);
+
+    // Send a freshly signed-in user back to the page that asked them to sign in
+    useEffect(() => {
+        if (!user) return;
+        const returnTo = takeReturnTo();
+        if (returnTo) {
+            navigate(returnTo, { replace: true });
+        }
+    }, [user, navigate]);
+
+    // Finish linking a provider whose email already had an account
+    useEffect(() => {
+        if (!user) return;
+        setIsSignInOpen(false);
+        setAuthError('');
+        linkPendingCredential(user).catch((err) => {
+            logger.error(err);
+            setError(toAppError(err, 'error.linkAccount'));
+        });
+    }, [user]);
+
+    // Continue a "Buy Now" from the landing page once the user has signed in
+    useEffect(() => {
+        if (!user) return;
+        const packId = takePendingCheckout();
+        if (!packId) return;
+
+        setIsLoading(true);
+        startCheckout(packId, { currency, locale }).catch((err) => {
+            logger.error(err);
+            setError(toAppError(err, 'error.checkout'));
+            setIsLoading(false);
+        });
+    }, [user, currency, locale]);
+
+    // --- Admin Claim Effect ---
+    useEffect(() => {
+        if (!user) {
+            setIsAdmin(null);
+            return;
+        }
+        let cancelled = false;
+        isAdminUser(user)
+            .then((admin) => !cancelled && setIsAdmin(admin))
+            .catch(() => !cancelled && setIsAdmin(false));
+        return () => { cancelled = true; };
+    }, [user]);
+
+    // --- Organizations Effect ---
+    const refreshOrganizations = useCallback(() => {
+        listOrganizations()
+            .then(({ organizations: orgs, invites }) => {
+                setOrganizations(orgs);
+                setOrganizationInvites(invites);
+            })
+            .catch(err => logger.error('Could not load organizations:', err));
+    }, []);
+
+    useEffect(() => {
+        if (!user) {
+            setOrganizations([]);
+            setOrganizationInvites([]);
+            setBillingOrgId('');
+            return;
+        }
+        refreshOrganizations();
+    }, [user, refreshOrganizations]);
+
     // --- User Profile & Data Listener Effect ---
     useEffect(() => {
         if (!user) return;
@@ -178,406 +302,446 @@ function App() {
                     userId: user.uid,
                     email: user.email,
                     credits: 0,
-                }).catch(err => console.error("Error creating profile:", err));
+                }).catch(err => logger.error('Could not create the profile:', err));
             }
         });
 
-        // Generations listener
-        const generationsQuery = query(collection(db, 'generations'), where('userId', '==', user.uid));
-        const unsubscribeGenerations = onSnapshot(generationsQuery, (querySnapshot) => {
-            const images = [];
-            querySnapshot.forEach((doc) => {
-                images.push(...doc.data().images);
-            });
-            const uniqueImages = [...new Set(images)];
-            setGeneratedImages(uniqueImages.reverse());
+        // Gallery listener (one session per generation)
+        const unsubscribeGenerations = subscribeToGallery(user.uid, (sessions) => {
+            setGallerySessions(sessions);
+            setIsGalleryLoaded(true);
+        });
+
+        // Credit ledger listener
+        const unsubscribeLedger = subscribeToLedger(user.uid, setLedgerEntries);
+
+        // Generation jobs listener (progress of background generations). Only
+        // jobs seen running in this tab report their outcome, so a reload does
+        // not report finished jobs again.
+        let runningJobIds = new Set();
+        const unsubscribeJobs = subscribeToRecentJobs(user.uid, (recentJobs) => {
+            recentJobs.filter(job => runningJobIds.has(job.id) && !isJobActive(job)).forEach(trackJobOutcome);
+            runningJobIds = new Set(recentJobs.filter(isJobActive).map(job => job.id));
+            setJobs(recentJobs);
         });
 
+        // Style preset library
+        const unsubscribePresets = subscribeToPresets(user.uid, setPresets);
+
         return () => {
             unsubscribeProfile();
             unsubscribeGenerations();
+            unsubscribeLedger();
+            unsubscribeJobs();
+            unsubscribePresets();
         };
     }, [user]);
     
-    // --- Gemini Text Generation Helper ---
-    const generateTextWithGemini = async (prompt, isJson = false) => {
-        // TODO: For this to work in production, you must provide your Gemini API key,
-        // ideally through a secure environment variable.
-        const apiKey = process.env.REACT_APP_API; 
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-        
-        const payload = {
-            contents: [{ parts: [{ text: prompt }] }],
-            ...(isJson && { 
-                generationConfig: { 
-                    responseMimeType: "application/json"
-                } 
-            })
-        };
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+    // --- Helper Functions ---
+    // Logs a caught error and shows it in the page's alert. Known failures
+    // (no credits, expired session, offline...) get their own message; the
+    // rest use `fallbackKey`.
+    const showError = (err, fallbackKey) => {
+        logger.error(err);
+        setError(toAppError(err, fallbackKey));
+    };
 
-        if (!response.ok) {
-            const errorBody = await response.json();
-            throw new Error(`Gemini API Error: ${errorBody.error?.message || 'Unknown error'}`);
+    const handleSignIn = async (providerId = SIGN_IN_PROVIDERS[0].id) => {
+        setIsAuthLoading(true); // Give immediate feedback
+        setAuthError('');
+        try {
+            // Popups resolve here; redirects leave the page and finish in the auth effect.
+            const result = await signInWithProvider(providerId);
+            if (result) {
+                track('sign_in', { method: providerId });
+                setUser(result.user);
+            }
+        } catch (err) {
+            logger.error('Sign-in failed:', err);
+            setAuthError(signInErrorMessage(err, locale));
+        } finally {
+            setIsAuthLoading(false);
         }
+    };
 
-        const result = await response.json();
-        return result.candidates?.[0]?.content?.parts?.[0]?.text;
+    const handleSendSignInLink = async (email) => {
+        setAuthError('');
+        try {
+            await sendEmailSignInLink(email);
+            setSignInLinkSentTo(email);
+        } catch (err) {
+            logger.error('Could not send the sign-in link:', err);
+            setAuthError(signInErrorMessage(err, locale));
+        }
     };
 
+    const handleSignOut = () => {
+        signOut(auth)
+            .then(() => {
+                // Protected pages remember themselves as they unmount; signing out is not a detour.
+                clearReturnTo();
+                navigate(ROUTES.HOME, { replace: true });
+            })
+            .catch((err) => showError(err));
+    };
 
-    // --- Helper Functions ---
-    const handleSignIn = () => {
-        setIsAuthLoading(true); // Give immediate feedback
-        const provider = new GoogleAuthProvider();
-        
-        console.log("Initiating Google login with redirect...");
-        console.log("Current domain:", window.location.hostname);
-        console.log("Auth domain:", firebaseConfig.authDomain);
-        
-        // For local development, we need to handle the redirect manually
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            console.log("Local development detected - using popup instead of redirect");
-            
-            // Use signInWithPopup for local development to avoid redirect issues
-            signInWithPopup(auth, provider)
-                .then((result) => {
-                    console.log("Popup sign-in successful:", result.user);
-                    setUser(result.user);
-                    setPage('dashboard');
-                })
-                .catch((error) => {
-                    console.error("Popup sign-in error:", error);
-                    setError("Could not complete sign-in. Please check browser settings for pop-ups.");
-                })
-                .finally(() => {
-                    setIsAuthLoading(false);
-                });
-        } else {
-            // Production - use redirect
-            signInWithRedirect(auth, provider)
-                .then(() => {
-                    console.log("Google login redirect initiated successfully");
-                    sessionStorage.setItem('loginRedirectTime', Date.now());
-                })
-                .catch((error) => {
-                    console.error("Google login error:", error);
-                    setError("Could not start sign-in process. Please check browser settings for pop-ups or third-party cookies.");
-                    setIsAuthLoading(false);
-                    console.error(error.message);
-                });
+    const handleExportAccount = async () => {
+        setError('');
+        setAccountExportProgress({ done: 0, total: 0 });
+        try {
+            const archive = await exportAccountData(user, (done, total) => setAccountExportProgress({ done, total }));
+            saveBlob(archive, `headshot-account-${new Date().toISOString().slice(0, 10)}.zip`);
+        } catch (err) {
+            showError(err, 'error.exportAccount');
+        } finally {
+            setAccountExportProgress(null);
         }
     };
 
-    const handleSignOut = () => {
-        signOut(auth).catch((error) => setError(error.message));
+    const handleDeleteAccount = async (confirmation) => {
+        setError('');
+        setIsDeletingAccount(true);
+        try {
+            await requestAccountDeletion(confirmation);
+            // Sign out before the cleanup runs so this tab cannot recreate the profile.
+            await signOut(auth);
+            clearReturnTo();
+            setNotice(t('account.deletedNotice'));
+            navigate(ROUTES.HOME, { replace: true });
+        } catch (err) {
+            showError(err, 'error.deleteAccount');
+        } finally {
+            setIsDeletingAccount(false);
+        }
     };
 
-    const handleBuyCredits = async () => {
+    // With `orgId`, buys credits into that organization's pool.
+    const handleBuyCredits = async (orgId = null) => {
         if (!user) return;
         setIsLoading(true);
         setError('');
         try {
-            const profileRef = doc(db, 'profiles', user.uid);
-            await updateDoc(profileRef, {
-                credits: (profile?.credits || 0) + 50
-            });
+            // Redirects to the payment page; credits arrive via the payments webhook.
+            await startCheckout(undefined, { orgId, currency, locale });
         } catch (err) {
-            setError('Failed to add credits. Please try again.');
-            console.error(err);
+            showError(err, 'error.checkout');
+            setIsLoading(false);
         }
-        setIsLoading(false);
     };
 
-    const handleFileChange = (e) => {
-        if (e.target.files.length > 5) {
-            setError("You can upload a maximum of 5 images.");
+    const handleFileChange = async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (usableSelfies(selfies).length + files.length > MAX_SELFIES) {
+            setError(t('error.maxSelfies', { max: MAX_SELFIES }));
             return;
         }
-        setUploadedFiles(Array.from(e.target.files));
         setError('');
+        setIsPreparingSelfies(true);
+        let fileName = null;
+        try {
+            // One at a time: full-size photos take a lot of memory once decoded.
+            const prepared = [];
+            for (const file of files) {
+                fileName = file.name;
+                const selfie = await prepareSelfie(file);
+                prepared.push(selfie);
+                setSelfies(current => [...current, selfie]);
+            }
+            if (prepared.length > 0) {
+                track('selfies_uploaded', { files: prepared.length, rejected: prepared.length - usableSelfies(prepared).length });
+            }
+        } catch (err) {
+            logger.error(err);
+            setError(toAppError(err, 'error.prepareSelfie', { name: fileName }));
+        } finally {
+            setIsPreparingSelfies(false);
+        }
     };
 
-    const toBase64 = file => new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsDataURL(file);
-        reader.onload = () => resolve(reader.result.split(',')[1]);
-        reader.onerror = error => reject(error);
-    });
+    const handleRemoveSelfie = (id) => {
+        setSelfies(current => current.filter((selfie) => {
+            if (selfie.id === id) releaseSelfie(selfie);
+            return selfie.id !== id;
+        }));
+    };
+
+    const readySelfies = usableSelfies(selfies);
+    const runStyles = stylesForRun(selectedStyles, customPrompt, t('styles.custom'));
+    const runEstimate = estimateRun(runStyles.length, variants, readySelfies.length);
+    const billingOrg = organizations.find(org => org.orgId === billingOrgId);
+    const availableCredits = billingOrg ? billingOrg.available : profile?.credits;
 
     const handleGenerate = async () => {
-        if (uploadedFiles.length === 0) {
-            setError("Please upload at least one selfie.");
+        if (readySelfies.length === 0) {
+            setError(t('error.noSelfies'));
             return;
         }
-        if (profile?.credits < 50) {
-            setError("You need at least 50 credits to generate headshots.");
+        if (availableCredits < runEstimate.credits) {
+            setError(billingOrg
+                ? t('error.orgCredits', { credits: runEstimate.credits, available: billingOrg.available, name: billingOrg.name })
+                : new AppError(ERROR_CODES.INSUFFICIENT_CREDITS, { messageKey: 'error.credits', messageParams: { credits: runEstimate.credits } }));
             return;
         }
 
         setIsLoading(true);
         setError('');
-        setLinkedInBio('');
-
-        try {
-            const profileRef = doc(db, 'profiles', user.uid);
-            await updateDoc(profileRef, { credits: profile.credits - 50 });
-
-            const imagePromises = uploadedFiles.map(file => toBase64(file));
-            const base64Images = await Promise.all(imagePromises);
-            
-            const generated = [];
-            
-            for (const base64Image of base64Images) {
-                // TODO: For this to work in production, you must provide your Gemini API key,
-                // ideally through a secure environment variable.
-                 const imageapiKey = process.env.REACT_APP_GEMINI_API;
-                 const apiUrl = `https://ai-professional-headshot-generator-25795193617.us-west1.run.app?key=${imageapiKey}`;
-
-                 const systemInstruction = "You are an expert photographer specializing in professional headshots. Your task is to generate a high-quality, photorealistic headshot based on the person in the provided image, following the user's style request. The final image should be clean, professional, and suitable for corporate or personal branding use.";
-                 const userStyleRequest = customPrompt 
-                    ? `Style request: ${customPrompt}` 
-                    : "Style request: A standard corporate headshot with a neutral, soft-focus background and professional lighting.";
-                 const finalPrompt = `${systemInstruction}\n\n${userStyleRequest}`;
-
-                 const payload = {
-                    contents: [{
-                        parts: [
-                            { text: finalPrompt },
-                            { inlineData: { mimeType: "image/jpeg", data: base64Image } }
-                        ]
-                    }],
-                    generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
-                };
-
-                 const response = await fetch(apiUrl, {
-                     method: 'POST',
-                     headers: { 'Content-Type': 'application/json' },
-                     body: JSON.stringify(payload)
-                 });
-                 
-                if (!response.ok) {
-                    const errorBody = await response.json();
-                    throw new Error(`API Error: ${errorBody.error?.message || 'Unknown error'}`);
-                }
-
-                 const result = await response.json();
-                 const base64Data = result?.candidates?.[0]?.content?.parts?.find(p => p.inlineData)?.inlineData?.data;
-                 
-                 if (base64Data) {
-                     generated.push(`data:image/png;base64,${base64Data}`);
-                 }
-            }
 
-            if(generated.length === 0) {
-                throw new Error("The AI failed to generate images. Your credits have been refunded.");
-            }
+        // One id per job; the server uses it as the idempotency key for the debit.
+        const jobId = crypto.randomUUID();
 
-            await addDoc(collection(db, 'generations'), {
-                userId: user.uid,
-                images: generated,
-                createdAt: new Date(),
+        try {
+            const inputs = await uploadSelfies(user.uid, jobId, readySelfies.map(selfie => selfie.file));
+            // Charges the credits and queues the job. From here on the work runs
+            // on the server, so it finishes even if this tab is closed.
+            await startGenerationJob({ jobId, inputs, styles: runStyles, variants, orgId: billingOrg?.orgId || null });
+            track('generation_started', {
+                styles: runStyles.length,
+                variants,
+                selfies: readySelfies.length,
+                images: runEstimate.images,
+                credits: runEstimate.credits,
+                pool: billingOrg ? 'organization' : 'personal'
             });
-
-            setUploadedFiles([]);
+            selfies.forEach(releaseSelfie);
+            setSelfies([]);
+            if (billingOrg) refreshOrganizations();
         } catch (err) {
-            setError(`Generation failed: ${err.message}. Refunding credits.`);
-            console.error(err);
-            const profileRef = doc(db, 'profiles', user.uid);
-            await updateDoc(profileRef, { credits: profile?.credits || 0 });
+            showError(err, 'error.startGeneration');
         } finally {
             setIsLoading(false);
         }
     };
 
-    const handleSuggestStyles = async () => {
-        setIsTextLoading(true);
+    const handleToggleFavorite = (session, image, favorite) => {
+        setFavorite(session.id, image, favorite).catch((err) => {
+            showError(err, 'error.favorites');
+        });
+    };
+
+    const handleDeleteFromGallery = async (session, images) => {
+        const message = images
+            ? t('gallery.confirmDeleteImage')
+            : t('gallery.confirmDeleteSession', { count: session.images.length });
+        if (!window.confirm(message)) return;
+        try {
+            await deleteFromGallery(session.id, images);
+        } catch (err) {
+            showError(err, 'error.delete');
+        }
+    };
+
+    const exportEntries = selectedImages(gallerySessions, gallerySelection);
+
+    // The lightbox's images, looked up in the live gallery; it hides once they
+    // have all been deleted.
+    const lightboxEntries = lightbox ? galleryEntries(gallerySessions, lightbox.keys) : [];
+
+    // Recent headshots offered as a preset's example image.
+    const presetExampleImages = gallerySessions.flatMap(session => session.images)
+        .map(image => image.thumbnailUrl)
+        .filter(isExampleImage)
+        .slice(0, 12);
+
+    // The latest session's styles set the feel of the bios.
+    const latestStylePrompt = (gallerySessions[0]?.styles || []).map(style => style.prompt).filter(Boolean).join('; ');
+
+    const handleExport = async () => {
         setError('');
-        setStyleSuggestions([]);
-        const prompt = `You are a creative director. Brainstorm 5 distinct and professional styles for a corporate headshot. For each, provide a short, catchy name and a brief description (less than 15 words). Return ONLY the JSON array of objects, where each object has a "name" and "description" key. Example: [{"name": "The CEO", "description": "Confident, powerful, with a dark, moody background."}]`;
+        setExportProgress({ done: 0, total: exportEntries.length });
         try {
-            const responseText = await generateTextWithGemini(prompt, true);
-            const suggestions = JSON.parse(responseText);
-            setStyleSuggestions(suggestions);
+            const zip = await exportZip(exportEntries, exportOptions, (done, total) => setExportProgress({ done, total }));
+            saveBlob(zip, `headshots-${new Date().toISOString().slice(0, 10)}.zip`);
+            track('headshots_downloaded', { count: exportEntries.length, source: 'zip', format: exportOptions.format });
         } catch (err) {
-            setError("Could not generate style suggestions. Please try again.");
-            console.error(err);
+            showError(err, 'error.exportHeadshots');
         } finally {
-            setIsTextLoading(false);
+            setExportProgress(null);
         }
     };
 
-    const handleGenerateBio = async () => {
+    const handleSuggestStyles = async () => {
         setIsTextLoading(true);
         setError('');
-        setLinkedInBio('');
-        const prompt = `You are a professional branding expert and copywriter. Write a compelling and professional LinkedIn 'About' section summary. The tone should be confident and engaging. The summary should be approximately 4-5 sentences long. The user's recent headshot was generated with the following style prompt: '${customPrompt || 'Standard professional headshot'}'. Use this style as inspiration for the tone of the bio.`;
+        setStyleSuggestions([]);
+        const prompt = `You are a creative director. Brainstorm 5 distinct and professional styles for a corporate headshot. For each, provide a short, catchy name and a brief description (less than 15 words). Return ONLY the JSON array of objects, where each object has a "name" and "description" key. Example: [{"name": "The CEO", "description": "Confident, powerful, with a dark, moody background."}] Write the names and descriptions in ${language}.`;
         try {
-            const bioText = await generateTextWithGemini(prompt);
-            setLinkedInBio(bioText);
+            const responseText = await generateText(prompt, true);
+            const suggestions = JSON.parse(responseText);
+            setStyleSuggestions(suggestions);
         } catch (err) {
-            setError("Could not generate LinkedIn bio. Please try again.");
-            console.error(err);
+            showError(err, 'error.suggestStyles');
         } finally {
             setIsTextLoading(false);
         }
     };
-    
+
+    const handleAnalyticsConsent = (choice) => {
+        setAnalyticsConsent(choice);
+        setAnalyticsConsentChoice(choice);
+    };
+
+    // Opens the preset editor with the style filled in.
+    const handleSavePresetDraft = (draft) => navigate(ROUTES.PRESETS, { state: { draft } });
+
     // --- UI Components ---
-    const LegalPage = ({ title, children, onBack }) => (
-        <div className="w-full min-h-screen bg-gray-100 text-gray-800">
-             <header className="bg-white shadow-sm">
-                <div className="container mx-auto px-6 py-4 flex justify-between items-center">
-                    <h1 className="text-2xl font-bold">AI Headshot Generator</h1>
-                     <button onClick={onBack} className="text-indigo-600 hover:text-indigo-800 font-bold py-2 px-4 rounded-lg transition-colors">
-                        &larr; Back to Home
-                    </button>
-                </div>
-            </header>
-            <main className="container mx-auto px-6 py-12">
-                <div className="bg-white p-8 rounded-lg shadow-md max-w-4xl mx-auto">
-                    <h2 className="text-3xl font-extrabold mb-6">{title}</h2>
-                    <div className="prose max-w-none">
-                        {children}
+    // Privacy policy and terms from the locale's catalog; translations carry a
+    // notice that the English text is the binding one.
+    const LegalPage = ({ page }) => {
+        const { title, intro, sections } = legal[page];
+        return (
+            <div className="w-full min-h-screen bg-gray-100 text-gray-800">
+                <header className="bg-white shadow-sm">
+                    <div className="container mx-auto px-6 py-4 flex justify-between items-center">
+                        <h1 className="text-2xl font-bold">{t('app.name')}</h1>
+                        <div className="flex items-center gap-4">
+                            <LanguageSwitcher />
+                            <Link to={user ? ROUTES.DASHBOARD : ROUTES.HOME} className="text-indigo-600 hover:text-indigo-800 font-bold py-2 px-4 rounded-lg transition-colors">
+                                &larr; {user ? t('nav.backToDashboard') : t('nav.backToHome')}
+                            </Link>
+                        </div>
                     </div>
-                </div>
-            </main>
-        </div>
-    );
-    
-    const PrivacyPolicy = ({ onBack }) => (
-        <LegalPage title="Privacy Policy" onBack={onBack}>
-            <p><strong>Last Updated: September 16, 2025</strong></p>
-            <p>Your privacy is important to us. This Privacy Policy explains how we collect, use, and share information about you when you use our AI Headshot Generator service.</p>
-            <h3>Information We Collect</h3>
-            <ul>
-                <li><strong>Account Information:</strong> When you create an account, we collect your email address and name as provided by Google Sign-In.</li>
-                <li><strong>Uploaded Images:</strong> We collect the selfies you upload to generate your headshots. These images are stored securely and are used solely for the purpose of generating your AI headshots.</li>
-                <li><strong>Generated Images:</strong> We store the headshots generated for you, which are accessible only through your account.</li>
-                <li><strong>Usage Data:</strong> We may collect data about your interactions with our service, such as which features you use.</li>
-            </ul>
-            <h3>How We Use Your Information</h3>
-            <ul>
-                <li>To provide, maintain, and improve our service.</li>
-                <li>To process your requests for generating AI headshots.</li>
-                <li>To communicate with you about your account and our services.</li>
-                <li>To enforce our terms and prevent fraudulent activity.</li>
-            </ul>
-            <h3>Data Sharing</h3>
-            <p>We do not sell your personal information. We may share your uploaded images with our AI model provider (Google Gemini) for the sole purpose of generating your headshots. These images are not used to train the AI model.</p>
-            <h3>Data Retention</h3>
-            <p>We retain your uploaded and generated images for as long as your account is active to allow you to access them. You may delete your account at any time, which will result in the deletion of your personal data and images.</p>
-        </LegalPage>
-    );
+                </header>
+                <main className="container mx-auto px-6 py-12">
+                    <div className="bg-white p-8 rounded-lg shadow-md max-w-4xl mx-auto">
+                        <h2 className="text-3xl font-extrabold mb-6">{title}</h2>
+                        <div className="prose max-w-none">
+                            {legal.notice && <p className="italic">{legal.notice}</p>}
+                            <p><strong>{t('legal.updated', { date: formatDate(LEGAL_UPDATED, { dateStyle: 'long' }) })}</strong></p>
+                            <p>{intro}</p>
+                            {sections.map((section) => (
+                                <React.Fragment key={section.heading}>
+                                    <h3>{section.heading}</h3>
+                                    {section.items && (
+                                        <ul>
+                                            {section.items.map((item) => (
+                                                <li key={item.text}>{item.term && <strong>{item.term}</strong>} {item.text}</li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    {(section.paragraphs || []).map((paragraph) => <p key={paragraph}>{paragraph}</p>)}
+                                </React.Fragment>
+                            ))}
+                        </div>
+                    </div>
+                </main>
+            </div>
+        );
+    };
 
-    const TermsOfService = ({ onBack }) => (
-        <LegalPage title="Terms of Service" onBack={onBack}>
-            <p><strong>Last Updated: September 16, 2025</strong></p>
-            <p>By using the AI Headshot Generator (the "Service"), you agree to these Terms of Service. Please read them carefully.</p>
-            <h3>1. Your Account</h3>
-            <p>You are responsible for safeguarding your account. You agree not to disclose your password to any third party. You must notify us immediately upon becoming aware of any breach of security or unauthorized use of your account.</p>
-            <h3>2. Use of the Service</h3>
-            <p>You agree to use the Service only for lawful purposes. You must not upload any images that are illegal, obscene, defamatory, or that infringe upon the intellectual property rights of others. You retain all ownership rights to the selfies you upload.</p>
-            <h3>3. Generated Content</h3>
-            <p>You are granted full ownership and commercial rights to the headshots generated by the Service from your uploaded images. The Service uses AI, and the generated content may occasionally contain artifacts or inaccuracies. We are not liable for any such imperfections.</p>
-            <h3>4. Credits and Payment</h3>
-            <p>The Service operates on a credit-based system. Credits are purchased in packs and are non-refundable. One generation cycle consumes a fixed number of credits as specified on the pricing page. If a generation fails due to a technical error on our part, credits will be refunded.</p>
-            <h3>5. Termination</h3>
-            <p>We may terminate or suspend your account immediately, without prior notice or liability, for any reason whatsoever, including without limitation if you breach the Terms.</p>
-        </LegalPage>
+    const signInOptions = (
+        <SignInOptions
+            onSignIn={handleSignIn}
+            onSendLink={handleSendSignInLink}
+            linkSentTo={signInLinkSentTo}
+            error={authError}
+            disabled={isAuthLoading}
+        />
     );
 
     const LandingPage = () => (
         <div className="w-full min-h-screen bg-gray-900 text-white">
+            {isSignInOpen && (
+                <div className="fixed inset-0 z-10 bg-black bg-opacity-70 flex items-center justify-center px-6" role="dialog" aria-modal="true" aria-labelledby="sign-in-title">
+                    <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-md w-full relative">
+                        <button onClick={() => setIsSignInOpen(false)} className="absolute top-3 right-4 text-gray-400 hover:text-white text-2xl font-bold" aria-label={t('common.close')}>&times;</button>
+                        <h2 id="sign-in-title" className="text-2xl font-bold mb-6 text-center">{t('landing.signInTitle')}</h2>
+                        {signInOptions}
+                    </div>
+                </div>
+            )}
             <header className="container mx-auto px-6 py-4 flex justify-between items-center">
-                <h1 className="text-2xl font-bold">AI Headshot Generator</h1>
-                <button
-                    onClick={() => {
-                        console.log("Login button clicked - calling handleSignIn");
-                        console.log("Window location:", window.location.href);
-                        handleSignIn();
-                    }}
-                    disabled={isAuthLoading}
-                    className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-400 flex items-center justify-center">
-                    {isAuthLoading ? <Spinner small /> : 'Login / Get Started'}
-                </button>
+                <h1 className="text-2xl font-bold">{t('app.name')}</h1>
+                <div className="flex items-center gap-4">
+                    <LanguageSwitcher dark />
+                    <button
+                        onClick={() => setIsSignInOpen(true)}
+                        disabled={isAuthLoading}
+                        className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-400 flex items-center justify-center">
+                        {isAuthLoading ? <Spinner small /> : t('landing.getStarted')}
+                    </button>
+                </div>
             </header>
             <main className="container mx-auto px-6 text-center pt-24 pb-12">
+                {notice && (
+                    <div className="bg-gray-800 border border-gray-700 text-gray-200 px-4 py-3 rounded-lg mb-8 max-w-2xl mx-auto flex justify-between items-center" role="status">
+                        <span>{notice}</span>
+                        <button onClick={() => setNotice('')} className="font-bold ml-4" aria-label={t('common.dismiss')}>&times;</button>
+                    </div>
+                )}
                 <h2 className="text-5xl md:text-6xl font-extrabold leading-tight mb-4">
-                    Studio-Quality Headshots. <br />Generated in Minutes.
+                    {t('landing.title')} <br />{t('landing.titleLine2')}
                 </h2>
                 <p className="text-xl text-gray-400 mb-8 max-w-2xl mx-auto">
-                    Upload your selfies, and let our AI create professional headshots for your LinkedIn, website, or resume. No photoshoot required.
+                    {t('landing.subtitle')}
                 </p>
                 <div className="flex justify-center">
                     <button 
-                        onClick={handleSignIn} 
+                        onClick={() => setIsSignInOpen(true)} 
                         disabled={isAuthLoading}
                         className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3 px-8 rounded-lg text-lg transition-transform transform hover:scale-105 disabled:bg-indigo-400 flex items-center justify-center">
-                        {isAuthLoading ? <Spinner small /> : 'Get Your Headshots Now'}
+                        {isAuthLoading ? <Spinner small /> : t('landing.cta')}
                     </button>
                 </div>
 
                 <div className="mt-20">
-                    <h3 className="text-3xl font-bold mb-8">Examples</h3>
+                    <h3 className="text-3xl font-bold mb-8">{t('landing.examples')}</h3>
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-4 max-w-4xl mx-auto">
                         {[1, 2, 3, 4].map(i => (
-                            <img key={i} src={`https://placehold.co/400x400/111827/7C3AED?text=Example+${i}`} alt={`Example ${i}`} className="rounded-lg shadow-lg" />
+                            <img key={i} src={`https://placehold.co/400x400/111827/7C3AED?text=Example+${i}`} alt={t('landing.exampleAlt', { number: i })} className="rounded-lg shadow-lg" />
                         ))}
                     </div>
                 </div>
 
                 <div className="mt-20 max-w-3xl mx-auto" id="pricing">
-                    <h3 className="text-3xl font-bold mb-8">Simple, One-Time Pricing</h3>
+                    <h3 className="text-3xl font-bold mb-8">{t('landing.pricing.title')}</h3>
                     <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700">
-                        <h4 className="text-2xl font-bold">Starter Pack</h4>
-                        <p className="text-5xl font-extrabold my-4">$29</p>
-                        <p className="text-gray-400">One-time purchase</p>
+                        <h4 className="text-2xl font-bold">{t('landing.pricing.pack')}</h4>
+                        <p className="text-5xl font-extrabold my-4">{formatPrice(CREDIT_PACKS[DEFAULT_PACK_ID].prices[currency])}</p>
+                        <p className="text-gray-400">{t('landing.pricing.oneTime')}</p>
                         <ul className="text-left my-6 space-y-2">
-                            <li className="flex items-center"><CheckIcon /> 50 AI Headshot Credits</li>
-                            <li className="flex items-center"><CheckIcon /> Multiple professional styles</li>
-                            <li className="flex items-center"><CheckIcon /> High-resolution downloads</li>
-                            <li className="flex items-center"><CheckIcon /> Full ownership of your images</li>
+                            <li className="flex items-center"><CheckIcon /> {t('landing.pricing.credits', { count: CREDIT_PACKS[DEFAULT_PACK_ID].credits })}</li>
+                            <li className="flex items-center"><CheckIcon /> {t('landing.pricing.styles')}</li>
+                            <li className="flex items-center"><CheckIcon /> {t('landing.pricing.resolution')}</li>
+                            <li className="flex items-center"><CheckIcon /> {t('landing.pricing.ownership')}</li>
                         </ul>
                         <button 
-                            onClick={handleSignIn} 
+                            onClick={() => {
+                                rememberPendingCheckout();
+                                setIsSignInOpen(true);
+                            }}
                             disabled={isAuthLoading}
                             className="w-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3 px-8 rounded-lg text-lg transition-transform transform hover:scale-105 disabled:bg-indigo-400 flex items-center justify-center">
-                            {isAuthLoading ? <Spinner small /> : 'Buy Now'}
+                            {isAuthLoading ? <Spinner small /> : t('landing.pricing.buy')}
                         </button>
                     </div>
                 </div>
 
                 <div className="mt-20 max-w-3xl mx-auto" id="faq">
-                     <h3 className="text-3xl font-bold mb-8">Frequently Asked Questions</h3>
+                     <h3 className="text-3xl font-bold mb-8">{t('landing.faq.title')}</h3>
                      <div className="space-y-4 text-left">
                         <details className="bg-gray-800 p-4 rounded-lg cursor-pointer">
-                            <summary className="font-semibold">How does it work?</summary>
-                            <p className="text-gray-400 mt-2">You upload 1-5 casual selfies. Our AI model analyzes your facial features and then generates a variety of new, professional-looking headshots in different styles and backgrounds.</p>
+                            <summary className="font-semibold">{t('landing.faq.how')}</summary>
+                            <p className="text-gray-400 mt-2">{t('landing.faq.howAnswer', { max: MAX_SELFIES })}</p>
                         </details>
                          <details className="bg-gray-800 p-4 rounded-lg cursor-pointer">
-                            <summary className="font-semibold">Who owns the generated images?</summary>
-                            <p className="text-gray-400 mt-2">You do! You have full commercial rights to use your generated headshots anywhere you like.</p>
+                            <summary className="font-semibold">{t('landing.faq.ownership')}</summary>
+                            <p className="text-gray-400 mt-2">{t('landing.faq.ownershipAnswer')}</p>
                         </details>
                          <details className="bg-gray-800 p-4 rounded-lg cursor-pointer">
-                            <summary className="font-semibold">What is the quality of the photos?</summary>
-                            <p className="text-gray-400 mt-2">The images are generated in high resolution, suitable for printing or for use on high-resolution displays for websites like LinkedIn.</p>
+                            <summary className="font-semibold">{t('landing.faq.quality')}</summary>
+                            <p className="text-gray-400 mt-2">{t('landing.faq.qualityAnswer')}</p>
                         </details>
                      </div>
                 </div>
             </main>
              <footer className="text-center py-8 text-gray-500 border-t border-gray-800 mt-12">
                 <div className="space-x-4">
-                    <button onClick={() => setPage('terms')} className="hover:text-gray-300">Terms of Service</button>
+                    <Link to={ROUTES.TERMS} className="hover:text-gray-300">{t('nav.terms')}</Link>
                     <span>&bull;</span>
-                    <button onClick={() => setPage('privacy')} className="hover:text-gray-300">Privacy Policy</button>
+                    <Link to={ROUTES.PRIVACY} className="hover:text-gray-300">{t('nav.privacy')}</Link>
                 </div>
-                <p className="mt-4">&copy; 2024 AI Headshot Generator. All Rights Reserved.</p>
+                <p className="mt-4">{t('landing.copyright')}</p>
             </footer>
         </div>
     );
@@ -586,90 +750,188 @@ function App() {
         <svg className="w-6 h-6 mr-2 text-indigo-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path></svg>
     );
 
+    const visibleJobs = jobs.filter(job => !dismissedJobIds.includes(job.id));
+    const hasActiveJob = jobs.some(isJobActive);
+
+    // Header and footer shared by the signed-in pages.
+    const AppHeader = ({ title }) => (
+        <header className="bg-white shadow-sm">
+            <div className="container mx-auto px-6 py-4 flex justify-between items-center">
+                <h1 className="text-xl font-bold text-gray-800">{title}</h1>
+                <div className="flex items-center space-x-4">
+                     <Link to={ROUTES.DASHBOARD} className="font-semibold text-gray-600 hover:text-indigo-600">{t('nav.dashboard')}</Link>
+                     <Link to={ROUTES.PRESETS} className="font-semibold text-gray-600 hover:text-indigo-600 hidden md:block">{t('nav.presets')}</Link>
+                     <Link to={ROUTES.BIO} className="font-semibold text-gray-600 hover:text-indigo-600 hidden md:block">{t('nav.bio')}</Link>
+                     <Link to={ROUTES.ORGANIZATIONS} className="font-semibold text-gray-600 hover:text-indigo-600 hidden md:block">
+                        {t('nav.organizations')}{organizationInvites.length > 0 && <span className="ml-1 bg-indigo-600 text-white text-xs rounded-full px-2">{organizationInvites.length}</span>}
+                     </Link>
+                     {isAdmin && <Link to={ROUTES.ADMIN} className="font-semibold text-gray-600 hover:text-indigo-600">{t('nav.admin')}</Link>}
+                     <Link to={ROUTES.ACCOUNT} className="font-semibold text-gray-600 hover:text-indigo-600 hidden sm:block">{user?.email}</Link>
+                     <LanguageSwitcher />
+                     <button onClick={handleSignOut} className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold py-2 px-4 rounded-lg transition-colors">
+                        {t('nav.signOut')}
+                     </button>
+                </div>
+            </div>
+        </header>
+    );
+
+    const AppFooter = () => (
+        <footer className="text-center py-6 text-sm text-gray-500 space-x-4">
+            <Link to={ROUTES.ACCOUNT} className="hover:text-gray-700">{t('nav.account')}</Link>
+            <span>&bull;</span>
+            <Link to={ROUTES.TERMS} className="hover:text-gray-700">{t('nav.terms')}</Link>
+            <span>&bull;</span>
+            <Link to={ROUTES.PRIVACY} className="hover:text-gray-700">{t('nav.privacy')}</Link>
+        </footer>
+    );
+
+    // Ways out of the failures the user can fix from here.
+    const errorActions = {
+        [ERROR_CODES.INSUFFICIENT_CREDITS]: { label: t('error.action.buyCredits'), onClick: () => handleBuyCredits() },
+        // Signing out sends them through sign-in and back to this page.
+        [ERROR_CODES.AUTH_EXPIRED]: { label: t('error.action.signIn'), onClick: () => signOut(auth).catch((err) => showError(err)) }
+    };
+
+    const galleryProps = {
+        filter: galleryFilter,
+        onChangeFilter: setGalleryFilter,
+        selection: gallerySelection,
+        onChangeSelection: setGallerySelection,
+        onOpen: setLightbox,
+        onToggleFavorite: handleToggleFavorite,
+        onDelete: handleDeleteFromGallery,
+        onError: setError
+    };
+
+    const exportPanel = exportEntries.length > 0 && (
+        <ExportPanel
+            count={exportEntries.length}
+            options={exportOptions}
+            onChangeOptions={setExportOptions}
+            onExport={handleExport}
+            onClear={() => setGallerySelection([])}
+            progress={exportProgress}
+        />
+    );
+
     const Dashboard = () => (
         <div className="w-full min-h-screen bg-gray-100">
-            <header className="bg-white shadow-sm">
-                <div className="container mx-auto px-6 py-4 flex justify-between items-center">
-                    <h1 className="text-xl font-bold text-gray-800">Dashboard</h1>
-                    <div className="flex items-center space-x-4">
-                         <span className="font-semibold text-gray-600 hidden sm:block">{user?.email}</span>
-                         <button onClick={handleSignOut} className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold py-2 px-4 rounded-lg transition-colors">
-                            Sign Out
-                         </button>
-                    </div>
-                </div>
-            </header>
+            <AppHeader title={t('title.dashboard')} />
             <main className="container mx-auto px-6 py-8">
-                {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative mb-6" role="alert">{error}</div>}
+                {checkoutResult === 'success' && (
+                    <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg mb-6 flex justify-between items-center" role="status">
+                        <span>{t('dashboard.paymentReceived')}</span>
+                        <button onClick={() => setCheckoutResult(null)} className="font-bold ml-4" aria-label={t('common.dismiss')}>&times;</button>
+                    </div>
+                )}
+                {checkoutResult === 'cancelled' && (
+                    <div className="bg-gray-200 border border-gray-300 text-gray-700 px-4 py-3 rounded-lg mb-6 flex justify-between items-center" role="status">
+                        <span>{t('dashboard.checkoutCancelled')}</span>
+                        <button onClick={() => setCheckoutResult(null)} className="font-bold ml-4" aria-label={t('common.dismiss')}>&times;</button>
+                    </div>
+                )}
+                <ErrorAlert error={error} actions={errorActions} className="mb-6" />
                 
                 <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                     {/* Left Column: Controls */}
                     <div className="lg-col-span-1 bg-white p-6 rounded-lg shadow-md space-y-6 h-fit">
                         <div>
-                            <h2 className="text-2xl font-bold text-gray-800">Your Credits</h2>
+                            <h2 className="text-2xl font-bold text-gray-800">{t('dashboard.credits')}</h2>
                             <div className="flex items-baseline mt-2">
                                 <p className="text-5xl font-extrabold text-indigo-600">{profile?.credits ?? '...'}</p>
-                                <span className="ml-2 text-gray-500">credits</span>
+                                <span className="ml-2 text-gray-500">{t('dashboard.creditsUnit')}</span>
                             </div>
+                            <details className="mt-4">
+                                <summary className="text-sm font-semibold text-indigo-600 cursor-pointer">{t('dashboard.history')}</summary>
+                                <div className="mt-2 max-h-64 overflow-y-auto">
+                                    <CreditHistory entries={ledgerEntries} />
+                                </div>
+                            </details>
                         </div>
 
-                        {profile?.credits < 50 && (
+                        {organizations.length > 0 && (
+                            <label className="block text-sm text-gray-700">
+                                <span className="font-semibold">{t('dashboard.payWith')}</span>
+                                <select value={billingOrg ? billingOrgId : ''} onChange={(e) => setBillingOrgId(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md">
+                                    <option value="">{t('dashboard.payWithMine', { count: profile?.credits ?? 0 })}</option>
+                                    {organizations.map(org => (
+                                        <option key={org.orgId} value={org.orgId}>{t('dashboard.payWithOrg', { name: org.name, count: org.available })}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+
+                        {!billingOrg && profile?.credits < GENERATION_COST && (
                             <button 
-                                onClick={handleBuyCredits} 
+                                onClick={() => handleBuyCredits()} 
                                 disabled={isLoading}
                                 className="w-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3 px-4 rounded-lg text-lg transition-colors disabled:bg-indigo-300 flex items-center justify-center">
-                                {isLoading ? <Spinner small /> : 'Buy 50 Credits'}
+                                {isLoading ? <Spinner small /> : t('dashboard.buy', { count: CREDIT_PACK_SIZE })}
                             </button>
                         )}
 
                         <div className="border-t border-gray-200 pt-6">
-                             <h3 className="text-lg font-semibold text-gray-700 mb-2">1. Upload Your Selfies</h3>
-                             <p className="text-sm text-gray-500 mb-4">Upload 1-5 clear photos. For best results, use a variety of angles.</p>
-                             <input type="file" multiple accept="image/png, image/jpeg" onChange={handleFileChange} className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"/>
-                            {uploadedFiles.length > 0 && (
-                                <div className="mt-4 grid grid-cols-3 gap-2">
-                                    {uploadedFiles.map((file, index) => (
-                                        <img key={index} src={URL.createObjectURL(file)} alt="preview" className="w-full h-auto object-cover rounded-md"/>
-                                    ))}
-                                </div>
+                             <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('dashboard.upload')}</h3>
+                             <p className="text-sm text-gray-500 mb-4">{t('dashboard.uploadHint', { max: MAX_SELFIES })}</p>
+                             <input type="file" multiple accept="image/png, image/jpeg, image/webp, image/heic, image/heif, .heic, .heif" onChange={handleFileChange} disabled={isPreparingSelfies} className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"/>
+                            {selfies.length > 0 && <SelfieList selfies={selfies} onRemove={handleRemoveSelfie} />}
+                            {isPreparingSelfies && (
+                                <p className="mt-2 text-sm text-gray-500">{t('dashboard.checkingSelfies')}</p>
                             )}
                         </div>
 
                         <div className="border-t border-gray-200 pt-6">
                             <div className="flex justify-between items-center mb-2">
-                                <h3 className="text-lg font-semibold text-gray-700">2. Describe Your Style</h3>
+                                <h3 className="text-lg font-semibold text-gray-700">{t('dashboard.style')}</h3>
                                 <button onClick={handleSuggestStyles} disabled={isTextLoading} className="text-sm text-indigo-600 hover:text-indigo-800 disabled:text-gray-400 flex items-center">
-                                    {isTextLoading && styleSuggestions.length === 0 ? <Spinner small /> : '✨ Suggest Styles'}
+                                    {isTextLoading && styleSuggestions.length === 0 ? <Spinner small /> : t('dashboard.suggestStyles')}
                                 </button>
                             </div>
-                             <p className="text-sm text-gray-500 mb-4">"black and white, cinematic lighting" or "outdoor, natural background".</p>
-                             <textarea 
-                                value={customPrompt}
-                                onChange={(e) => setCustomPrompt(e.target.value)}
-                                placeholder="Enter custom style..."
-                                className="w-full p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
-                                rows="3"
+                             <p className="text-sm text-gray-500 mb-4">{t('dashboard.styleHint', { max: MAX_STYLES })}</p>
+                             <StyleSelector
+                                presets={presets}
+                                onSavePreset={handleSavePresetDraft}
+                                selectedStyles={selectedStyles}
+                                onChangeStyles={setSelectedStyles}
+                                customPrompt={customPrompt}
+                                onChangeCustomPrompt={setCustomPrompt}
+                                variants={variants}
+                                onChangeVariants={setVariants}
                              />
                              {styleSuggestions.length > 0 && (
                                 <div className="mt-2 space-y-2">
                                     {styleSuggestions.map((s, i) => (
-                                        <button key={i} onClick={() => { setCustomPrompt(s.description); setStyleSuggestions([]); }} className="w-full text-left p-2 bg-indigo-50 hover:bg-indigo-100 rounded-md">
-                                            <p className="font-bold text-indigo-800">{s.name}</p>
-                                            <p className="text-sm text-indigo-600">{s.description}</p>
-                                        </button>
+                                        <div key={i} className="flex items-stretch gap-1">
+                                            <button onClick={() => { setSelectedStyles(styles => [...styles, { name: s.name, prompt: s.description }].slice(0, MAX_STYLES)); setStyleSuggestions([]); track('style_suggestion_used', { position: i + 1, offered: styleSuggestions.length }); }} className="flex-grow text-left p-2 bg-indigo-50 hover:bg-indigo-100 rounded-md">
+                                                <p className="font-bold text-indigo-800">{s.name}</p>
+                                                <p className="text-sm text-indigo-600">{s.description}</p>
+                                            </button>
+                                            <button onClick={() => handleSavePresetDraft({ name: s.name, prompt: s.description })} className="text-xs text-indigo-600 hover:text-indigo-800 px-2 bg-indigo-50 hover:bg-indigo-100 rounded-md" title={t('dashboard.savePreset')}>
+                                                {t('common.save')}
+                                            </button>
+                                        </div>
                                     ))}
                                 </div>
                              )}
                         </div>
 
                         <div className="border-t border-gray-200 pt-6">
-                             <h3 className="text-lg font-semibold text-gray-700 mb-2">3. Generate Headshots</h3>
-                             <p className="text-sm text-gray-500 mb-4">This will use 50 credits and generate new headshots.</p>
+                             <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('dashboard.generate')}</h3>
+                             <p className="text-sm text-gray-500 mb-4">
+                                {t('dashboard.runSummary', {
+                                    styles: t('dashboard.styles', { count: Math.max(1, runStyles.length) }),
+                                    variants: t('dashboard.variants', { count: variants }),
+                                    selfies: t('common.selfies', { count: readySelfies.length }),
+                                    headshots: t('common.headshots', { count: runEstimate.images })
+                                })}
+                                {' '}{t('dashboard.runCost', { credits: runEstimate.credits, cost: GENERATION_COST })}
+                             </p>
                              <button 
                                 onClick={handleGenerate} 
-                                disabled={isLoading || profile?.credits < 50 || uploadedFiles.length === 0}
+                                disabled={isLoading || isPreparingSelfies || availableCredits < runEstimate.credits || readySelfies.length === 0}
                                 className="w-full bg-green-600 hover:bg-green-500 text-white font-bold py-3 px-4 rounded-lg text-lg transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center">
-                                {isLoading ? <Spinner small /> : 'Generate Headshots (50 Credits)'}
+                                {isLoading ? <Spinner small /> : t('dashboard.generateButton', { credits: runEstimate.credits })}
                              </button>
                         </div>
                     </div>
@@ -677,61 +939,134 @@ function App() {
                     {/* Right Column: Gallery & Tools */}
                     <div className="lg:col-span-2 space-y-8">
                         <div className="bg-white p-6 rounded-lg shadow-md">
-                             <h2 className="text-2xl font-bold text-gray-800 mb-4">Your Generated Headshots</h2>
+                             <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('dashboard.gallery')}</h2>
                              {isLoading && (
-                                 <div className="flex flex-col items-center justify-center h-96 text-gray-500">
-                                    <Spinner large />
-                                    <p className="mt-4">Generating your new headshots... this may take a minute.</p>
+                                 <div className="flex items-center text-gray-500 mb-4">
+                                    <Spinner small />
+                                    <p>{t('dashboard.uploading')}</p>
                                  </div>
                              )}
-                             {!isLoading && generatedImages.length === 0 && (
+                             {visibleJobs.map(job => (
+                                 <GenerationProgress
+                                    key={job.id}
+                                    job={job}
+                                    onDismiss={(jobId) => setDismissedJobIds(ids => [...ids, jobId])}
+                                 />
+                             ))}
+                             {!isLoading && !hasActiveJob && gallerySessions.length === 0 && (
                                  <div className="text-center py-16 px-6 border-2 border-dashed border-gray-300 rounded-lg">
-                                    <h3 className="text-lg font-medium text-gray-900">Your gallery is empty</h3>
-                                    <p className="mt-1 text-sm text-gray-500">Follow the steps on the left to generate your first set of headshots.</p>
+                                    <h3 className="text-lg font-medium text-gray-900">{t('dashboard.emptyGallery')}</h3>
+                                    <p className="mt-1 text-sm text-gray-500">{t('dashboard.emptyGalleryHint')}</p>
                                  </div>
                              )}
-                             {generatedImages.length > 0 && (
-                                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
-                                    {generatedImages.map((imgSrc, index) => (
-                                        <div key={index} className="relative group">
-                                            <img src={imgSrc} alt={`Generated headshot ${index + 1}`} className="w-full h-auto object-cover rounded-lg shadow-md"/>
-                                            <a href={imgSrc} download={`headshot-${index + 1}.png`} className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity rounded-lg">
-                                                <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path></svg>
-                                            </a>
-                                        </div>
-                                    ))}
-                                </div>
-                             )}
+                             <Gallery sessions={gallerySessions} {...galleryProps}>
+                                {exportPanel}
+                             </Gallery>
                         </div>
                         
-                        {generatedImages.length > 0 && !isLoading && (
+                        {gallerySessions.length > 0 && !isLoading && (
                             <div className="bg-white p-6 rounded-lg shadow-md">
-                                <h2 className="text-2xl font-bold text-gray-800 mb-4">Upgrade Your Profile</h2>
-                                <p className="text-gray-600 mb-4">Use your new headshot style to create a compelling LinkedIn bio.</p>
-                                <button onClick={handleGenerateBio} disabled={isTextLoading} className="bg-sky-600 hover:bg-sky-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-sky-300 flex items-center">
-                                    {isTextLoading && !linkedInBio ? <Spinner small /> : '✨ Draft my LinkedIn Bio'}
-                                </button>
-                                {linkedInBio && (
-                                    <div className="mt-4">
-                                        <textarea 
-                                            readOnly 
-                                            value={linkedInBio} 
-                                            className="w-full p-2 border border-gray-300 rounded-md bg-gray-50" 
-                                            rows="6" 
-                                        />
-                                        <button onClick={() => navigator.clipboard.writeText(linkedInBio)} className="mt-2 text-sm text-indigo-600 hover:text-indigo-800">
-                                            Copy to Clipboard
-                                        </button>
-                                    </div>
-                                )}
+                                <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('dashboard.upgrade')}</h2>
+                                <p className="text-gray-600 mb-4">{t('dashboard.upgradeHint')}</p>
+                                <Link to={ROUTES.BIO} className="inline-block bg-sky-600 hover:bg-sky-500 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                                    {t('dashboard.writeBios')}
+                                </Link>
                             </div>
                         )}
                     </div>
                 </div>
             </main>
+            <AppFooter />
         </div>
     );
     
+    const SignInPage = () => (
+        <div className="w-full min-h-screen bg-gray-900 text-white flex items-center justify-center px-6">
+            <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-md w-full text-center">
+                <h1 className="text-2xl font-bold mb-2">{t('signIn.title')}</h1>
+                <p className="text-gray-400 mb-6">{t('signIn.subtitle')}</p>
+                {signInOptions}
+                <Link to={ROUTES.HOME} className="block mt-4 text-sm text-gray-400 hover:text-gray-200">{t('nav.backToHome')}</Link>
+            </div>
+        </div>
+    );
+
+    // A single generation session, addressable by URL.
+    const GalleryPage = () => {
+        const { generationId } = useParams();
+        const session = gallerySessions.find(s => s.id === generationId);
+        return (
+            <div className="w-full min-h-screen bg-gray-100">
+                <AppHeader title={t('title.session')} />
+                <main className="container mx-auto px-6 py-8 max-w-5xl">
+                    <Link to={ROUTES.DASHBOARD} className="text-indigo-600 hover:text-indigo-800 text-sm font-semibold">&larr; {t('gallery.allHeadshots')}</Link>
+                    <ErrorAlert error={error} actions={errorActions} className="my-4" />
+                    <div className="bg-white p-6 rounded-lg shadow-md mt-4">
+                        {!isGalleryLoaded && <p className="text-gray-500">{t('common.loading')}</p>}
+                        {isGalleryLoaded && !session && (
+                            <p className="text-gray-600">{t('gallery.sessionMissing')}</p>
+                        )}
+                        {session && (
+                            <Gallery sessions={[session]} {...galleryProps}>
+                                {exportPanel}
+                            </Gallery>
+                        )}
+                    </div>
+                </main>
+                <AppFooter />
+            </div>
+        );
+    };
+
+    const AccountPage = () => (
+        <div className="w-full min-h-screen bg-gray-100">
+            <AppHeader title={t('title.account')} />
+            <main className="container mx-auto px-6 py-8 max-w-3xl space-y-8">
+                <ErrorAlert error={error} actions={errorActions} />
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('account.profile')}</h2>
+                    <p className="text-gray-600">{t('account.signedInAs')} <span className="font-semibold">{user?.email}</span></p>
+                    <p className="text-gray-600 mt-1">{t('account.balance')} <span className="font-semibold">{profile?.credits ?? 0}</span></p>
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('account.history')}</h2>
+                    <CreditHistory entries={ledgerEntries} />
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('account.data')}</h2>
+                    <p className="text-gray-600 mb-4">{t('account.dataHint')}</p>
+                    <button onClick={handleExportAccount} disabled={accountExportProgress !== null} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-300">
+                        {accountExportProgress === null
+                            ? t('account.download')
+                            : accountExportProgress.total
+                                ? t('account.preparingFiles', accountExportProgress)
+                                : t('account.preparing')}
+                    </button>
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('account.analytics')}</h2>
+                    <label className="flex items-start gap-3 text-gray-600">
+                        <input
+                            type="checkbox"
+                            checked={analyticsConsent === CONSENT.GRANTED}
+                            onChange={(e) => handleAnalyticsConsent(e.target.checked ? CONSENT.GRANTED : CONSENT.DENIED)}
+                            className="mt-1"
+                        />
+                        {t('account.analyticsHint')}
+                    </label>
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-md border border-red-200">
+                    <h2 className="text-2xl font-bold text-red-700 mb-2">{t('account.delete')}</h2>
+                    <p className="text-gray-600 mb-4">
+                        {t('account.deleteHint')} {t('account.deleteHintExport')}
+                    </p>
+                    <DeleteAccountForm onDelete={handleDeleteAccount} isDeleting={isDeletingAccount} />
+                </div>
+            </main>
+            <AppFooter />
+        </div>
+    );
+
     const Spinner = ({ small = false, large = false }) => (
         <svg className={`animate-spin ${large ? 'h-10 w-10' : small ? 'h-5 w-5 mr-2' : 'h-5 w-5'} text-white`} xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
@@ -745,32 +1080,68 @@ function App() {
             <div className="w-full min-h-screen bg-gray-900 flex items-center justify-center">
                 <div className="text-white text-xl flex items-center">
                     <Spinner large />
-                    <span className="ml-4">Authenticating...</span>
+                    <span className="ml-4">{t('app.authenticating')}</span>
                 </div>
             </div>
         );
     }
     
-    // Page routing logic based on user state
-    console.log("Page routing - user:", user, "page:", page, "isAuthLoading:", isAuthLoading);
-    
-    if (user) {
-        // If user is logged in, show the dashboard
-        console.log("Routing to Dashboard - user is authenticated");
-        return <Dashboard />;
-    }
-
-    // If no user, handle landing and legal pages
-    console.log("Routing to landing/legal pages - no user authenticated");
-    switch (page) {
-        case 'privacy':
-            return <PrivacyPolicy onBack={() => setPage('landing')} />;
-        case 'terms':
-            return <TermsOfService onBack={() => setPage('landing')} />;
-        case 'landing':
-        default:
-            return <LandingPage />;
-    }
+    return (
+        <>
+            <Routes>
+                <Route path={ROUTES.HOME} element={user ? <Navigate to={ROUTES.DASHBOARD} replace /> : <LandingPage />} />
+                <Route path={ROUTES.SIGN_IN} element={user ? <Navigate to={ROUTES.DASHBOARD} replace /> : <SignInPage />} />
+                <Route path={ROUTES.DASHBOARD} element={<RequireAuth user={user}><Dashboard /></RequireAuth>} />
+                <Route path={ROUTES.GALLERY} element={<RequireAuth user={user}><GalleryPage /></RequireAuth>} />
+                <Route path={ROUTES.ACCOUNT} element={<RequireAuth user={user}><AccountPage /></RequireAuth>} />
+                <Route path={ROUTES.PRESETS} element={
+                    <RequireAuth user={user}>
+                        <PresetsPage header={<AppHeader title={t('title.presets')} />} user={user} presets={presets} exampleImages={presetExampleImages} />
+                    </RequireAuth>
+                } />
+                <Route path={ROUTES.PRESET} element={
+                    <RequireAuth user={user}>
+                        <SharedPresetPage header={<AppHeader title={t('title.preset')} />} user={user} />
+                    </RequireAuth>
+                } />
+                <Route path={ROUTES.BIO} element={
+                    <RequireAuth user={user}>
+                        <BioWriterPage header={<AppHeader title={t('title.bio')} />} user={user} stylePrompt={latestStylePrompt} />
+                    </RequireAuth>
+                } />
+                <Route path={ROUTES.ORGANIZATIONS} element={
+                    <RequireAuth user={user}>
+                        <OrganizationsPage
+                            header={<AppHeader title={t('title.organizations')} />}
+                            organizations={organizations}
+                            invites={organizationInvites}
+                            onChanged={refreshOrganizations}
+                            onBuyCredits={handleBuyCredits}
+                            isBuying={isLoading}
+                        />
+                    </RequireAuth>
+                } />
+                <Route path={ROUTES.ADMIN} element={
+                    <RequireAuth user={user}>
+                        {isAdmin === null ? null : isAdmin ? <AdminConsole header={<AppHeader title={t('title.admin')} />} /> : <Navigate to={ROUTES.DASHBOARD} replace />}
+                    </RequireAuth>
+                } />
+                <Route path={ROUTES.PRIVACY} element={<LegalPage page="privacy" />} />
+                <Route path={ROUTES.TERMS} element={<LegalPage page="terms" />} />
+                <Route path="*" element={<Navigate to={ROUTES.HOME} replace />} />
+            </Routes>
+            {user && lightboxEntries.length > 0 && (
+                <Lightbox
+                    entries={lightboxEntries}
+                    state={lightbox}
+                    onChange={setLightbox}
+                    onClose={() => setLightbox(null)}
+                    onToggleFavorite={handleToggleFavorite}
+                />
+            )}
+            {analyticsConsent === null && <ConsentBanner onChoose={handleAnalyticsConsent} />}
+        </>
+    );
 }
 
-export default App;
\ No newline at end of file
+export default App;
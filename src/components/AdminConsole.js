@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import CreditHistory from './CreditHistory';
+import JobCard from './JobCard';
+import ErrorAlert from './ErrorAlert';
+import {
+    ADMIN_ACTIONS,
+    searchUsers,
+    getUserDetails,
+    adjustCredits,
+    setSuspended,
+    listAuditLog
+} from '../lib/admin';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+const errorMessage = (err) => err?.message || 'Something went wrong. Please try again.';
+
+const AUDIT_LABELS = {
+    grant: 'Granted credits',
+    refund: 'Refunded credits',
+    suspend: 'Suspended account',
+    unsuspend: 'Lifted suspension'
+};
+
+const AuditList = ({ entries, showTarget = false }) => {
+    if (entries.length === 0) {
+        return <p className="text-sm text-gray-500">No admin actions yet.</p>;
+    }
+    return (
+        <ul className="divide-y divide-gray-100 text-sm">
+            {entries.map((entry) => (
+                <li key={entry.id} className="py-2">
+                    <p className="font-semibold text-gray-700">
+                        {AUDIT_LABELS[entry.action] || entry.action}
+                        {entry.amount ? ` (${entry.amount})` : ''}
+                        {showTarget && <span className="font-normal text-gray-500"> &middot; {entry.targetUid}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">{entry.reason} &middot; by {entry.adminEmail || entry.adminUid} &middot; {formatDate(entry.createdAt)}</p>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Moderation decisions for one user, newest first, with each rejection's reason.
+const ModerationList = ({ decisions }) => {
+    if (decisions.length === 0) {
+        return <p className="text-sm text-gray-500">Nothing has been moderated yet.</p>;
+    }
+    return (
+        <ul className="divide-y divide-gray-100 text-sm">
+            {decisions.map((decision) => (
+                <li key={decision.id} className="py-2">
+                    <p className="font-semibold text-gray-700">
+                        <span className={decision.decision === 'rejected' ? 'text-red-600' : 'text-green-600'}>{decision.decision}</span>
+                        {' '}&middot; {decision.kind}{decision.jobId ? ` ${decision.jobId}` : ''}
+                        <span className="font-normal text-xs text-gray-500"> &middot; {formatDate(decision.createdAt)}</span>
+                    </p>
+                    {(decision.rejections || []).map((rejection, i) => (
+                        <p key={i} className="text-xs text-gray-600">
+                            {rejection.target} ({rejection.category}): {rejection.reason}
+                            {rejection.excerpt && <span className="block text-gray-400 italic">"{rejection.excerpt}"</span>}
+                        </p>
+                    ))}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Grant or refund credits. The request id is kept until the change succeeds,
+// so submitting again after a network error does not apply it twice.
+const AdjustCreditsForm = ({ uid, onDone, onError }) => {
+    const [action, setAction] = useState(ADMIN_ACTIONS.GRANT);
+    const [amount, setAmount] = useState('');
+    const [reason, setReason] = useState('');
+    const [jobId, setJobId] = useState('');
+    const [requestId, setRequestId] = useState(() => crypto.randomUUID());
+    const [isSaving, setIsSaving] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+            await adjustCredits({ uid, action, amount: Number(amount), reason, jobId, requestId });
+            setAmount('');
+            setReason('');
+            setJobId('');
+            setRequestId(crypto.randomUUID());
+            onDone();
+        } catch (err) {
+            onError(errorMessage(err));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={submit} className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+            <select value={action} onChange={(e) => setAction(e.target.value)} className="p-2 border border-gray-300 rounded-md">
+                <option value={ADMIN_ACTIONS.GRANT}>Grant</option>
+                <option value={ADMIN_ACTIONS.REFUND}>Refund</option>
+            </select>
+            <input type="number" min="1" value={amount} onChange={(e) => setAmount(e.target.value)} placeholder="Credits" className="p-2 border border-gray-300 rounded-md" />
+            {action === ADMIN_ACTIONS.REFUND && (
+                <input value={jobId} onChange={(e) => setJobId(e.target.value)} placeholder="Job id (optional)" className="p-2 border border-gray-300 rounded-md sm:col-span-2" />
+            )}
+            <input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Reason (required)" className="p-2 border border-gray-300 rounded-md sm:col-span-2" />
+            <button type="submit" disabled={isSaving || !amount || !reason.trim()} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-300 sm:col-span-2">
+                {isSaving ? 'Saving...' : action === ADMIN_ACTIONS.REFUND ? 'Refund credits' : 'Grant credits'}
+            </button>
+        </form>
+    );
+};
+
+const SuspendForm = ({ uid, suspended, onDone, onError }) => {
+    const [reason, setReason] = useState('');
+    const [requestId, setRequestId] = useState(() => crypto.randomUUID());
+    const [isSaving, setIsSaving] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+            await setSuspended({ uid, suspended: !suspended, reason, requestId });
+            setReason('');
+            setRequestId(crypto.randomUUID());
+            onDone();
+        } catch (err) {
+            onError(errorMessage(err));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={submit} className="flex flex-col sm:flex-row gap-2 text-sm">
+            <input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Reason (required)" className="flex-grow p-2 border border-gray-300 rounded-md" />
+            <button
+                type="submit"
+                disabled={isSaving || !reason.trim()}
+                className={`${suspended ? 'bg-gray-600 hover:bg-gray-500 disabled:bg-gray-300' : 'bg-red-600 hover:bg-red-500 disabled:bg-red-300'} text-white font-bold py-2 px-4 rounded-lg transition-colors`}>
+                {isSaving ? 'Saving...' : suspended ? 'Lift suspension' : 'Suspend account'}
+            </button>
+        </form>
+    );
+};
+
+const UserDetails = ({ details, onChanged, onError }) => {
+    const suspended = !!details.profile?.suspended;
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex justify-between items-start">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-800">{details.auth?.email || details.profile?.email || details.uid}</h2>
+                        <p className="font-mono text-xs text-gray-500">{details.uid}</p>
+                    </div>
+                    {suspended && <span className="bg-red-100 text-red-700 text-sm font-semibold px-3 py-1 rounded-full">Suspended</span>}
+                </div>
+                <dl className="grid grid-cols-2 gap-2 text-sm mt-4">
+                    <dt className="text-gray-500">Credit balance</dt><dd className="font-semibold">{details.profile?.credits ?? 0}</dd>
+                    <dt className="text-gray-500">Sign-in methods</dt><dd>{details.auth?.providers.join(', ') || 'No sign-in account'}</dd>
+                    <dt className="text-gray-500">Created</dt><dd>{details.auth?.createdAt || ''}</dd>
+                    <dt className="text-gray-500">Last sign-in</dt><dd>{details.auth?.lastSignInAt || ''}</dd>
+                    {suspended && <><dt className="text-gray-500">Suspension reason</dt><dd>{details.profile.suspendedReason}</dd></>}
+                </dl>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md space-y-6">
+                <div>
+                    <h3 className="text-lg font-bold text-gray-800 mb-2">Grant or Refund Credits</h3>
+                    <AdjustCreditsForm uid={details.uid} onDone={onChanged} onError={onError} />
+                </div>
+                <div>
+                    <h3 className="text-lg font-bold text-gray-800 mb-2">{suspended ? 'Suspension' : 'Suspend Account'}</h3>
+                    <p className="text-sm text-gray-600 mb-2">Suspended users are signed out, cannot sign in and cannot start generations.</p>
+                    <SuspendForm uid={details.uid} suspended={suspended} onDone={onChanged} onError={onError} />
+                </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-2">Credit History</h3>
+                <CreditHistory entries={details.ledger} />
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-2">Generations</h3>
+                {details.jobs.length === 0
+                    ? <p className="text-sm text-gray-500">No generations yet.</p>
+                    : <ul className="space-y-3">{details.jobs.map((job) => <JobCard key={job.id} job={job} />)}</ul>}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-2">Moderation</h3>
+                <ModerationList decisions={details.moderation || []} />
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-2">Admin Actions on This Account</h3>
+                <AuditList entries={details.audit} />
+            </div>
+        </div>
+    );
+};
+
+// --- Admin Console ---
+// Search users by email, inspect one, and change credits or suspension.
+// Rendered straight from the route so its state survives App re-renders.
+const AdminConsole = ({ header }) => {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null);
+    const [details, setDetails] = useState(null);
+    const [auditLog, setAuditLog] = useState([]);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const refreshAuditLog = useCallback(() => {
+        listAuditLog().then(setAuditLog).catch((err) => setError(errorMessage(err)));
+    }, []);
+
+    useEffect(refreshAuditLog, [refreshAuditLog]);
+
+    const run = async (task) => {
+        setIsBusy(true);
+        setError('');
+        try {
+            await task();
+        } catch (err) {
+            setError(errorMessage(err));
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const search = (e) => {
+        e.preventDefault();
+        run(async () => {
+            setResults(await searchUsers(query.trim()));
+            setDetails(null);
+        });
+    };
+
+    const openUser = (uid) => run(async () => setDetails(await getUserDetails(uid)));
+
+    const handleChanged = () => {
+        openUser(details.uid);
+        refreshAuditLog();
+    };
+
+    return (
+        <div className="w-full min-h-screen bg-gray-100">
+            {header}
+            <main className="container mx-auto px-6 py-8 max-w-5xl grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="lg:col-span-1 space-y-6">
+                    <div className="bg-white p-6 rounded-lg shadow-md">
+                        <h2 className="text-xl font-bold text-gray-800 mb-4">Find a User</h2>
+                        <form onSubmit={search} className="flex gap-2">
+                            <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Email address" className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md text-sm" />
+                            <button type="submit" disabled={isBusy || query.trim().length < 3} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-3 rounded-lg transition-colors disabled:bg-indigo-300 text-sm">Search</button>
+                        </form>
+                        {results && results.length === 0 && <p className="text-sm text-gray-500 mt-4">No users found.</p>}
+                        {results && results.length > 0 && (
+                            <ul className="divide-y divide-gray-100 text-sm mt-4">
+                                {results.map((result) => (
+                                    <li key={result.uid}>
+                                        <button onClick={() => openUser(result.uid)} className={`w-full text-left py-2 hover:text-indigo-600 ${details?.uid === result.uid ? 'text-indigo-600 font-semibold' : 'text-gray-700'}`}>
+                                            {result.email || result.uid}
+                                            <span className="block text-xs text-gray-500">{result.credits} credits{result.suspended ? ' · suspended' : ''}</span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                    <div className="bg-white p-6 rounded-lg shadow-md">
+                        <h2 className="text-xl font-bold text-gray-800 mb-4">Audit Log</h2>
+                        <AuditList entries={auditLog} showTarget />
+                    </div>
+                </div>
+                <div className="lg:col-span-2">
+                    <ErrorAlert error={error} className="mb-4" />
+                    {details
+                        ? <UserDetails key={details.uid} details={details} onChanged={handleChanged} onError={setError} />
+                        : <p className="text-gray-500">{isBusy ? 'Loading...' : 'Search for a user to see their account.'}</p>}
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default AdminConsole;
@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import ErrorAlert from './ErrorAlert';
+import {
+    BIO_PLATFORMS,
+    BIO_TONES,
+    BIO_LENGTHS,
+    EMPTY_BIO_INPUTS,
+    BIO_FIELD_MAX_LENGTH,
+    generateBios,
+    diffWords,
+    subscribeToBioDrafts,
+    saveBioDraft,
+    deleteBioDraft
+} from '../lib/bios';
+import { track } from '../lib/analytics';
+import { toAppError } from '../lib/errors';
+import { logger } from '../lib/logger';
+import { useI18n } from '../lib/i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm w-full';
+const buttonClass = 'bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-300 text-sm';
+
+// Labels and placeholders are bio.field.<key> and bio.placeholder.<key>.
+const FIELDS = [
+    { key: 'name' },
+    { key: 'role' },
+    { key: 'industry' },
+    { key: 'years' },
+    { key: 'achievements', multiline: true },
+    { key: 'audience' }
+];
+
+// One generated or restored bio. Edits stay local until saved as a draft.
+const BioCard = ({ platform, initialText, onSave, onDismiss }) => {
+    const { t } = useI18n();
+    const [text, setText] = useState(initialText);
+    const [status, setStatus] = useState(''); // '', 'saving', 'saved' or 'copied'
+    const { maxChars } = BIO_PLATFORMS[platform];
+
+    const save = async () => {
+        setStatus('saving');
+        setStatus(await onSave(text) ? 'saved' : '');
+    };
+
+    const copy = async () => {
+        await navigator.clipboard.writeText(text);
+        setStatus('copied');
+        track('bio_copied', { platform });
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-3">
+            <textarea
+                value={text}
+                onChange={(e) => { setText(e.target.value); setStatus(''); }}
+                rows={platform === 'twitter' ? 3 : 6}
+                className={inputClass}
+            />
+            <div className="flex flex-wrap items-center gap-3 mt-2 text-sm">
+                <span className={text.length > maxChars ? 'text-red-600 font-semibold' : 'text-gray-500'}>{text.length} / {maxChars}</span>
+                <button onClick={copy} className="text-indigo-600 hover:text-indigo-800">{t('bio.copy')}</button>
+                <button onClick={save} disabled={!text.trim() || status === 'saving'} className="text-indigo-600 hover:text-indigo-800 disabled:text-gray-400">{t('bio.saveDraft')}</button>
+                <button onClick={onDismiss} className="text-gray-500 hover:text-gray-700">{t('common.dismiss')}</button>
+                {status && <span className="text-gray-500">{t(`bio.${status}`)}</span>}
+            </div>
+        </div>
+    );
+};
+
+// Older draft on the left of the diff, so additions read as what changed since.
+const DraftDiff = ({ drafts }) => {
+    const { formatDate } = useI18n();
+    const [before, after] = [...drafts].sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+    return (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm whitespace-pre-wrap">
+            <p className="text-xs text-gray-500 mb-2">{formatDate(before.createdAt)} &rarr; {formatDate(after.createdAt)}</p>
+            {diffWords(before.text, after.text).map((run, i) => (
+                <span
+                    key={i}
+                    className={run.type === 'removed' ? 'bg-red-100 text-red-700 line-through' : run.type === 'added' ? 'bg-green-100 text-green-800' : ''}>
+                    {run.text}
+                </span>
+            ))}
+        </div>
+    );
+};
+
+// Saved drafts for one platform, newest first. Pick two to compare them.
+const DraftHistory = ({ drafts, onRestore, onDelete }) => {
+    const { t, formatDate } = useI18n();
+    const [compareIds, setCompareIds] = useState([]);
+    const compared = drafts.filter((draft) => compareIds.includes(draft.id));
+
+    const toggleCompare = (draftId) => setCompareIds((ids) => (
+        ids.includes(draftId) ? ids.filter((id) => id !== draftId) : [...ids, draftId].slice(-2)
+    ));
+
+    if (drafts.length === 0) {
+        return <p className="text-sm text-gray-500">{t('bio.noDrafts')}</p>;
+    }
+    return (
+        <div className="space-y-3">
+            {compared.length === 2 && <DraftDiff drafts={compared} />}
+            <ul className="divide-y divide-gray-100 text-sm">
+                {drafts.map((draft) => (
+                    <li key={draft.id} className="py-2">
+                        <div className="flex justify-between items-center gap-2">
+                            <label className="flex items-center gap-2 text-xs text-gray-500">
+                                <input type="checkbox" checked={compareIds.includes(draft.id)} onChange={() => toggleCompare(draft.id)} />
+                                {formatDate(draft.createdAt)} &middot; {BIO_TONES[draft.tone] ? t(`bio.tone.${draft.tone}`) : draft.tone}
+                            </label>
+                            <div className="flex gap-3">
+                                <button onClick={() => onRestore(draft)} className="text-indigo-600 hover:text-indigo-800">{t('bio.restore')}</button>
+                                <button onClick={() => onDelete(draft)} className="text-red-600 hover:text-red-800">{t('common.delete')}</button>
+                            </div>
+                        </div>
+                        <p className="text-gray-700 mt-1 line-clamp-3">{draft.text}</p>
+                    </li>
+                ))}
+            </ul>
+            {drafts.length > 1 && compared.length < 2 && <p className="text-xs text-gray-500">{t('bio.compareHint')}</p>}
+        </div>
+    );
+};
+
+// --- Bio Writer Page ---
+// Writes bios for several platforms from the user's details, in a chosen tone
+// and length, and keeps saved drafts with a history to compare and restore.
+// `stylePrompt` describes the latest headshots and sets the overall feel.
+const BioWriterPage = ({ header, user, stylePrompt }) => {
+    const { t, language } = useI18n();
+    const [drafts, setDrafts] = useState([]);
+    const [inputs, setInputs] = useState(null); // null until edited: shows the latest draft's inputs
+    const [tone, setTone] = useState('friendly');
+    const [length, setLength] = useState('medium');
+    const [platforms, setPlatforms] = useState(Object.keys(BIO_PLATFORMS));
+    const [bios, setBios] = useState({}); // platform -> [{ id, text }]
+    const [historyPlatform, setHistoryPlatform] = useState('linkedin');
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => subscribeToBioDrafts(user.uid, setDrafts), [user.uid]);
+
+    const values = inputs || { ...EMPTY_BIO_INPUTS, ...drafts[0]?.inputs };
+
+    const setField = (key, value) => setInputs({ ...values, [key]: value });
+
+    const togglePlatform = (platform) => setPlatforms((selected) => (
+        selected.includes(platform) ? selected.filter((p) => p !== platform) : [...selected, platform]
+    ));
+
+    const addBios = (platform, texts) => setBios((current) => ({
+        ...current,
+        [platform]: [...texts.map((text) => ({ id: crypto.randomUUID(), text })), ...(current[platform] || [])]
+    }));
+
+    const handleGenerate = async (e) => {
+        e.preventDefault();
+        setIsGenerating(true);
+        setError('');
+        try {
+            const results = await Promise.all(platforms.map((platform) =>
+                generateBios(values, { platform, tone, length, stylePrompt, language })));
+            platforms.forEach((platform, i) => addBios(platform, results[i]));
+        } catch (err) {
+            setError(toAppError(err, 'bio.error'));
+            logger.error(err);
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const handleSave = async (platform, text) => {
+        setError('');
+        try {
+            await saveBioDraft(user.uid, { platform, tone, length, text, inputs: values });
+            setHistoryPlatform(platform);
+            return true;
+        } catch (err) {
+            setError(err);
+            return false;
+        }
+    };
+
+    const handleRestore = (draft) => {
+        setTone(draft.tone);
+        setLength(draft.length);
+        if (!platforms.includes(draft.platform)) togglePlatform(draft.platform);
+        addBios(draft.platform, [draft.text]);
+    };
+
+    const handleDelete = (draft) => {
+        if (window.confirm(t('bio.confirmDelete'))) {
+            deleteBioDraft(user.uid, draft.id).catch(setError);
+        }
+    };
+
+    const dismiss = (platform, bioId) => setBios((current) => ({
+        ...current,
+        [platform]: current[platform].filter((bio) => bio.id !== bioId)
+    }));
+
+    return (
+        <div className="w-full min-h-screen bg-gray-100">
+            {header}
+            <main className="container mx-auto px-6 py-8 max-w-6xl grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="lg:col-span-1 space-y-6">
+                    <form onSubmit={handleGenerate} className="bg-white p-6 rounded-lg shadow-md space-y-3">
+                        <h2 className="text-xl font-bold text-gray-800">{t('bio.about')}</h2>
+                        {FIELDS.map((field) => (
+                            <label key={field.key} className="block text-sm font-semibold text-gray-700">
+                                {t(`bio.field.${field.key}`)}
+                                {field.multiline
+                                    ? <textarea value={values[field.key]} onChange={(e) => setField(field.key, e.target.value)} placeholder={t(`bio.placeholder.${field.key}`)} maxLength={BIO_FIELD_MAX_LENGTH} rows="3" className={`mt-1 font-normal ${inputClass}`} />
+                                    : <input value={values[field.key]} onChange={(e) => setField(field.key, e.target.value)} placeholder={t(`bio.placeholder.${field.key}`)} maxLength={BIO_FIELD_MAX_LENGTH} className={`mt-1 font-normal ${inputClass}`} />}
+                            </label>
+                        ))}
+                        <div className="grid grid-cols-2 gap-2">
+                            <label className="block text-sm font-semibold text-gray-700">
+                                {t('bio.tone')}
+                                <select value={tone} onChange={(e) => setTone(e.target.value)} className={`mt-1 font-normal ${inputClass}`}>
+                                    {Object.keys(BIO_TONES).map((key) => <option key={key} value={key}>{t(`bio.tone.${key}`)}</option>)}
+                                </select>
+                            </label>
+                            <label className="block text-sm font-semibold text-gray-700">
+                                {t('bio.length')}
+                                <select value={length} onChange={(e) => setLength(e.target.value)} className={`mt-1 font-normal ${inputClass}`}>
+                                    {Object.keys(BIO_LENGTHS).map((key) => <option key={key} value={key}>{t(`bio.length.${key}`)}</option>)}
+                                </select>
+                            </label>
+                        </div>
+                        <fieldset className="text-sm">
+                            <legend className="font-semibold text-gray-700 mb-1">{t('bio.platforms')}</legend>
+                            {Object.keys(BIO_PLATFORMS).map((key) => (
+                                <label key={key} className="flex items-center gap-2 text-gray-700">
+                                    <input type="checkbox" checked={platforms.includes(key)} onChange={() => togglePlatform(key)} />
+                                    {t(`bio.platform.${key}`)}
+                                </label>
+                            ))}
+                        </fieldset>
+                        <button type="submit" disabled={isGenerating || platforms.length === 0 || !values.role.trim()} className={`w-full ${buttonClass}`}>
+                            {isGenerating ? t('bio.writing') : t('bio.write')}
+                        </button>
+                        {!values.role.trim() && <p className="text-xs text-gray-500">{t('bio.needRole')}</p>}
+                    </form>
+                </div>
+                <div className="lg:col-span-2 space-y-6">
+                    <ErrorAlert error={error} />
+                    {Object.keys(BIO_PLATFORMS).filter((platform) => bios[platform]?.length > 0).map((platform) => (
+                        <div key={platform} className="bg-white p-6 rounded-lg shadow-md space-y-3">
+                            <h2 className="text-xl font-bold text-gray-800">{t(`bio.platform.${platform}`)}</h2>
+                            {bios[platform].map((bio) => (
+                                <BioCard
+                                    key={bio.id}
+                                    platform={platform}
+                                    initialText={bio.text}
+                                    onSave={(text) => handleSave(platform, text)}
+                                    onDismiss={() => dismiss(platform, bio.id)}
+                                />
+                            ))}
+                        </div>
+                    ))}
+                    <div className="bg-white p-6 rounded-lg shadow-md">
+                        <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                            <h2 className="text-xl font-bold text-gray-800">{t('bio.savedDrafts')}</h2>
+                            <select value={historyPlatform} onChange={(e) => setHistoryPlatform(e.target.value)} className="p-2 border border-gray-300 rounded-md text-sm">
+                                {Object.keys(BIO_PLATFORMS).map((key) => <option key={key} value={key}>{t(`bio.platform.${key}`)}</option>)}
+                            </select>
+                        </div>
+                        <DraftHistory
+                            key={historyPlatform}
+                            drafts={drafts.filter((draft) => draft.platform === historyPlatform)}
+                            onRestore={handleRestore}
+                            onDelete={handleDelete}
+                        />
+                    </div>
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default BioWriterPage;
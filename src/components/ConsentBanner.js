@@ -0,0 +1,33 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CONSENT } from '../lib/analytics';
+import { ROUTES } from '../lib/routes';
+import { useI18n } from '../lib/i18n';
+
+// --- Analytics Consent Banner ---
+// Asked once per browser, before any event is recorded. Both answers get the
+// same weight; the Account page can change it later.
+const ConsentBanner = ({ onChoose }) => {
+    const { t } = useI18n();
+    const button = 'font-semibold py-2 px-4 rounded-lg transition-colors';
+    return (
+        <div role="region" aria-label={t('consent.label')} className="fixed bottom-0 inset-x-0 z-40 bg-gray-800 text-gray-100 shadow-lg">
+            <div className="container mx-auto px-6 py-4 flex flex-col sm:flex-row sm:items-center gap-4">
+                <p className="text-sm flex-grow">
+                    {t('consent.text')}{' '}
+                    <Link to={ROUTES.PRIVACY} className="underline hover:text-white">{t('nav.privacy')}</Link>
+                </p>
+                <div className="flex gap-2 shrink-0">
+                    <button onClick={() => onChoose(CONSENT.DENIED)} className={`${button} bg-gray-600 hover:bg-gray-500`}>
+                        {t('consent.decline')}
+                    </button>
+                    <button onClick={() => onChoose(CONSENT.GRANTED)} className={`${button} bg-indigo-600 hover:bg-indigo-500`}>
+                        {t('consent.accept')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConsentBanner;
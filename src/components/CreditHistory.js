@@ -0,0 +1,36 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+const ENTRY_TYPES = ['purchase', 'debit', 'refund', 'grant'];
+
+// --- Credit History ---
+// Lists the most recent ledger entries under the balance in the credits panel.
+// Dates are Firestore Timestamps from listeners, ISO strings from the admin
+// callables; formatDate takes both.
+const CreditHistory = ({ entries }) => {
+    const { t, formatDate } = useI18n();
+    if (entries.length === 0) {
+        return <p className="text-sm text-gray-500">{t('credits.none')}</p>;
+    }
+
+    return (
+        <ul className="divide-y divide-gray-100 text-sm">
+            {entries.map((entry) => (
+                <li key={entry.id} className="py-2 flex justify-between items-center">
+                    <div>
+                        <p className="font-semibold text-gray-700">{ENTRY_TYPES.includes(entry.type) ? t(`credits.type.${entry.type}`) : entry.type}</p>
+                        <p className="text-xs text-gray-500">{entry.description} &middot; {formatDate(entry.createdAt)}</p>
+                    </div>
+                    <div className="text-right">
+                        <p className={`font-bold ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {entry.amount > 0 ? `+${entry.amount}` : entry.amount}
+                        </p>
+                        <p className="text-xs text-gray-400">{t('credits.balance', { balance: entry.balanceAfter })}</p>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default CreditHistory;
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { DELETE_CONFIRMATION } from '../lib/account';
+import { useI18n } from '../lib/i18n';
+
+// --- Delete Account ---
+// The confirmation text stays local so typing does not re-render the page.
+const DeleteAccountForm = ({ onDelete, isDeleting }) => {
+    const { t } = useI18n();
+    const [confirmation, setConfirmation] = useState('');
+    // The phrase itself is not translated; it is what the user has to type.
+    const [before, after] = t('account.typeToConfirm').split('{phrase}');
+
+    return (
+        <form
+            onSubmit={(e) => {
+                e.preventDefault();
+                onDelete(confirmation);
+            }}>
+            <label className="block text-sm text-gray-700 mb-2" htmlFor="delete-confirmation">
+                {before}<span className="font-mono font-bold">{DELETE_CONFIRMATION}</span>{after}
+            </label>
+            <div className="flex flex-col sm:flex-row gap-2">
+                <input
+                    id="delete-confirmation"
+                    value={confirmation}
+                    onChange={(e) => setConfirmation(e.target.value)}
+                    autoComplete="off"
+                    className="flex-grow p-2 border border-gray-300 rounded-md"
+                />
+                <button
+                    type="submit"
+                    disabled={isDeleting || confirmation !== DELETE_CONFIRMATION}
+                    className="bg-red-600 hover:bg-red-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-red-300">
+                    {isDeleting ? t('account.deleting') : t('account.deleteButton')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default DeleteAccountForm;
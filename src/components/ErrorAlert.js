@@ -0,0 +1,29 @@
+import React from 'react';
+import { toAppError } from '../lib/errors';
+import { useI18n } from '../lib/i18n';
+
+// --- Error Alert ---
+// The red alert used across the app. `error` is a message or anything that
+// was thrown; thrown errors are classified so known failures say what to do
+// next. `actions` maps error codes to a { label, onClick } button, e.g. buying
+// credits when there are too few.
+const ErrorAlert = ({ error, actions = {}, className = '' }) => {
+    const { messageOf } = useI18n();
+    if (!error) {
+        return null;
+    }
+    const classified = typeof error === 'string' ? null : toAppError(error);
+    const action = classified && actions[classified.code];
+    return (
+        <div className={`bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg flex flex-wrap items-center justify-between gap-3 ${className}`} role="alert">
+            <span>{classified ? messageOf(classified) : error}</span>
+            {action && (
+                <button onClick={action.onClick} className="font-semibold underline hover:text-red-900">
+                    {action.label}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ErrorAlert;
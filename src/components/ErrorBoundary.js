@@ -0,0 +1,42 @@
+import React from 'react';
+import { logger } from '../lib/logger';
+import { useI18n } from '../lib/i18n';
+
+const ErrorFallback = () => {
+    const { t } = useI18n();
+    return (
+        <div className="w-full min-h-screen bg-gray-900 text-white flex items-center justify-center px-6" role="alert">
+            <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-md w-full text-center">
+                <h1 className="text-2xl font-bold mb-2">{t('error.boundary.title')}</h1>
+                <p className="text-gray-400 mb-6">{t('error.boundary.text')}</p>
+                <button onClick={() => window.location.reload()} className="w-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3 px-4 rounded-lg transition-colors">
+                    {t('error.boundary.reload')}
+                </button>
+                {/* A plain link: the router may be what broke. */}
+                <a href="/" className="block mt-4 text-sm text-gray-400 hover:text-gray-200">{t('nav.backToHome')}</a>
+            </div>
+        </div>
+    );
+};
+
+// --- Error Boundary ---
+// Catches errors thrown while rendering, so a broken component shows a way
+// back instead of a blank page. Errors in event handlers and promises are
+// handled where they happen.
+class ErrorBoundary extends React.Component {
+    state = { error: null };
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, info) {
+        logger.error('Render error:', error, info.componentStack);
+    }
+
+    render() {
+        return this.state.error ? <ErrorFallback /> : this.props.children;
+    }
+}
+
+export default ErrorBoundary;
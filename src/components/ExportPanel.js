@@ -0,0 +1,66 @@
+import React from 'react';
+import { EXPORT_PROFILES, EXPORT_FORMATS } from '../lib/export';
+import { useI18n } from '../lib/i18n';
+
+// --- Export Panel ---
+// Options for downloading the selected headshots as one ZIP.
+const ExportPanel = ({ count, options, onChangeOptions, onExport, onClear, progress }) => {
+    const { t } = useI18n();
+    const files = count * options.profiles.length;
+    const toggleProfile = (id) => onChangeOptions({
+        ...options,
+        profiles: options.profiles.includes(id)
+            ? options.profiles.filter((profile) => profile !== id)
+            : [...options.profiles, id]
+    });
+    const isExporting = progress !== null;
+
+    return (
+        <div className="border border-indigo-200 bg-indigo-50 rounded-lg p-4 mb-4 text-sm">
+            <div className="flex justify-between items-center mb-3">
+                <p className="font-semibold text-indigo-900">{t('export.selected', { count })}</p>
+                <button onClick={onClear} disabled={isExporting} className="text-indigo-600 hover:text-indigo-800 disabled:text-gray-400">{t('export.clear')}</button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-1 mb-3">
+                {EXPORT_PROFILES.map((profile) => (
+                    <label key={profile.id} className="flex items-center gap-2 text-gray-700">
+                        <input type="checkbox" checked={options.profiles.includes(profile.id)} onChange={() => toggleProfile(profile.id)} />
+                        {t(`export.profile.${profile.id}`)} <span className="text-gray-500">({profile.dpi ? t('export.size.print') : profile.description})</span>
+                    </label>
+                ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-4 mb-3 text-gray-700">
+                <label className="flex items-center gap-2">
+                    {t('export.format')}
+                    <select value={options.format} onChange={(e) => onChangeOptions({ ...options, format: e.target.value })} className="border border-gray-300 rounded-md p-1">
+                        {Object.entries(EXPORT_FORMATS).map(([id, format]) => <option key={id} value={id}>{format.name}</option>)}
+                    </select>
+                </label>
+                {EXPORT_FORMATS[options.format].lossy && (
+                    <label className="flex items-center gap-2">
+                        {t('export.quality')}
+                        <input
+                            type="range"
+                            min="0.5"
+                            max="1"
+                            step="0.05"
+                            value={options.quality}
+                            onChange={(e) => onChangeOptions({ ...options, quality: Number(e.target.value) })}
+                        />
+                        <span className="w-10">{Math.round(options.quality * 100)}%</span>
+                    </label>
+                )}
+            </div>
+            <button
+                onClick={onExport}
+                disabled={isExporting || options.profiles.length === 0}
+                className="w-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-300">
+                {isExporting
+                    ? t('export.preparing', progress)
+                    : t('export.download', { count: files })}
+            </button>
+        </div>
+    );
+};
+
+export default ExportPanel;
@@ -0,0 +1,179 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { imageKey, imageExtension, downloadImage, slug } from '../lib/images';
+import { groupByStyle } from '../lib/styles';
+import { filterSessions, galleryStyles, qualityScore } from '../lib/gallery';
+import { galleryPath } from '../lib/routes';
+import { track } from '../lib/analytics';
+import { toAppError } from '../lib/errors';
+import { logger } from '../lib/logger';
+import { useI18n } from '../lib/i18n';
+
+const scoreColor = (score) => (score >= 80 ? 'bg-green-600' : score >= 60 ? 'bg-yellow-500' : 'bg-red-600');
+
+const SCORE_KEYS = ['likeness', 'framing', 'artifacts', 'prompt'];
+
+// "Likeness 8/10 · Framing 7/10 · ..." plus the critic's note, for the badge's
+// tooltip. The note comes from the model and stays in English.
+const scoreDetails = (t, { scores = {}, notes }) => [
+    Object.entries(scores).map(([key, value]) => `${SCORE_KEYS.includes(key) ? t(`gallery.score.${key}`) : key} ${value}/10`).join(' · '),
+    notes
+].filter(Boolean).join('\n');
+
+const HeadshotTile = ({ session, image, label, selected, onOpen, onToggleSelected, onToggleFavorite, onDelete, onError }) => {
+    const { t } = useI18n();
+    return (
+        <div className={`relative group rounded-lg ${selected ? 'ring-4 ring-indigo-500' : ''}`}>
+            <img src={image.thumbnailUrl} alt={label} loading="lazy" className="w-full h-auto object-cover rounded-lg shadow-md"/>
+            {qualityScore(image) !== null && (
+                <span
+                    title={scoreDetails(t, image.quality)}
+                    aria-label={t('gallery.score', { score: qualityScore(image) })}
+                    className={`absolute bottom-2 left-2 text-xs font-bold text-white px-2 py-0.5 rounded-full shadow ${scoreColor(qualityScore(image))}`}>
+                    {qualityScore(image)}
+                </span>
+            )}
+            <div
+                onClick={(e) => e.target === e.currentTarget && onOpen(image)}
+                className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center gap-3 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity rounded-lg cursor-zoom-in">
+                <button onClick={() => onOpen(image)} aria-label={t('gallery.view', { label })} className="text-white">
+                    <svg className="w-7 h-7" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4"></path></svg>
+                </button>
+                <button
+                    onClick={() => downloadImage(image, `headshot-${slug(label)}`)
+                        .then(() => track('headshots_downloaded', { count: 1, source: 'single', format: imageExtension(image.mimeType) }))
+                        .catch((err) => {
+                            onError(toAppError(err, 'error.download'));
+                            logger.error(err);
+                        })}
+                    aria-label={t('gallery.download', { label })}
+                    className="text-white">
+                    <svg className="w-7 h-7" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path></svg>
+                </button>
+                {image.path && (
+                    <button onClick={() => onDelete(session, [image])} aria-label={t('gallery.deleteImage', { label })} className="text-white">
+                        <svg className="w-7 h-7" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                    </button>
+                )}
+            </div>
+            <input
+                type="checkbox"
+                checked={selected}
+                onChange={() => onToggleSelected(image)}
+                aria-label={t('gallery.select', { label })}
+                className={`absolute top-2 left-2 w-5 h-5 ${selected ? '' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'}`}
+            />
+            <button
+                onClick={() => onToggleFavorite(session, image, !image.favorite)}
+                aria-label={t(image.favorite ? 'gallery.removeFavorite' : 'gallery.addFavorite', { label })}
+                aria-pressed={image.favorite}
+                className={`absolute top-1 right-1 text-2xl leading-none drop-shadow ${image.favorite ? 'text-yellow-400' : 'text-white opacity-0 group-hover:opacity-100'}`}>
+                {image.favorite ? '★' : '☆'}
+            </button>
+        </div>
+    );
+};
+
+// --- Gallery ---
+// "Your Generated Headshots", one block per generation session. The filter,
+// selection and open lightbox live in App so they survive re-renders of the
+// dashboard. `onOpen({ keys, key, mode, pinnedKey })` opens the lightbox on
+// `key`, stepping through `keys`.
+const Gallery = ({ sessions, filter, onChangeFilter, selection, onChangeSelection, onOpen, onToggleFavorite, onDelete, onError, children }) => {
+    const { t, formatDate } = useI18n();
+    const styles = galleryStyles(sessions);
+    const visible = filterSessions(sessions, filter);
+    // In the order shown: by session, then by style.
+    const visibleKeys = visible.flatMap((session) =>
+        groupByStyle(session.images).flatMap((group) => group.images.map(imageKey)));
+    const canCompare = selection.length === 2 && selection.every((key) => visibleKeys.includes(key));
+    const toggleSelected = (image) => onChangeSelection(selection.includes(imageKey(image))
+        ? selection.filter((key) => key !== imageKey(image))
+        : [...selection, imageKey(image)]);
+
+    return (
+        <div>
+            {sessions.length > 0 && (
+                <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={filter.favoritesOnly}
+                            onChange={(e) => onChangeFilter({ ...filter, favoritesOnly: e.target.checked })}
+                        />
+                        {t('gallery.favoritesOnly')}
+                    </label>
+                    {styles.length > 1 && (
+                        <select value={filter.style} onChange={(e) => onChangeFilter({ ...filter, style: e.target.value })} className="border border-gray-300 rounded-md p-1" aria-label={t('gallery.filterByStyle')}>
+                            <option value="">{t('gallery.allStyles')}</option>
+                            {styles.map((style) => <option key={style} value={style}>{style}</option>)}
+                        </select>
+                    )}
+                    <select value={filter.sort} onChange={(e) => onChangeFilter({ ...filter, sort: e.target.value })} className="border border-gray-300 rounded-md p-1" aria-label={t('gallery.sort')}>
+                        <option value="">{t('gallery.sortOrder')}</option>
+                        <option value="score">{t('gallery.sortScore')}</option>
+                    </select>
+                    {visibleKeys.length > 0 && (
+                        <button onClick={() => onChangeSelection([...new Set([...selection, ...visibleKeys])])} className="text-indigo-600 hover:text-indigo-800">
+                            {t('gallery.selectAll')}
+                        </button>
+                    )}
+                    {canCompare && (
+                        <button
+                            onClick={() => onOpen({ keys: visibleKeys, key: selection[1], mode: 'compare', pinnedKey: selection[0] })}
+                            className="text-indigo-600 hover:text-indigo-800">
+                            {t('gallery.compareSelected')}
+                        </button>
+                    )}
+                </div>
+            )}
+            {children}
+            {sessions.length > 0 && visible.length === 0 && (
+                <p className="text-sm text-gray-500">{t('gallery.noMatches')}</p>
+            )}
+            {visible.map((session) => (
+                <section key={session.id} className="border-t border-gray-200 pt-4 mt-4 first:border-0 first:pt-0 first:mt-0">
+                    <div className="flex justify-between items-start mb-3">
+                        <div>
+                            <Link to={galleryPath(session.id)} className="font-semibold text-gray-800 hover:text-indigo-600">{session.createdAt ? formatDate(session.createdAt) : t('gallery.earlier')}</Link>
+                            <p className="text-xs text-gray-500">
+                                {session.inputs.length > 0 && `${t('common.selfies', { count: session.inputs.length })} · `}
+                                {t('common.headshots', { count: session.images.length })}
+                            </p>
+                        </div>
+                        <button onClick={() => onDelete(session)} className="text-sm text-red-600 hover:text-red-800">
+                            {t('gallery.deleteSession')}
+                        </button>
+                    </div>
+                    {groupByStyle(session.images).map((group) => {
+                        const style = session.styles.find((s) => s.name === group.name);
+                        return (
+                            <div key={group.name} className="mb-4 last:mb-0">
+                                <h3 className="text-sm font-semibold text-gray-700">{group.name}</h3>
+                                {style?.prompt && <p className="text-xs text-gray-500 mb-2">{style.prompt}</p>}
+                                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+                                    {group.images.map((image, index) => (
+                                        <HeadshotTile
+                                            key={imageKey(image)}
+                                            session={session}
+                                            image={image}
+                                            label={t('gallery.imageLabel', { style: group.name, number: index + 1 })}
+                                            selected={selection.includes(imageKey(image))}
+                                            onOpen={(opened) => onOpen({ keys: visibleKeys, key: imageKey(opened), mode: 'view' })}
+                                            onToggleSelected={toggleSelected}
+                                            onToggleFavorite={onToggleFavorite}
+                                            onDelete={onDelete}
+                                            onError={onError}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </section>
+            ))}
+        </div>
+    );
+};
+
+export default Gallery;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+const ITEM_COLORS = {
+    pending: 'text-gray-500',
+    running: 'text-indigo-600',
+    succeeded: 'text-green-600',
+    failed: 'text-red-600'
+};
+
+// "Selfie 2" for single-style jobs, "B&W cinematic · v2 · selfie 1" otherwise.
+const itemLabel = (t, job, item, index) => {
+    const inputCount = job.items.length / ((job.styles?.length || 1) * (job.variants || 1));
+    const number = index % inputCount + 1;
+    if (!job.styles || (job.styles.length <= 1 && (job.variants || 1) <= 1)) {
+        return t('job.item.selfie', { number });
+    }
+    const style = job.styles[item.style]?.name;
+    return job.variants > 1
+        ? t('job.item.styledVariant', { style, variant: item.variant + 1, number })
+        : t('job.item.styled', { style, number });
+};
+
+// --- Generation Progress ---
+// Live view of one generation job; keeps updating after a reload because the
+// job runs on the server.
+const GenerationProgress = ({ job, onDismiss }) => {
+    const { t } = useI18n();
+    const { total, succeeded, failed } = job.progress;
+    const done = succeeded + failed;
+    const isActive = job.status === 'queued' || job.status === 'running';
+    // Failed images with their reasons, such as a safety block.
+    const failedItems = job.items.map((item, index) => ({ item, index })).filter(({ item }) => item.status === 'failed');
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 mb-4">
+            <div className="flex justify-between items-center mb-2">
+                <p className={`font-semibold ${job.status === 'failed' ? 'text-red-700' : 'text-gray-800'}`}>
+                    {t(`job.status.${job.status}`)}
+                </p>
+                {!isActive && (
+                    <button onClick={() => onDismiss(job.id)} className="text-gray-400 hover:text-gray-600 font-bold" aria-label={t('common.dismiss')}>&times;</button>
+                )}
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+                <div className="bg-indigo-600 h-2 rounded-full transition-all" style={{ width: `${total ? (done / total) * 100 : 0}%` }} />
+            </div>
+            <ul className="grid grid-cols-2 sm:grid-cols-5 gap-2 text-xs">
+                {job.items.map((item, index) => (
+                    <li key={index} className="flex flex-col items-center text-center">
+                        {item.output?.thumbnailUrl
+                            ? <img src={item.output.thumbnailUrl} alt={t('job.headshotAlt', { number: index + 1 })} className="w-16 h-16 object-cover rounded-md" />
+                            : <div className="w-16 h-16 bg-gray-100 rounded-md" />}
+                        <span className={`mt-1 ${ITEM_COLORS[item.status]}`} title={item.error || item.lastError}>
+                            {itemLabel(t, job, item, index)}: {t(`job.item.${item.status}`)}
+                            {item.status === 'running' && item.retries > 0 && ` ${t('job.item.retry', { count: item.retries })}`}
+                            {item.status === 'running' && item.regenerations > 0 && ` ${t('job.item.improving')}`}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+            {failedItems.length > 0 && !isActive && (
+                <ul className="text-xs text-red-600 mt-2 space-y-1">
+                    {failedItems.map(({ item, index }) => <li key={index}>{itemLabel(t, job, item, index)}: {item.error || t('job.item.failed')}</li>)}
+                </ul>
+            )}
+            {job.refunded > 0 && (
+                <p className="text-sm text-gray-600 mt-2">
+                    {t('job.refunded', { count: job.progress.failed, credits: job.refunded })}
+                </p>
+            )}
+            {job.error && <p className="text-sm text-red-600 mt-2">{job.error}</p>}
+        </div>
+    );
+};
+
+export default GenerationProgress;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+const JOB_COLORS = {
+    queued: 'text-gray-600',
+    running: 'text-indigo-600',
+    succeeded: 'text-green-600',
+    partial: 'text-yellow-600',
+    failed: 'text-red-600'
+};
+
+// --- Job Card ---
+// One generation job as returned by the admin and organization callables: what
+// was asked for, how it went and what came out. `byline` names who ran it.
+const JobCard = ({ job, byline }) => {
+    const { t, formatDate } = useI18n();
+    const state = (status) => t(`jobCard.state.${status}`);
+    return (
+        <li className="border border-gray-200 rounded-lg p-3 text-sm">
+            <div className="flex justify-between">
+                <p className="font-mono text-xs text-gray-500">{byline && <span className="font-sans font-semibold text-gray-700 mr-2">{byline}</span>}{job.id}</p>
+                <p className={`font-semibold ${JOB_COLORS[job.status] || 'text-gray-600'}`}>{state(job.status)}</p>
+            </div>
+            <p className="text-xs text-gray-500">
+                {formatDate(job.createdAt)} &middot; {t('common.credits', { count: job.cost })}
+                {job.refunded > 0 && ` · ${t('jobCard.refunded', { count: job.refunded })}`}
+                {job.attempts > 0 && ` · ${t('jobCard.attempts', { count: job.attempts })}`}
+            </p>
+            <ul className="mt-2 space-y-1">
+                {(job.styles || []).map((style, index) => (
+                    <li key={index}><span className="font-semibold">{style.name}:</span> {style.prompt || <em>{t('jobCard.defaultStyle')}</em>}</li>
+                ))}
+            </ul>
+            {job.error && <p className="text-red-600 mt-2">{job.error}</p>}
+            <ul className="flex flex-wrap gap-2 mt-2">
+                {(job.items || []).map((item, index) => (
+                    <li key={index} title={item.error || item.lastError || state(item.status)}>
+                        {item.output?.thumbnailUrl
+                            ? <a href={item.output.thumbnailUrl} target="_blank" rel="noreferrer"><img src={item.output.thumbnailUrl} alt={t('jobCard.output', { number: index + 1 })} className="w-12 h-12 object-cover rounded" /></a>
+                            : <div className={`w-12 h-12 rounded flex items-center justify-center text-xs ${item.status === 'failed' ? 'bg-red-100 text-red-600' : 'bg-gray-100 text-gray-500'}`}>{state(item.status)}</div>}
+                    </li>
+                ))}
+            </ul>
+            {(job.items || []).filter((item) => item.error).map((item, index) => (
+                <p key={index} className="text-xs text-red-600 mt-1">{item.input?.path}: {item.error}</p>
+            ))}
+        </li>
+    );
+};
+
+export default JobCard;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { LOCALES, useI18n } from '../lib/i18n';
+
+// --- Language Switcher ---
+// Each language is listed under its own name. `dark` matches the landing page.
+const LanguageSwitcher = ({ dark = false }) => {
+    const { t, locale, setLocale } = useI18n();
+    return (
+        <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            aria-label={t('language.label')}
+            className={`text-sm rounded-md p-1 border ${dark ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-600'}`}>
+            {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+            ))}
+        </select>
+    );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,293 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { fetchImageBlob, imageKey } from '../lib/images';
+import { qualityScore } from '../lib/gallery';
+import { INITIAL_VIEW, ZOOM_STEP, panBy, stepIndex, zoomAt } from '../lib/lightbox';
+import { logger } from '../lib/logger';
+import { useI18n } from '../lib/i18n';
+
+// The full-size file at a Storage path as an object URL. `url` is null while
+// it loads; `failed` is set when it cannot be fetched (e.g. a deleted selfie).
+const useFullSize = (path) => {
+    const [state, setState] = useState({ path: null, url: null, failed: false });
+    useEffect(() => {
+        if (!path) return undefined;
+        let objectUrl = null;
+        let cancelled = false;
+        fetchImageBlob({ path })
+            .then((blob) => {
+                if (cancelled) return;
+                objectUrl = URL.createObjectURL(blob);
+                setState({ path, url: objectUrl, failed: false });
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                setState({ path, url: null, failed: true });
+                logger.error(err);
+            });
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [path]);
+    return state.path === path ? state : { url: null, failed: false };
+};
+
+// The thumbnail stands in until the full-size headshot has loaded.
+const Headshot = ({ image, alt, style }) => {
+    const { url } = useFullSize(image.path);
+    return (
+        <img
+            src={url || image.thumbnailUrl || image.url}
+            alt={alt}
+            draggable={false}
+            style={style}
+            className="absolute inset-0 w-full h-full object-contain"
+        />
+    );
+};
+
+const Selfie = ({ path, alt }) => {
+    const { t } = useI18n();
+    const { url, failed } = useFullSize(path);
+    if (failed) {
+        return <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-400">{t('lightbox.selfieMissing')}</p>;
+    }
+    return url && <img src={url} alt={alt} draggable={false} className="absolute inset-0 w-full h-full object-contain" />;
+};
+
+// Applies the shared zoom and pan to its content. Dragging pans, the wheel and
+// double-click zoom around the cursor.
+const Frame = ({ view, handlers, frameRef, overlay, children }) => (
+    <div
+        ref={frameRef}
+        {...handlers}
+        className={`relative flex-1 min-h-0 overflow-hidden select-none touch-none ${view.zoom > 1 ? 'cursor-grab' : 'cursor-zoom-in'}`}>
+        <div className="absolute inset-0" style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})` }}>
+            {children}
+        </div>
+        {overlay}
+    </div>
+);
+
+const Caption = ({ entry, label, onToggleFavorite }) => {
+    const { t } = useI18n();
+    const { session, image } = entry;
+    return (
+        <div className="flex items-center justify-center gap-3 pt-2 text-sm text-gray-300">
+            <span>{label}</span>
+            {qualityScore(image) !== null && <span>{t('gallery.score', { score: qualityScore(image) })}</span>}
+            <button
+                onClick={() => onToggleFavorite(session, image, !image.favorite)}
+                aria-label={t(image.favorite ? 'gallery.removeFavorite' : 'gallery.addFavorite', { label })}
+                aria-pressed={image.favorite}
+                className={`text-xl leading-none ${image.favorite ? 'text-yellow-400' : 'text-white'}`}>
+                {image.favorite ? '★' : '☆'}
+            </button>
+        </div>
+    );
+};
+
+const MODES = ['view', 'beforeAfter', 'compare'];
+
+// --- Lightbox ---
+// Full-screen viewer over the gallery. `entries` are the { session, image }
+// pairs it steps through and `state` is { key, mode, pinnedKey }, kept in App
+// like the gallery's other state. Modes:
+// - view: one headshot;
+// - beforeAfter: a slider between the headshot and the selfie it came from;
+// - compare: the pinned headshot next to the one being browsed.
+const Lightbox = ({ entries, state, onChange, onClose, onToggleFavorite }) => {
+    const { t } = useI18n();
+    const [view, setView] = useState(INITIAL_VIEW);
+    const [split, setSplit] = useState(50);
+    const frameRef = useRef(null);
+    const closeRef = useRef(null);
+    const drag = useRef(null);
+
+    const index = Math.max(0, entries.findIndex((entry) => imageKey(entry.image) === state.key));
+    const current = entries[index];
+    const pinned = entries.find((entry) => imageKey(entry.image) === state.pinnedKey);
+    const mode = (state.mode === 'compare' && (!pinned || pinned === current))
+        || (state.mode === 'beforeAfter' && !current.image.input)
+        ? 'view'
+        : state.mode;
+    const labelOf = (entry) => t('lightbox.imageLabel', {
+        style: entry.image.styleName,
+        position: entries.indexOf(entry) + 1,
+        total: entries.length
+    });
+
+    const frame = () => {
+        const rect = frameRef.current?.getBoundingClientRect();
+        return { width: rect?.width || 0, height: rect?.height || 0 };
+    };
+    const zoom = (factor) => setView((previous) => zoomAt(previous, factor, frame()));
+
+    // In compare mode the pinned headshot is skipped.
+    const go = (step) => {
+        let next = stepIndex(index, step, entries.length);
+        if (mode === 'compare' && entries[next] === pinned) {
+            next = stepIndex(next, step, entries.length);
+        }
+        onChange({ ...state, key: imageKey(entries[next].image) });
+    };
+
+    const setMode = (next) => onChange(next === 'compare'
+        ? { ...state, mode: next, pinnedKey: state.key, key: imageKey(entries[stepIndex(index, 1, entries.length)].image) }
+        : { ...state, mode: next });
+
+    useEffect(() => {
+        setView(INITIAL_VIEW);
+    }, [state.key, mode]);
+
+    // Locks the page behind and hands focus back when the viewer closes.
+    useEffect(() => {
+        const previousFocus = document.activeElement;
+        const overflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        closeRef.current?.focus();
+        return () => {
+            document.body.style.overflow = overflow;
+            previousFocus?.focus?.();
+        };
+    }, []);
+
+    // Registered on every render so the keys always act on the current image.
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && e.target.type !== 'range') go(e.key === 'ArrowLeft' ? -1 : 1);
+            else if (e.key === '+' || e.key === '=') zoom(ZOOM_STEP);
+            else if (e.key === '-') zoom(1 / ZOOM_STEP);
+            else if (e.key === '0') setView(INITIAL_VIEW);
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    });
+
+    // Cursor position measured from the frame's centre.
+    const pointFrom = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return { x: e.clientX - rect.left - rect.width / 2, y: e.clientY - rect.top - rect.height / 2 };
+    };
+    const frameHandlers = {
+        onPointerDown: (e) => {
+            if (view.zoom === INITIAL_VIEW.zoom) return;
+            drag.current = { x: e.clientX, y: e.clientY };
+            e.currentTarget.setPointerCapture(e.pointerId);
+        },
+        onPointerMove: (e) => {
+            if (!drag.current) return;
+            const dx = e.clientX - drag.current.x;
+            const dy = e.clientY - drag.current.y;
+            drag.current = { x: e.clientX, y: e.clientY };
+            setView((previous) => panBy(previous, dx, dy, frame()));
+        },
+        onPointerUp: () => {
+            drag.current = null;
+        },
+        onWheel: (e) => {
+            const point = pointFrom(e);
+            setView((previous) => zoomAt(previous, e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, frame(), point));
+        },
+        onDoubleClick: (e) => {
+            const point = pointFrom(e);
+            setView((previous) => (previous.zoom > INITIAL_VIEW.zoom ? INITIAL_VIEW : zoomAt(previous, 2, frame(), point)));
+        }
+    };
+
+    const toolButton = 'px-3 py-1 rounded-md bg-gray-800 hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed';
+    const navButton = 'absolute top-1/2 -translate-y-1/2 z-10 w-10 h-10 rounded-full bg-gray-800 bg-opacity-80 hover:bg-gray-700 text-2xl leading-none';
+
+    return (
+        <div role="dialog" aria-modal="true" aria-label={t('lightbox.title')} className="fixed inset-0 z-50 bg-black bg-opacity-90 text-white flex flex-col">
+            <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-3 text-sm">
+                <div className="flex gap-1" role="group" aria-label={t('lightbox.mode')}>
+                    {MODES.map((option) => (
+                        <button
+                            key={option}
+                            onClick={() => setMode(option)}
+                            disabled={(option === 'beforeAfter' && !current.image.input) || (option === 'compare' && entries.length < 2)}
+                            title={option === 'beforeAfter' && !current.image.input ? t('lightbox.noSelfie') : undefined}
+                            aria-pressed={mode === option}
+                            className={`${toolButton} ${mode === option ? 'bg-indigo-600 hover:bg-indigo-600' : ''}`}>
+                            {t(`lightbox.mode.${option}`)}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center gap-1">
+                    <button onClick={() => zoom(1 / ZOOM_STEP)} aria-label={t('lightbox.zoomOut')} className={toolButton}>−</button>
+                    <button onClick={() => setView(INITIAL_VIEW)} aria-label={t('lightbox.resetZoom')} className={`${toolButton} w-16`}>
+                        {Math.round(view.zoom * 100)}%
+                    </button>
+                    <button onClick={() => zoom(ZOOM_STEP)} aria-label={t('lightbox.zoomIn')} className={toolButton}>+</button>
+                    <button ref={closeRef} onClick={onClose} aria-label={t('lightbox.close')} className={`${toolButton} ml-3`}>✕</button>
+                </div>
+            </div>
+
+            <div className="relative flex-1 min-h-0 flex px-16 pb-2">
+                {entries.length > 1 && (
+                    <>
+                        <button onClick={() => go(-1)} aria-label={t('lightbox.previous')} className={`${navButton} left-3`}>‹</button>
+                        <button onClick={() => go(1)} aria-label={t('lightbox.next')} className={`${navButton} right-3`}>›</button>
+                    </>
+                )}
+                {mode === 'compare' ? (
+                    <div className="flex-1 min-h-0 grid grid-cols-2 grid-rows-1 gap-4">
+                        {[pinned, current].map((entry, pane) => (
+                            <div key={pane} className="min-h-0 flex flex-col">
+                                <Frame view={view} handlers={frameHandlers} frameRef={pane === 0 ? frameRef : undefined}>
+                                    <Headshot image={entry.image} alt={labelOf(entry)} />
+                                </Frame>
+                                <Caption entry={entry} label={labelOf(entry)} onToggleFavorite={onToggleFavorite} />
+                            </div>
+                        ))}
+                    </div>
+                ) : (
+                    <div className="flex-1 min-h-0 flex flex-col">
+                        <Frame
+                            view={view}
+                            handlers={frameHandlers}
+                            frameRef={frameRef}
+                            overlay={mode === 'beforeAfter' && (
+                                <>
+                                    <span className="absolute top-2 left-2 text-xs font-semibold bg-black bg-opacity-60 px-2 py-0.5 rounded">{t('lightbox.selfie')}</span>
+                                    <span className="absolute top-2 right-2 text-xs font-semibold bg-black bg-opacity-60 px-2 py-0.5 rounded">{t('lightbox.headshot')}</span>
+                                </>
+                            )}>
+                            {mode === 'beforeAfter' && <Selfie path={current.image.input} alt={t('lightbox.selfie')} />}
+                            <Headshot
+                                image={current.image}
+                                alt={labelOf(current)}
+                                style={mode === 'beforeAfter' ? { clipPath: `inset(0 0 0 ${split}%)` } : undefined}
+                            />
+                            {mode === 'beforeAfter' && (
+                                <div className="absolute inset-y-0 bg-white" style={{ left: `${split}%`, width: `${2 / view.zoom}px` }} />
+                            )}
+                        </Frame>
+                        <Caption entry={current} label={labelOf(current)} onToggleFavorite={onToggleFavorite} />
+                    </div>
+                )}
+            </div>
+
+            <div className="px-4 pb-4 text-center text-xs text-gray-400">
+                {mode === 'beforeAfter' && (
+                    <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={split}
+                        onChange={(e) => setSplit(Number(e.target.value))}
+                        aria-label={t('lightbox.divider')}
+                        className="w-full max-w-md mb-2"
+                    />
+                )}
+                <p>{t(mode === 'compare' ? 'lightbox.compareHint' : 'lightbox.keys')}</p>
+            </div>
+        </div>
+    );
+};
+
+export default Lightbox;
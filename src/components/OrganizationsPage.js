@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import CreditHistory from './CreditHistory';
+import JobCard from './JobCard';
+import ErrorAlert from './ErrorAlert';
+import {
+    ORG_ROLES,
+    createOrganization,
+    getOrganizationUsage,
+    inviteMember,
+    acceptInvite,
+    deleteInvite,
+    updateMemberLimit,
+    removeMember
+} from '../lib/organizations';
+import { useI18n } from '../lib/i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm';
+const buttonClass = 'bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-300 text-sm';
+
+// "120 of 500 credits left" style summary of what a member may still spend.
+const describeLimit = (t, { limit, spent }) =>
+    (limit === null ? t('orgs.noLimit') : t('orgs.limitLeft', { left: Math.max(0, limit - spent), limit }));
+
+// Form fields keep their own state so typing does not re-render the page.
+const CreateOrganizationForm = ({ onCreate, disabled }) => {
+    const { t } = useI18n();
+    const [name, setName] = useState('');
+
+    const submit = async (e) => {
+        e.preventDefault();
+        if (await onCreate(name)) {
+            setName('');
+        }
+    };
+
+    return (
+        <form onSubmit={submit} className="flex gap-2">
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t('orgs.namePlaceholder')} className={`flex-grow ${inputClass}`} />
+            <button type="submit" disabled={disabled || !name.trim()} className={buttonClass}>{t('orgs.create')}</button>
+        </form>
+    );
+};
+
+const InviteForm = ({ onInvite, disabled }) => {
+    const { t } = useI18n();
+    const [email, setEmail] = useState('');
+    const [limit, setLimit] = useState('');
+
+    const submit = async (e) => {
+        e.preventDefault();
+        if (await onInvite(email, limit)) {
+            setEmail('');
+            setLimit('');
+        }
+    };
+
+    return (
+        <form onSubmit={submit} className="flex flex-col sm:flex-row gap-2">
+            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('orgs.emailPlaceholder')} className={`flex-grow ${inputClass}`} />
+            <input type="number" min="0" value={limit} onChange={(e) => setLimit(e.target.value)} placeholder={t('orgs.limitPlaceholder')} className={`sm:w-40 ${inputClass}`} />
+            <button type="submit" disabled={disabled || !email.trim()} className={buttonClass}>{t('orgs.invite')}</button>
+        </form>
+    );
+};
+
+const LimitForm = ({ limit, onSave, disabled }) => {
+    const { t } = useI18n();
+    const [value, setValue] = useState(limit === null ? '' : String(limit));
+    const changed = value !== (limit === null ? '' : String(limit));
+    return (
+        <form onSubmit={(e) => { e.preventDefault(); onSave(value); }} className="flex gap-1">
+            <input type="number" min="0" value={value} onChange={(e) => setValue(e.target.value)} placeholder={t('orgs.noLimit')} className={`w-28 ${inputClass}`} />
+            {changed && <button type="submit" disabled={disabled} className="text-indigo-600 hover:text-indigo-800 font-semibold text-sm px-2">{t('common.save')}</button>}
+        </form>
+    );
+};
+
+// The owner's view of one organization.
+const OrganizationUsage = ({ usage, run, onBuyCredits, isBuying }) => {
+    const { t } = useI18n();
+    const emails = Object.fromEntries(usage.members.map((member) => [member.uid, member.email]));
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-6 rounded-lg shadow-md flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-gray-800">{usage.name}</h2>
+                    <p className="text-gray-600">{t('orgs.pool')} <span className="font-semibold text-indigo-600">{usage.credits}</span> {t('dashboard.creditsUnit')}</p>
+                </div>
+                <button onClick={() => onBuyCredits(usage.orgId)} disabled={isBuying} className={buttonClass}>{t('orgs.buy')}</button>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+                <h3 className="text-lg font-bold text-gray-800">{t('orgs.members')}</h3>
+                <InviteForm disabled={run.isBusy} onInvite={(email, limit) => run.task(() => inviteMember(usage.orgId, email, limit))} />
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-500">
+                            <th className="py-2">{t('orgs.member')}</th>
+                            <th>{t('orgs.spent')}</th>
+                            <th>{t('orgs.limit')}</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {usage.members.map((member) => (
+                            <tr key={member.uid}>
+                                <td className="py-2">
+                                    {member.email || member.uid}
+                                    {member.role === ORG_ROLES.OWNER && <span className="ml-2 text-xs text-gray-500">{t('orgs.owner')}</span>}
+                                </td>
+                                <td>{member.spent || 0}</td>
+                                <td>
+                                    <LimitForm
+                                        key={String(member.limit)}
+                                        limit={member.limit}
+                                        disabled={run.isBusy}
+                                        onSave={(limit) => run.task(() => updateMemberLimit(usage.orgId, member.uid, limit))}
+                                    />
+                                </td>
+                                <td className="text-right">
+                                    {member.role !== ORG_ROLES.OWNER && (
+                                        <button
+                                            onClick={() => window.confirm(t('orgs.confirmRemove', { email: member.email, name: usage.name })) && run.task(() => removeMember(usage.orgId, member.uid))}
+                                            disabled={run.isBusy}
+                                            className="text-red-600 hover:text-red-800 text-sm">
+                                            {t('orgs.remove')}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                        {usage.invites.map((invite) => (
+                            <tr key={invite.id} className="text-gray-500">
+                                <td className="py-2">{invite.email} <span className="text-xs">{t('orgs.invited')}</span></td>
+                                <td />
+                                <td>{describeLimit(t, { limit: invite.limit, spent: 0 })}</td>
+                                <td className="text-right">
+                                    <button onClick={() => run.task(() => deleteInvite(usage.orgId, invite.email))} disabled={run.isBusy} className="text-gray-500 hover:text-gray-700 text-sm">
+                                        {t('orgs.withdraw')}
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-2">{t('orgs.poolHistory')}</h3>
+                <CreditHistory entries={usage.ledger.map((entry) => ({
+                    ...entry,
+                    description: `${entry.description || ''}${entry.memberUid ? ` · ${emails[entry.memberUid] || t('orgs.formerMember')}` : ''}`
+                }))} />
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-2">{t('orgs.generations')}</h3>
+                {usage.jobs.length === 0
+                    ? <p className="text-sm text-gray-500">{t('orgs.noGenerations')}</p>
+                    : <ul className="space-y-3">{usage.jobs.map((job) => <JobCard key={job.id} job={job} byline={emails[job.userId] || t('orgs.formerMemberByline')} />)}</ul>}
+            </div>
+        </div>
+    );
+};
+
+// --- Organizations Page ---
+// Join, create and (for owners) run organizations with a shared credit pool.
+// `organizations` and `invites` come from App, which also uses them on the
+// dashboard; `onChanged` asks App to reload them.
+const OrganizationsPage = ({ header, organizations, invites, onChanged, onBuyCredits, isBuying }) => {
+    const { t } = useI18n();
+    const owned = organizations.filter((org) => org.role === ORG_ROLES.OWNER);
+    const [selectedOrgId, setSelectedOrgId] = useState(null);
+    const [usage, setUsage] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const managedOrgId = owned.some((org) => org.orgId === selectedOrgId) ? selectedOrgId : owned[0]?.orgId;
+
+    const loadUsage = useCallback(() => {
+        if (!managedOrgId) {
+            setUsage(null);
+            return;
+        }
+        getOrganizationUsage(managedOrgId).then(setUsage).catch(setError);
+    }, [managedOrgId]);
+
+    useEffect(loadUsage, [loadUsage]);
+
+    // Runs a change, then reloads the lists and the usage view. Resolves with
+    // whether it worked. Reloads on failure too: an invite whose email could
+    // not be sent is still saved.
+    const task = async (change) => {
+        setIsBusy(true);
+        setError('');
+        try {
+            await change();
+            return true;
+        } catch (err) {
+            setError(err);
+            return false;
+        } finally {
+            onChanged();
+            loadUsage();
+            setIsBusy(false);
+        }
+    };
+
+    const handleCreate = (name) => task(async () => setSelectedOrgId(await createOrganization(name)));
+
+    return (
+        <div className="w-full min-h-screen bg-gray-100">
+            {header}
+            <main className="container mx-auto px-6 py-8 max-w-5xl grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="lg:col-span-1 space-y-6">
+                    {invites.length > 0 && (
+                        <div className="bg-white p-6 rounded-lg shadow-md border border-indigo-200">
+                            <h2 className="text-xl font-bold text-gray-800 mb-4">{t('orgs.invitations')}</h2>
+                            <ul className="space-y-3 text-sm">
+                                {invites.map((invite) => (
+                                    <li key={invite.orgId}>
+                                        <p className="font-semibold text-gray-700">{invite.orgName}</p>
+                                        <p className="text-xs text-gray-500 mb-2">{t('orgs.spendingLimit', { limit: describeLimit(t, { limit: invite.limit, spent: 0 }) })}</p>
+                                        <div className="flex gap-2">
+                                            <button onClick={() => task(() => acceptInvite(invite.orgId))} disabled={isBusy} className={buttonClass}>{t('orgs.join')}</button>
+                                            <button onClick={() => task(() => deleteInvite(invite.orgId))} disabled={isBusy} className="text-gray-500 hover:text-gray-700 text-sm">{t('orgs.decline')}</button>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    <div className="bg-white p-6 rounded-lg shadow-md">
+                        <h2 className="text-xl font-bold text-gray-800 mb-4">{t('orgs.yours')}</h2>
+                        {organizations.length === 0 && <p className="text-sm text-gray-500 mb-4">{t('orgs.none')}</p>}
+                        <ul className="divide-y divide-gray-100 text-sm mb-4">
+                            {organizations.map((org) => (
+                                <li key={org.orgId} className="py-2">
+                                    {org.role === ORG_ROLES.OWNER
+                                        ? <button onClick={() => setSelectedOrgId(org.orgId)} className={`font-semibold hover:text-indigo-600 ${org.orgId === managedOrgId ? 'text-indigo-600' : 'text-gray-700'}`}>{org.name}</button>
+                                        : <p className="font-semibold text-gray-700">{org.name}</p>}
+                                    <p className="text-xs text-gray-500">
+                                        {org.role === ORG_ROLES.OWNER
+                                            ? t('orgs.ownerSummary', { credits: org.credits })
+                                            : t('orgs.memberSummary', { limit: describeLimit(t, org), available: org.available })}
+                                    </p>
+                                </li>
+                            ))}
+                        </ul>
+                        <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('orgs.start')}</h3>
+                        <CreateOrganizationForm onCreate={handleCreate} disabled={isBusy} />
+                    </div>
+                </div>
+                <div className="lg:col-span-2">
+                    <ErrorAlert error={error} className="mb-4" />
+                    {usage
+                        ? <OrganizationUsage key={usage.orgId} usage={usage} run={{ task, isBusy }} onBuyCredits={onBuyCredits} isBuying={isBuying} />
+                        : (
+                            <div className="bg-white p-6 rounded-lg shadow-md text-gray-600">
+                                <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('orgs.introTitle')}</h2>
+                                <p>{t('orgs.intro')}</p>
+                            </div>
+                        )}
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default OrganizationsPage;
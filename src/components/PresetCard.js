@@ -0,0 +1,32 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+// --- Preset Card ---
+// A style preset's example image and settings, with room for actions below.
+const PresetCard = ({ preset, children }) => {
+    const { t } = useI18n();
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 flex gap-4">
+            {preset.thumbnailUrl
+                ? <img src={preset.thumbnailUrl} alt={t('preset.exampleAlt', { name: preset.name })} className="w-20 h-20 object-cover rounded-md flex-shrink-0" />
+                : <div className="w-20 h-20 rounded-md flex-shrink-0" style={{ backgroundColor: preset.background || '#e5e7eb' }} />}
+            <div className="min-w-0 flex-grow text-sm">
+                <p className="font-bold text-gray-800">{preset.name}</p>
+                {preset.prompt && <p className="text-gray-600">{preset.prompt}</p>}
+                <dl className="text-xs text-gray-500 mt-1 space-y-0.5">
+                    {preset.background && (
+                        <div className="flex items-center gap-1">
+                            <dt>{t('preset.background')}</dt>
+                            <dd className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-full border border-gray-300" style={{ backgroundColor: preset.background }} />{preset.background}</dd>
+                        </div>
+                    )}
+                    {preset.lighting && <div><dt className="inline">{t('preset.lighting')} </dt><dd className="inline">{preset.lighting}</dd></div>}
+                    {preset.attire && <div><dt className="inline">{t('preset.attire')} </dt><dd className="inline">{preset.attire}</dd></div>}
+                </dl>
+                {children}
+            </div>
+        </div>
+    );
+};
+
+export default PresetCard;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { PRESET_LIMITS } from '../lib/presets';
+import { useI18n } from '../lib/i18n';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+// --- Preset Editor ---
+// Creates or edits one preset. `exampleImages` are thumbnail URLs from the
+// gallery that can be picked as the preset's example. `onSave(preset)`
+// resolves with whether it was saved.
+const PresetEditor = ({ initial = {}, exampleImages = [], onSave, onCancel }) => {
+    const { t } = useI18n();
+    const [preset, setPreset] = useState({
+        name: initial.name || '',
+        prompt: initial.prompt || '',
+        background: initial.background || '',
+        lighting: initial.lighting || '',
+        attire: initial.attire || '',
+        thumbnailUrl: initial.thumbnailUrl || null
+    });
+    const [isSaving, setIsSaving] = useState(false);
+
+    const set = (field) => (e) => setPreset((current) => ({ ...current, [field]: e.target.value }));
+
+    const submit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const saved = await onSave(preset);
+        setIsSaving(false);
+        if (saved) onCancel();
+    };
+
+    return (
+        <form onSubmit={submit} className="space-y-3">
+            <input value={preset.name} onChange={set('name')} maxLength={PRESET_LIMITS.name} placeholder={t('preset.namePlaceholder')} className={inputClass} />
+            <textarea value={preset.prompt} onChange={set('prompt')} maxLength={PRESET_LIMITS.prompt} rows="3" placeholder={t('preset.promptPlaceholder')} className={inputClass} />
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input value={preset.lighting} onChange={set('lighting')} maxLength={PRESET_LIMITS.lighting} placeholder={t('preset.lightingPlaceholder')} className={inputClass} />
+                <input value={preset.attire} onChange={set('attire')} maxLength={PRESET_LIMITS.attire} placeholder={t('preset.attirePlaceholder')} className={inputClass} />
+            </div>
+            <div className="flex items-center gap-3 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={!!preset.background} onChange={(e) => setPreset((current) => ({ ...current, background: e.target.checked ? '#6b7280' : '' }))} />
+                    {t('preset.backgroundColor')}
+                </label>
+                {preset.background && <input type="color" value={preset.background} onChange={set('background')} aria-label={t('preset.backgroundColor')} />}
+            </div>
+            {exampleImages.length > 0 && (
+                <div>
+                    <p className="text-sm text-gray-700 mb-1">{t('preset.exampleImage')}</p>
+                    <div className="flex flex-wrap gap-2">
+                        {exampleImages.map((url) => (
+                            <button
+                                type="button"
+                                key={url}
+                                onClick={() => setPreset((current) => ({ ...current, thumbnailUrl: current.thumbnailUrl === url ? null : url }))}
+                                className={`rounded-md border-2 ${preset.thumbnailUrl === url ? 'border-indigo-600' : 'border-transparent'}`}>
+                                <img src={url} alt="" className="w-12 h-12 object-cover rounded" />
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+            <div className="flex gap-2">
+                <button type="submit" disabled={isSaving || !preset.name.trim()} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-300 text-sm">
+                    {isSaving ? t('preset.saving') : t('preset.save')}
+                </button>
+                <button type="button" onClick={onCancel} className="text-gray-500 hover:text-gray-700 text-sm">{t('common.cancel')}</button>
+            </div>
+        </form>
+    );
+};
+
+export default PresetEditor;
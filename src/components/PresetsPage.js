@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import PresetCard from './PresetCard';
+import PresetEditor from './PresetEditor';
+import ErrorAlert from './ErrorAlert';
+import { savePreset, deletePreset, sharePreset, stopSharingPreset } from '../lib/presets';
+import { useI18n } from '../lib/i18n';
+
+// --- Presets Page ---
+// The user's preset library. Other pages open the editor with a draft by
+// navigating here with `state: { draft }`.
+const PresetsPage = ({ header, user, presets, exampleImages }) => {
+    const { t } = useI18n();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const draft = location.state?.draft;
+    // { id, initial } while editing; no id for a new preset.
+    const [editing, setEditing] = useState(draft ? { id: null, initial: draft } : null);
+    const [error, setError] = useState('');
+    const [copiedId, setCopiedId] = useState(null);
+
+    const closeEditor = () => {
+        setEditing(null);
+        if (draft) navigate(location.pathname, { replace: true, state: null });
+    };
+
+    const handleSave = async (preset) => {
+        setError('');
+        try {
+            await savePreset(user.uid, preset, editing.id);
+            return true;
+        } catch (err) {
+            setError(err);
+            return false;
+        }
+    };
+
+    const run = (task) => {
+        setError('');
+        return task().catch(setError);
+    };
+
+    const handleShare = (preset) => run(async () => {
+        if (preset.thumbnailUrl && !window.confirm(t('presets.confirmShareExample'))) return;
+        const link = await sharePreset(preset.id);
+        await navigator.clipboard.writeText(link);
+        setCopiedId(preset.id);
+    });
+
+    const handleDelete = (preset) => {
+        if (window.confirm(t('presets.confirmDelete', { name: preset.name }))) {
+            run(() => deletePreset(preset.id));
+        }
+    };
+
+    return (
+        <div className="w-full min-h-screen bg-gray-100">
+            {header}
+            <main className="container mx-auto px-6 py-8 max-w-3xl space-y-6">
+                <ErrorAlert error={error} />
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <div className="flex justify-between items-center mb-2">
+                        <h2 className="text-2xl font-bold text-gray-800">{t('presets.title')}</h2>
+                        {!editing && (
+                            <button onClick={() => setEditing({ id: null, initial: {} })} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors text-sm">
+                                {t('presets.new')}
+                            </button>
+                        )}
+                    </div>
+                    <p className="text-gray-600 text-sm mb-4">{t('presets.intro')}</p>
+                    {editing && (
+                        <div className="border border-indigo-200 rounded-lg p-4 mb-4">
+                            <PresetEditor key={editing.id || 'new'} initial={editing.initial} exampleImages={editing.initial.shared ? [] : exampleImages} onSave={handleSave} onCancel={closeEditor} />
+                        </div>
+                    )}
+                    {presets.length === 0 && !editing && <p className="text-sm text-gray-500">{t('presets.empty')}</p>}
+                    <div className="space-y-3">
+                        {presets.map((preset) => (
+                            <PresetCard key={preset.id} preset={preset}>
+                                <div className="flex flex-wrap gap-3 mt-2 text-sm">
+                                    <button onClick={() => setEditing({ id: preset.id, initial: preset.shared ? { ...preset, thumbnailUrl: null } : preset })} className="text-indigo-600 hover:text-indigo-800">{t('presets.edit')}</button>
+                                    <button onClick={() => handleShare(preset)} className="text-indigo-600 hover:text-indigo-800">
+                                        {copiedId === preset.id ? t('presets.linkCopied') : preset.shared ? t('presets.copyLink') : t('presets.share')}
+                                    </button>
+                                    {preset.shared && (
+                                        <button onClick={() => run(() => stopSharingPreset(preset.id))} className="text-gray-500 hover:text-gray-700">{t('presets.stopSharing')}</button>
+                                    )}
+                                    <button onClick={() => handleDelete(preset)} className="text-red-600 hover:text-red-800">{t('common.delete')}</button>
+                                </div>
+                            </PresetCard>
+                        ))}
+                    </div>
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default PresetsPage;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { ROUTES, rememberReturnTo } from '../lib/routes';
+
+// Sends signed-out visitors to sign-in, remembering the page they asked for.
+const RequireAuth = ({ user, children }) => {
+    const location = useLocation();
+    if (!user) {
+        rememberReturnTo(`${location.pathname}${location.search}`);
+        return <Navigate to={ROUTES.SIGN_IN} replace />;
+    }
+    return children;
+};
+
+export default RequireAuth;
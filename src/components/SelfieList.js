@@ -0,0 +1,40 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+const BADGE_COLORS = {
+    ok: 'bg-green-600',
+    warning: 'bg-yellow-500',
+    rejected: 'bg-red-600'
+};
+
+const MESSAGE_COLORS = {
+    warning: 'text-yellow-700',
+    rejected: 'text-red-600'
+};
+
+// --- Selfie List ---
+// Prepared selfies with the result of their checks, shown before anything is
+// uploaded or charged. Rejected photos are left out of the run.
+const SelfieList = ({ selfies, onRemove }) => {
+    const { t, messageOf } = useI18n();
+    return (
+        <ul className="mt-4 grid grid-cols-3 gap-2">
+            {selfies.map((selfie) => (
+                <li key={selfie.id} className="relative text-xs">
+                    {selfie.previewUrl
+                        ? <img src={selfie.previewUrl} alt={selfie.name} className={`w-full h-24 object-cover rounded-md ${selfie.status === 'rejected' ? 'opacity-40' : ''}`}/>
+                        : <div className="w-full h-24 bg-gray-100 rounded-md flex items-center justify-center text-gray-400 p-1 break-all">{selfie.name}</div>}
+                    <span className={`absolute top-1 left-1 text-white rounded px-1 ${BADGE_COLORS[selfie.status]}`}>
+                        {t(`selfie.status.${selfie.status}`)}
+                    </span>
+                    <button onClick={() => onRemove(selfie.id)} className="absolute top-0 right-1 text-white text-lg font-bold drop-shadow" aria-label={t('selfie.remove', { name: selfie.name })}>&times;</button>
+                    {selfie.issues.map((issue) => (
+                        <p key={issue.message} className={`mt-1 ${MESSAGE_COLORS[issue.level]}`}>{messageOf(issue)}</p>
+                    ))}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default SelfieList;
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import PresetCard from './PresetCard';
+import ErrorAlert from './ErrorAlert';
+import { getSharedPreset, copyPreset } from '../lib/presets';
+import { ROUTES } from '../lib/routes';
+import { useI18n } from '../lib/i18n';
+
+// --- Shared Preset ---
+// Where a preset's share link leads: a preview and a button that copies it
+// into the visitor's own library.
+const SharedPresetPage = ({ header, user }) => {
+    const { t } = useI18n();
+    const { presetId } = useParams();
+    const navigate = useNavigate();
+    const [preset, setPreset] = useState(undefined); // undefined while loading, null if unavailable
+    const [isCopying, setIsCopying] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        getSharedPreset(presetId).then((shared) => !cancelled && setPreset(shared));
+        return () => { cancelled = true; };
+    }, [presetId]);
+
+    const handleCopy = async () => {
+        setIsCopying(true);
+        setError('');
+        try {
+            await copyPreset(user.uid, preset);
+            navigate(ROUTES.PRESETS);
+        } catch (err) {
+            setError(err);
+            setIsCopying(false);
+        }
+    };
+
+    return (
+        <div className="w-full min-h-screen bg-gray-100">
+            {header}
+            <main className="container mx-auto px-6 py-8 max-w-xl">
+                <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+                    {preset === undefined && <p className="text-gray-500">{t('common.loading')}</p>}
+                    {preset === null && <p className="text-gray-600">{t('sharedPreset.missing')}</p>}
+                    {preset && (
+                        <>
+                            <h2 className="text-2xl font-bold text-gray-800">{t('sharedPreset.title')}</h2>
+                            <PresetCard preset={preset} />
+                            <ErrorAlert error={error} />
+                            {preset.ownerUid === user.uid
+                                ? <p className="text-sm text-gray-600">{t('sharedPreset.own')}</p>
+                                : (
+                                    <button onClick={handleCopy} disabled={isCopying} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-indigo-300">
+                                        {isCopying ? t('sharedPreset.adding') : t('sharedPreset.add')}
+                                    </button>
+                                )}
+                        </>
+                    )}
+                    <Link to={ROUTES.DASHBOARD} className="block text-sm text-indigo-600 hover:text-indigo-800">{t('sharedPreset.toDashboard')}</Link>
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default SharedPresetPage;
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { SIGN_IN_PROVIDERS } from '../lib/auth';
+import { useI18n } from '../lib/i18n';
+
+// --- Sign-in Options ---
+// Provider chooser: one button per OAuth provider and an email magic link.
+const SignInOptions = ({ onSignIn, onSendLink, linkSentTo, error, disabled }) => {
+    const { t } = useI18n();
+    const [email, setEmail] = useState('');
+
+    if (linkSentTo) {
+        return (
+            <div className="text-center" role="status">
+                <p className="font-semibold">{t('signIn.checkInbox')}</p>
+                <p className="text-gray-400 mt-2">{t('signIn.linkSent', { email: linkSentTo })}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-3">
+            {error && <p className="text-red-400 text-sm" role="alert">{error}</p>}
+            {SIGN_IN_PROVIDERS.map((provider) => (
+                <button
+                    key={provider.id}
+                    onClick={() => onSignIn(provider.id)}
+                    disabled={disabled}
+                    className="w-full bg-white hover:bg-gray-100 text-gray-900 font-bold py-3 px-4 rounded-lg transition-colors disabled:opacity-60">
+                    {t('signIn.continueWith', { provider: provider.name })}
+                </button>
+            ))}
+            <div className="flex items-center text-gray-500 text-sm">
+                <span className="flex-grow border-t border-gray-600" />
+                <span className="px-3">{t('signIn.or')}</span>
+                <span className="flex-grow border-t border-gray-600" />
+            </div>
+            <form
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    onSendLink(email.trim());
+                }}
+                className="space-y-3">
+                <input
+                    type="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder={t('signIn.emailPlaceholder')}
+                    aria-label={t('signIn.emailLabel')}
+                    className="w-full p-3 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400"
+                />
+                <button type="submit" disabled={disabled} className="w-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3 px-4 rounded-lg transition-colors disabled:bg-indigo-400">
+                    {t('signIn.sendLink')}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default SignInOptions;
@@ -0,0 +1,126 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { MAX_STYLES, MAX_VARIANTS, STYLE_PRESETS } from '../lib/styles';
+import { styleFromPreset } from '../lib/presets';
+import { ROUTES } from '../lib/routes';
+import { useI18n } from '../lib/i18n';
+
+// --- Style Selector ---
+// Step 2 of the dashboard: pick built-in styles, saved presets, suggestions or
+// custom descriptions, and how many variants of each to generate.
+const StyleSelector = ({
+    presets = [],
+    onSavePreset,
+    selectedStyles,
+    onChangeStyles,
+    customPrompt,
+    onChangeCustomPrompt,
+    variants,
+    onChangeVariants
+}) => {
+    const { t } = useI18n();
+    const builtInStyles = STYLE_PRESETS.map(({ id, prompt }) => ({ name: t(`styles.builtIn.${id}`), prompt }));
+    const isSelected = (style) => selectedStyles.some((s) => s.prompt === style.prompt);
+    const isFull = selectedStyles.length >= MAX_STYLES;
+
+    const toggle = (style) => onChangeStyles(isSelected(style)
+        ? selectedStyles.filter((s) => s.prompt !== style.prompt)
+        : [...selectedStyles, style]);
+
+    const addCustom = () => {
+        const prompt = customPrompt.trim();
+        if (!prompt || isFull || isSelected({ prompt })) return;
+        const customCount = selectedStyles.filter((s) => s.name.startsWith(t('styles.custom'))).length;
+        onChangeStyles([...selectedStyles, { name: t('styles.customNumbered', { number: customCount + 1 }), prompt }]);
+        onChangeCustomPrompt('');
+    };
+
+    const chipClass = (style) => `text-sm py-1 px-3 rounded-full border transition-colors disabled:opacity-50 ${isSelected(style) ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:border-indigo-400'}`;
+
+    return (
+        <div className="space-y-3">
+            <div>
+                <div className="flex justify-between items-center mb-1">
+                    <p className="text-xs font-semibold text-gray-500 uppercase">{t('styles.yourPresets')}</p>
+                    <Link to={ROUTES.PRESETS} className="text-xs text-indigo-600 hover:text-indigo-800">{t('styles.managePresets')}</Link>
+                </div>
+                {presets.length === 0
+                    ? <p className="text-xs text-gray-500">{t('styles.noPresets')}</p>
+                    : (
+                        <div className="flex flex-wrap gap-2">
+                            {presets.map((preset) => {
+                                const style = styleFromPreset(preset);
+                                return (
+                                    <button
+                                        key={preset.id}
+                                        onClick={() => toggle(style)}
+                                        disabled={!isSelected(style) && isFull}
+                                        title={style.prompt}
+                                        className={`${chipClass(style)} flex items-center gap-1`}>
+                                        {preset.thumbnailUrl && <img src={preset.thumbnailUrl} alt="" className="w-5 h-5 rounded-full object-cover" />}
+                                        {preset.name}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    )}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+                {builtInStyles.map((preset) => (
+                    <button
+                        key={preset.prompt}
+                        onClick={() => toggle(preset)}
+                        disabled={!isSelected(preset) && isFull}
+                        title={preset.prompt}
+                        className={chipClass(preset)}>
+                        {preset.name}
+                    </button>
+                ))}
+            </div>
+
+            <textarea
+                value={customPrompt}
+                onChange={(e) => onChangeCustomPrompt(e.target.value)}
+                placeholder={t('styles.customPlaceholder')}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                rows="3"
+            />
+            <div className="flex gap-4">
+                <button onClick={addCustom} disabled={!customPrompt.trim() || isFull} className="text-sm text-indigo-600 hover:text-indigo-800 disabled:text-gray-400">
+                    {t('styles.addCustom')}
+                </button>
+                {onSavePreset && (
+                    <button onClick={() => onSavePreset({ prompt: customPrompt.trim() })} disabled={!customPrompt.trim()} className="text-sm text-indigo-600 hover:text-indigo-800 disabled:text-gray-400">
+                        {t('dashboard.savePreset')}
+                    </button>
+                )}
+            </div>
+
+            {selectedStyles.length > 0 && (
+                <ul className="space-y-1">
+                    {selectedStyles.map((style) => (
+                        <li key={style.prompt} className="flex justify-between items-start bg-indigo-50 rounded-md p-2 text-sm">
+                            <div>
+                                <p className="font-bold text-indigo-800">{style.name}</p>
+                                <p className="text-indigo-600">{style.prompt}</p>
+                            </div>
+                            <button onClick={() => toggle(style)} className="text-indigo-400 hover:text-indigo-700 font-bold ml-2" aria-label={t('styles.remove', { name: style.name })}>&times;</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <label className="flex items-center justify-between text-sm text-gray-700">
+                <span>{t('styles.variants')}</span>
+                <select value={variants} onChange={(e) => onChangeVariants(Number(e.target.value))} className="border border-gray-300 rounded-md p-1">
+                    {Array.from({ length: MAX_VARIANTS }, (_, i) => i + 1).map((n) => (
+                        <option key={n} value={n}>{n}</option>
+                    ))}
+                </select>
+            </label>
+        </div>
+    );
+};
+
+export default StyleSelector;
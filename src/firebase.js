@@ -0,0 +1,43 @@
+import { initializeApp } from 'firebase/app';
+import {
+    getAuth,
+    setPersistence,
+    browserLocalPersistence,
+    connectAuthEmulator
+} from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { logger } from './lib/logger';
+
+// --- Firebase Configuration ---
+// NOTE FOR DEPLOYMENT: For a real production environment, these values should be
+// loaded from secure environment variables (like on Vercel) and not hardcoded in the source code.
+export const firebaseConfig = {
+    apiKey: process.env.REACT_APP_API,
+    authDomain: process.env.REACT_APP_AUTH_DOMAIN,
+    projectId: process.env.REACT_APP_PROJECT_ID,
+    storageBucket: process.env.REACT_APP_STORAGE_BUCKET,
+    messagingSenderId: process.env.REACT_APP_MESSAGING_SENDER_ID,
+    appId: process.env.REACT_APP_APP_ID,
+    measurementId: process.env.REACT_APP_MEASUREMENT_ID
+};
+
+// --- Firebase Initialization ---
+export const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+export const db = getFirestore(app);
+export const functions = getFunctions(app);
+export const storage = getStorage(app);
+
+// Local development against `firebase emulators:start` (ports from firebase.json)
+if (process.env.REACT_APP_USE_EMULATORS === 'true') {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectFunctionsEmulator(functions, '127.0.0.1', 5001);
+    connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
+
+// Set auth persistence to preserve login state
+setPersistence(auth, browserLocalPersistence)
+    .catch((error) => logger.error('Could not set auth persistence:', error));
@@ -0,0 +1,97 @@
+import { doc, getDoc, getDocs, collection, query, where, orderBy } from 'firebase/firestore';
+import { ref, listAll, getBlob } from 'firebase/storage';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions, storage } from '../firebase';
+import { normalizeImage, fetchImageBlob, imageExtension, slug } from './images';
+import { styleNameFor } from './styles';
+import { createZip } from './zip';
+
+// --- Account Data ---
+// Export builds a ZIP in the browser from everything the user can read.
+// Deletion is requested here and carried out by Cloud Functions
+// (functions/src/account.js).
+
+// Must match functions/src/account.js.
+export const DELETE_CONFIRMATION = 'DELETE';
+
+// Firestore Timestamps become ISO strings so the JSON files are readable. The
+// browser's copy of functions/src/serialize.js, which the app cannot import.
+const toPlain = (value) => {
+    if (value?.toDate) return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toPlain(inner)]));
+    }
+    return value;
+};
+
+const json = (data) => new TextEncoder().encode(JSON.stringify(toPlain(data), null, 2));
+const bytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+const listFiles = async (folder) => {
+    const { items, prefixes } = await listAll(folder);
+    const nested = await Promise.all(prefixes.map(listFiles));
+    return [...items, ...nested.flat()];
+};
+
+// Resolves with a ZIP Blob holding profile.json, credit-history.json,
+// generations.json (with the prompts), style-presets.json, bio-drafts.json,
+// selfies/ and headshots/.
+// `onProgress(done, total)` counts downloaded files.
+export const exportAccountData = async (user, onProgress = () => {}) => {
+    const [profile, ledger, generations, presets, bioDrafts, selfies] = await Promise.all([
+        getDoc(doc(db, 'profiles', user.uid)),
+        getDocs(query(collection(db, 'profiles', user.uid, 'ledger'), orderBy('createdAt', 'desc'))),
+        getDocs(query(collection(db, 'generations'), where('userId', '==', user.uid))),
+        getDocs(query(collection(db, 'stylePresets'), where('ownerUid', '==', user.uid))),
+        getDocs(query(collection(db, 'profiles', user.uid, 'bioDrafts'), orderBy('createdAt', 'desc'))),
+        listFiles(ref(storage, `users/${user.uid}/uploads`))
+    ]);
+
+    const headshots = generations.docs.flatMap((generation) => {
+        const data = generation.data();
+        return (data.images || []).map(normalizeImage).map((image, index) => ({
+            image,
+            name: `headshots/${generation.id}/${index + 1}-${slug(styleNameFor(data, image))}.${imageExtension(image.mimeType)}`
+        }));
+    });
+
+    const files = [
+        { name: 'profile.json', data: json({
+            uid: user.uid,
+            email: user.email,
+            signInMethods: user.providerData.map((provider) => provider.providerId),
+            createdAt: user.metadata.creationTime,
+            ...profile.data()
+        }) },
+        { name: 'credit-history.json', data: json(ledger.docs.map((entry) => ({ id: entry.id, ...entry.data() }))) },
+        { name: 'generations.json', data: json(generations.docs.map((generation) => {
+            const { images = [], ...data } = generation.data();
+            // Legacy images are data URLs; the files themselves are in headshots/.
+            return { id: generation.id, ...data, images: images.map(normalizeImage).map(({ url, thumbnailUrl, ...image }) => image) };
+        })) },
+        { name: 'style-presets.json', data: json(presets.docs.map((preset) => ({ id: preset.id, ...preset.data() }))) },
+        { name: 'bio-drafts.json', data: json(bioDrafts.docs.map((draft) => ({ id: draft.id, ...draft.data() }))) }
+    ];
+
+    const total = selfies.length + headshots.length;
+    let done = 0;
+    const progress = () => onProgress(++done, total);
+    // One download at a time keeps memory and bandwidth predictable.
+    for (const selfie of selfies) {
+        files.push({ name: selfie.fullPath.replace(`users/${user.uid}/uploads/`, 'selfies/'), data: await bytes(await getBlob(selfie)) });
+        progress();
+    }
+    for (const { image, name } of headshots) {
+        files.push({ name, data: await bytes(await fetchImageBlob(image)) });
+        progress();
+    }
+    return new Blob([createZip(files)], { type: 'application/zip' });
+};
+
+// Starts the server-side deletion. The Auth user is deleted first, which
+// signs this browser out.
+export const requestAccountDeletion = async (confirmation) => {
+    const { data } = await httpsCallable(functions, 'deleteAccount')({ confirmation });
+    return data.status;
+};
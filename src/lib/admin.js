@@ -0,0 +1,33 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase';
+
+// --- Admin ---
+// Callables behind the admin console (functions/src/admin.js). The server
+// checks the `admin` claim on every call; the claim check here only decides
+// whether to show the console.
+
+// Must match functions/src/admin.js.
+export const ADMIN_ACTIONS = {
+    GRANT: 'grant',
+    REFUND: 'refund'
+};
+
+const call = async (name, data) => (await httpsCallable(functions, name)(data)).data;
+
+export const isAdminUser = async (user) => {
+    const { claims } = await user.getIdTokenResult();
+    return claims.admin === true;
+};
+
+export const searchUsers = async (email) => (await call('adminSearchUsers', { email })).users;
+
+export const getUserDetails = (uid) => call('adminGetUser', { uid });
+
+// `requestId` makes a retried submission apply once; use a new one per change.
+export const adjustCredits = ({ uid, action, amount, reason, jobId, requestId }) =>
+    call('adminAdjustCredits', { uid, action, amount, reason, jobId: jobId || undefined, requestId });
+
+export const setSuspended = ({ uid, suspended, reason, requestId }) =>
+    call('adminSetSuspended', { uid, suspended, reason, requestId });
+
+export const listAuditLog = async () => (await call('adminAuditLog')).entries;
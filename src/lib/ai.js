@@ -0,0 +1,14 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase';
+
+// --- Model Calls ---
+// All model traffic goes through our Cloud Functions, which hold the API keys
+// and check the caller's ID token (see functions/src/models.js). Headshots are
+// generated by background jobs, see ./jobs.js.
+//
+// Prompts and selfies are moderated on the server (functions/src/moderation.js).
+
+export const generateText = async (prompt, json = false) => {
+    const { data } = await httpsCallable(functions, 'generateText')({ prompt, json });
+    return data.text;
+};
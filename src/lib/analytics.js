@@ -0,0 +1,159 @@
+import {
+    getAnalytics,
+    isSupported,
+    logEvent,
+    setAnalyticsCollectionEnabled,
+    setConsent
+} from 'firebase/analytics';
+import { app, firebaseConfig } from '../firebase';
+import { logger } from './logger';
+
+// --- Product Analytics ---
+// Funnel events (sign-in, upload, style, generate, purchase) and a few usage
+// events. Nothing is recorded until the user accepts analytics in the consent
+// banner, and events are dropped rather than queued while they have not.
+// Production builds with a measurement id send events to Google Analytics for
+// Firebase; development and tests keep them in a local debug log instead.
+
+// Every event and its parameters. A parameter is a type ('string' or
+// 'number') or the list of values it may take. All parameters are required
+// and anything else is refused, so no email, name or prompt slips in.
+export const EVENTS = {
+    sign_in: { method: ['google.com', 'microsoft.com', 'apple.com', 'emailLink'] },
+    selfies_uploaded: { files: 'number', rejected: 'number' },
+    style_suggestion_used: { position: 'number', offered: 'number' },
+    generation_started: { styles: 'number', variants: 'number', selfies: 'number', images: 'number', credits: 'number', pool: ['personal', 'organization'] },
+    generation_succeeded: { images: 'number', failed: 'number', latency_ms: 'number' },
+    generation_failed: { images: 'number', latency_ms: 'number' },
+    credits_purchased: { pack: 'string', credits: 'number', value: 'number', currency: 'string', pool: ['personal', 'organization'] },
+    headshots_downloaded: { count: 'number', source: ['single', 'zip'], format: 'string' },
+    bio_copied: { platform: ['linkedin', 'twitter', 'speaker', 'team'] }
+};
+
+export const CONSENT = {
+    GRANTED: 'granted',
+    DENIED: 'denied'
+};
+
+const CONSENT_KEY = 'analyticsConsent';
+
+export class AnalyticsEventError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnalyticsEventError';
+    }
+}
+
+const isValid = (type, value) => (Array.isArray(type)
+    ? type.includes(value)
+    : type === 'number' ? Number.isFinite(value) : typeof value === type);
+
+// Throws an AnalyticsEventError for unknown events and missing, extra or
+// mistyped parameters.
+export const validateEvent = (name, params = {}) => {
+    const schema = EVENTS[name];
+    if (!schema) {
+        throw new AnalyticsEventError(`Unknown analytics event "${name}".`);
+    }
+    const extra = Object.keys(params).find((key) => !(key in schema));
+    if (extra) {
+        throw new AnalyticsEventError(`"${name}" has no parameter "${extra}".`);
+    }
+    Object.entries(schema).forEach(([key, type]) => {
+        if (!isValid(type, params[key])) {
+            throw new AnalyticsEventError(`"${name}" needs ${key} to be ${Array.isArray(type) ? type.join(' | ') : `a ${type}`}.`);
+        }
+    });
+};
+
+// --- Sinks ---
+
+const DEBUG_LOG_SIZE = 100;
+let debugLog = [];
+
+const debugSink = {
+    log: (name, params) => {
+        debugLog = [...debugLog, { name, params }].slice(-DEBUG_LOG_SIZE);
+        logger.debug('[analytics]', name, params);
+    },
+    setEnabled: () => {}
+};
+
+// The most recent events the debug sink received, oldest first.
+export const debugEvents = () => debugLog;
+
+export const clearDebugEvents = () => {
+    debugLog = [];
+};
+
+// Google Analytics is only loaded once the user has agreed, since it sets its
+// cookies as soon as it starts.
+let analytics = null;
+const loadAnalytics = () => {
+    analytics = analytics || isSupported().then((supported) => supported && getAnalytics(app));
+    return analytics;
+};
+
+const firebaseSink = {
+    log: (name, params) => loadAnalytics().then((instance) => instance && logEvent(instance, name, params)),
+    setEnabled: async (enabled) => {
+        setConsent({ analytics_storage: enabled ? 'granted' : 'denied', ad_storage: 'denied', ad_user_data: 'denied', ad_personalization: 'denied' });
+        if (enabled || analytics) {
+            const instance = await loadAnalytics();
+            if (instance) setAnalyticsCollectionEnabled(instance, enabled);
+        }
+    }
+};
+
+const sink = process.env.NODE_ENV === 'production' && firebaseConfig.measurementId ? firebaseSink : debugSink;
+
+// --- Consent ---
+
+// 'granted', 'denied', or null while the user has not answered the banner.
+export const getAnalyticsConsent = () => {
+    const choice = localStorage.getItem(CONSENT_KEY);
+    return Object.values(CONSENT).includes(choice) ? choice : null;
+};
+
+const applyConsent = (enabled) => Promise.resolve(sink.setEnabled(enabled))
+    .catch((err) => logger.error('Could not update analytics consent:', err));
+
+export const setAnalyticsConsent = (choice) => {
+    localStorage.setItem(CONSENT_KEY, choice);
+    applyConsent(choice === CONSENT.GRANTED);
+};
+
+// Consent given on an earlier visit applies from the start.
+if (getAnalyticsConsent() === CONSENT.GRANTED) {
+    applyConsent(true);
+}
+
+// Records an event if the user has agreed. Invalid events are reported and
+// dropped; tracking never breaks the flow it observes.
+export const track = (name, params = {}) => {
+    if (getAnalyticsConsent() !== CONSENT.GRANTED) {
+        return;
+    }
+    try {
+        validateEvent(name, params);
+    } catch (err) {
+        logger.error(err);
+        return;
+    }
+    Promise.resolve(sink.log(name, params))
+        .catch((err) => logger.error(`Could not record ${name}:`, err));
+};
+
+// --- Helpers ---
+
+// The outcome event for a job this tab saw running and that has now settled.
+// Latency runs from queueing to settling, both stamped by the server.
+export const trackJobOutcome = (job) => {
+    const latency = Math.max(0, (job.finishedAt?.toMillis?.() || Date.now()) - (job.createdAt?.toMillis?.() || Date.now()));
+    const { total = 0, succeeded = 0, failed = 0 } = job.progress || {};
+    if (job.status === 'failed') {
+        track('generation_failed', { images: total, latency_ms: latency });
+    } else {
+        track('generation_succeeded', { images: succeeded, failed, latency_ms: latency });
+    }
+};
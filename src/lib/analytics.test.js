@@ -0,0 +1,52 @@
+import {
+    AnalyticsEventError,
+    CONSENT,
+    clearDebugEvents,
+    debugEvents,
+    setAnalyticsConsent,
+    track,
+    trackJobOutcome,
+    validateEvent
+} from './analytics';
+
+jest.mock('../firebase', () => ({ app: {}, firebaseConfig: {} }));
+jest.mock('firebase/analytics', () => ({}));
+
+const at = (millis) => ({ toMillis: () => millis });
+
+beforeEach(() => {
+    localStorage.clear();
+    clearDebugEvents();
+});
+
+test('refuses unknown events and missing, extra or mistyped parameters', () => {
+    expect(() => validateEvent('bio_copied', { platform: 'linkedin' })).not.toThrow();
+    expect(() => validateEvent('page_opened', {})).toThrow(AnalyticsEventError);
+    expect(() => validateEvent('headshots_downloaded', { count: 2, source: 'zip' })).toThrow(/format/);
+    expect(() => validateEvent('sign_in', { method: 'google.com', email: 'ada@example.com' })).toThrow(/email/);
+    expect(() => validateEvent('sign_in', { method: 'github.com' })).toThrow(/method/);
+    expect(() => validateEvent('selfies_uploaded', { files: '2', rejected: 0 })).toThrow(/files/);
+});
+
+test('records nothing until the user agrees', () => {
+    track('sign_in', { method: 'emailLink' });
+    setAnalyticsConsent(CONSENT.DENIED);
+    track('sign_in', { method: 'emailLink' });
+    expect(debugEvents()).toEqual([]);
+
+    setAnalyticsConsent(CONSENT.GRANTED);
+    track('sign_in', { method: 'emailLink' });
+    expect(debugEvents()).toEqual([{ name: 'sign_in', params: { method: 'emailLink' } }]);
+});
+
+test('reports a settled job with its latency', () => {
+    setAnalyticsConsent(CONSENT.GRANTED);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    trackJobOutcome({ status: 'partial', createdAt: at(1000), finishedAt: at(46000), progress: { total: 4, succeeded: 3, failed: 1 } });
+    trackJobOutcome({ status: 'failed', createdAt: at(1000), finishedAt: at(9000), progress: { total: 4, succeeded: 0, failed: 4 } });
+    expect(debugEvents()).toEqual([
+        { name: 'generation_succeeded', params: { images: 3, failed: 1, latency_ms: 45000 } },
+        { name: 'generation_failed', params: { images: 4, latency_ms: 8000 } }
+    ]);
+    expect(console.error).not.toHaveBeenCalled();
+});
@@ -0,0 +1,193 @@
+import {
+    GoogleAuthProvider,
+    OAuthProvider,
+    OAuthCredential,
+    signInWithPopup,
+    signInWithRedirect,
+    sendSignInLinkToEmail,
+    isSignInWithEmailLink,
+    signInWithEmailLink,
+    fetchSignInMethodsForEmail,
+    linkWithCredential
+} from 'firebase/auth';
+import { auth } from '../firebase';
+import { ROUTES } from './routes';
+import { DEFAULT_LOCALE, LocalizedError, translate } from './i18n';
+
+// --- Sign-in ---
+// Google, Microsoft and Apple OAuth plus passwordless email links. Firebase
+// keeps one account per email address, so signing in with a second provider
+// for a known email fails once; we keep that provider's credential and link it
+// after the user signs in the way they did before, keeping a single uid (and
+// with it one profile, one credit balance and one gallery).
+
+export const SIGN_IN_PROVIDERS = [
+    { id: 'google.com', name: 'Google' },
+    { id: 'microsoft.com', name: 'Microsoft' },
+    { id: 'apple.com', name: 'Apple' }
+];
+
+const PROVIDER_NAMES = Object.fromEntries(SIGN_IN_PROVIDERS.map(({ id, name }) => [id, name]));
+
+const methodName = (locale, method) => PROVIDER_NAMES[method]
+    || (['emailLink', 'password'].includes(method) ? translate(locale, `auth.method.${method}`) : method);
+
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+const PENDING_LINK_KEY = 'pendingAccountLink';
+const REDIRECT_PROVIDER_KEY = 'signInProvider';
+
+const createProvider = (providerId) => {
+    if (providerId === 'google.com') {
+        return new GoogleAuthProvider();
+    }
+    const provider = new OAuthProvider(providerId);
+    if (providerId === 'microsoft.com') {
+        provider.setCustomParameters({ prompt: 'select_account' });
+    }
+    if (providerId === 'apple.com') {
+        provider.addScope('email');
+        provider.addScope('name');
+    }
+    return provider;
+};
+
+// Popups are more reliable on localhost; redirects work better on phones.
+const prefersPopup = () => ['localhost', '127.0.0.1'].includes(window.location.hostname);
+
+// "ada@example.com already has an account (signed in with Google or an email
+// link)..." in the given language.
+const accountExistsMessage = (locale, { email, providerId, existingMethods }) => {
+    const params = {
+        email: email || translate(locale, 'auth.error.thisEmail'),
+        provider: methodName(locale, providerId),
+        methods: new Intl.ListFormat(locale, { type: 'disjunction' })
+            .format(existingMethods.map((method) => methodName(locale, method)))
+    };
+    return translate(locale, existingMethods.length ? 'auth.error.accountExistsWith' : 'auth.error.accountExists', params);
+};
+
+export class AccountExistsError extends Error {
+    constructor(email, providerId, existingMethods) {
+        super(accountExistsMessage(DEFAULT_LOCALE, { email, providerId, existingMethods }));
+        this.name = 'AccountExistsError';
+        this.email = email;
+        this.providerId = providerId;
+        this.existingMethods = existingMethods;
+    }
+}
+
+// Turns "account exists" failures into an AccountExistsError and remembers the
+// credential for linkPendingCredential. Other errors pass through.
+export const explainSignInError = async (err, providerId) => {
+    if (err.code !== 'auth/account-exists-with-different-credential') {
+        return err;
+    }
+    const email = err.customData?.email;
+    const credential = providerId === 'google.com'
+        ? GoogleAuthProvider.credentialFromError(err)
+        : OAuthProvider.credentialFromError(err);
+    if (credential && email) {
+        sessionStorage.setItem(PENDING_LINK_KEY, JSON.stringify({ email, providerId, credential: credential.toJSON() }));
+    }
+    // Empty when email enumeration protection is on; the message copes.
+    const methods = email ? await fetchSignInMethodsForEmail(auth, email).catch(() => []) : [];
+    return new AccountExistsError(email, providerId, methods);
+};
+
+// Resolves with the UserCredential for popups; redirects leave the page and
+// finish in getRedirectResult (see takeRedirectProvider).
+export const signInWithProvider = async (providerId) => {
+    const provider = createProvider(providerId);
+    try {
+        if (prefersPopup()) {
+            return await signInWithPopup(auth, provider);
+        }
+        sessionStorage.setItem(REDIRECT_PROVIDER_KEY, providerId);
+        return await signInWithRedirect(auth, provider);
+    } catch (err) {
+        throw await explainSignInError(err, providerId);
+    }
+};
+
+// The provider of the redirect sign-in that is being completed, if any.
+export const takeRedirectProvider = () => {
+    const providerId = sessionStorage.getItem(REDIRECT_PROVIDER_KEY);
+    sessionStorage.removeItem(REDIRECT_PROVIDER_KEY);
+    return providerId;
+};
+
+// Links a credential kept by explainSignInError to the account that just
+// signed in. Resolves with the linked provider id, or null.
+export const linkPendingCredential = async (user) => {
+    const pending = JSON.parse(sessionStorage.getItem(PENDING_LINK_KEY) || 'null');
+    sessionStorage.removeItem(PENDING_LINK_KEY);
+    if (!pending || pending.email.toLowerCase() !== user.email?.toLowerCase()) {
+        return null;
+    }
+    try {
+        await linkWithCredential(user, OAuthCredential.fromJSON(pending.credential));
+        return pending.providerId;
+    } catch (err) {
+        if (err.code === 'auth/provider-already-linked' || err.code === 'auth/credential-already-in-use') {
+            return null;
+        }
+        throw err;
+    }
+};
+
+// --- Email links ---
+
+export const sendEmailSignInLink = async (email) => {
+    await sendSignInLinkToEmail(auth, email, {
+        url: `${window.location.origin}${ROUTES.SIGN_IN}`,
+        handleCodeInApp: true
+    });
+    // The link may be opened in another tab; localStorage reaches it there.
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+// Emails someone else a sign-in link that opens `path`, e.g. an invitee.
+// Unlike sendEmailSignInLink it does not remember the address here: whoever
+// opens the link confirms their own.
+export const sendSignInLinkFor = (email, path) => sendSignInLinkToEmail(auth, email, {
+    url: `${window.location.origin}${path}`,
+    handleCodeInApp: true
+});
+
+export const isEmailSignInLink = (href) => isSignInWithEmailLink(auth, href);
+
+// Finishes sign-in from the link in `href`. When the link is opened on another
+// device we have to ask for the address again.
+export const completeEmailLinkSignIn = async (href, locale = DEFAULT_LOCALE) => {
+    const email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY)
+        || window.prompt(translate(locale, 'signIn.confirmEmail'));
+    if (!email) {
+        throw new LocalizedError('auth.error.emailNeeded');
+    }
+    const result = await signInWithEmailLink(auth, email, href);
+    localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    return result;
+};
+
+// What to show for a failed sign-in; empty when the user just closed the popup.
+export const signInErrorMessage = (err, locale = DEFAULT_LOCALE) => {
+    if (err instanceof AccountExistsError) return accountExistsMessage(locale, err);
+    if (err instanceof LocalizedError) return translate(locale, err.messageKey, err.messageParams);
+    switch (err.code) {
+        case 'auth/popup-closed-by-user':
+        case 'auth/cancelled-popup-request':
+        case 'auth/redirect-cancelled-by-user':
+            return '';
+        case 'auth/popup-blocked':
+            return translate(locale, 'auth.error.popupBlocked');
+        case 'auth/invalid-email':
+            return translate(locale, 'auth.error.invalidEmail');
+        case 'auth/invalid-action-code':
+        case 'auth/expired-action-code':
+            return translate(locale, 'auth.error.expiredLink');
+        case 'auth/operation-not-allowed':
+            return translate(locale, 'auth.error.notEnabled');
+        default:
+            return translate(locale, 'auth.error.generic');
+    }
+};
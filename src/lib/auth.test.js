@@ -0,0 +1,56 @@
+import { linkWithCredential, OAuthProvider, OAuthCredential, fetchSignInMethodsForEmail } from 'firebase/auth';
+import { explainSignInError, linkPendingCredential, signInErrorMessage, AccountExistsError } from './auth';
+
+jest.mock('../firebase', () => ({ auth: {} }));
+jest.mock('firebase/auth', () => ({
+    GoogleAuthProvider: { credentialFromError: jest.fn() },
+    OAuthProvider: { credentialFromError: jest.fn() },
+    OAuthCredential: { fromJSON: jest.fn() },
+    fetchSignInMethodsForEmail: jest.fn(),
+    linkWithCredential: jest.fn(),
+    signInWithPopup: jest.fn(),
+    signInWithRedirect: jest.fn(),
+    sendSignInLinkToEmail: jest.fn(),
+    isSignInWithEmailLink: jest.fn(),
+    signInWithEmailLink: jest.fn()
+}));
+
+const accountExists = {
+    code: 'auth/account-exists-with-different-credential',
+    customData: { email: 'ada@example.com' }
+};
+
+beforeEach(() => {
+    sessionStorage.clear();
+    OAuthProvider.credentialFromError.mockReturnValue({ toJSON: () => ({ providerId: 'microsoft.com', accessToken: 't' }) });
+    OAuthCredential.fromJSON.mockImplementation((json) => ({ restored: json }));
+    fetchSignInMethodsForEmail.mockResolvedValue(['google.com']);
+    linkWithCredential.mockResolvedValue({});
+});
+
+test('explains an existing account and links the new provider after the next sign-in', async () => {
+    const err = await explainSignInError(accountExists, 'microsoft.com');
+    expect(err).toBeInstanceOf(AccountExistsError);
+    expect(signInErrorMessage(err)).toMatch(/signed in with Google.*link your Microsoft account/);
+    expect(OAuthProvider.credentialFromError).toHaveBeenCalledWith(accountExists);
+
+    await expect(linkPendingCredential({ email: 'Ada@example.com' })).resolves.toBe('microsoft.com');
+    expect(linkWithCredential).toHaveBeenCalledWith(
+        { email: 'Ada@example.com' },
+        { restored: { providerId: 'microsoft.com', accessToken: 't' } }
+    );
+    await expect(linkPendingCredential({ email: 'Ada@example.com' })).resolves.toBeNull();
+});
+
+test('never links a credential to an account with a different email', async () => {
+    await explainSignInError(accountExists, 'microsoft.com');
+    await expect(linkPendingCredential({ email: 'someone@example.com' })).resolves.toBeNull();
+    expect(linkWithCredential).not.toHaveBeenCalled();
+});
+
+test('passes other errors through and stays quiet when the popup is closed', async () => {
+    const closed = { code: 'auth/popup-closed-by-user' };
+    expect(await explainSignInError(closed, 'google.com')).toBe(closed);
+    expect(signInErrorMessage(closed)).toBe('');
+    expect(signInErrorMessage({ code: 'auth/expired-action-code' })).toMatch(/expired/);
+});
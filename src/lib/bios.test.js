@@ -0,0 +1,50 @@
+import { buildBioPrompt, parseBioVariants, diffWords, BIO_VARIANTS } from './bios';
+
+jest.mock('../firebase', () => ({ db: {}, functions: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('firebase/functions', () => ({}));
+
+const inputs = {
+    name: 'Ada Lovelace',
+    role: 'Head of Engineering',
+    industry: '',
+    years: '12',
+    achievements: 'Led the analytical engine rollout',
+    audience: 'Recruiters'
+};
+
+test('puts what we know about the person into the prompt', () => {
+    const prompt = buildBioPrompt(inputs, { platform: 'speaker', tone: 'bold', length: 'short', stylePrompt: 'B&W cinematic' });
+    expect(prompt).toMatch(`Write ${BIO_VARIANTS} different versions`);
+    expect(prompt).toMatch('third person. Tone: bold and confident. Length: 2 to 3 sentences');
+    expect(prompt).toMatch('Role: Head of Engineering\nYears of experience: 12');
+    expect(prompt).not.toMatch('Industry');
+    expect(prompt).toMatch('B&W cinematic');
+    expect(prompt).not.toMatch('Write the bios in');
+    expect(buildBioPrompt(inputs, { platform: 'speaker', tone: 'bold', length: 'short', language: 'German' }))
+        .toMatch('Write the bios in German.');
+});
+
+test('keeps X/Twitter bios to the character limit instead of a sentence count', () => {
+    const prompt = buildBioPrompt(inputs, { platform: 'twitter', tone: 'friendly', length: 'long' });
+    expect(prompt).toMatch('Length: at most 160 characters.');
+    expect(prompt).not.toMatch('sentences');
+});
+
+test('parses the variants and rejects anything but a list', () => {
+    expect(parseBioVariants('[" One ", "", 3, "Two"]')).toEqual(['One', 'Two']);
+    expect(() => parseBioVariants('{"bio": "x"}')).toThrow();
+});
+
+test('diffs drafts word by word', () => {
+    expect(diffWords('I build reliable systems', 'I build fast, reliable systems')).toEqual([
+        { type: 'same', text: 'I build ' },
+        { type: 'added', text: 'fast, ' },
+        { type: 'same', text: 'reliable systems' }
+    ]);
+    expect(diffWords('old text', 'new text')).toEqual([
+        { type: 'removed', text: 'old' },
+        { type: 'added', text: 'new' },
+        { type: 'same', text: ' text' }
+    ]);
+});
@@ -0,0 +1,29 @@
+import {
+    collection,
+    query,
+    orderBy,
+    limit,
+    onSnapshot
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+// --- Credit Ledger ---
+// Every change to a balance is an immutable entry in profiles/{uid}/ledger,
+// written by Cloud Functions in a transaction (functions/src/ledger.js). The
+// entry id is the idempotency key, so a purchase, debit or refund can never be
+// applied twice. The browser only reads the ledger.
+
+export const GENERATION_COST = 50;
+export const CREDIT_PACK_SIZE = 50;
+
+const ledgerRef = (uid) => collection(db, 'profiles', uid, 'ledger');
+
+// Streams the most recent ledger entries, newest first.
+export const subscribeToLedger = (uid, onChange, max = 20) =>
+    onSnapshot(
+        query(ledgerRef(uid), orderBy('createdAt', 'desc'), limit(max)),
+        (snapshot) => onChange(snapshot.docs.map((entry) => ({
+            id: entry.id,
+            ...entry.data({ serverTimestamps: 'estimate' })
+        })))
+    );
@@ -0,0 +1,83 @@
+import { DEFAULT_LOCALE, translate } from './i18n';
+
+// --- Error Codes ---
+// Failures the user can act on get a code, and the alert says what to do
+// about them. Everything else is 'unknown' and keeps the message of the action
+// that failed, or the server's own message.
+
+export const ERROR_CODES = {
+    QUOTA_EXCEEDED: 'quota-exceeded',
+    SAFETY_BLOCKED: 'safety-blocked',
+    NETWORK: 'network',
+    AUTH_EXPIRED: 'auth-expired',
+    INSUFFICIENT_CREDITS: 'insufficient-credits',
+    UNKNOWN: 'unknown'
+};
+
+// Firebase codes without their service prefix ('functions/unavailable' and
+// Firestore's bare 'unavailable' both become 'unavailable').
+const FIREBASE_CODES = {
+    'resource-exhausted': ERROR_CODES.QUOTA_EXCEEDED,
+    'quota-exceeded': ERROR_CODES.QUOTA_EXCEEDED,
+    'too-many-requests': ERROR_CODES.QUOTA_EXCEEDED,
+    unavailable: ERROR_CODES.NETWORK,
+    'deadline-exceeded': ERROR_CODES.NETWORK,
+    'network-request-failed': ERROR_CODES.NETWORK,
+    'retry-limit-exceeded': ERROR_CODES.NETWORK,
+    unauthenticated: ERROR_CODES.AUTH_EXPIRED,
+    'user-token-expired': ERROR_CODES.AUTH_EXPIRED,
+    'invalid-user-token': ERROR_CODES.AUTH_EXPIRED,
+    'requires-recent-login': ERROR_CODES.AUTH_EXPIRED
+};
+
+// The code for anything thrown by Firebase, our callables or the browser.
+export const errorCode = (err) => {
+    if (err instanceof AppError) return err.code;
+    if (err?.details?.code === ERROR_CODES.INSUFFICIENT_CREDITS) return ERROR_CODES.INSUFFICIENT_CREDITS;
+    if (err?.details?.blocked || err?.details?.rejections) return ERROR_CODES.SAFETY_BLOCKED;
+    const code = FIREBASE_CODES[String(err?.code || '').split('/').pop()];
+    if (code) return code;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return ERROR_CODES.NETWORK;
+    return ERROR_CODES.UNKNOWN;
+};
+
+// A failure ready to show. Like LocalizedError it carries a catalog key for
+// the UI and an English message for logs; without a key, `message` is shown
+// as it is.
+export class AppError extends Error {
+    constructor(code, { messageKey = null, messageParams = {}, message, cause } = {}) {
+        super(messageKey ? translate(DEFAULT_LOCALE, messageKey, messageParams) : message);
+        this.name = 'AppError';
+        this.code = code;
+        this.messageKey = messageKey;
+        this.messageParams = messageParams;
+        this.cause = cause;
+    }
+}
+
+// Classifies a caught error. Known codes get their own message (a safety
+// block with the server's reason). Otherwise the error's own key is kept, then
+// `fallbackKey` is used with the error's text as {message}, and failing both,
+// the error's text itself.
+export const toAppError = (err, fallbackKey = null, fallbackParams = {}) => {
+    if (err instanceof AppError) return err;
+    const code = errorCode(err);
+    if (code !== ERROR_CODES.UNKNOWN) {
+        return new AppError(code, {
+            messageKey: `error.code.${code}`,
+            messageParams: code === ERROR_CODES.SAFETY_BLOCKED ? { reason: err.message } : {},
+            cause: err
+        });
+    }
+    if (err?.messageKey) {
+        return new AppError(code, { messageKey: err.messageKey, messageParams: err.messageParams, cause: err });
+    }
+    if (fallbackKey || !err?.message) {
+        return new AppError(code, {
+            messageKey: fallbackKey || 'common.error',
+            messageParams: { message: err?.message || '', ...fallbackParams },
+            cause: err
+        });
+    }
+    return new AppError(code, { message: err.message, cause: err });
+};
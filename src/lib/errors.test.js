@@ -0,0 +1,28 @@
+import { AppError, ERROR_CODES, errorCode, toAppError } from './errors';
+import { LocalizedError } from './i18n';
+
+test('classifies Firebase, callable and browser failures', () => {
+    expect(errorCode({ code: 'functions/resource-exhausted' })).toBe(ERROR_CODES.QUOTA_EXCEEDED);
+    expect(errorCode({ code: 'unavailable' })).toBe(ERROR_CODES.NETWORK);
+    expect(errorCode({ code: 'auth/user-token-expired' })).toBe(ERROR_CODES.AUTH_EXPIRED);
+    expect(errorCode({ code: 'functions/failed-precondition', details: { code: 'insufficient-credits' } })).toBe(ERROR_CODES.INSUFFICIENT_CREDITS);
+    expect(errorCode({ code: 'functions/invalid-argument', details: { rejections: [] } })).toBe(ERROR_CODES.SAFETY_BLOCKED);
+    expect(errorCode(new Error('Boom'))).toBe(ERROR_CODES.UNKNOWN);
+});
+
+test('gives known failures their own message', () => {
+    const blocked = toAppError({ code: 'functions/failed-precondition', message: 'Not allowed.', details: { blocked: true } }, 'error.startGeneration');
+    expect(blocked).toMatchObject({ code: ERROR_CODES.SAFETY_BLOCKED, messageKey: 'error.code.safety-blocked', messageParams: { reason: 'Not allowed.' } });
+    expect(blocked.message).toBe('This request was blocked by our content rules: Not allowed.');
+
+    const credits = new AppError(ERROR_CODES.INSUFFICIENT_CREDITS, { messageKey: 'error.credits', messageParams: { credits: 8 } });
+    expect(toAppError(credits)).toBe(credits);
+});
+
+test('falls back to the error key, the action key and then the message', () => {
+    const localized = new LocalizedError('auth.error.emailNeeded');
+    expect(toAppError(localized, 'error.delete').messageKey).toBe('auth.error.emailNeeded');
+    expect(toAppError(new Error('Boom'), 'error.delete')).toMatchObject({ messageKey: 'error.delete', message: 'Could not delete: Boom' });
+    expect(toAppError(new Error('Boom'))).toMatchObject({ code: ERROR_CODES.UNKNOWN, messageKey: null, message: 'Boom' });
+    expect(toAppError(null).messageKey).toBe('common.error');
+});
@@ -0,0 +1,160 @@
+import { fetchImageBlob } from './images';
+import { crc32, createZip } from './zip';
+
+// --- Export ---
+// Crops and re-encodes headshots for the places people use them, in the
+// browser, and bundles the results into one ZIP.
+
+export const EXPORT_PROFILES = [
+    { id: 'linkedin', name: 'LinkedIn', description: '400×400', width: 400, height: 400 },
+    { id: 'slack', name: 'Slack avatar', description: '512×512', width: 512, height: 512 },
+    { id: 'square-1024', name: 'Square', description: '1024×1024', width: 1024, height: 1024 },
+    { id: 'transparent', name: 'Transparent background', description: '1024×1024 PNG', width: 1024, height: 1024, transparent: true },
+    { id: 'print', name: 'Print', description: '4×5 in at 300 DPI', width: 1200, height: 1500, dpi: 300 }
+];
+
+export const EXPORT_FORMATS = {
+    jpeg: { name: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+    png: { name: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false },
+    webp: { name: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true }
+};
+
+export const DEFAULT_EXPORT_OPTIONS = { profiles: ['linkedin'], format: 'jpeg', quality: 0.9 };
+
+// JPEG has no alpha channel, so transparent exports fall back to PNG.
+export const formatFor = (profile, format) =>
+    profile.transparent && format === 'jpeg' ? 'png' : format;
+
+// The largest region of the source with the target's aspect ratio, centred
+// horizontally and kept towards the top so heads are not cut off.
+export const cropRect = (sourceWidth, sourceHeight, targetWidth, targetHeight) => {
+    const aspect = targetWidth / targetHeight;
+    const width = Math.min(sourceWidth, sourceHeight * aspect);
+    const height = width / aspect;
+    return {
+        x: (sourceWidth - width) / 2,
+        y: (sourceHeight - height) / 3,
+        width,
+        height
+    };
+};
+
+// Clears the backdrop by flood-filling from the image border over pixels close
+// to the average corner colour. Headshots are shot on plain backdrops, which
+// is what makes this good enough. Mutates and returns `imageData`.
+export const removeBackground = (imageData, tolerance = 40) => {
+    const { data, width, height } = imageData;
+    const corners = [0, width - 1, (height - 1) * width, height * width - 1];
+    const [r, g, b] = [0, 1, 2].map((channel) =>
+        corners.reduce((sum, pixel) => sum + data[pixel * 4 + channel], 0) / corners.length);
+    const isBackdrop = (pixel) => {
+        const i = pixel * 4;
+        return Math.abs(data[i] - r) + Math.abs(data[i + 1] - g) + Math.abs(data[i + 2] - b) <= tolerance * 3;
+    };
+
+    const visited = new Uint8Array(width * height);
+    const stack = [];
+    for (let x = 0; x < width; x++) stack.push(x, (height - 1) * width + x);
+    for (let y = 0; y < height; y++) stack.push(y * width, y * width + width - 1);
+
+    while (stack.length > 0) {
+        const pixel = stack.pop();
+        if (visited[pixel] || !isBackdrop(pixel)) continue;
+        visited[pixel] = 1;
+        data[pixel * 4 + 3] = 0;
+        const x = pixel % width;
+        if (x > 0) stack.push(pixel - 1);
+        if (x < width - 1) stack.push(pixel + 1);
+        if (pixel >= width) stack.push(pixel - width);
+        if (pixel < (height - 1) * width) stack.push(pixel + width);
+    }
+    return imageData;
+};
+
+const concat = (...parts) => {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+};
+
+// Records the print resolution so layout tools size the image correctly:
+// the JFIF density for JPEG, a pHYs chunk for PNG. Other formats pass through.
+export const setResolution = (bytes, mimeType, dpi) => {
+    if (mimeType === 'image/jpeg') {
+        const hasJfif = bytes[2] === 0xff && bytes[3] === 0xe0 && String.fromCharCode(...bytes.slice(6, 10)) === 'JFIF';
+        const out = hasJfif
+            ? bytes.slice()
+            : concat(bytes.slice(0, 2), Uint8Array.from([0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0]), bytes.slice(2));
+        const view = new DataView(out.buffer);
+        out[13] = 1; // dots per inch
+        view.setUint16(14, dpi);
+        view.setUint16(16, dpi);
+        return out;
+    }
+    if (mimeType === 'image/png') {
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, pixelsPerMetre);
+        view.setUint32(12, pixelsPerMetre);
+        chunk[16] = 1; // metres
+        view.setUint32(17, crc32(chunk.subarray(4, 17)));
+        // The signature and IHDR chunk always take the first 33 bytes.
+        return concat(bytes.slice(0, 33), chunk, bytes.slice(33));
+    }
+    return bytes;
+};
+
+const canvasToBytes = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+        if (!blob) {
+            reject(new Error(`This browser cannot encode ${mimeType}.`));
+            return;
+        }
+        blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+    }, mimeType, quality);
+});
+
+// Draws one decoded image at a profile's size and encodes it.
+export const renderProfile = async (bitmap, profile, { format, quality }) => {
+    const { mimeType } = EXPORT_FORMATS[formatFor(profile, format)];
+    const canvas = document.createElement('canvas');
+    canvas.width = profile.width;
+    canvas.height = profile.height;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    const crop = cropRect(bitmap.width, bitmap.height, profile.width, profile.height);
+    context.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height, 0, 0, profile.width, profile.height);
+    if (profile.transparent) {
+        context.putImageData(removeBackground(context.getImageData(0, 0, profile.width, profile.height)), 0, 0);
+    }
+    const bytes = await canvasToBytes(canvas, mimeType, quality);
+    return profile.dpi ? setResolution(bytes, mimeType, profile.dpi) : bytes;
+};
+
+// Renders every [{ image, name }] in every chosen profile, one image at a
+// time to keep memory flat, and resolves with a ZIP Blob laid out as
+// {profile}/{name}.{ext}. `onProgress(done, total)` counts images.
+export const exportZip = async (entries, { profiles, format, quality }, onProgress = () => {}) => {
+    const chosen = EXPORT_PROFILES.filter((profile) => profiles.includes(profile.id));
+    const files = [];
+    for (const [index, { image, name }] of entries.entries()) {
+        const bitmap = await createImageBitmap(await fetchImageBlob(image));
+        try {
+            for (const profile of chosen) {
+                const { extension } = EXPORT_FORMATS[formatFor(profile, format)];
+                files.push({ name: `${profile.id}/${name}.${extension}`, data: await renderProfile(bitmap, profile, { format, quality }) });
+            }
+        } finally {
+            bitmap.close();
+        }
+        onProgress(index + 1, entries.length);
+    }
+    return new Blob([createZip(files)], { type: 'application/zip' });
+};
@@ -0,0 +1,63 @@
+import { TextEncoder } from 'util';
+import { crc32, createZip } from './zip';
+import { cropRect, removeBackground, setResolution, formatFor, EXPORT_PROFILES } from './export';
+
+jest.mock('./images', () => ({ fetchImageBlob: jest.fn() }));
+
+global.TextEncoder = TextEncoder;
+
+const bytes = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+const u32 = (data, offset) => new DataView(data.buffer).getUint32(offset, true);
+
+test('crc32 matches the standard check value', () => {
+    expect(crc32(bytes('123456789'))).toBe(0xcbf43926);
+});
+
+test('writes a stored zip with a central directory', () => {
+    const data = bytes('hello');
+    const zip = createZip([{ name: 'linkedin/a.jpg', data }], new Date(2024, 0, 2, 3, 4, 6));
+
+    expect(u32(zip, 0)).toBe(0x04034b50);
+    expect(u32(zip, 14)).toBe(crc32(data));
+    expect(String.fromCharCode(...zip.slice(30, 44))).toBe('linkedin/a.jpg');
+    expect(String.fromCharCode(...zip.slice(44, 49))).toBe('hello');
+    expect(u32(zip, 49)).toBe(0x02014b50);
+    const end = zip.length - 22;
+    expect(u32(zip, end)).toBe(0x06054b50);
+    expect(u32(zip, end + 16)).toBe(49);
+});
+
+test('crops to the target aspect, keeping the top of the frame', () => {
+    expect(cropRect(1000, 1000, 400, 400)).toEqual({ x: 0, y: 0, width: 1000, height: 1000 });
+    expect(cropRect(1000, 1000, 1200, 1500)).toEqual({ x: 100, y: 0, width: 800, height: 1000 });
+    expect(cropRect(1000, 1600, 400, 400)).toEqual({ x: 0, y: 200, width: 1000, height: 1000 });
+});
+
+test('clears only the backdrop connected to the border', () => {
+    // 3×3 white image with a dark pixel in the middle.
+    const data = new Uint8ClampedArray(36).fill(255);
+    data.set([10, 10, 10], 16);
+    removeBackground({ data, width: 3, height: 3 });
+
+    const alpha = Array.from({ length: 9 }, (_, pixel) => data[pixel * 4 + 3]);
+    expect(alpha).toEqual([0, 0, 0, 0, 255, 0, 0, 0, 0]);
+});
+
+test('records 300 DPI in JPEG and PNG files', () => {
+    const jpeg = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+    const jpegOut = new DataView(setResolution(jpeg, 'image/jpeg', 300).buffer);
+    expect([jpegOut.getUint8(13), jpegOut.getUint16(14), jpegOut.getUint16(16)]).toEqual([1, 300, 300]);
+
+    const png = new Uint8Array(45);
+    const pngOut = setResolution(png, 'image/png', 300);
+    expect(String.fromCharCode(...pngOut.slice(37, 41))).toBe('pHYs');
+    expect(new DataView(pngOut.buffer).getUint32(41)).toBe(11811);
+    expect(pngOut.length).toBe(png.length + 21);
+});
+
+test('exports transparent backgrounds as PNG when JPEG is chosen', () => {
+    const transparent = EXPORT_PROFILES.find((profile) => profile.transparent);
+    expect(formatFor(transparent, 'jpeg')).toBe('png');
+    expect(formatFor(transparent, 'webp')).toBe('webp');
+    expect(formatFor(EXPORT_PROFILES[0], 'jpeg')).toBe('jpeg');
+});
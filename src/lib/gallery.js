@@ -0,0 +1,95 @@
+import { doc, updateDoc, arrayUnion, arrayRemove, collection, query, where, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase';
+import { normalizeImage, imageKey, slug } from './images';
+import { styleNameFor } from './styles';
+
+// --- Gallery ---
+// One session per generations/{id} document: when it ran, which styles and
+// selfies went in, and the headshots that came out.
+
+const toSession = (snap) => {
+    const generation = snap.data({ serverTimestamps: 'estimate' });
+    const favorites = generation.favorites || [];
+    const inputs = generation.inputs || [];
+    const seen = new Set();
+    const images = (generation.images || []).map(normalizeImage)
+        .filter((image) => !seen.has(imageKey(image)) && seen.add(imageKey(image)))
+        .map((image) => ({
+            ...image,
+            styleName: styleNameFor(generation, image),
+            // The selfie it was generated from. Older sessions only list their
+            // inputs, which is enough when there was a single selfie.
+            input: image.input || (inputs.length === 1 ? inputs[0] : null),
+            favorite: favorites.includes(imageKey(image))
+        }));
+    return {
+        id: snap.id,
+        createdAt: generation.createdAt?.toDate?.() || null,
+        styles: generation.styles || [{ name: styleNameFor(generation, {}), prompt: generation.stylePrompt || '' }],
+        inputs,
+        images
+    };
+};
+
+// Streams the user's sessions, newest first. Sessions saved before dates were
+// recorded sort last.
+export const subscribeToGallery = (uid, onChange) =>
+    onSnapshot(
+        query(collection(db, 'generations'), where('userId', '==', uid)),
+        (snapshot) => onChange(snapshot.docs.map(toSession)
+            .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0)))
+    );
+
+export const setFavorite = (generationId, image, favorite) =>
+    updateDoc(doc(db, 'generations', generationId), {
+        favorites: favorite ? arrayUnion(imageKey(image)) : arrayRemove(imageKey(image))
+    });
+
+// Deletes the given images, or the whole session when `images` is omitted.
+export const deleteFromGallery = async (generationId, images) => {
+    const { data } = await httpsCallable(functions, 'deleteGenerationImages')({
+        generationId,
+        ...(images && { paths: images.map((image) => image.path) })
+    });
+    return data.deleted;
+};
+
+// Style names across all sessions, for the filter.
+export const galleryStyles = (sessions) =>
+    [...new Set(sessions.flatMap((session) => session.images.map((image) => image.styleName)))];
+
+// Quality score from 0 to 100 given by the server's critic; null for images
+// generated before scoring or that could not be scored.
+export const qualityScore = (image) => image.quality?.score ?? null;
+
+// Best score first, unscored images last.
+const byScore = (a, b) => (qualityScore(b) ?? -1) - (qualityScore(a) ?? -1);
+
+// Applies the gallery filters and sort, and drops sessions with nothing left
+// to show. `sort` is '' for generation order or 'score'.
+export const filterSessions = (sessions, { favoritesOnly = false, style = '', sort = '' } = {}) =>
+    sessions
+        .map((session) => {
+            const images = session.images.filter((image) =>
+                (!favoritesOnly || image.favorite) && (!style || image.styleName === style));
+            return { ...session, images: sort === 'score' ? [...images].sort(byScore) : images };
+        })
+        .filter((session) => session.images.length > 0);
+
+// { session, image } for each key, in order, skipping images deleted since.
+export const galleryEntries = (sessions, keys) => {
+    const byKey = new Map(sessions.flatMap((session) =>
+        session.images.map((image) => [imageKey(image), { session, image }])));
+    return keys.map((key) => byKey.get(key)).filter(Boolean);
+};
+
+// The selected images in gallery order, with unique file names for export.
+export const selectedImages = (sessions, keys) =>
+    sessions
+        .flatMap((session) => session.images)
+        .filter((image) => keys.includes(imageKey(image)))
+        .map((image, index) => ({
+            image,
+            name: `headshot-${String(index + 1).padStart(2, '0')}-${slug(image.styleName)}`
+        }));
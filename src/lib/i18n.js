@@ -0,0 +1,103 @@
+import { createContext, createElement, useContext, useEffect, useMemo, useState } from 'react';
+import en from '../locales/en';
+import de from '../locales/de';
+import fr from '../locales/fr';
+import es from '../locales/es';
+
+// --- Translations ---
+// Every string the UI shows lives in a catalog in src/locales: `messages` keyed
+// by dotted ids ('landing.title') and the `legal` pages. English is the
+// reference; a message missing from another catalog falls back to it.
+// Placeholders are written {name}. With a `count` parameter, `key_one`,
+// `key_other` (and so on) are picked by the locale's plural rules.
+
+export const LOCALES = {
+    en: { label: 'English', language: 'English', currency: 'usd', catalog: en },
+    de: { label: 'Deutsch', language: 'German', currency: 'eur', catalog: de },
+    fr: { label: 'Français', language: 'French', currency: 'eur', catalog: fr },
+    es: { label: 'Español', language: 'Spanish', currency: 'eur', catalog: es }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALE_KEY = 'locale';
+
+const browserLanguages = () => (typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]);
+
+// The saved choice if there is one, else the first of the browser's languages
+// we have a catalog for ('de-AT' counts as 'de').
+export const detectLocale = (saved = localStorage.getItem(LOCALE_KEY), preferred = browserLanguages()) =>
+    [saved, ...preferred]
+        .filter(Boolean)
+        .map((tag) => tag.toLowerCase().split('-')[0])
+        .find((code) => LOCALES[code]) || DEFAULT_LOCALE;
+
+const lookup = (locale, key) => LOCALES[locale]?.catalog.messages[key] ?? en.messages[key];
+
+export const translate = (locale, key, params = {}) => {
+    const plural = params.count === undefined ? undefined
+        : lookup(locale, `${key}_${new Intl.PluralRules(locale).select(params.count)}`) ?? lookup(locale, `${key}_other`);
+    const message = plural ?? lookup(locale, key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => String(params[name] ?? placeholder));
+};
+
+// An error lib code can throw without knowing the reader's language: the
+// message is English (for logs and tests), the key lets the UI translate it.
+export class LocalizedError extends Error {
+    constructor(messageKey, messageParams = {}) {
+        super(translate(DEFAULT_LOCALE, messageKey, messageParams));
+        this.name = 'LocalizedError';
+        this.messageKey = messageKey;
+        this.messageParams = messageParams;
+    }
+}
+
+// Whole amounts drop the cents: "29 €", "$29", "29,50 €".
+export const formatPrice = (locale, amount, currency) => new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: amount % 100 ? 2 : 0
+}).format(amount / 100);
+
+// Accepts Dates, ISO strings and Firestore Timestamps; '' for anything else.
+export const formatDate = (locale, value, options = { dateStyle: 'medium', timeStyle: 'short' }) => {
+    const date = value?.toDate ? value.toDate() : typeof value === 'string' ? new Date(value) : value;
+    return date instanceof Date && !Number.isNaN(date.getTime()) ? date.toLocaleString(locale, options) : '';
+};
+
+const i18nFor = (locale, setLocale) => ({
+    locale,
+    setLocale,
+    // The language's English name, for model prompts ("Write in German.").
+    language: LOCALES[locale].language,
+    currency: LOCALES[locale].currency,
+    legal: LOCALES[locale].catalog.legal,
+    t: (key, params) => translate(locale, key, params),
+    // Anything carrying a messageKey (LocalizedError, selfie issues) is
+    // translated; other messages are shown as they are.
+    messageOf: (err, fallbackKey = 'common.error') => (err?.messageKey
+        ? translate(locale, err.messageKey, err.messageParams)
+        : err?.message || translate(locale, fallbackKey)),
+    formatPrice: (amount, currency = LOCALES[locale].currency) => formatPrice(locale, amount, currency),
+    formatDate: (value, options) => formatDate(locale, value, options)
+});
+
+// English without a provider, e.g. for components rendered on their own.
+const I18nContext = createContext(i18nFor(DEFAULT_LOCALE, () => {}));
+
+export const I18nProvider = ({ children }) => {
+    const [locale, setLocale] = useState(() => detectLocale());
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const value = useMemo(() => i18nFor(locale, (next) => {
+        localStorage.setItem(LOCALE_KEY, next);
+        setLocale(next);
+    }), [locale]);
+
+    return createElement(I18nContext.Provider, { value }, children);
+};
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,38 @@
+import { LOCALES, LocalizedError, detectLocale, translate, formatPrice } from './i18n';
+
+const keysOf = (locale) => Object.keys(LOCALES[locale].catalog.messages).sort();
+
+test('picks the saved language, then the first supported browser language', () => {
+    expect(detectLocale('fr', ['de-DE'])).toBe('fr');
+    expect(detectLocale(null, ['ja-JP', 'de-AT', 'en'])).toBe('de');
+    expect(detectLocale(null, ['ja-JP'])).toBe('en');
+});
+
+test('fills placeholders, picks plural forms and falls back to English', () => {
+    expect(translate('en', 'common.credits', { count: 1 })).toBe('1 credit');
+    expect(translate('de', 'common.credits', { count: 50 })).toBe('50 Credits');
+    expect(translate('es', 'signIn.continueWith', { provider: 'Google' })).toBe('Continuar con Google');
+    expect(translate('xx', 'nav.signOut')).toBe('Sign Out');
+    expect(translate('fr', 'no.such.key')).toBe('no.such.key');
+});
+
+test('keeps English in the error message and the key for the UI', () => {
+    const err = new LocalizedError('preset.error.name');
+    expect(err.message).toBe('Give the preset a name.');
+    expect(translate('de', err.messageKey, err.messageParams)).not.toBe(err.message);
+});
+
+test('formats prices for the locale and drops whole cents', () => {
+    expect(formatPrice('en', 2900, 'usd')).toBe('$29');
+    expect(formatPrice('de', 2900, 'eur')).toMatch(/^29\s€$/);
+    expect(formatPrice('fr', 2950, 'eur')).toMatch(/^29,50\s€$/);
+});
+
+test('translates every English message and legal section', () => {
+    Object.keys(LOCALES).forEach((locale) => {
+        expect(keysOf(locale)).toEqual(keysOf('en'));
+        const { privacy, terms } = LOCALES[locale].catalog.legal;
+        expect(privacy.sections).toHaveLength(LOCALES.en.catalog.legal.privacy.sections.length);
+        expect(terms.sections).toHaveLength(LOCALES.en.catalog.legal.terms.sections.length);
+    });
+});
@@ -0,0 +1,47 @@
+import { ref, getBlob } from 'firebase/storage';
+import { storage } from '../firebase';
+
+// --- Generated Images ---
+// Generation documents hold records like { path, thumbnailUrl, mimeType, width,
+// height }; the full-size file stays in Storage until someone downloads it.
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
+export const imageExtension = (mimeType) => EXTENSIONS[mimeType] || 'png';
+
+// Documents written before the move to Storage still hold data URLs.
+export const normalizeImage = (image) => typeof image === 'string'
+    ? { url: image, thumbnailUrl: image, mimeType: image.slice(5, image.indexOf(';')) }
+    : image;
+
+export const imageKey = (image) => image.path || image.url;
+
+// A file-name-safe form of a label or style name. Accents are dropped rather
+// than replaced ("Büro" becomes "buro"); a name with nothing left becomes
+// "headshot".
+export const slug = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'headshot';
+
+// Full-size image as a Blob, fetched from Storage (or decoded from a legacy data URL).
+export const fetchImageBlob = async (image) =>
+    image.path ? getBlob(ref(storage, image.path)) : (await fetch(image.url)).blob();
+
+export const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadImage = async (image, filename) =>
+    saveBlob(await fetchImageBlob(image), `${filename}.${imageExtension(image.mimeType)}`);
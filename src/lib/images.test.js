@@ -0,0 +1,13 @@
+import { slug } from './images';
+
+jest.mock('../firebase', () => ({ storage: {} }));
+jest.mock('firebase/storage', () => ({ ref: jest.fn(), getBlob: jest.fn() }));
+
+test('makes file-name-safe slugs from names in any language', () => {
+    expect(slug('B&W Cinematic')).toBe('b-w-cinematic');
+    expect(slug('Büro')).toBe('buro');
+    expect(slug('Détente au café')).toBe('detente-au-cafe');
+    expect(slug('ﬁne Ｓtudio')).toBe('fine-studio');
+    expect(slug('東京')).toBe('headshot');
+    expect(slug('')).toBe('headshot');
+});
@@ -0,0 +1,51 @@
+import {
+    collection,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot
+} from 'firebase/firestore';
+import { ref, uploadBytes } from 'firebase/storage';
+import { httpsCallable } from 'firebase/functions';
+import { db, storage, functions } from '../firebase';
+
+// --- Generation Jobs ---
+// The browser uploads the selfies and asks the startGenerationJob function to
+// charge and queue a job; a Cloud Functions worker does the rest and writes its
+// progress to generationJobs/{jobId}.
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Finished jobs stay on the dashboard this long so the user sees the outcome.
+const RECENTLY_FINISHED_MS = 10 * 60 * 1000;
+
+export const isJobActive = (job) => ACTIVE_JOB_STATUSES.includes(job.status);
+
+// Uploads the selfies to users/{uid}/uploads/{jobId}/ and resolves with the
+// job inputs.
+export const uploadSelfies = (uid, jobId, files) =>
+    Promise.all(files.map(async (file, index) => {
+        const mimeType = file.type || 'image/jpeg';
+        const path = `users/${uid}/uploads/${jobId}/${index}`;
+        await uploadBytes(ref(storage, path), file, { contentType: mimeType });
+        return { path, mimeType };
+    }));
+
+// Every selfie is generated once per style and variant. With `orgId` the run
+// is charged to that organization's pool instead of the user's credits.
+export const startGenerationJob = async ({ jobId, inputs, styles, variants = 1, orgId = null }) => {
+    await httpsCallable(functions, 'startGenerationJob')({ jobId, inputs, styles, variants, orgId });
+    return jobId;
+};
+
+// Streams the user's running jobs plus any that finished in the last few
+// minutes, newest first.
+export const subscribeToRecentJobs = (uid, onChange, max = 5) =>
+    onSnapshot(
+        query(collection(db, 'generationJobs'), where('userId', '==', uid), orderBy('createdAt', 'desc'), limit(max)),
+        (snapshot) => onChange(snapshot.docs
+            .map((job) => ({ id: job.id, ...job.data({ serverTimestamps: 'estimate' }) }))
+            .filter((job) => isJobActive(job) ||
+                Date.now() - (job.finishedAt?.toMillis?.() || 0) < RECENTLY_FINISHED_MS))
+    );
@@ -0,0 +1,38 @@
+// --- Lightbox ---
+// Zoom and pan for the full-screen viewer. A view is { zoom, x, y }: the scale
+// and how far the image's centre is moved from the frame's centre, in screen
+// pixels. Frames are { width, height }.
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 4;
+export const ZOOM_STEP = 1.25;
+
+export const INITIAL_VIEW = { zoom: MIN_ZOOM, x: 0, y: 0 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Keeps the image covering its frame: at zoom z it can move (z - 1) / 2 of the
+// frame's size each way, so at zoom 1 it cannot move at all.
+export const clampView = ({ zoom, x, y }, { width, height }) => {
+    const z = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+    const maxX = ((z - 1) * width) / 2;
+    const maxY = ((z - 1) * height) / 2;
+    return { zoom: z, x: clamp(x, -maxX, maxX), y: clamp(y, -maxY, maxY) };
+};
+
+// Zooms by `factor`, keeping the image point under `point` (measured from the
+// frame's centre) where it is. Without a point, zooms on the centre.
+export const zoomAt = (view, factor, frame, point = { x: 0, y: 0 }) => {
+    const zoom = clamp(view.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+    const ratio = zoom / view.zoom;
+    return clampView({
+        zoom,
+        x: point.x - (point.x - view.x) * ratio,
+        y: point.y - (point.y - view.y) * ratio
+    }, frame);
+};
+
+export const panBy = (view, dx, dy, frame) => clampView({ ...view, x: view.x + dx, y: view.y + dy }, frame);
+
+// Steps through `count` images, wrapping around at both ends.
+export const stepIndex = (index, step, count) => (((index + step) % count) + count) % count;
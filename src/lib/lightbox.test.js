@@ -0,0 +1,23 @@
+import { INITIAL_VIEW, MAX_ZOOM, clampView, panBy, stepIndex, zoomAt } from './lightbox';
+
+const frame = { width: 400, height: 300 };
+
+test('keeps the zoomed image covering the frame', () => {
+    expect(panBy(INITIAL_VIEW, 50, 50, frame)).toEqual(INITIAL_VIEW);
+    expect(panBy({ zoom: 2, x: 0, y: 0 }, 500, -20, frame)).toEqual({ zoom: 2, x: 200, y: -20 });
+    expect(clampView({ zoom: 10, x: 0, y: 0 }, frame).zoom).toBe(MAX_ZOOM);
+});
+
+test('zooms around the point under the cursor', () => {
+    const view = zoomAt(INITIAL_VIEW, 2, frame, { x: 100, y: -50 });
+    expect(view).toEqual({ zoom: 2, x: -100, y: 50 });
+    // The image point that was under the cursor is still there.
+    expect((100 - view.x) / view.zoom).toBe(100);
+    expect(zoomAt(view, 0.5, frame, { x: 100, y: -50 })).toEqual(INITIAL_VIEW);
+});
+
+test('wraps around when stepping past either end', () => {
+    expect(stepIndex(0, -1, 5)).toBe(4);
+    expect(stepIndex(4, 1, 5)).toBe(0);
+    expect(stepIndex(2, 1, 5)).toBe(3);
+});
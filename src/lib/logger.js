@@ -0,0 +1,67 @@
+// --- Logging ---
+// Leveled console logging for the browser. Development prints everything,
+// tests only warnings and errors, and production nothing at all unless
+// REACT_APP_LOG_LEVEL asks for it. Everything is redacted before it is
+// printed, so email addresses, tokens and credentials never reach the console.
+
+export const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const DEFAULT_LEVELS = {
+    development: 'debug',
+    test: 'warn',
+    production: 'silent'
+};
+
+const threshold = () =>
+    LOG_LEVELS[process.env.REACT_APP_LOG_LEVEL] ?? LOG_LEVELS[DEFAULT_LEVELS[process.env.NODE_ENV] || 'silent'];
+
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+// Matched against object keys. `auth` also catches the Auth instance a
+// Firebase user carries, with the app's config in it.
+const REDACTED_KEYS = /token|secret|password|credential|apikey|authorization|^(auth|email|displayName|phoneNumber|photoURL|providerData)$/i;
+const MAX_DEPTH = 4;
+
+// A copy of `value` that is safe to print. Objects are walked a few levels
+// deep, which also stops at cycles.
+export const redact = (value, depth = 0) => {
+    if (typeof value === 'string') {
+        return value.replace(EMAIL, '[email]');
+    }
+    if (value instanceof Error) {
+        return Object.assign(new Error(redact(value.message)), {
+            name: value.name,
+            stack: value.stack && redact(value.stack),
+            ...(value.code && { code: value.code })
+        });
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, REDACTED_KEYS.test(key) ? '[redacted]' : redact(item, depth + 1)]));
+};
+
+const write = (level) => (...args) => {
+    if (LOG_LEVELS[level] >= threshold()) {
+        console[level](...args.map((arg) => redact(arg)));
+    }
+};
+
+export const logger = {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+};
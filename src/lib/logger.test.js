@@ -0,0 +1,27 @@
+import { logger, redact } from './logger';
+
+test('redacts emails, secrets and user details', () => {
+    const user = { uid: 'u1', email: 'ada@example.com', auth: { config: { apiKey: 'key' } }, stsTokenManager: { accessToken: 'abc' } };
+    expect(redact(['Signed in as ada@example.com', user])).toEqual([
+        'Signed in as [email]',
+        { uid: 'u1', email: '[redacted]', auth: '[redacted]', stsTokenManager: '[redacted]' }
+    ]);
+
+    const error = Object.assign(new Error('No account for ada@example.com'), { code: 'auth/user-not-found' });
+    expect(redact(error)).toMatchObject({ message: 'No account for [email]', code: 'auth/user-not-found' });
+});
+
+test('stops at cycles', () => {
+    const node = { name: 'a' };
+    node.next = node;
+    expect(redact(node)).toEqual({ name: 'a', next: { name: 'a', next: { name: 'a', next: { name: 'a', next: '[object]' } } } });
+});
+
+test('only prints warnings and errors under test', () => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    logger.info('hidden');
+    logger.error('Failed for', 'ada@example.com');
+    expect(console.info).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Failed for', '[email]');
+});
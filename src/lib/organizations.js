@@ -0,0 +1,48 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase';
+import { sendSignInLinkFor } from './auth';
+import { LocalizedError } from './i18n';
+import { ROUTES } from './routes';
+
+// --- Organizations ---
+// Shared credit pools (functions/src/organizations.js). All reads and changes
+// go through callables, which check membership and ownership on the server.
+
+export const ORG_ROLES = {
+    OWNER: 'owner',
+    MEMBER: 'member'
+};
+
+const call = async (name, data) => (await httpsCallable(functions, name)(data)).data;
+
+// The caller's organizations and the invites waiting for their email address.
+export const listOrganizations = () => call('listOrganizations');
+
+export const createOrganization = async (name) => (await call('createOrganization', { name })).orgId;
+
+export const getOrganizationUsage = (orgId) => call('getOrganizationUsage', { orgId });
+
+// An empty limit means the member can spend the whole pool.
+const toLimit = (limit) => (limit === '' || limit === null || limit === undefined ? null : Number(limit));
+
+// Records the invite, then emails the invitee a sign-in link to the
+// Organizations page, where the invite waits for their verified address.
+export const inviteMember = async (orgId, email, limit) => {
+    const result = await call('inviteOrganizationMember', { orgId, email, limit: toLimit(limit) });
+    try {
+        await sendSignInLinkFor(email, ROUTES.ORGANIZATIONS);
+    } catch (err) {
+        throw new LocalizedError('orgs.error.inviteEmail', { email });
+    }
+    return result;
+};
+
+export const acceptInvite = (orgId) => call('acceptOrganizationInvite', { orgId });
+
+// Without `email`, declines the caller's own invite.
+export const deleteInvite = (orgId, email) => call('deleteOrganizationInvite', { orgId, email });
+
+export const updateMemberLimit = (orgId, memberUid, limit) =>
+    call('updateOrganizationMember', { orgId, memberUid, limit: toLimit(limit) });
+
+export const removeMember = (orgId, memberUid) => call('removeOrganizationMember', { orgId, memberUid });
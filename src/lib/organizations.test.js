@@ -0,0 +1,57 @@
+import { httpsCallable } from 'firebase/functions';
+import { sendSignInLinkToEmail } from 'firebase/auth';
+import { inviteMember } from './organizations';
+
+jest.mock('../firebase', () => ({ auth: {}, functions: {} }));
+jest.mock('firebase/functions', () => ({ httpsCallable: jest.fn() }));
+jest.mock('firebase/auth', () => ({
+    GoogleAuthProvider: { credentialFromError: jest.fn() },
+    OAuthProvider: { credentialFromError: jest.fn() },
+    OAuthCredential: { fromJSON: jest.fn() },
+    fetchSignInMethodsForEmail: jest.fn(),
+    linkWithCredential: jest.fn(),
+    signInWithPopup: jest.fn(),
+    signInWithRedirect: jest.fn(),
+    sendSignInLinkToEmail: jest.fn(),
+    isSignInWithEmailLink: jest.fn(),
+    signInWithEmailLink: jest.fn()
+}));
+
+let invite;
+
+beforeEach(() => {
+    localStorage.clear();
+    invite = jest.fn().mockResolvedValue({ data: { invited: 'bob@example.com' } });
+    httpsCallable.mockReturnValue(invite);
+    sendSignInLinkToEmail.mockResolvedValue();
+});
+
+test('an invite is saved, then the invitee is emailed a link to Organizations', async () => {
+    const result = await inviteMember('org-1', 'bob@example.com', '25');
+
+    expect(httpsCallable).toHaveBeenCalledWith({}, 'inviteOrganizationMember');
+    expect(invite).toHaveBeenCalledWith({ orgId: 'org-1', email: 'bob@example.com', limit: 25 });
+    expect(sendSignInLinkToEmail).toHaveBeenCalledWith({}, 'bob@example.com', {
+        url: `${window.location.origin}/organizations`,
+        handleCodeInApp: true
+    });
+    expect(result).toEqual({ invited: 'bob@example.com' });
+    // The owner's browser must not finish a sign-in meant for the invitee.
+    expect(localStorage.getItem('emailForSignIn')).toBeNull();
+});
+
+test('no email is sent when the invite is refused', async () => {
+    invite.mockRejectedValue(Object.assign(new Error('not the owner'), { code: 'functions/permission-denied' }));
+
+    await expect(inviteMember('org-1', 'bob@example.com', '')).rejects.toThrow('not the owner');
+    expect(sendSignInLinkToEmail).not.toHaveBeenCalled();
+});
+
+test('a failed email says the invite was still saved', async () => {
+    sendSignInLinkToEmail.mockRejectedValue(Object.assign(new Error('quota'), { code: 'auth/quota-exceeded' }));
+
+    await expect(inviteMember('org-1', 'bob@example.com', '')).rejects.toMatchObject({
+        messageKey: 'orgs.error.inviteEmail',
+        messageParams: { email: 'bob@example.com' }
+    });
+});
@@ -0,0 +1,64 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase';
+
+// --- Checkout ---
+// Credits are granted by the payments webhook once the provider confirms the
+// payment; the browser only opens the hosted checkout page.
+
+export const DEFAULT_PACK_ID = 'starter';
+
+// Display copy of the server's packs (functions/src/payments.js), which are
+// what is actually charged. Prices are in the smallest currency unit.
+export const CREDIT_PACKS = {
+    starter: { credits: 50, prices: { usd: 2900, eur: 2900 } }
+};
+
+const PENDING_CHECKOUT_KEY = 'pendingCheckout';
+const STARTED_CHECKOUT_KEY = 'startedCheckout';
+
+// With `orgId` the credits go to that organization's pool (owners only).
+// `currency` picks the price to charge and `locale` the checkout page language.
+export const startCheckout = async (packId = DEFAULT_PACK_ID, { orgId, currency, locale } = {}) => {
+    const createCheckoutSession = httpsCallable(functions, 'createCheckoutSession');
+    const { data } = await createCheckoutSession({
+        packId,
+        returnUrl: `${window.location.origin}${window.location.pathname}`,
+        ...(orgId && { orgId }),
+        ...(currency && { currency }),
+        ...(locale && { locale })
+    });
+    sessionStorage.setItem(STARTED_CHECKOUT_KEY, JSON.stringify({ packId, currency, pool: orgId ? 'organization' : 'personal' }));
+    window.location.assign(data.url);
+};
+
+// The { packId, currency, pool } of the checkout this tab left for, once.
+export const takeStartedCheckout = () => {
+    const started = JSON.parse(sessionStorage.getItem(STARTED_CHECKOUT_KEY) || 'null');
+    sessionStorage.removeItem(STARTED_CHECKOUT_KEY);
+    return started;
+};
+
+// "Buy Now" on the landing page has to sign in first; remember the pack so the
+// dashboard can continue to checkout once the user is back.
+export const rememberPendingCheckout = (packId = DEFAULT_PACK_ID) =>
+    sessionStorage.setItem(PENDING_CHECKOUT_KEY, packId);
+
+export const takePendingCheckout = () => {
+    const packId = sessionStorage.getItem(PENDING_CHECKOUT_KEY);
+    sessionStorage.removeItem(PENDING_CHECKOUT_KEY);
+    return packId;
+};
+
+// Reads and clears the ?checkout=success|cancelled marker the provider
+// redirects back with.
+export const takeCheckoutResult = () => {
+    const url = new URL(window.location.href);
+    const result = url.searchParams.get('checkout');
+    if (!result) {
+        return null;
+    }
+    url.searchParams.delete('checkout');
+    url.searchParams.delete('session_id');
+    window.history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
+    return result;
+};
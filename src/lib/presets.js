@@ -0,0 +1,129 @@
+import {
+    collection,
+    doc,
+    addDoc,
+    getDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    where,
+    onSnapshot,
+    serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { presetPath } from './routes';
+import { LocalizedError } from './i18n';
+
+// --- Style Presets ---
+// Named styles saved in stylePresets/{presetId}, so a look can be reused and
+// shared. A preset is turned into the { name, prompt } style a job takes; the
+// longest possible prompt stays under the server's 500 character limit
+// (functions/src/jobs.js).
+
+export const PRESET_LIMITS = {
+    name: 60,
+    prompt: 280,
+    lighting: 60,
+    attire: 80
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const presetsRef = collection(db, 'stylePresets');
+
+const clip = (value, max) => String(value || '').trim().slice(0, max);
+
+// Example images are thumbnails from the owner's private gallery: only their
+// download URLs are kept, never inline data, and sharing removes them.
+export const isExampleImage = (url) => typeof url === 'string' && /^https?:\/\//.test(url) && url.length <= 2048;
+
+// Trims every field to its limit and drops an invalid background color.
+// Throws when there is nothing to generate from.
+export const normalizePreset = (preset) => {
+    const normalized = {
+        name: clip(preset.name, PRESET_LIMITS.name),
+        prompt: clip(preset.prompt, PRESET_LIMITS.prompt),
+        background: HEX_COLOR.test(preset.background || '') ? preset.background.toLowerCase() : '',
+        lighting: clip(preset.lighting, PRESET_LIMITS.lighting),
+        attire: clip(preset.attire, PRESET_LIMITS.attire),
+        thumbnailUrl: isExampleImage(preset.thumbnailUrl) ? preset.thumbnailUrl : null
+    };
+    if (!normalized.name) {
+        throw new LocalizedError('preset.error.name');
+    }
+    if (!normalized.prompt && !normalized.lighting && !normalized.attire && !normalized.background) {
+        throw new LocalizedError('preset.error.empty');
+    }
+    return normalized;
+};
+
+// The style description sent to the model.
+export const presetPrompt = (preset) => [
+    preset.prompt,
+    preset.background && `Background: plain backdrop in the color ${preset.background}.`,
+    preset.lighting && `Lighting: ${preset.lighting}.`,
+    preset.attire && `Attire: ${preset.attire}.`
+].filter(Boolean).join('\n');
+
+export const styleFromPreset = (preset) => ({ name: preset.name, prompt: presetPrompt(preset) });
+
+export const presetLink = (presetId) => `${window.location.origin}${presetPath(presetId)}`;
+
+// Streams the user's presets, alphabetically.
+export const subscribeToPresets = (uid, onChange) =>
+    onSnapshot(query(presetsRef, where('ownerUid', '==', uid)), (snapshot) => onChange(
+        snapshot.docs
+            .map((snap) => ({ id: snap.id, ...snap.data() }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+    ));
+
+// Creates a preset, or updates it when `presetId` is given.
+export const savePreset = async (uid, preset, presetId = null) => {
+    const data = normalizePreset(preset);
+    if (presetId) {
+        await updateDoc(doc(db, 'stylePresets', presetId), { ...data, updatedAt: serverTimestamp() });
+        return presetId;
+    }
+    const ref = await addDoc(presetsRef, {
+        ...data,
+        ownerUid: uid,
+        shared: false,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return ref.id;
+};
+
+export const deletePreset = (presetId) => deleteDoc(doc(db, 'stylePresets', presetId));
+
+// Makes the preset readable by anyone with its link and returns the link. The
+// example image stays private, so it is removed.
+export const sharePreset = async (presetId) => {
+    await updateDoc(doc(db, 'stylePresets', presetId), { shared: true, thumbnailUrl: null });
+    return presetLink(presetId);
+};
+
+export const stopSharingPreset = (presetId) => updateDoc(doc(db, 'stylePresets', presetId), { shared: false });
+
+// Resolves with a shared preset, or null when it does not exist or is no
+// longer shared.
+export const getSharedPreset = async (presetId) => {
+    const snap = await getDoc(doc(db, 'stylePresets', presetId)).catch(() => null);
+    if (!snap?.exists() || !snap.data().shared) {
+        return null;
+    }
+    return { id: snap.id, ...snap.data() };
+};
+
+// Copies a shared preset into the user's library, remembering where it came from.
+export const copyPreset = async (uid, preset) => {
+    const ref = await addDoc(presetsRef, {
+        ...normalizePreset(preset),
+        ownerUid: uid,
+        shared: false,
+        sourcePresetId: preset.id,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return ref.id;
+};
@@ -0,0 +1,54 @@
+import { PRESET_LIMITS, normalizePreset, presetPrompt, styleFromPreset } from './presets';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => ({ collection: jest.fn() }));
+
+const brand = {
+    name: ' Acme brand ',
+    prompt: 'Corporate headshot, friendly expression.',
+    background: '#1F2937',
+    lighting: 'soft studio key light',
+    attire: 'navy blazer, no tie'
+};
+
+test('builds the model prompt from the preset fields', () => {
+    expect(styleFromPreset(normalizePreset(brand))).toEqual({
+        name: 'Acme brand',
+        prompt: [
+            'Corporate headshot, friendly expression.',
+            'Background: plain backdrop in the color #1f2937.',
+            'Lighting: soft studio key light.',
+            'Attire: navy blazer, no tie.'
+        ].join('\n')
+    });
+    expect(presetPrompt({ name: 'Only light', lighting: 'rim light' })).toBe('Lighting: rim light.');
+});
+
+test('clips fields and drops invalid colors', () => {
+    const preset = normalizePreset({ ...brand, background: 'red', prompt: 'x'.repeat(400) });
+    expect(preset.background).toBe('');
+    expect(preset.prompt).toHaveLength(PRESET_LIMITS.prompt);
+    expect(preset.thumbnailUrl).toBeNull();
+});
+
+test('keeps only download URLs as example images', () => {
+    const url = 'https://firebasestorage.googleapis.com/v0/b/demo/o/thumb.webp?alt=media&token=t';
+    expect(normalizePreset({ ...brand, thumbnailUrl: url }).thumbnailUrl).toBe(url);
+    expect(normalizePreset({ ...brand, thumbnailUrl: 'data:image/png;base64,AAAA' }).thumbnailUrl).toBeNull();
+});
+
+test('keeps the longest preset within the server prompt limit', () => {
+    const longest = normalizePreset({
+        name: 'n',
+        prompt: 'p'.repeat(1000),
+        background: '#ffffff',
+        lighting: 'l'.repeat(1000),
+        attire: 'a'.repeat(1000)
+    });
+    expect(presetPrompt(longest).length).toBeLessThanOrEqual(500);
+});
+
+test('rejects presets without a name or anything to generate from', () => {
+    expect(() => normalizePreset({ ...brand, name: ' ' })).toThrow(/name/);
+    expect(() => normalizePreset({ name: 'Empty' })).toThrow(/Describe the style/);
+});
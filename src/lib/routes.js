@@ -0,0 +1,36 @@
+// --- Routes ---
+// Every page has a URL so refresh, bookmarks and back/forward work. Protected
+// pages remember where the user was going across the sign-in redirect.
+
+export const ROUTES = {
+    HOME: '/',
+    SIGN_IN: '/signin',
+    DASHBOARD: '/dashboard',
+    GALLERY: '/gallery/:generationId',
+    ACCOUNT: '/account',
+    ORGANIZATIONS: '/organizations',
+    PRESETS: '/presets',
+    PRESET: '/presets/:presetId',
+    BIO: '/bio',
+    ADMIN: '/admin',
+    PRIVACY: '/privacy',
+    TERMS: '/terms'
+};
+
+export const galleryPath = (generationId) => `/gallery/${encodeURIComponent(generationId)}`;
+
+export const presetPath = (presetId) => `/presets/${encodeURIComponent(presetId)}`;
+
+// sessionStorage survives signInWithRedirect, which reloads the app.
+const RETURN_TO_KEY = 'signInReturnTo';
+
+export const rememberReturnTo = (path) => sessionStorage.setItem(RETURN_TO_KEY, path);
+
+export const clearReturnTo = () => sessionStorage.removeItem(RETURN_TO_KEY);
+
+// Only same-site paths, so the value cannot send anyone to another origin.
+export const takeReturnTo = () => {
+    const path = sessionStorage.getItem(RETURN_TO_KEY);
+    clearReturnTo();
+    return path && path.startsWith('/') && !path.startsWith('//') ? path : null;
+};
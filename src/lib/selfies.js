@@ -0,0 +1,172 @@
+import { DEFAULT_LOCALE, LocalizedError, translate } from './i18n';
+
+// --- Selfie Preprocessing ---
+// Every selfie is decoded, turned upright, downscaled and re-encoded as JPEG
+// in the browser before upload, and checked for problems the model cannot fix.
+// Re-encoding also drops the EXIF block, including any GPS position.
+
+export const MAX_SELFIES = 5;
+// Longest side after downscaling; the model gains nothing from more pixels.
+export const MAX_DIMENSION = 2048;
+// Shortest side below which a selfie is rejected, and below which we warn.
+export const MIN_DIMENSION = 256;
+export const RECOMMENDED_DIMENSION = 512;
+// Variance of the Laplacian on a 256px greyscale copy; lower means blurrier.
+export const BLUR_THRESHOLD = 60;
+const ANALYSIS_SIZE = 256;
+const JPEG_QUALITY = 0.92;
+
+export const SELFIE_STATUS = {
+    OK: 'ok',
+    WARNING: 'warning',
+    REJECTED: 'rejected'
+};
+
+const isHeic = (file) => /^image\/hei[cf]/.test(file.type) || /\.hei[cf]$/i.test(file.name);
+
+// Decodes the file with EXIF orientation applied. Most browsers cannot read
+// HEIC, so those are converted with a decoder that is only loaded when needed.
+const decode = async (file) => {
+    try {
+        return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (err) {
+        if (!isHeic(file)) {
+            throw new LocalizedError('selfie.issue.unreadable');
+        }
+        try {
+            const { default: heic2any } = await import('heic2any');
+            const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: JPEG_QUALITY });
+            return await createImageBitmap(Array.isArray(converted) ? converted[0] : converted);
+        } catch (heicErr) {
+            // heic2any rejects with a plain { code, message } object.
+            throw new LocalizedError('selfie.issue.unreadable');
+        }
+    }
+};
+
+export const scaledSize = (width, height, max = MAX_DIMENSION) => {
+    const scale = Math.min(1, max / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// Variance of the 4-neighbour Laplacian over greyscale pixel values.
+export const sharpness = (grey, width, height) => {
+    let sum = 0;
+    let sumOfSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = grey[i - 1] + grey[i + 1] + grey[i - width] + grey[i + width] - 4 * grey[i];
+            sum += value;
+            sumOfSquares += value * value;
+            count++;
+        }
+    }
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumOfSquares / count - mean * mean;
+};
+
+// Issues carry an English `message` plus the key the UI translates.
+const issue = (level, messageKey, messageParams = {}) =>
+    ({ level, message: translate(DEFAULT_LOCALE, messageKey, messageParams), messageKey, messageParams });
+
+// Turns measurements into issues. `faces` is null when the browser has no
+// face detector, in which case that check is skipped.
+export const assessSelfie = ({ width, height, blur, faces }) => {
+    const issues = [];
+    const shortest = Math.min(width, height);
+    if (shortest < MIN_DIMENSION) {
+        issues.push(issue(SELFIE_STATUS.REJECTED, 'selfie.issue.tooSmall', { width, height, min: MIN_DIMENSION }));
+    } else if (shortest < RECOMMENDED_DIMENSION) {
+        issues.push(issue(SELFIE_STATUS.WARNING, 'selfie.issue.lowResolution', { width, height }));
+    }
+    if (blur < BLUR_THRESHOLD) {
+        issues.push(issue(SELFIE_STATUS.WARNING, 'selfie.issue.blurry'));
+    }
+    if (faces === 0) {
+        issues.push(issue(SELFIE_STATUS.REJECTED, 'selfie.issue.noFace'));
+    } else if (faces > 1) {
+        issues.push(issue(SELFIE_STATUS.WARNING, 'selfie.issue.manyFaces'));
+    }
+    return issues;
+};
+
+export const statusFor = (issues) =>
+    issues.some((issue) => issue.level === SELFIE_STATUS.REJECTED) ? SELFIE_STATUS.REJECTED
+        : issues.length > 0 ? SELFIE_STATUS.WARNING
+        : SELFIE_STATUS.OK;
+
+const greyscale = ({ data }) => {
+    const grey = new Float32Array(data.length / 4);
+    for (let i = 0; i < grey.length; i++) {
+        grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return grey;
+};
+
+// Uses the Shape Detection API where the browser has it.
+const countFaces = async (bitmap) => {
+    if (typeof window.FaceDetector !== 'function') return null;
+    try {
+        return (await new window.FaceDetector({ fastMode: true }).detect(bitmap)).length;
+    } catch (err) {
+        return null;
+    }
+};
+
+const draw = (bitmap, { width, height }) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency: without a fill, transparent areas turn black.
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    return canvas;
+};
+
+const toJpeg = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the photo.'))), 'image/jpeg', JPEG_QUALITY);
+});
+
+// Resolves with { id, name, file, previewUrl, width, height, status, issues }.
+// `file` is the upright, downscaled JPEG to upload; it is null when the photo
+// could not be read at all. Call releaseSelfie when it is discarded.
+export const prepareSelfie = async (original) => {
+    const selfie = { id: crypto.randomUUID(), name: original.name, file: null, previewUrl: null };
+    let bitmap;
+    try {
+        bitmap = await decode(original);
+    } catch (err) {
+        const { message, messageKey, messageParams } = err;
+        return { ...selfie, status: SELFIE_STATUS.REJECTED, issues: [{ level: SELFIE_STATUS.REJECTED, message, messageKey, messageParams }] };
+    }
+    try {
+        const { width, height } = bitmap;
+        const analysis = draw(bitmap, scaledSize(width, height, ANALYSIS_SIZE));
+        const pixels = analysis.getContext('2d').getImageData(0, 0, analysis.width, analysis.height);
+        const issues = assessSelfie({
+            width,
+            height,
+            blur: sharpness(greyscale(pixels), analysis.width, analysis.height),
+            faces: await countFaces(bitmap)
+        });
+
+        const size = scaledSize(width, height);
+        const blob = await toJpeg(draw(bitmap, size));
+        const file = new File([blob], `${original.name.replace(/\.[^.]*$/, '') || 'selfie'}.jpg`, { type: 'image/jpeg' });
+        return { ...selfie, ...size, file, previewUrl: URL.createObjectURL(file), status: statusFor(issues), issues };
+    } finally {
+        bitmap.close();
+    }
+};
+
+export const releaseSelfie = (selfie) => {
+    if (selfie.previewUrl) URL.revokeObjectURL(selfie.previewUrl);
+};
+
+export const usableSelfies = (selfies) => selfies.filter((selfie) => selfie.status !== SELFIE_STATUS.REJECTED);
@@ -0,0 +1,43 @@
+import { scaledSize, sharpness, assessSelfie, statusFor, prepareSelfie, BLUR_THRESHOLD, MIN_DIMENSION } from './selfies';
+
+jest.mock('heic2any', () => jest.fn());
+
+const sharp = BLUR_THRESHOLD * 10;
+
+test('downscales only photos above the size limit', () => {
+    expect(scaledSize(4032, 3024)).toEqual({ width: 2048, height: 1536 });
+    expect(scaledSize(800, 600)).toEqual({ width: 800, height: 600 });
+});
+
+test('measures flat images as blurry and edges as sharp', () => {
+    const flat = new Float32Array(64).fill(128);
+    const checkerboard = Float32Array.from({ length: 64 }, (_, i) => ((i % 8) + Math.floor(i / 8)) % 2 * 255);
+    expect(sharpness(flat, 8, 8)).toBe(0);
+    expect(sharpness(checkerboard, 8, 8)).toBeGreaterThan(BLUR_THRESHOLD);
+});
+
+test('rejects tiny or faceless photos and warns about soft ones', () => {
+    expect(statusFor(assessSelfie({ width: 1200, height: 1600, blur: sharp, faces: 1 }))).toBe('ok');
+    expect(statusFor(assessSelfie({ width: 1200, height: 1600, blur: sharp, faces: null }))).toBe('ok');
+    expect(statusFor(assessSelfie({ width: 400, height: 600, blur: sharp, faces: 1 }))).toBe('warning');
+    expect(statusFor(assessSelfie({ width: 1200, height: 1600, blur: 5, faces: 1 }))).toBe('warning');
+    expect(statusFor(assessSelfie({ width: 1200, height: 1600, blur: sharp, faces: 2 }))).toBe('warning');
+    expect(statusFor(assessSelfie({ width: 200, height: 300, blur: sharp, faces: 1 }))).toBe('rejected');
+    expect(assessSelfie({ width: 200, height: 300, blur: sharp, faces: 1 })[0].messageParams.min).toBe(MIN_DIMENSION);
+    expect(statusFor(assessSelfie({ width: 1200, height: 1600, blur: sharp, faces: 0 }))).toBe('rejected');
+});
+
+test('rejects HEIC photos the converter cannot read with a translatable reason', async () => {
+    const heic2any = require('heic2any');
+    heic2any.mockRejectedValue({ code: 2, message: 'ERR_LIBHEIF format not supported' });
+    global.createImageBitmap = jest.fn().mockRejectedValue(new Error('unsupported'));
+    global.crypto = { randomUUID: () => 'selfie-1' };
+    try {
+        const selfie = await prepareSelfie(new File(['heic'], 'IMG_0001.HEIC', { type: 'image/heic' }));
+        expect(selfie.status).toBe('rejected');
+        expect(selfie.issues[0].messageKey).toBe('selfie.issue.unreadable');
+    } finally {
+        delete global.createImageBitmap;
+        delete global.crypto;
+    }
+});
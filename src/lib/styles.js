@@ -0,0 +1,48 @@
+import { GENERATION_COST } from './credits';
+
+// --- Headshot Styles ---
+// A run generates every selfie once per style and variant; each of those sets
+// costs GENERATION_COST (limits match functions/src/jobs.js).
+
+export const MAX_STYLES = 5;
+export const MAX_VARIANTS = 4;
+
+// Names are translated in the UI (styles.builtIn.<id>); prompts stay English.
+export const STYLE_PRESETS = [
+    { id: 'corporate-grey', name: 'Corporate grey', prompt: 'Corporate headshot on a seamless mid-grey backdrop, soft key light, business attire.' },
+    { id: 'outdoor-natural', name: 'Outdoor natural', prompt: 'Outdoor portrait with a softly blurred natural background, golden-hour daylight, smart casual.' },
+    { id: 'bw-cinematic', name: 'B&W cinematic', prompt: 'Black and white, cinematic lighting with deep shadows and a dark background.' },
+    { id: 'modern-office', name: 'Modern office', prompt: 'Bright modern office softly out of focus behind, natural window light, friendly expression.' }
+];
+
+// The styles a run will use: the chosen ones plus whatever is still typed in
+// the custom style box, named `customName`.
+export const stylesForRun = (selectedStyles, customPrompt, customName = 'Custom') => {
+    const custom = customPrompt.trim();
+    const styles = custom && !selectedStyles.some((style) => style.prompt === custom)
+        ? [...selectedStyles, { name: customName, prompt: custom }]
+        : selectedStyles;
+    return styles.slice(0, MAX_STYLES);
+};
+
+// Cost and output count for a run. No styles means the default corporate look.
+export const estimateRun = (styleCount, variants, selfieCount) => {
+    const sets = Math.max(1, styleCount) * variants;
+    return { sets, credits: sets * GENERATION_COST, images: sets * selfieCount };
+};
+
+// Images that predate multi-style runs have no style index.
+export const styleNameFor = (generation, image) =>
+    generation.styles?.[image.style]?.name || (generation.stylePrompt ? 'Custom' : 'Standard');
+
+// Groups gallery images by style name, keeping the order styles first appear in.
+export const groupByStyle = (images) => {
+    const groups = new Map();
+    images.forEach((image) => {
+        if (!groups.has(image.styleName)) {
+            groups.set(image.styleName, []);
+        }
+        groups.get(image.styleName).push(image);
+    });
+    return [...groups].map(([name, groupImages]) => ({ name, images: groupImages }));
+};
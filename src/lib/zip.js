@@ -0,0 +1,70 @@
+// --- ZIP Archives ---
+// A minimal writer for the "stored" (uncompressed) ZIP format. Exported images
+// are already compressed, so deflating them again would only cost time.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Writes little-endian header fields; `fields` is a list of [size, value].
+const header = (fields, name) => {
+    const size = fields.reduce((sum, [bytes]) => sum + bytes, 0);
+    const out = new Uint8Array(size + name.length);
+    const view = new DataView(out.buffer);
+    let offset = 0;
+    fields.forEach(([bytes, value]) => {
+        if (bytes === 4) view.setUint32(offset, value, true);
+        else view.setUint16(offset, value, true);
+        offset += bytes;
+    });
+    out.set(name, offset);
+    return out;
+};
+
+// Builds a ZIP from [{ name, data: Uint8Array }] and returns its bytes.
+export const createZip = (files, modified = new Date()) => {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const encodedName = encoder.encode(name);
+        const crc = crc32(data);
+        // Version 2.0, bit 11 = UTF-8 names, method 0 = stored.
+        const common = [[2, 20], [2, 0x0800], [2, 0], [2, time], [2, date], [4, crc], [4, data.length], [4, data.length], [2, encodedName.length], [2, 0]];
+        const local = header([[4, 0x04034b50], ...common], encodedName);
+        directory.push(header([[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]], encodedName));
+        parts.push(local, data);
+        offset += local.length + data.length;
+    });
+
+    const directorySize = directory.reduce((sum, entry) => sum + entry.length, 0);
+    const end = header([[4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, directorySize], [4, offset], [2, 0]], new Uint8Array(0));
+
+    const zip = new Uint8Array(offset + directorySize + end.length);
+    let position = 0;
+    [...parts, ...directory, end].forEach((part) => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+};
@@ -0,0 +1,490 @@
+// --- Deutsch ---
+
+const messages = {
+    // Shared
+    'app.name': 'AI Headshot Generator',
+    'app.authenticating': 'Anmeldung wird geprüft...',
+    'common.error': 'Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.',
+    'common.loading': 'Wird geladen...',
+    'common.save': 'Speichern',
+    'common.cancel': 'Abbrechen',
+    'common.delete': 'Löschen',
+    'common.dismiss': 'Ausblenden',
+    'common.close': 'Schließen',
+    'common.credits_one': '{count} Credit',
+    'common.credits_other': '{count} Credits',
+    'common.headshots_one': '{count} Porträt',
+    'common.headshots_other': '{count} Porträts',
+    'common.selfies_one': '{count} Selfie',
+    'common.selfies_other': '{count} Selfies',
+    'language.label': 'Sprache',
+    'legal.updated': 'Zuletzt aktualisiert: {date}',
+
+    // Navigation and page titles
+    'nav.dashboard': 'Dashboard',
+    'nav.presets': 'Vorlagen',
+    'nav.bio': 'Bio',
+    'nav.organizations': 'Organisationen',
+    'nav.admin': 'Admin',
+    'nav.account': 'Konto',
+    'nav.signOut': 'Abmelden',
+    'nav.terms': 'Nutzungsbedingungen',
+    'nav.privacy': 'Datenschutzerklärung',
+    'nav.backToDashboard': 'Zurück zum Dashboard',
+    'nav.backToHome': 'Zurück zur Startseite',
+    'title.dashboard': 'Dashboard',
+    'title.session': 'Porträt-Sitzung',
+    'title.account': 'Konto',
+    'title.presets': 'Stilvorlagen',
+    'title.preset': 'Stilvorlage',
+    'title.bio': 'Bio-Assistent',
+    'title.organizations': 'Organisationen',
+    'title.admin': 'Admin-Konsole',
+
+    // Landing page
+    'landing.getStarted': 'Anmelden / Loslegen',
+    'landing.signInTitle': 'Zum Loslegen anmelden',
+    'landing.title': 'Porträts in Studioqualität.',
+    'landing.titleLine2': 'In wenigen Minuten erstellt.',
+    'landing.subtitle': 'Laden Sie Ihre Selfies hoch und lassen Sie unsere KI professionelle Porträts für LinkedIn, Ihre Website oder Ihren Lebenslauf erstellen. Ganz ohne Fotoshooting.',
+    'landing.cta': 'Jetzt Porträts erstellen',
+    'landing.examples': 'Beispiele',
+    'landing.exampleAlt': 'Beispiel {number}',
+    'landing.pricing.title': 'Einfache Einmalzahlung',
+    'landing.pricing.pack': 'Starterpaket',
+    'landing.pricing.oneTime': 'Einmaliger Kauf',
+    'landing.pricing.credits': '{count} Credits für KI-Porträts',
+    'landing.pricing.styles': 'Zahlreiche professionelle Stile',
+    'landing.pricing.resolution': 'Downloads in hoher Auflösung',
+    'landing.pricing.ownership': 'Volle Rechte an Ihren Bildern',
+    'landing.pricing.buy': 'Jetzt kaufen',
+    'landing.faq.title': 'Häufige Fragen',
+    'landing.faq.how': 'Wie funktioniert das?',
+    'landing.faq.howAnswer': 'Sie laden 1-{max} alltägliche Selfies hoch. Unser KI-Modell analysiert Ihre Gesichtszüge und erstellt daraus eine Auswahl neuer, professioneller Porträts in verschiedenen Stilen und vor unterschiedlichen Hintergründen.',
+    'landing.faq.ownership': 'Wem gehören die erstellten Bilder?',
+    'landing.faq.ownershipAnswer': 'Ihnen! Sie haben die vollen kommerziellen Nutzungsrechte und können Ihre Porträts überall verwenden.',
+    'landing.faq.quality': 'Welche Qualität haben die Fotos?',
+    'landing.faq.qualityAnswer': 'Die Bilder werden in hoher Auflösung erstellt und eignen sich für den Druck ebenso wie für hochauflösende Bildschirme und Websites wie LinkedIn.',
+    'landing.copyright': '© 2024 AI Headshot Generator. Alle Rechte vorbehalten.',
+
+    // Sign-in
+    'signIn.title': 'Zum Fortfahren anmelden',
+    'signIn.subtitle': 'Danach geht es direkt zu der Seite weiter, die Sie öffnen wollten.',
+    'signIn.checkInbox': 'Sehen Sie in Ihr Postfach',
+    'signIn.linkSent': 'Wir haben einen Anmeldelink an {email} gesendet. Öffnen Sie ihn auf diesem Gerät, um fortzufahren.',
+    'signIn.continueWith': 'Weiter mit {provider}',
+    'signIn.or': 'oder',
+    'signIn.emailLabel': 'E-Mail-Adresse',
+    'signIn.emailPlaceholder': 'sie@firma.de',
+    'signIn.sendLink': 'Anmeldelink per E-Mail senden',
+    'signIn.confirmEmail': 'Bitte bestätigen Sie Ihre E-Mail-Adresse, um die Anmeldung abzuschließen.',
+    'auth.method.emailLink': 'einem E-Mail-Link',
+    'auth.method.password': 'E-Mail und Passwort',
+    'auth.error.thisEmail': 'Diese E-Mail-Adresse',
+    'auth.error.accountExists': '{email} hat bereits ein Konto. Melden Sie sich an wie beim letzten Mal, dann verknüpfen wir Ihr {provider}-Konto damit.',
+    'auth.error.accountExistsWith': '{email} hat bereits ein Konto (angemeldet mit {methods}). Melden Sie sich an wie beim letzten Mal, dann verknüpfen wir Ihr {provider}-Konto damit.',
+    'auth.error.popupBlocked': 'Ihr Browser hat das Anmeldefenster blockiert. Erlauben Sie Pop-ups für diese Website und versuchen Sie es erneut.',
+    'auth.error.invalidEmail': 'Diese E-Mail-Adresse scheint nicht korrekt zu sein.',
+    'auth.error.expiredLink': 'Dieser Anmeldelink ist abgelaufen oder wurde bereits verwendet. Fordern Sie einen neuen an.',
+    'auth.error.notEnabled': 'Diese Anmeldemethode ist noch nicht aktiviert.',
+    'auth.error.emailNeeded': 'Zum Abschließen der Anmeldung wird eine E-Mail-Adresse benötigt.',
+    'auth.error.generic': 'Die Anmeldung konnte nicht abgeschlossen werden. Bitte versuchen Sie es erneut.',
+
+    // Dashboard
+    'dashboard.paymentReceived': 'Zahlung erhalten! Ihre Credits erscheinen, sobald die Zahlung bestätigt ist.',
+    'dashboard.checkoutCancelled': 'Bezahlvorgang abgebrochen. Ihnen wurde nichts berechnet.',
+    'dashboard.credits': 'Ihre Credits',
+    'dashboard.creditsUnit': 'Credits',
+    'dashboard.history': 'Transaktionsverlauf',
+    'dashboard.payWith': 'Bezahlen mit',
+    'dashboard.payWithMine': 'Meine Credits ({count})',
+    'dashboard.payWithOrg': '{name} ({count} verfügbar)',
+    'dashboard.buy': '{count} Credits kaufen',
+    'dashboard.upload': '1. Selfies hochladen',
+    'dashboard.uploadHint': 'Laden Sie 1-{max} scharfe Fotos hoch. Am besten gelingen die Porträts mit verschiedenen Blickwinkeln.',
+    'dashboard.checkingSelfies': 'Ihre Fotos werden geprüft...',
+    'dashboard.style': '2. Stil beschreiben',
+    'dashboard.suggestStyles': '✨ Stile vorschlagen',
+    'dashboard.styleHint': 'Wählen Sie bis zu {max} Stile, z. B. „Schwarzweiß, filmische Beleuchtung“ oder „draußen, natürlicher Hintergrund“.',
+    'dashboard.savePreset': 'Als Vorlage speichern',
+    'dashboard.generate': '3. Porträts erstellen',
+    'dashboard.styles_one': '{count} Stil',
+    'dashboard.styles_other': '{count} Stile',
+    'dashboard.variants_one': '{count} Variante',
+    'dashboard.variants_other': '{count} Varianten',
+    'dashboard.runSummary': '{styles} × {variants} × {selfies} = {headshots}.',
+    'dashboard.runCost': 'Dafür werden {credits} Credits verbraucht ({cost} pro Stilvariante).',
+    'dashboard.generateButton': 'Porträts erstellen ({credits} Credits)',
+    'dashboard.gallery': 'Ihre erstellten Porträts',
+    'dashboard.uploading': 'Ihre Selfies werden hochgeladen...',
+    'dashboard.emptyGallery': 'Ihre Galerie ist leer',
+    'dashboard.emptyGalleryHint': 'Folgen Sie den Schritten links, um Ihre ersten Porträts zu erstellen.',
+    'dashboard.upgrade': 'Profil aufwerten',
+    'dashboard.upgradeHint': 'Ergänzen Sie Ihr neues Porträt um eine Bio für LinkedIn, X/Twitter, Konferenzprogramme und die Teamseite Ihres Unternehmens.',
+    'dashboard.writeBios': '✨ Meine Bios schreiben',
+
+    // Errors shown on the dashboard, gallery and account pages
+    'error.linkAccount': 'Ihr Konto konnte nicht verknüpft werden: {message}',
+    'error.checkout': 'Der Bezahlvorgang konnte nicht gestartet werden. Bitte versuchen Sie es erneut.',
+    'error.exportAccount': 'Ihre Daten konnten nicht exportiert werden: {message}',
+    'error.deleteAccount': 'Ihr Konto konnte nicht gelöscht werden: {message}',
+    'error.maxSelfies': 'Sie können höchstens {max} Bilder hochladen.',
+    'error.noSelfies': 'Bitte laden Sie mindestens ein Selfie hoch.',
+    'error.prepareSelfie': '{name} konnte nicht vorbereitet werden: {message}',
+    'error.orgCredits': 'Dieser Durchlauf benötigt {credits} Credits, aber Sie können nur {available} von {name} verwenden.',
+    'error.credits': 'Für diesen Durchlauf benötigen Sie mindestens {credits} Credits.',
+    'error.startGeneration': 'Die Erstellung konnte nicht gestartet werden: {message}',
+    'error.favorites': 'Ihre Favoriten konnten nicht aktualisiert werden. Bitte versuchen Sie es erneut.',
+    'error.delete': 'Löschen fehlgeschlagen: {message}',
+    'error.exportHeadshots': 'Ihre Porträts konnten nicht exportiert werden: {message}',
+    'error.suggestStyles': 'Es konnten keine Stilvorschläge erstellt werden. Bitte versuchen Sie es erneut.',
+    'error.download': 'Dieses Porträt konnte nicht heruntergeladen werden. Bitte versuchen Sie es erneut.',
+
+    // Classified failures (src/lib/errors.js) and what to do about them
+    'error.code.quota-exceeded': 'Gerade gibt es zu viele Anfragen. Bitte warten Sie eine Minute und versuchen Sie es erneut.',
+    'error.code.safety-blocked': 'Diese Anfrage wurde von unseren Inhaltsregeln blockiert: {reason}',
+    'error.code.network': 'Sie scheinen offline zu sein. Prüfen Sie Ihre Verbindung und versuchen Sie es erneut.',
+    'error.code.auth-expired': 'Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.',
+    'error.code.insufficient-credits': 'Sie haben dafür nicht genügend Credits.',
+    'error.action.buyCredits': 'Credits kaufen',
+    'error.action.signIn': 'Erneut anmelden',
+
+    // Shown when a page fails to render
+    'error.boundary.title': 'Etwas ist schiefgelaufen',
+    'error.boundary.text': 'Auf dieser Seite ist ein Problem aufgetreten. Neu laden behebt es meistens.',
+    'error.boundary.reload': 'Seite neu laden',
+
+    // Gallery
+    'gallery.allHeadshots': 'Alle Porträts',
+    'gallery.sessionMissing': 'Diese Sitzung existiert nicht oder wurde gelöscht.',
+    'gallery.earlier': 'Früher',
+    'gallery.favoritesOnly': 'Nur Favoriten',
+    'gallery.filterByStyle': 'Nach Stil filtern',
+    'gallery.allStyles': 'Alle Stile',
+    'gallery.sort': 'Porträts sortieren',
+    'gallery.sortOrder': 'Reihenfolge der Erstellung',
+    'gallery.sortScore': 'Beste Bewertung zuerst',
+    'gallery.selectAll': 'Alle auswählen',
+    'gallery.noMatches': 'Keine Porträts entsprechen diesen Filtern.',
+    'gallery.deleteSession': 'Sitzung löschen',
+    'gallery.imageLabel': '{style}, Porträt {number}',
+    'gallery.download': '{label} herunterladen',
+    'gallery.deleteImage': '{label} löschen',
+    'gallery.select': '{label} auswählen',
+    'gallery.addFavorite': '{label} zu den Favoriten hinzufügen',
+    'gallery.removeFavorite': '{label} aus den Favoriten entfernen',
+    'gallery.score': 'Qualitätsbewertung {score} von 100',
+    'gallery.score.likeness': 'Ähnlichkeit',
+    'gallery.score.framing': 'Bildausschnitt',
+    'gallery.score.artifacts': 'Sauberes Bild',
+    'gallery.score.prompt': 'Stiltreue',
+    'gallery.confirmDeleteImage': 'Dieses Porträt löschen? Das kann nicht rückgängig gemacht werden.',
+    'gallery.confirmDeleteSession': 'Alle {count} Porträts dieser Sitzung löschen? Das kann nicht rückgängig gemacht werden.',
+    'gallery.view': '{label} ansehen',
+    'gallery.compareSelected': 'Auswahl vergleichen',
+
+    // Lightbox
+    'lightbox.title': 'Porträtansicht',
+    'lightbox.mode': 'Ansicht',
+    'lightbox.mode.view': 'Einzeln',
+    'lightbox.mode.beforeAfter': 'Vorher/nachher',
+    'lightbox.mode.compare': 'Vergleichen',
+    'lightbox.noSelfie': 'Das Selfie zu diesem Porträt wurde nicht gespeichert.',
+    'lightbox.zoomIn': 'Vergrößern',
+    'lightbox.zoomOut': 'Verkleinern',
+    'lightbox.resetZoom': 'Zoom zurücksetzen',
+    'lightbox.close': 'Schließen',
+    'lightbox.previous': 'Vorheriges Porträt',
+    'lightbox.next': 'Nächstes Porträt',
+    'lightbox.imageLabel': 'Porträt {style}, {position} von {total}',
+    'lightbox.selfie': 'Selfie',
+    'lightbox.headshot': 'Porträt',
+    'lightbox.selfieMissing': 'Das Selfie zu diesem Porträt ist nicht mehr verfügbar.',
+    'lightbox.divider': 'Trennlinie zwischen Selfie und Porträt verschieben',
+    'lightbox.compareHint': 'Das linke Porträt bleibt stehen. Mit ← und → wechseln Sie das rechte.',
+    'lightbox.keys': '← → blättern · + − zoomen · 0 zurücksetzen · ziehen zum Verschieben · Esc schließen',
+
+    // Export
+    'export.selected_one': '{count} Porträt ausgewählt',
+    'export.selected_other': '{count} Porträts ausgewählt',
+    'export.clear': 'Auswahl aufheben',
+    'export.format': 'Format',
+    'export.quality': 'Qualität',
+    'export.preparing': '{done} von {total} werden vorbereitet...',
+    'export.download_one': 'ZIP herunterladen ({count} Datei)',
+    'export.download_other': 'ZIP herunterladen ({count} Dateien)',
+    'export.profile.linkedin': 'LinkedIn',
+    'export.profile.slack': 'Slack-Avatar',
+    'export.profile.square-1024': 'Quadratisch',
+    'export.profile.transparent': 'Transparenter Hintergrund',
+    'export.profile.print': 'Druck',
+    'export.size.print': '10 × 12,5 cm bei 300 DPI',
+
+    // Selfies
+    'selfie.status.ok': 'Sieht gut aus',
+    'selfie.status.warning': 'Prüfen',
+    'selfie.status.rejected': 'Nicht verwendbar',
+    'selfie.remove': '{name} entfernen',
+    'selfie.issue.tooSmall': 'Zu klein ({width}×{height}). Verwenden Sie ein Foto mit mindestens {min} px pro Seite.',
+    'selfie.issue.lowResolution': 'Geringe Auflösung ({width}×{height}); die Ergebnisse können weich wirken.',
+    'selfie.issue.blurry': 'Wirkt unscharf. Ein schärferes Foto sorgt für mehr Ähnlichkeit.',
+    'selfie.issue.noFace': 'Kein Gesicht gefunden. Verwenden Sie ein Foto, auf dem Ihr Gesicht deutlich zu sehen ist.',
+    'selfie.issue.manyFaces': 'Mehr als ein Gesicht gefunden. Fotos, auf denen nur Sie zu sehen sind, funktionieren am besten.',
+    'selfie.issue.unreadable': 'Diese Datei ist kein lesbares Bild. Versuchen Sie es mit JPEG oder PNG.',
+
+    // Styles
+    'styles.yourPresets': 'Ihre Vorlagen',
+    'styles.managePresets': 'Vorlagen verwalten',
+    'styles.noPresets': 'Speichern Sie einen Stil als Vorlage, um ihn bei jedem Durchlauf wiederzuverwenden.',
+    'styles.builtIn.corporate-grey': 'Business grau',
+    'styles.builtIn.outdoor-natural': 'Natürlich draußen',
+    'styles.builtIn.bw-cinematic': 'Schwarzweiß filmisch',
+    'styles.builtIn.modern-office': 'Modernes Büro',
+    'styles.customPlaceholder': 'Eigenen Stil eingeben...',
+    'styles.custom': 'Eigener Stil',
+    'styles.customNumbered': 'Eigener Stil {number}',
+    'styles.addCustom': '+ Als weiteren Stil hinzufügen',
+    'styles.remove': '{name} entfernen',
+    'styles.variants': 'Varianten pro Stil',
+
+    // Generation jobs
+    'job.status.queued': 'In der Warteschlange',
+    'job.status.running': 'Ihre Porträts werden erstellt...',
+    'job.status.succeeded': 'Alle Porträts sind fertig',
+    'job.status.partial': 'Einige Porträts konnten nicht erstellt werden',
+    'job.status.failed': 'Erstellung fehlgeschlagen',
+    'job.item.pending': 'Wartet',
+    'job.item.running': 'Wird erstellt...',
+    'job.item.succeeded': 'Fertig',
+    'job.item.failed': 'Fehlgeschlagen',
+    'job.item.selfie': 'Selfie {number}',
+    'job.item.styled': '{style} · Selfie {number}',
+    'job.item.styledVariant': '{style} · V{variant} · Selfie {number}',
+    'job.item.retry': '(Versuch {count})',
+    'job.item.improving': '(Qualität wird verbessert)',
+    'job.headshotAlt': 'Porträt {number}',
+    'job.refunded_one': '{credits} Credits wurden für das fehlgeschlagene Bild erstattet.',
+    'job.refunded_other': '{credits} Credits wurden für die fehlgeschlagenen Bilder erstattet.',
+    'jobCard.state.queued': 'wartet',
+    'jobCard.state.running': 'läuft',
+    'jobCard.state.succeeded': 'erfolgreich',
+    'jobCard.state.partial': 'teilweise',
+    'jobCard.state.failed': 'fehlgeschlagen',
+    'jobCard.state.pending': 'ausstehend',
+    'jobCard.refunded': '{count} erstattet',
+    'jobCard.attempts': '{count} Versuche',
+    'jobCard.defaultStyle': 'Standardstil',
+    'jobCard.output': 'Ergebnis {number}',
+
+    // Credit history
+    'credits.none': 'Noch keine Transaktionen.',
+    'credits.balance': 'Stand {balance}',
+    'credits.type.purchase': 'Kauf',
+    'credits.type.debit': 'Erstellung',
+    'credits.type.refund': 'Erstattung',
+    'credits.type.grant': 'Gutschrift',
+
+    // Account
+    'account.profile': 'Profil',
+    'account.signedInAs': 'Angemeldet als',
+    'account.balance': 'Guthaben:',
+    'account.history': 'Transaktionsverlauf',
+    'account.data': 'Ihre Daten',
+    'account.dataHint': 'Laden Sie eine ZIP-Datei mit Ihrem Profil, Ihrem Creditverlauf, den hochgeladenen Selfies und jedem erstellten Porträt samt dem zugehörigen Prompt herunter.',
+    'account.download': 'Meine Daten herunterladen',
+    'account.preparing': 'Archiv wird vorbereitet...',
+    'account.preparingFiles': 'Archiv wird vorbereitet... {done} von {total} Dateien',
+    'account.delete': 'Konto löschen',
+    'account.deleteHint': 'Dadurch werden Ihre Anmeldung, Ihr Profil, Ihre verbleibenden Credits, Ihr Creditverlauf, Ihre Selfies und Porträts dauerhaft gelöscht. Organisationen, deren Inhaber Sie sind, werden geschlossen und ihre Mitglieder entfernt. Das kann nicht rückgängig gemacht werden.',
+    'account.deleteHintExport': 'Laden Sie vorher Ihre Daten herunter, wenn Sie etwas behalten möchten.',
+    'account.typeToConfirm': 'Geben Sie zur Bestätigung {phrase} ein',
+    'account.deleting': 'Wird gelöscht...',
+    'account.deleteButton': 'Mein Konto löschen',
+    'account.deletedNotice': 'Ihr Konto wird gelöscht. Ihre Porträts, Selfies und Ihr Creditverlauf werden innerhalb weniger Minuten entfernt.',
+    'account.analytics': 'Nutzungsanalyse',
+    'account.analyticsHint': 'Nutzungsdaten teilen, etwa welche Schritte Sie abschließen und wie lange Generierungen dauern. Es werden keine E-Mail-Adressen, Namen, Fotos oder Prompts übertragen.',
+
+    // Analytics consent
+    'consent.label': 'Einwilligung zur Analyse',
+    'consent.text': 'Dürfen wir Nutzungsdaten erfassen, um zu sehen, wo sich die App verbessern lässt? Ohne Ihre Zustimmung wird nichts erfasst, und Sie können Ihre Wahl auf der Kontoseite ändern.',
+    'consent.accept': 'Analyse erlauben',
+    'consent.decline': 'Nein danke',
+
+    // Presets
+    'presets.title': 'Stilvorlagen',
+    'presets.new': 'Neue Vorlage',
+    'presets.intro': 'Legen Sie einen Look einmal fest und verwenden Sie ihn bei jedem Durchlauf. Teilen Sie den Link einer Vorlage, damit alle in Ihrem Unternehmen passende Porträts erhalten.',
+    'presets.empty': 'Noch keine Vorlagen. Speichern Sie hier eine oder übernehmen Sie einen Vorschlag im Dashboard.',
+    'presets.edit': 'Bearbeiten',
+    'presets.share': 'Teilen',
+    'presets.copyLink': 'Link kopieren',
+    'presets.linkCopied': 'Link kopiert',
+    'presets.stopSharing': 'Nicht mehr teilen',
+    'presets.confirmShareExample': 'Ihre Porträts sind privat, daher wird das Beispielbild beim Teilen dieser Vorlage entfernt. Trotzdem teilen?',
+    'presets.confirmDelete': 'Die Vorlage „{name}“ löschen? Personen, mit denen Sie sie geteilt haben, behalten ihre Kopien.',
+    'preset.exampleAlt': 'Beispiel für {name}',
+    'preset.background': 'Hintergrund',
+    'preset.lighting': 'Licht:',
+    'preset.attire': 'Kleidung:',
+    'preset.namePlaceholder': 'Name der Vorlage, z. B. Acme-Marke',
+    'preset.promptPlaceholder': 'Beschreiben Sie den Stil',
+    'preset.lightingPlaceholder': 'Licht, z. B. weiches Studiolicht',
+    'preset.attirePlaceholder': 'Kleidung, z. B. dunkelblauer Blazer',
+    'preset.backgroundColor': 'Hintergrundfarbe',
+    'preset.exampleImage': 'Beispielbild',
+    'preset.saving': 'Wird gespeichert...',
+    'preset.save': 'Vorlage speichern',
+    'preset.error.name': 'Geben Sie der Vorlage einen Namen.',
+    'preset.error.empty': 'Beschreiben Sie den Stil oder legen Sie Hintergrund, Licht oder Kleidung fest.',
+    'sharedPreset.missing': 'Diese Vorlage existiert nicht oder wird nicht mehr geteilt.',
+    'sharedPreset.title': 'Geteilte Stilvorlage',
+    'sharedPreset.own': 'Das ist Ihre Vorlage. Alle mit diesem Link können sie zu ihrer Sammlung hinzufügen.',
+    'sharedPreset.adding': 'Wird hinzugefügt...',
+    'sharedPreset.add': 'Zu meinen Vorlagen hinzufügen',
+    'sharedPreset.toDashboard': 'Zum Dashboard',
+
+    // Bio writer
+    'bio.about': 'Über Sie',
+    'bio.field.name': 'Name',
+    'bio.field.role': 'Position',
+    'bio.field.industry': 'Branche',
+    'bio.field.years': 'Jahre Berufserfahrung',
+    'bio.field.achievements': 'Wichtigste Erfolge',
+    'bio.field.audience': 'Zielgruppe',
+    'bio.placeholder.name': 'Ada Lovelace',
+    'bio.placeholder.role': 'Leiterin Softwareentwicklung',
+    'bio.placeholder.industry': 'Fintech',
+    'bio.placeholder.years': '12',
+    'bio.placeholder.achievements': 'Team von 5 auf 40 Personen ausgebaut; ... eingeführt',
+    'bio.placeholder.audience': 'Recruiter, potenzielle Kunden, Konferenzveranstalter',
+    'bio.tone': 'Tonfall',
+    'bio.tone.formal': 'Förmlich',
+    'bio.tone.friendly': 'Freundlich',
+    'bio.tone.bold': 'Selbstbewusst',
+    'bio.length': 'Länge',
+    'bio.length.short': 'Kurz',
+    'bio.length.medium': 'Mittel',
+    'bio.length.long': 'Lang',
+    'bio.platforms': 'Plattformen',
+    'bio.platform.linkedin': 'LinkedIn-Info',
+    'bio.platform.twitter': 'X/Twitter-Bio',
+    'bio.platform.speaker': 'Referenten-Bio',
+    'bio.platform.team': 'Teamseite',
+    'bio.writing': 'Wird geschrieben...',
+    'bio.write': '✨ Meine Bios schreiben',
+    'bio.needRole': 'Geben Sie zumindest Ihre Position an, um loszulegen.',
+    'bio.copy': 'Kopieren',
+    'bio.copied': 'Kopiert',
+    'bio.saveDraft': 'Entwurf speichern',
+    'bio.saving': 'Wird gespeichert...',
+    'bio.saved': 'Gespeichert',
+    'bio.savedDrafts': 'Gespeicherte Entwürfe',
+    'bio.noDrafts': 'Für diese Plattform gibt es noch keine gespeicherten Entwürfe.',
+    'bio.restore': 'Wiederherstellen',
+    'bio.compareHint': 'Markieren Sie zwei Entwürfe, um sie zu vergleichen.',
+    'bio.confirmDelete': 'Diesen Entwurf löschen?',
+    'bio.error': 'Ihre Bios konnten nicht geschrieben werden. Bitte versuchen Sie es erneut.',
+
+    // Organizations
+    'orgs.invitations': 'Einladungen',
+    'orgs.spendingLimit': 'Ausgabenlimit: {limit}',
+    'orgs.join': 'Beitreten',
+    'orgs.decline': 'Ablehnen',
+    'orgs.yours': 'Ihre Organisationen',
+    'orgs.none': 'Sie gehören noch keiner Organisation an.',
+    'orgs.ownerSummary': 'Inhaber · {credits} Credits im Pool',
+    'orgs.memberSummary': '{limit} · {available} jetzt verfügbar',
+    'orgs.start': 'Organisation gründen',
+    'orgs.namePlaceholder': 'Name der Organisation',
+    'orgs.create': 'Erstellen',
+    'orgs.introTitle': 'Gemeinsame Credits für Ihr Team',
+    'orgs.intro': 'Der Inhaber einer Organisation kauft Credits in einen gemeinsamen Pool und lädt Kolleginnen und Kollegen per E-Mail ein, jeweils mit optionalem Ausgabenlimit. Mitglieder wählen die Organisation im Dashboard unter „Bezahlen mit“, und der Inhaber sieht hier alle Erstellungen und den Verbrauch.',
+    'orgs.pool': 'Gemeinsamer Pool:',
+    'orgs.buy': 'Credits für den Pool kaufen',
+    'orgs.members': 'Mitglieder',
+    'orgs.emailPlaceholder': 'kollegin@example.com',
+    'orgs.limitPlaceholder': 'Limit (optional)',
+    'orgs.invite': 'Einladen',
+    'orgs.error.inviteEmail': 'Die Einladung für {email} wurde gespeichert, aber die E-Mail konnte nicht gesendet werden. Die Person kann sie nach der Anmeldung trotzdem annehmen.',
+    'orgs.member': 'Mitglied',
+    'orgs.spent': 'Verbraucht',
+    'orgs.limit': 'Limit',
+    'orgs.owner': 'Inhaber',
+    'orgs.invited': '(eingeladen)',
+    'orgs.noLimit': 'Kein Limit',
+    'orgs.limitLeft': '{left} von {limit} Credits übrig',
+    'orgs.remove': 'Entfernen',
+    'orgs.confirmRemove': '{email} aus {name} entfernen?',
+    'orgs.withdraw': 'Zurückziehen',
+    'orgs.poolHistory': 'Pool-Verlauf',
+    'orgs.formerMember': 'ehemaliges Mitglied',
+    'orgs.generations': 'Erstellungen der Mitglieder',
+    'orgs.noGenerations': 'Bisher hat niemand mit dem Pool Porträts erstellt.',
+    'orgs.formerMemberByline': 'Ehemaliges Mitglied'
+};
+
+const legal = {
+    notice: 'Diese Übersetzung dient Ihrer Information. Rechtlich maßgeblich ist die englische Fassung.',
+    privacy: {
+        title: 'Datenschutzerklärung',
+        intro: 'Ihre Privatsphäre ist uns wichtig. Diese Datenschutzerklärung erläutert, wie wir Informationen über Sie erheben, verwenden und weitergeben, wenn Sie unseren Dienst AI Headshot Generator nutzen.',
+        sections: [
+            {
+                heading: 'Welche Informationen wir erheben',
+                items: [
+                    { term: 'Kontoinformationen:', text: 'Wenn Sie ein Konto erstellen, erheben wir Ihre E-Mail-Adresse und Ihren Namen, wie sie Ihr Anmeldeanbieter (Google, Microsoft oder Apple) übermittelt, oder die E-Mail-Adresse, die Sie für die Anmeldung per E-Mail-Link verwenden.' },
+                    { term: 'Hochgeladene Bilder:', text: 'Wir erheben die Selfies, die Sie zur Erstellung Ihrer Porträts hochladen. Diese Bilder werden sicher gespeichert und ausschließlich zur Erstellung Ihrer KI-Porträts verwendet.' },
+                    { term: 'Erstellte Bilder:', text: 'Wir speichern die für Sie erstellten Porträts, die nur über Ihr Konto zugänglich sind.' },
+                    { term: 'Nutzungsdaten:', text: 'Mit Ihrer Einwilligung erfassen wir Nutzungsereignisse über Google Analytics for Firebase, etwa welche Schritte Sie abschließen (Anmeldung, Uploads, Generierungen, Käufe, Downloads) und wie lange Generierungen dauern. Diese Ereignisse enthalten keine E-Mail-Adressen, Namen, Fotos oder Prompts. Sie können Ihre Einwilligung jederzeit auf der Kontoseite widerrufen.' }
+                ]
+            },
+            {
+                heading: 'Wie wir Ihre Informationen verwenden',
+                items: [
+                    { text: 'Um unseren Dienst bereitzustellen, zu betreiben und zu verbessern.' },
+                    { text: 'Um Ihre Anfragen zur Erstellung von KI-Porträts zu bearbeiten.' },
+                    { text: 'Um mit Ihnen über Ihr Konto und unsere Dienste zu kommunizieren.' },
+                    { text: 'Um unsere Bedingungen durchzusetzen und Betrug zu verhindern.' }
+                ]
+            },
+            {
+                heading: 'Weitergabe von Daten',
+                paragraphs: ['Wir verkaufen Ihre personenbezogenen Daten nicht. Wir können Ihre hochgeladenen Bilder ausschließlich zur Erstellung Ihrer Porträts an unseren KI-Modellanbieter (Google Gemini) weitergeben. Diese Bilder werden nicht zum Training des KI-Modells verwendet.']
+            },
+            {
+                heading: 'Speicherdauer',
+                paragraphs: ['Wir speichern Ihre hochgeladenen und erstellten Bilder, solange Ihr Konto besteht, damit Sie darauf zugreifen können. Sie können jederzeit auf der Kontoseite eine Kopie Ihrer Daten herunterladen oder Ihr Konto löschen. Beim Löschen Ihres Kontos werden Ihre Anmeldung, Ihr Profil, Ihr Creditverlauf, Ihre hochgeladenen Selfies und Ihre erstellten Bilder entfernt.']
+            }
+        ]
+    },
+    terms: {
+        title: 'Nutzungsbedingungen',
+        intro: 'Mit der Nutzung des AI Headshot Generator (der „Dienst“) stimmen Sie diesen Nutzungsbedingungen zu. Bitte lesen Sie sie sorgfältig.',
+        sections: [
+            {
+                heading: '1. Ihr Konto',
+                paragraphs: ['Sie sind für den Schutz Ihres Kontos verantwortlich. Sie verpflichten sich, Ihr Passwort nicht an Dritte weiterzugeben. Sie müssen uns unverzüglich benachrichtigen, sobald Sie von einer Sicherheitsverletzung oder einer unbefugten Nutzung Ihres Kontos erfahren.']
+            },
+            {
+                heading: '2. Nutzung des Dienstes',
+                paragraphs: ['Sie verpflichten sich, den Dienst nur für rechtmäßige Zwecke zu nutzen. Sie dürfen keine Bilder hochladen, die rechtswidrig, obszön oder verleumderisch sind oder die geistigen Eigentumsrechte anderer verletzen. Alle Rechte an den von Ihnen hochgeladenen Selfies verbleiben bei Ihnen.']
+            },
+            {
+                heading: '3. Erstellte Inhalte',
+                paragraphs: ['Ihnen werden das volle Eigentum und die kommerziellen Nutzungsrechte an den Porträts eingeräumt, die der Dienst aus Ihren hochgeladenen Bildern erstellt. Der Dienst verwendet KI, und die erstellten Inhalte können gelegentlich Artefakte oder Ungenauigkeiten enthalten. Für solche Mängel haften wir nicht.']
+            },
+            {
+                heading: '4. Credits und Bezahlung',
+                paragraphs: ['Der Dienst funktioniert mit Credits. Credits werden in Paketen gekauft und nicht erstattet. Ein Erstellungsdurchlauf verbraucht eine feste Anzahl an Credits, wie auf der Preisseite angegeben. Schlägt eine Erstellung aufgrund eines technischen Fehlers unsererseits fehl, werden die Credits erstattet.']
+            },
+            {
+                heading: '5. Kündigung',
+                paragraphs: ['Wir können Ihr Konto jederzeit ohne vorherige Ankündigung oder Haftung aus beliebigem Grund sofort kündigen oder sperren, insbesondere wenn Sie gegen die Bedingungen verstoßen.']
+            }
+        ]
+    }
+};
+
+const de = { messages, legal };
+
+export default de;
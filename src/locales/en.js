@@ -0,0 +1,493 @@
+// --- English ---
+// The reference catalog: every key the UI uses is defined here first.
+
+const messages = {
+    // Shared
+    'app.name': 'AI Headshot Generator',
+    'app.authenticating': 'Authenticating...',
+    'common.error': 'Something went wrong. Please try again.',
+    'common.loading': 'Loading...',
+    'common.save': 'Save',
+    'common.cancel': 'Cancel',
+    'common.delete': 'Delete',
+    'common.dismiss': 'Dismiss',
+    'common.close': 'Close',
+    'common.credits_one': '{count} credit',
+    'common.credits_other': '{count} credits',
+    'common.headshots_one': '{count} headshot',
+    'common.headshots_other': '{count} headshots',
+    'common.selfies_one': '{count} selfie',
+    'common.selfies_other': '{count} selfies',
+    'language.label': 'Language',
+    'legal.updated': 'Last Updated: {date}',
+
+    // Navigation and page titles
+    'nav.dashboard': 'Dashboard',
+    'nav.presets': 'Presets',
+    'nav.bio': 'Bio',
+    'nav.organizations': 'Organizations',
+    'nav.admin': 'Admin',
+    'nav.account': 'Account',
+    'nav.signOut': 'Sign Out',
+    'nav.terms': 'Terms of Service',
+    'nav.privacy': 'Privacy Policy',
+    'nav.backToDashboard': 'Back to Dashboard',
+    'nav.backToHome': 'Back to Home',
+    'title.dashboard': 'Dashboard',
+    'title.session': 'Headshot Session',
+    'title.account': 'Account',
+    'title.presets': 'Style Presets',
+    'title.preset': 'Style Preset',
+    'title.bio': 'Bio Writer',
+    'title.organizations': 'Organizations',
+    'title.admin': 'Admin Console',
+
+    // Landing page
+    'landing.getStarted': 'Login / Get Started',
+    'landing.signInTitle': 'Sign in to get started',
+    'landing.title': 'Studio-Quality Headshots.',
+    'landing.titleLine2': 'Generated in Minutes.',
+    'landing.subtitle': 'Upload your selfies, and let our AI create professional headshots for your LinkedIn, website, or resume. No photoshoot required.',
+    'landing.cta': 'Get Your Headshots Now',
+    'landing.examples': 'Examples',
+    'landing.exampleAlt': 'Example {number}',
+    'landing.pricing.title': 'Simple, One-Time Pricing',
+    'landing.pricing.pack': 'Starter Pack',
+    'landing.pricing.oneTime': 'One-time purchase',
+    'landing.pricing.credits': '{count} AI Headshot Credits',
+    'landing.pricing.styles': 'Multiple professional styles',
+    'landing.pricing.resolution': 'High-resolution downloads',
+    'landing.pricing.ownership': 'Full ownership of your images',
+    'landing.pricing.buy': 'Buy Now',
+    'landing.faq.title': 'Frequently Asked Questions',
+    'landing.faq.how': 'How does it work?',
+    'landing.faq.howAnswer': 'You upload 1-{max} casual selfies. Our AI model analyzes your facial features and then generates a variety of new, professional-looking headshots in different styles and backgrounds.',
+    'landing.faq.ownership': 'Who owns the generated images?',
+    'landing.faq.ownershipAnswer': 'You do! You have full commercial rights to use your generated headshots anywhere you like.',
+    'landing.faq.quality': 'What is the quality of the photos?',
+    'landing.faq.qualityAnswer': 'The images are generated in high resolution, suitable for printing or for use on high-resolution displays for websites like LinkedIn.',
+    'landing.copyright': '© 2024 AI Headshot Generator. All Rights Reserved.',
+
+    // Sign-in
+    'signIn.title': 'Sign in to continue',
+    'signIn.subtitle': "You'll come straight back to the page you were trying to open.",
+    'signIn.checkInbox': 'Check your inbox',
+    'signIn.linkSent': 'We sent a sign-in link to {email}. Open it on this device to continue.',
+    'signIn.continueWith': 'Continue with {provider}',
+    'signIn.or': 'or',
+    'signIn.emailLabel': 'Email address',
+    'signIn.emailPlaceholder': 'you@company.com',
+    'signIn.sendLink': 'Email me a sign-in link',
+    'signIn.confirmEmail': 'Please confirm your email address to finish signing in.',
+    'auth.method.emailLink': 'an email link',
+    'auth.method.password': 'email and password',
+    'auth.error.thisEmail': 'This email',
+    'auth.error.accountExists': "{email} already has an account. Sign in the way you did before and we'll link your {provider} account to it.",
+    'auth.error.accountExistsWith': "{email} already has an account (signed in with {methods}). Sign in the way you did before and we'll link your {provider} account to it.",
+    'auth.error.popupBlocked': 'Your browser blocked the sign-in window. Allow pop-ups for this site and try again.',
+    'auth.error.invalidEmail': 'That email address does not look right.',
+    'auth.error.expiredLink': 'This sign-in link has expired or was already used. Request a new one.',
+    'auth.error.notEnabled': 'This sign-in method is not enabled yet.',
+    'auth.error.emailNeeded': 'An email address is needed to finish signing in.',
+    'auth.error.generic': 'Could not complete sign-in. Please try again.',
+
+    // Dashboard
+    'dashboard.paymentReceived': 'Payment received! Your credits will appear as soon as the payment is confirmed.',
+    'dashboard.checkoutCancelled': 'Checkout cancelled. You have not been charged.',
+    'dashboard.credits': 'Your Credits',
+    'dashboard.creditsUnit': 'credits',
+    'dashboard.history': 'Transaction history',
+    'dashboard.payWith': 'Pay with',
+    'dashboard.payWithMine': 'My credits ({count})',
+    'dashboard.payWithOrg': '{name} ({count} available)',
+    'dashboard.buy': 'Buy {count} Credits',
+    'dashboard.upload': '1. Upload Your Selfies',
+    'dashboard.uploadHint': 'Upload 1-{max} clear photos. For best results, use a variety of angles.',
+    'dashboard.checkingSelfies': 'Checking your photos...',
+    'dashboard.style': '2. Describe Your Style',
+    'dashboard.suggestStyles': '✨ Suggest Styles',
+    'dashboard.styleHint': 'Pick up to {max} styles, e.g. "black and white, cinematic lighting" or "outdoor, natural background".',
+    'dashboard.savePreset': 'Save as preset',
+    'dashboard.generate': '3. Generate Headshots',
+    'dashboard.styles_one': '{count} style',
+    'dashboard.styles_other': '{count} styles',
+    'dashboard.variants_one': '{count} variant',
+    'dashboard.variants_other': '{count} variants',
+    'dashboard.runSummary': '{styles} × {variants} × {selfies} = {headshots}.',
+    'dashboard.runCost': 'This will use {credits} credits ({cost} per style variant).',
+    'dashboard.generateButton': 'Generate Headshots ({credits} Credits)',
+    'dashboard.gallery': 'Your Generated Headshots',
+    'dashboard.uploading': 'Uploading your selfies...',
+    'dashboard.emptyGallery': 'Your gallery is empty',
+    'dashboard.emptyGalleryHint': 'Follow the steps on the left to generate your first set of headshots.',
+    'dashboard.upgrade': 'Upgrade Your Profile',
+    'dashboard.upgradeHint': "Pair your new headshot with a bio for LinkedIn, X/Twitter, conference programmes and your company's team page.",
+    'dashboard.writeBios': '✨ Write my bios',
+
+    // Errors shown on the dashboard, gallery and account pages
+    'error.linkAccount': 'Could not link your account: {message}',
+    'error.checkout': 'Could not start checkout. Please try again.',
+    'error.exportAccount': 'Could not export your data: {message}',
+    'error.deleteAccount': 'Could not delete your account: {message}',
+    'error.maxSelfies': 'You can upload a maximum of {max} images.',
+    'error.noSelfies': 'Please upload at least one selfie.',
+    'error.prepareSelfie': 'Could not prepare {name}: {message}',
+    'error.orgCredits': 'This run needs {credits} credits, but you can use {available} from {name}.',
+    'error.credits': 'You need at least {credits} credits for this run.',
+    'error.startGeneration': 'Could not start generation: {message}',
+    'error.favorites': 'Could not update your favorites. Please try again.',
+    'error.delete': 'Could not delete: {message}',
+    'error.exportHeadshots': 'Could not export your headshots: {message}',
+    'error.suggestStyles': 'Could not generate style suggestions. Please try again.',
+    'error.download': 'Could not download this headshot. Please try again.',
+
+    // Classified failures (src/lib/errors.js) and what to do about them
+    'error.code.quota-exceeded': 'Too many requests right now. Please wait a minute and try again.',
+    'error.code.safety-blocked': 'This request was blocked by our content rules: {reason}',
+    'error.code.network': 'You seem to be offline. Check your connection and try again.',
+    'error.code.auth-expired': 'Your session has expired. Please sign in again.',
+    'error.code.insufficient-credits': 'You do not have enough credits for this.',
+    'error.action.buyCredits': 'Buy credits',
+    'error.action.signIn': 'Sign in again',
+
+    // Shown when a page fails to render
+    'error.boundary.title': 'Something went wrong',
+    'error.boundary.text': 'This page ran into a problem. Reloading usually fixes it.',
+    'error.boundary.reload': 'Reload page',
+
+    // Gallery
+    'gallery.allHeadshots': 'All headshots',
+    'gallery.sessionMissing': 'This session does not exist or has been deleted.',
+    'gallery.earlier': 'Earlier',
+    'gallery.favoritesOnly': 'Favorites only',
+    'gallery.filterByStyle': 'Filter by style',
+    'gallery.allStyles': 'All styles',
+    'gallery.sort': 'Sort headshots',
+    'gallery.sortOrder': 'Generation order',
+    'gallery.sortScore': 'Best score first',
+    'gallery.selectAll': 'Select all',
+    'gallery.noMatches': 'No headshots match these filters.',
+    'gallery.deleteSession': 'Delete session',
+    'gallery.imageLabel': '{style} headshot {number}',
+    'gallery.download': 'Download {label}',
+    'gallery.deleteImage': 'Delete {label}',
+    'gallery.select': 'Select {label}',
+    'gallery.addFavorite': 'Add {label} to favorites',
+    'gallery.removeFavorite': 'Remove {label} from favorites',
+    'gallery.score': 'Quality score {score} out of 100',
+    'gallery.score.likeness': 'Likeness',
+    'gallery.score.framing': 'Framing',
+    'gallery.score.artifacts': 'Clean image',
+    'gallery.score.prompt': 'Style match',
+    'gallery.confirmDeleteImage': 'Delete this headshot? This cannot be undone.',
+    'gallery.confirmDeleteSession': 'Delete all {count} headshots from this session? This cannot be undone.',
+    'gallery.view': 'View {label}',
+    'gallery.compareSelected': 'Compare selected',
+
+    // Lightbox
+    'lightbox.title': 'Headshot viewer',
+    'lightbox.mode': 'View mode',
+    'lightbox.mode.view': 'Single',
+    'lightbox.mode.beforeAfter': 'Before/after',
+    'lightbox.mode.compare': 'Compare',
+    'lightbox.noSelfie': 'The selfie for this headshot was not recorded.',
+    'lightbox.zoomIn': 'Zoom in',
+    'lightbox.zoomOut': 'Zoom out',
+    'lightbox.resetZoom': 'Reset zoom',
+    'lightbox.close': 'Close',
+    'lightbox.previous': 'Previous headshot',
+    'lightbox.next': 'Next headshot',
+    'lightbox.imageLabel': '{style} headshot, {position} of {total}',
+    'lightbox.selfie': 'Selfie',
+    'lightbox.headshot': 'Headshot',
+    'lightbox.selfieMissing': 'The selfie for this headshot is no longer available.',
+    'lightbox.divider': 'Move the divider between selfie and headshot',
+    'lightbox.compareHint': 'The left headshot stays put. ← and → change the right one.',
+    'lightbox.keys': '← → browse · + − zoom · 0 reset · drag to pan · Esc close',
+
+    // Export
+    'export.selected_one': '{count} headshot selected',
+    'export.selected_other': '{count} headshots selected',
+    'export.clear': 'Clear selection',
+    'export.format': 'Format',
+    'export.quality': 'Quality',
+    'export.preparing': 'Preparing {done} of {total}...',
+    'export.download_one': 'Download ZIP ({count} file)',
+    'export.download_other': 'Download ZIP ({count} files)',
+    'export.profile.linkedin': 'LinkedIn',
+    'export.profile.slack': 'Slack avatar',
+    'export.profile.square-1024': 'Square',
+    'export.profile.transparent': 'Transparent background',
+    'export.profile.print': 'Print',
+    'export.size.print': '4×5 in at 300 DPI',
+
+    // Selfies
+    'selfie.status.ok': 'Looks good',
+    'selfie.status.warning': 'Check',
+    'selfie.status.rejected': 'Not usable',
+    'selfie.remove': 'Remove {name}',
+    'selfie.issue.tooSmall': 'Too small ({width}×{height}). Use a photo at least {min}px on each side.',
+    'selfie.issue.lowResolution': 'Low resolution ({width}×{height}); results may look soft.',
+    'selfie.issue.blurry': 'Looks blurry. A sharper photo gives a better likeness.',
+    'selfie.issue.noFace': 'No face found. Use a photo where your face is clearly visible.',
+    'selfie.issue.manyFaces': 'More than one face found. Photos of just you work best.',
+    'selfie.issue.unreadable': 'This file is not an image we can read. Try a JPEG or PNG.',
+
+    // Styles
+    'styles.yourPresets': 'Your presets',
+    'styles.managePresets': 'Manage presets',
+    'styles.noPresets': 'Save a style as a preset to reuse it on every run.',
+    'styles.builtIn.corporate-grey': 'Corporate grey',
+    'styles.builtIn.outdoor-natural': 'Outdoor natural',
+    'styles.builtIn.bw-cinematic': 'B&W cinematic',
+    'styles.builtIn.modern-office': 'Modern office',
+    'styles.customPlaceholder': 'Enter custom style...',
+    'styles.custom': 'Custom',
+    'styles.customNumbered': 'Custom {number}',
+    'styles.addCustom': '+ Add as another style',
+    'styles.remove': 'Remove {name}',
+    'styles.variants': 'Variants per style',
+
+    // Generation jobs
+    'job.status.queued': 'Queued',
+    'job.status.running': 'Generating your headshots...',
+    'job.status.succeeded': 'All headshots are ready',
+    'job.status.partial': 'Some headshots could not be generated',
+    'job.status.failed': 'Generation failed',
+    'job.item.pending': 'Waiting',
+    'job.item.running': 'Generating...',
+    'job.item.succeeded': 'Done',
+    'job.item.failed': 'Failed',
+    'job.item.selfie': 'Selfie {number}',
+    'job.item.styled': '{style} · selfie {number}',
+    'job.item.styledVariant': '{style} · v{variant} · selfie {number}',
+    'job.item.retry': '(retry {count})',
+    'job.item.improving': '(improving quality)',
+    'job.headshotAlt': 'Headshot {number}',
+    'job.refunded_one': '{credits} credits were refunded for the image that failed.',
+    'job.refunded_other': '{credits} credits were refunded for the images that failed.',
+    'jobCard.state.queued': 'queued',
+    'jobCard.state.running': 'running',
+    'jobCard.state.succeeded': 'succeeded',
+    'jobCard.state.partial': 'partial',
+    'jobCard.state.failed': 'failed',
+    'jobCard.state.pending': 'pending',
+    'jobCard.refunded': '{count} refunded',
+    'jobCard.attempts': '{count} attempts',
+    'jobCard.defaultStyle': 'default style',
+    'jobCard.output': 'Output {number}',
+
+    // Credit history
+    'credits.none': 'No transactions yet.',
+    'credits.balance': 'Balance {balance}',
+    'credits.type.purchase': 'Purchase',
+    'credits.type.debit': 'Generation',
+    'credits.type.refund': 'Refund',
+    'credits.type.grant': 'Credit grant',
+
+    // Account
+    'account.profile': 'Profile',
+    'account.signedInAs': 'Signed in as',
+    'account.balance': 'Credit balance:',
+    'account.history': 'Transaction History',
+    'account.data': 'Your Data',
+    'account.dataHint': 'Download a ZIP with your profile, credit history, uploaded selfies and every generated headshot with the prompt that produced it.',
+    'account.download': 'Download my data',
+    'account.preparing': 'Preparing archive...',
+    'account.preparingFiles': 'Preparing archive... {done} of {total} files',
+    'account.delete': 'Delete Account',
+    'account.deleteHint': 'This permanently deletes your sign-in, profile, remaining credits, credit history, selfies and headshots. Organizations you own are closed and their members removed. It cannot be undone.',
+    'account.deleteHintExport': 'Download your data first if you want to keep anything.',
+    'account.typeToConfirm': 'Type {phrase} to confirm',
+    'account.deleting': 'Deleting...',
+    'account.deleteButton': 'Delete my account',
+    'account.deletedNotice': 'Your account is being deleted. Your headshots, selfies and credit history will be removed within a few minutes.',
+    'account.analytics': 'Usage Analytics',
+    'account.analyticsHint': 'Share usage analytics, such as which steps you complete and how long generations take. No email addresses, names, photos or prompts are sent.',
+
+    // Analytics consent
+    'consent.label': 'Analytics consent',
+    'consent.text': 'May we record usage analytics to see where the app can be improved? Nothing is recorded unless you agree, and you can change your mind on the Account page.',
+    'consent.accept': 'Allow analytics',
+    'consent.decline': 'No thanks',
+
+    // Presets
+    'presets.title': 'Style Presets',
+    'presets.new': 'New preset',
+    'presets.intro': "Save a look once and reuse it for every run. Share a preset's link so everyone in your company gets headshots that match.",
+    'presets.empty': 'No presets yet. Save one here, or from a suggestion on the dashboard.',
+    'presets.edit': 'Edit',
+    'presets.share': 'Share',
+    'presets.copyLink': 'Copy link',
+    'presets.linkCopied': 'Link copied',
+    'presets.stopSharing': 'Stop sharing',
+    'presets.confirmShareExample': 'Your headshots are private, so the example image is removed when you share this preset. Share it?',
+    'presets.confirmDelete': 'Delete the preset "{name}"? People you shared it with keep their copies.',
+    'preset.exampleAlt': '{name} example',
+    'preset.background': 'Background',
+    'preset.lighting': 'Lighting:',
+    'preset.attire': 'Attire:',
+    'preset.namePlaceholder': 'Preset name, e.g. Acme brand',
+    'preset.promptPlaceholder': 'Describe the style',
+    'preset.lightingPlaceholder': 'Lighting, e.g. soft studio light',
+    'preset.attirePlaceholder': 'Attire, e.g. navy blazer',
+    'preset.backgroundColor': 'Background color',
+    'preset.exampleImage': 'Example image',
+    'preset.saving': 'Saving...',
+    'preset.save': 'Save preset',
+    'preset.error.name': 'Give the preset a name.',
+    'preset.error.empty': 'Describe the style, or set a background, lighting or attire.',
+    'sharedPreset.missing': 'This preset does not exist or is no longer shared.',
+    'sharedPreset.title': 'Shared style preset',
+    'sharedPreset.own': 'This is your preset. Anyone with this link can add it to their library.',
+    'sharedPreset.adding': 'Adding...',
+    'sharedPreset.add': 'Add to my presets',
+    'sharedPreset.toDashboard': 'Go to the dashboard',
+
+    // Bio writer
+    'bio.about': 'About You',
+    'bio.field.name': 'Name',
+    'bio.field.role': 'Role',
+    'bio.field.industry': 'Industry',
+    'bio.field.years': 'Years of experience',
+    'bio.field.achievements': 'Key achievements',
+    'bio.field.audience': 'Audience',
+    'bio.placeholder.name': 'Ada Lovelace',
+    'bio.placeholder.role': 'Head of Engineering',
+    'bio.placeholder.industry': 'Fintech',
+    'bio.placeholder.years': '12',
+    'bio.placeholder.achievements': 'Scaled the team from 5 to 40; shipped...',
+    'bio.placeholder.audience': 'Recruiters, potential clients, conference organisers',
+    'bio.tone': 'Tone',
+    'bio.tone.formal': 'Formal',
+    'bio.tone.friendly': 'Friendly',
+    'bio.tone.bold': 'Bold',
+    'bio.length': 'Length',
+    'bio.length.short': 'Short',
+    'bio.length.medium': 'Medium',
+    'bio.length.long': 'Long',
+    'bio.platforms': 'Platforms',
+    'bio.platform.linkedin': 'LinkedIn About',
+    'bio.platform.twitter': 'X/Twitter bio',
+    'bio.platform.speaker': 'Speaker bio',
+    'bio.platform.team': 'Meet the team',
+    'bio.writing': 'Writing...',
+    'bio.write': '✨ Write my bios',
+    'bio.needRole': 'Add at least your role to get started.',
+    'bio.copy': 'Copy',
+    'bio.copied': 'Copied',
+    'bio.saveDraft': 'Save draft',
+    'bio.saving': 'Saving...',
+    'bio.saved': 'Saved',
+    'bio.savedDrafts': 'Saved Drafts',
+    'bio.noDrafts': 'No saved drafts for this platform yet.',
+    'bio.restore': 'Restore',
+    'bio.compareHint': 'Tick two drafts to compare them.',
+    'bio.confirmDelete': 'Delete this draft?',
+    'bio.error': 'Could not write your bios. Please try again.',
+
+    // Organizations
+    'orgs.invitations': 'Invitations',
+    'orgs.spendingLimit': 'Spending limit: {limit}',
+    'orgs.join': 'Join',
+    'orgs.decline': 'Decline',
+    'orgs.yours': 'Your Organizations',
+    'orgs.none': 'You are not in any organization yet.',
+    'orgs.ownerSummary': 'Owner · {credits} credits in the pool',
+    'orgs.memberSummary': '{limit} · {available} available now',
+    'orgs.start': 'Start an organization',
+    'orgs.namePlaceholder': 'Organization name',
+    'orgs.create': 'Create',
+    'orgs.introTitle': 'Shared credits for your team',
+    'orgs.intro': 'The owner of an organization buys credits into a shared pool and invites colleagues by email, each with an optional spending limit. Members choose the organization under "Pay with" on the dashboard, and the owner sees everyone\'s generations and usage here.',
+    'orgs.pool': 'Shared pool:',
+    'orgs.buy': 'Buy credits for the pool',
+    'orgs.members': 'Members',
+    'orgs.emailPlaceholder': 'colleague@example.com',
+    'orgs.limitPlaceholder': 'Limit (optional)',
+    'orgs.invite': 'Invite',
+    'orgs.error.inviteEmail': 'The invite for {email} was saved, but the email could not be sent. They can still accept it after signing in.',
+    'orgs.member': 'Member',
+    'orgs.spent': 'Spent',
+    'orgs.limit': 'Limit',
+    'orgs.owner': 'owner',
+    'orgs.invited': '(invited)',
+    'orgs.noLimit': 'No limit',
+    'orgs.limitLeft': '{left} of {limit} credits left',
+    'orgs.remove': 'Remove',
+    'orgs.confirmRemove': 'Remove {email} from {name}?',
+    'orgs.withdraw': 'Withdraw',
+    'orgs.poolHistory': 'Pool History',
+    'orgs.formerMember': 'former member',
+    'orgs.generations': "Members' Generations",
+    'orgs.noGenerations': 'Nobody has generated with the pool yet.',
+    'orgs.formerMemberByline': 'Former member'
+};
+
+// The legal pages. Sections have a heading and either paragraphs or a list,
+// whose items may start with a bold term. Translations add a `notice` that
+// the English text is the binding one.
+const legal = {
+    privacy: {
+        title: 'Privacy Policy',
+        intro: 'Your privacy is important to us. This Privacy Policy explains how we collect, use, and share information about you when you use our AI Headshot Generator service.',
+        sections: [
+            {
+                heading: 'Information We Collect',
+                items: [
+                    { term: 'Account Information:', text: 'When you create an account, we collect your email address and name as provided by your sign-in provider (Google, Microsoft or Apple), or the email address you use for email-link sign-in.' },
+                    { term: 'Uploaded Images:', text: 'We collect the selfies you upload to generate your headshots. These images are stored securely and are used solely for the purpose of generating your AI headshots.' },
+                    { term: 'Generated Images:', text: 'We store the headshots generated for you, which are accessible only through your account.' },
+                    { term: 'Usage Data:', text: 'With your consent, we record usage events through Google Analytics for Firebase, such as which steps you complete (sign-in, uploads, generations, purchases, downloads) and how long generations take. These events contain no email addresses, names, photos or prompts. You can withdraw your consent at any time on the Account page.' }
+                ]
+            },
+            {
+                heading: 'How We Use Your Information',
+                items: [
+                    { text: 'To provide, maintain, and improve our service.' },
+                    { text: 'To process your requests for generating AI headshots.' },
+                    { text: 'To communicate with you about your account and our services.' },
+                    { text: 'To enforce our terms and prevent fraudulent activity.' }
+                ]
+            },
+            {
+                heading: 'Data Sharing',
+                paragraphs: ['We do not sell your personal information. We may share your uploaded images with our AI model provider (Google Gemini) for the sole purpose of generating your headshots. These images are not used to train the AI model.']
+            },
+            {
+                heading: 'Data Retention',
+                paragraphs: ['We retain your uploaded and generated images for as long as your account is active to allow you to access them. You can download a copy of your data or delete your account at any time from the Account page. Deleting your account removes your sign-in, profile, credit history, uploaded selfies and generated images.']
+            }
+        ]
+    },
+    terms: {
+        title: 'Terms of Service',
+        intro: 'By using the AI Headshot Generator (the "Service"), you agree to these Terms of Service. Please read them carefully.',
+        sections: [
+            {
+                heading: '1. Your Account',
+                paragraphs: ['You are responsible for safeguarding your account. You agree not to disclose your password to any third party. You must notify us immediately upon becoming aware of any breach of security or unauthorized use of your account.']
+            },
+            {
+                heading: '2. Use of the Service',
+                paragraphs: ['You agree to use the Service only for lawful purposes. You must not upload any images that are illegal, obscene, defamatory, or that infringe upon the intellectual property rights of others. You retain all ownership rights to the selfies you upload.']
+            },
+            {
+                heading: '3. Generated Content',
+                paragraphs: ['You are granted full ownership and commercial rights to the headshots generated by the Service from your uploaded images. The Service uses AI, and the generated content may occasionally contain artifacts or inaccuracies. We are not liable for any such imperfections.']
+            },
+            {
+                heading: '4. Credits and Payment',
+                paragraphs: ['The Service operates on a credit-based system. Credits are purchased in packs and are non-refundable. One generation cycle consumes a fixed number of credits as specified on the pricing page. If a generation fails due to a technical error on our part, credits will be refunded.']
+            },
+            {
+                heading: '5. Termination',
+                paragraphs: ['We may terminate or suspend your account immediately, without prior notice or liability, for any reason whatsoever, including without limitation if you breach the Terms.']
+            }
+        ]
+    }
+};
+
+const en = { messages, legal };
+
+export default en;
@@ -0,0 +1,490 @@
+// --- Español ---
+
+const messages = {
+    // Shared
+    'app.name': 'AI Headshot Generator',
+    'app.authenticating': 'Autenticando...',
+    'common.error': 'Algo salió mal. Inténtalo de nuevo.',
+    'common.loading': 'Cargando...',
+    'common.save': 'Guardar',
+    'common.cancel': 'Cancelar',
+    'common.delete': 'Eliminar',
+    'common.dismiss': 'Descartar',
+    'common.close': 'Cerrar',
+    'common.credits_one': '{count} crédito',
+    'common.credits_other': '{count} créditos',
+    'common.headshots_one': '{count} retrato',
+    'common.headshots_other': '{count} retratos',
+    'common.selfies_one': '{count} selfi',
+    'common.selfies_other': '{count} selfis',
+    'language.label': 'Idioma',
+    'legal.updated': 'Última actualización: {date}',
+
+    // Navigation and page titles
+    'nav.dashboard': 'Panel',
+    'nav.presets': 'Plantillas',
+    'nav.bio': 'Bio',
+    'nav.organizations': 'Organizaciones',
+    'nav.admin': 'Admin',
+    'nav.account': 'Cuenta',
+    'nav.signOut': 'Cerrar sesión',
+    'nav.terms': 'Términos del servicio',
+    'nav.privacy': 'Política de privacidad',
+    'nav.backToDashboard': 'Volver al panel',
+    'nav.backToHome': 'Volver al inicio',
+    'title.dashboard': 'Panel',
+    'title.session': 'Sesión de retratos',
+    'title.account': 'Cuenta',
+    'title.presets': 'Plantillas de estilo',
+    'title.preset': 'Plantilla de estilo',
+    'title.bio': 'Redactor de bios',
+    'title.organizations': 'Organizaciones',
+    'title.admin': 'Consola de administración',
+
+    // Landing page
+    'landing.getStarted': 'Entrar / Empezar',
+    'landing.signInTitle': 'Inicia sesión para empezar',
+    'landing.title': 'Retratos con calidad de estudio.',
+    'landing.titleLine2': 'Listos en minutos.',
+    'landing.subtitle': 'Sube tus selfis y deja que nuestra IA cree retratos profesionales para LinkedIn, tu web o tu currículum. Sin sesión de fotos.',
+    'landing.cta': 'Consigue tus retratos ahora',
+    'landing.examples': 'Ejemplos',
+    'landing.exampleAlt': 'Ejemplo {number}',
+    'landing.pricing.title': 'Precio único y sencillo',
+    'landing.pricing.pack': 'Pack Inicial',
+    'landing.pricing.oneTime': 'Pago único',
+    'landing.pricing.credits': '{count} créditos para retratos con IA',
+    'landing.pricing.styles': 'Varios estilos profesionales',
+    'landing.pricing.resolution': 'Descargas en alta resolución',
+    'landing.pricing.ownership': 'Plena propiedad de tus imágenes',
+    'landing.pricing.buy': 'Comprar ahora',
+    'landing.faq.title': 'Preguntas frecuentes',
+    'landing.faq.how': '¿Cómo funciona?',
+    'landing.faq.howAnswer': 'Subes de 1 a {max} selfis informales. Nuestro modelo de IA analiza tus rasgos faciales y genera una variedad de retratos profesionales nuevos con distintos estilos y fondos.',
+    'landing.faq.ownership': '¿De quién son las imágenes generadas?',
+    'landing.faq.ownershipAnswer': '¡Tuyas! Tienes todos los derechos comerciales para usar tus retratos donde quieras.',
+    'landing.faq.quality': '¿Qué calidad tienen las fotos?',
+    'landing.faq.qualityAnswer': 'Las imágenes se generan en alta resolución, aptas para imprimir o para pantallas de alta resolución y sitios como LinkedIn.',
+    'landing.copyright': '© 2024 AI Headshot Generator. Todos los derechos reservados.',
+
+    // Sign-in
+    'signIn.title': 'Inicia sesión para continuar',
+    'signIn.subtitle': 'Volverás directamente a la página que querías abrir.',
+    'signIn.checkInbox': 'Revisa tu bandeja de entrada',
+    'signIn.linkSent': 'Hemos enviado un enlace de acceso a {email}. Ábrelo en este dispositivo para continuar.',
+    'signIn.continueWith': 'Continuar con {provider}',
+    'signIn.or': 'o',
+    'signIn.emailLabel': 'Correo electrónico',
+    'signIn.emailPlaceholder': 'tu@empresa.com',
+    'signIn.sendLink': 'Enviarme un enlace de acceso',
+    'signIn.confirmEmail': 'Confirma tu correo electrónico para terminar de iniciar sesión.',
+    'auth.method.emailLink': 'un enlace por correo',
+    'auth.method.password': 'correo y contraseña',
+    'auth.error.thisEmail': 'Este correo',
+    'auth.error.accountExists': '{email} ya tiene una cuenta. Inicia sesión como la última vez y vincularemos tu cuenta de {provider} a ella.',
+    'auth.error.accountExistsWith': '{email} ya tiene una cuenta (con acceso mediante {methods}). Inicia sesión como la última vez y vincularemos tu cuenta de {provider} a ella.',
+    'auth.error.popupBlocked': 'Tu navegador bloqueó la ventana de inicio de sesión. Permite las ventanas emergentes para este sitio e inténtalo de nuevo.',
+    'auth.error.invalidEmail': 'Ese correo electrónico no parece correcto.',
+    'auth.error.expiredLink': 'Este enlace de acceso ha caducado o ya se usó. Solicita uno nuevo.',
+    'auth.error.notEnabled': 'Este método de acceso aún no está habilitado.',
+    'auth.error.emailNeeded': 'Se necesita un correo electrónico para terminar de iniciar sesión.',
+    'auth.error.generic': 'No se pudo completar el inicio de sesión. Inténtalo de nuevo.',
+
+    // Dashboard
+    'dashboard.paymentReceived': '¡Pago recibido! Tus créditos aparecerán en cuanto se confirme el pago.',
+    'dashboard.checkoutCancelled': 'Pago cancelado. No se te ha cobrado nada.',
+    'dashboard.credits': 'Tus créditos',
+    'dashboard.creditsUnit': 'créditos',
+    'dashboard.history': 'Historial de transacciones',
+    'dashboard.payWith': 'Pagar con',
+    'dashboard.payWithMine': 'Mis créditos ({count})',
+    'dashboard.payWithOrg': '{name} ({count} disponibles)',
+    'dashboard.buy': 'Comprar {count} créditos',
+    'dashboard.upload': '1. Sube tus selfis',
+    'dashboard.uploadHint': 'Sube de 1 a {max} fotos nítidas. Para obtener mejores resultados, usa distintos ángulos.',
+    'dashboard.checkingSelfies': 'Revisando tus fotos...',
+    'dashboard.style': '2. Describe tu estilo',
+    'dashboard.suggestStyles': '✨ Sugerir estilos',
+    'dashboard.styleHint': 'Elige hasta {max} estilos, p. ej. «blanco y negro, iluminación cinematográfica» o «exterior, fondo natural».',
+    'dashboard.savePreset': 'Guardar como plantilla',
+    'dashboard.generate': '3. Genera tus retratos',
+    'dashboard.styles_one': '{count} estilo',
+    'dashboard.styles_other': '{count} estilos',
+    'dashboard.variants_one': '{count} variante',
+    'dashboard.variants_other': '{count} variantes',
+    'dashboard.runSummary': '{styles} × {variants} × {selfies} = {headshots}.',
+    'dashboard.runCost': 'Se usarán {credits} créditos ({cost} por variante de estilo).',
+    'dashboard.generateButton': 'Generar retratos ({credits} créditos)',
+    'dashboard.gallery': 'Tus retratos generados',
+    'dashboard.uploading': 'Subiendo tus selfis...',
+    'dashboard.emptyGallery': 'Tu galería está vacía',
+    'dashboard.emptyGalleryHint': 'Sigue los pasos de la izquierda para generar tu primera serie de retratos.',
+    'dashboard.upgrade': 'Mejora tu perfil',
+    'dashboard.upgradeHint': 'Acompaña tu nuevo retrato con una bio para LinkedIn, X/Twitter, programas de congresos y la página del equipo de tu empresa.',
+    'dashboard.writeBios': '✨ Escribir mis bios',
+
+    // Errors shown on the dashboard, gallery and account pages
+    'error.linkAccount': 'No se pudo vincular tu cuenta: {message}',
+    'error.checkout': 'No se pudo iniciar el pago. Inténtalo de nuevo.',
+    'error.exportAccount': 'No se pudieron exportar tus datos: {message}',
+    'error.deleteAccount': 'No se pudo eliminar tu cuenta: {message}',
+    'error.maxSelfies': 'Puedes subir como máximo {max} imágenes.',
+    'error.noSelfies': 'Sube al menos un selfi.',
+    'error.prepareSelfie': 'No se pudo preparar {name}: {message}',
+    'error.orgCredits': 'Esta generación necesita {credits} créditos, pero puedes usar {available} de {name}.',
+    'error.credits': 'Necesitas al menos {credits} créditos para esta generación.',
+    'error.startGeneration': 'No se pudo iniciar la generación: {message}',
+    'error.favorites': 'No se pudieron actualizar tus favoritos. Inténtalo de nuevo.',
+    'error.delete': 'No se pudo eliminar: {message}',
+    'error.exportHeadshots': 'No se pudieron exportar tus retratos: {message}',
+    'error.suggestStyles': 'No se pudieron generar sugerencias de estilo. Inténtalo de nuevo.',
+    'error.download': 'No se pudo descargar este retrato. Inténtalo de nuevo.',
+
+    // Classified failures (src/lib/errors.js) and what to do about them
+    'error.code.quota-exceeded': 'Hay demasiadas solicitudes ahora mismo. Espera un minuto e inténtalo de nuevo.',
+    'error.code.safety-blocked': 'Nuestras normas de contenido han bloqueado esta solicitud: {reason}',
+    'error.code.network': 'Parece que no tienes conexión. Compruébala e inténtalo de nuevo.',
+    'error.code.auth-expired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+    'error.code.insufficient-credits': 'No tienes suficientes créditos para esto.',
+    'error.action.buyCredits': 'Comprar créditos',
+    'error.action.signIn': 'Volver a iniciar sesión',
+
+    // Shown when a page fails to render
+    'error.boundary.title': 'Algo ha salido mal',
+    'error.boundary.text': 'Esta página ha tenido un problema. Recargarla suele solucionarlo.',
+    'error.boundary.reload': 'Recargar página',
+
+    // Gallery
+    'gallery.allHeadshots': 'Todos los retratos',
+    'gallery.sessionMissing': 'Esta sesión no existe o se ha eliminado.',
+    'gallery.earlier': 'Anteriores',
+    'gallery.favoritesOnly': 'Solo favoritos',
+    'gallery.filterByStyle': 'Filtrar por estilo',
+    'gallery.allStyles': 'Todos los estilos',
+    'gallery.sort': 'Ordenar retratos',
+    'gallery.sortOrder': 'Orden de generación',
+    'gallery.sortScore': 'Mejor puntuación primero',
+    'gallery.selectAll': 'Seleccionar todo',
+    'gallery.noMatches': 'Ningún retrato coincide con estos filtros.',
+    'gallery.deleteSession': 'Eliminar sesión',
+    'gallery.imageLabel': '{style}, retrato {number}',
+    'gallery.download': 'Descargar {label}',
+    'gallery.deleteImage': 'Eliminar {label}',
+    'gallery.select': 'Seleccionar {label}',
+    'gallery.addFavorite': 'Añadir {label} a favoritos',
+    'gallery.removeFavorite': 'Quitar {label} de favoritos',
+    'gallery.score': 'Puntuación de calidad {score} de 100',
+    'gallery.score.likeness': 'Parecido',
+    'gallery.score.framing': 'Encuadre',
+    'gallery.score.artifacts': 'Imagen limpia',
+    'gallery.score.prompt': 'Fidelidad al estilo',
+    'gallery.confirmDeleteImage': '¿Eliminar este retrato? No se puede deshacer.',
+    'gallery.confirmDeleteSession': '¿Eliminar los {count} retratos de esta sesión? No se puede deshacer.',
+    'gallery.view': 'Ver {label}',
+    'gallery.compareSelected': 'Comparar selección',
+
+    // Lightbox
+    'lightbox.title': 'Visor de retratos',
+    'lightbox.mode': 'Modo de vista',
+    'lightbox.mode.view': 'Individual',
+    'lightbox.mode.beforeAfter': 'Antes/después',
+    'lightbox.mode.compare': 'Comparar',
+    'lightbox.noSelfie': 'No se guardó el selfie de este retrato.',
+    'lightbox.zoomIn': 'Acercar',
+    'lightbox.zoomOut': 'Alejar',
+    'lightbox.resetZoom': 'Restablecer zoom',
+    'lightbox.close': 'Cerrar',
+    'lightbox.previous': 'Retrato anterior',
+    'lightbox.next': 'Retrato siguiente',
+    'lightbox.imageLabel': 'Retrato {style}, {position} de {total}',
+    'lightbox.selfie': 'Selfie',
+    'lightbox.headshot': 'Retrato',
+    'lightbox.selfieMissing': 'El selfie de este retrato ya no está disponible.',
+    'lightbox.divider': 'Mover el divisor entre el selfie y el retrato',
+    'lightbox.compareHint': 'El retrato de la izquierda se queda fijo. ← y → cambian el de la derecha.',
+    'lightbox.keys': '← → navegar · + − zoom · 0 restablecer · arrastrar para mover · Esc cerrar',
+
+    // Export
+    'export.selected_one': '{count} retrato seleccionado',
+    'export.selected_other': '{count} retratos seleccionados',
+    'export.clear': 'Borrar selección',
+    'export.format': 'Formato',
+    'export.quality': 'Calidad',
+    'export.preparing': 'Preparando {done} de {total}...',
+    'export.download_one': 'Descargar ZIP ({count} archivo)',
+    'export.download_other': 'Descargar ZIP ({count} archivos)',
+    'export.profile.linkedin': 'LinkedIn',
+    'export.profile.slack': 'Avatar de Slack',
+    'export.profile.square-1024': 'Cuadrado',
+    'export.profile.transparent': 'Fondo transparente',
+    'export.profile.print': 'Impresión',
+    'export.size.print': '10 × 12,5 cm a 300 DPI',
+
+    // Selfies
+    'selfie.status.ok': 'Se ve bien',
+    'selfie.status.warning': 'Revisar',
+    'selfie.status.rejected': 'No válida',
+    'selfie.remove': 'Quitar {name}',
+    'selfie.issue.tooSmall': 'Demasiado pequeña ({width}×{height}). Usa una foto de al menos {min} px por lado.',
+    'selfie.issue.lowResolution': 'Baja resolución ({width}×{height}); el resultado puede verse suave.',
+    'selfie.issue.blurry': 'Parece borrosa. Una foto más nítida consigue un mayor parecido.',
+    'selfie.issue.noFace': 'No se encontró ninguna cara. Usa una foto en la que tu cara se vea con claridad.',
+    'selfie.issue.manyFaces': 'Se encontró más de una cara. Las fotos en las que sales solo tú funcionan mejor.',
+    'selfie.issue.unreadable': 'Este archivo no es una imagen que podamos leer. Prueba con JPEG o PNG.',
+
+    // Styles
+    'styles.yourPresets': 'Tus plantillas',
+    'styles.managePresets': 'Gestionar plantillas',
+    'styles.noPresets': 'Guarda un estilo como plantilla para reutilizarlo en cada generación.',
+    'styles.builtIn.corporate-grey': 'Corporativo gris',
+    'styles.builtIn.outdoor-natural': 'Exterior natural',
+    'styles.builtIn.bw-cinematic': 'ByN cinematográfico',
+    'styles.builtIn.modern-office': 'Oficina moderna',
+    'styles.customPlaceholder': 'Escribe un estilo personalizado...',
+    'styles.custom': 'Personalizado',
+    'styles.customNumbered': 'Personalizado {number}',
+    'styles.addCustom': '+ Añadir como otro estilo',
+    'styles.remove': 'Quitar {name}',
+    'styles.variants': 'Variantes por estilo',
+
+    // Generation jobs
+    'job.status.queued': 'En cola',
+    'job.status.running': 'Generando tus retratos...',
+    'job.status.succeeded': 'Todos los retratos están listos',
+    'job.status.partial': 'Algunos retratos no se pudieron generar',
+    'job.status.failed': 'La generación falló',
+    'job.item.pending': 'En espera',
+    'job.item.running': 'Generando...',
+    'job.item.succeeded': 'Listo',
+    'job.item.failed': 'Falló',
+    'job.item.selfie': 'Selfi {number}',
+    'job.item.styled': '{style} · selfi {number}',
+    'job.item.styledVariant': '{style} · v{variant} · selfi {number}',
+    'job.item.retry': '(reintento {count})',
+    'job.item.improving': '(mejorando la calidad)',
+    'job.headshotAlt': 'Retrato {number}',
+    'job.refunded_one': 'Se reembolsaron {credits} créditos por la imagen que falló.',
+    'job.refunded_other': 'Se reembolsaron {credits} créditos por las imágenes que fallaron.',
+    'jobCard.state.queued': 'en cola',
+    'jobCard.state.running': 'en curso',
+    'jobCard.state.succeeded': 'completado',
+    'jobCard.state.partial': 'parcial',
+    'jobCard.state.failed': 'fallido',
+    'jobCard.state.pending': 'pendiente',
+    'jobCard.refunded': '{count} reembolsados',
+    'jobCard.attempts': '{count} intentos',
+    'jobCard.defaultStyle': 'estilo predeterminado',
+    'jobCard.output': 'Resultado {number}',
+
+    // Credit history
+    'credits.none': 'Aún no hay transacciones.',
+    'credits.balance': 'Saldo {balance}',
+    'credits.type.purchase': 'Compra',
+    'credits.type.debit': 'Generación',
+    'credits.type.refund': 'Reembolso',
+    'credits.type.grant': 'Créditos de regalo',
+
+    // Account
+    'account.profile': 'Perfil',
+    'account.signedInAs': 'Sesión iniciada como',
+    'account.balance': 'Saldo de créditos:',
+    'account.history': 'Historial de transacciones',
+    'account.data': 'Tus datos',
+    'account.dataHint': 'Descarga un ZIP con tu perfil, tu historial de créditos, los selfis que subiste y cada retrato generado junto con el prompt que lo produjo.',
+    'account.download': 'Descargar mis datos',
+    'account.preparing': 'Preparando el archivo...',
+    'account.preparingFiles': 'Preparando el archivo... {done} de {total} archivos',
+    'account.delete': 'Eliminar cuenta',
+    'account.deleteHint': 'Esto elimina de forma permanente tu acceso, tu perfil, los créditos restantes, tu historial de créditos, tus selfis y tus retratos. Las organizaciones de las que eres propietario se cierran y se eliminan sus miembros. No se puede deshacer.',
+    'account.deleteHintExport': 'Descarga antes tus datos si quieres conservar algo.',
+    'account.typeToConfirm': 'Escribe {phrase} para confirmar',
+    'account.deleting': 'Eliminando...',
+    'account.deleteButton': 'Eliminar mi cuenta',
+    'account.deletedNotice': 'Tu cuenta se está eliminando. Tus retratos, selfis e historial de créditos se borrarán en unos minutos.',
+    'account.analytics': 'Analítica de uso',
+    'account.analyticsHint': 'Compartir datos de uso, como los pasos que completas y cuánto tardan las generaciones. No se envían direcciones de correo, nombres, fotos ni prompts.',
+
+    // Analytics consent
+    'consent.label': 'Consentimiento de analítica',
+    'consent.text': '¿Podemos registrar datos de uso para ver dónde mejorar la aplicación? No se registra nada sin tu consentimiento y puedes cambiar de opinión en la página Cuenta.',
+    'consent.accept': 'Permitir analítica',
+    'consent.decline': 'No, gracias',
+
+    // Presets
+    'presets.title': 'Plantillas de estilo',
+    'presets.new': 'Nueva plantilla',
+    'presets.intro': 'Guarda un estilo una vez y reutilízalo en cada generación. Comparte el enlace de una plantilla para que todo tu equipo tenga retratos a juego.',
+    'presets.empty': 'Aún no hay plantillas. Guarda una aquí o desde una sugerencia del panel.',
+    'presets.edit': 'Editar',
+    'presets.share': 'Compartir',
+    'presets.copyLink': 'Copiar enlace',
+    'presets.linkCopied': 'Enlace copiado',
+    'presets.stopSharing': 'Dejar de compartir',
+    'presets.confirmShareExample': 'Tus retratos son privados, así que la imagen de ejemplo se quita al compartir esta plantilla. ¿Compartirla?',
+    'presets.confirmDelete': '¿Eliminar la plantilla «{name}»? Las personas con las que la compartiste conservan sus copias.',
+    'preset.exampleAlt': 'Ejemplo de {name}',
+    'preset.background': 'Fondo',
+    'preset.lighting': 'Iluminación:',
+    'preset.attire': 'Vestimenta:',
+    'preset.namePlaceholder': 'Nombre de la plantilla, p. ej. Marca Acme',
+    'preset.promptPlaceholder': 'Describe el estilo',
+    'preset.lightingPlaceholder': 'Iluminación, p. ej. luz suave de estudio',
+    'preset.attirePlaceholder': 'Vestimenta, p. ej. americana azul marino',
+    'preset.backgroundColor': 'Color de fondo',
+    'preset.exampleImage': 'Imagen de ejemplo',
+    'preset.saving': 'Guardando...',
+    'preset.save': 'Guardar plantilla',
+    'preset.error.name': 'Ponle un nombre a la plantilla.',
+    'preset.error.empty': 'Describe el estilo o elige un fondo, una iluminación o una vestimenta.',
+    'sharedPreset.missing': 'Esta plantilla no existe o ya no se comparte.',
+    'sharedPreset.title': 'Plantilla de estilo compartida',
+    'sharedPreset.own': 'Esta es tu plantilla. Cualquiera con este enlace puede añadirla a su biblioteca.',
+    'sharedPreset.adding': 'Añadiendo...',
+    'sharedPreset.add': 'Añadir a mis plantillas',
+    'sharedPreset.toDashboard': 'Ir al panel',
+
+    // Bio writer
+    'bio.about': 'Sobre ti',
+    'bio.field.name': 'Nombre',
+    'bio.field.role': 'Cargo',
+    'bio.field.industry': 'Sector',
+    'bio.field.years': 'Años de experiencia',
+    'bio.field.achievements': 'Logros destacados',
+    'bio.field.audience': 'Público',
+    'bio.placeholder.name': 'Ada Lovelace',
+    'bio.placeholder.role': 'Directora de Ingeniería',
+    'bio.placeholder.industry': 'Fintech',
+    'bio.placeholder.years': '12',
+    'bio.placeholder.achievements': 'Hice crecer el equipo de 5 a 40 personas; lancé...',
+    'bio.placeholder.audience': 'Reclutadores, clientes potenciales, organizadores de congresos',
+    'bio.tone': 'Tono',
+    'bio.tone.formal': 'Formal',
+    'bio.tone.friendly': 'Cercano',
+    'bio.tone.bold': 'Audaz',
+    'bio.length': 'Longitud',
+    'bio.length.short': 'Corta',
+    'bio.length.medium': 'Media',
+    'bio.length.long': 'Larga',
+    'bio.platforms': 'Plataformas',
+    'bio.platform.linkedin': 'Acerca de en LinkedIn',
+    'bio.platform.twitter': 'Bio de X/Twitter',
+    'bio.platform.speaker': 'Bio de ponente',
+    'bio.platform.team': 'Página del equipo',
+    'bio.writing': 'Escribiendo...',
+    'bio.write': '✨ Escribir mis bios',
+    'bio.needRole': 'Añade al menos tu cargo para empezar.',
+    'bio.copy': 'Copiar',
+    'bio.copied': 'Copiado',
+    'bio.saveDraft': 'Guardar borrador',
+    'bio.saving': 'Guardando...',
+    'bio.saved': 'Guardado',
+    'bio.savedDrafts': 'Borradores guardados',
+    'bio.noDrafts': 'Aún no hay borradores guardados para esta plataforma.',
+    'bio.restore': 'Restaurar',
+    'bio.compareHint': 'Marca dos borradores para compararlos.',
+    'bio.confirmDelete': '¿Eliminar este borrador?',
+    'bio.error': 'No se pudieron escribir tus bios. Inténtalo de nuevo.',
+
+    // Organizations
+    'orgs.invitations': 'Invitaciones',
+    'orgs.spendingLimit': 'Límite de gasto: {limit}',
+    'orgs.join': 'Unirme',
+    'orgs.decline': 'Rechazar',
+    'orgs.yours': 'Tus organizaciones',
+    'orgs.none': 'Aún no perteneces a ninguna organización.',
+    'orgs.ownerSummary': 'Propietario · {credits} créditos en el fondo',
+    'orgs.memberSummary': '{limit} · {available} disponibles ahora',
+    'orgs.start': 'Crear una organización',
+    'orgs.namePlaceholder': 'Nombre de la organización',
+    'orgs.create': 'Crear',
+    'orgs.introTitle': 'Créditos compartidos para tu equipo',
+    'orgs.intro': 'El propietario de una organización compra créditos para un fondo común e invita a sus compañeros por correo, cada uno con un límite de gasto opcional. Los miembros eligen la organización en «Pagar con» en el panel, y el propietario ve aquí las generaciones y el consumo de todos.',
+    'orgs.pool': 'Fondo compartido:',
+    'orgs.buy': 'Comprar créditos para el fondo',
+    'orgs.members': 'Miembros',
+    'orgs.emailPlaceholder': 'companera@example.com',
+    'orgs.limitPlaceholder': 'Límite (opcional)',
+    'orgs.invite': 'Invitar',
+    'orgs.error.inviteEmail': 'La invitación para {email} se guardó, pero no se pudo enviar el correo. Aun así puede aceptarla después de iniciar sesión.',
+    'orgs.member': 'Miembro',
+    'orgs.spent': 'Gastado',
+    'orgs.limit': 'Límite',
+    'orgs.owner': 'propietario',
+    'orgs.invited': '(invitado)',
+    'orgs.noLimit': 'Sin límite',
+    'orgs.limitLeft': 'Quedan {left} de {limit} créditos',
+    'orgs.remove': 'Quitar',
+    'orgs.confirmRemove': '¿Quitar a {email} de {name}?',
+    'orgs.withdraw': 'Retirar',
+    'orgs.poolHistory': 'Historial del fondo',
+    'orgs.formerMember': 'antiguo miembro',
+    'orgs.generations': 'Generaciones de los miembros',
+    'orgs.noGenerations': 'Nadie ha generado retratos con el fondo todavía.',
+    'orgs.formerMemberByline': 'Antiguo miembro'
+};
+
+const legal = {
+    notice: 'Esta traducción se ofrece a título informativo. La versión en inglés es la única jurídicamente vinculante.',
+    privacy: {
+        title: 'Política de privacidad',
+        intro: 'Tu privacidad es importante para nosotros. Esta política de privacidad explica cómo recopilamos, usamos y compartimos información sobre ti cuando utilizas nuestro servicio AI Headshot Generator.',
+        sections: [
+            {
+                heading: 'Información que recopilamos',
+                items: [
+                    { term: 'Información de la cuenta:', text: 'Cuando creas una cuenta, recopilamos tu correo electrónico y tu nombre tal como los proporciona tu proveedor de acceso (Google, Microsoft o Apple), o el correo que usas para acceder mediante enlace.' },
+                    { term: 'Imágenes subidas:', text: 'Recopilamos los selfis que subes para generar tus retratos. Estas imágenes se almacenan de forma segura y se usan únicamente para generar tus retratos con IA.' },
+                    { term: 'Imágenes generadas:', text: 'Almacenamos los retratos generados para ti, a los que solo se puede acceder desde tu cuenta.' },
+                    { term: 'Datos de uso:', text: 'Con tu consentimiento, registramos eventos de uso a través de Google Analytics for Firebase, como los pasos que completas (inicio de sesión, subidas, generaciones, compras, descargas) y cuánto tardan las generaciones. Estos eventos no contienen direcciones de correo, nombres, fotos ni prompts. Puedes retirar tu consentimiento en cualquier momento en la página Cuenta.' }
+                ]
+            },
+            {
+                heading: 'Cómo usamos tu información',
+                items: [
+                    { text: 'Para prestar, mantener y mejorar nuestro servicio.' },
+                    { text: 'Para procesar tus solicitudes de generación de retratos con IA.' },
+                    { text: 'Para comunicarnos contigo sobre tu cuenta y nuestros servicios.' },
+                    { text: 'Para hacer cumplir nuestros términos y prevenir el fraude.' }
+                ]
+            },
+            {
+                heading: 'Compartición de datos',
+                paragraphs: ['No vendemos tu información personal. Podemos compartir tus imágenes subidas con nuestro proveedor de modelos de IA (Google Gemini) con el único fin de generar tus retratos. Estas imágenes no se usan para entrenar el modelo de IA.']
+            },
+            {
+                heading: 'Conservación de datos',
+                paragraphs: ['Conservamos tus imágenes subidas y generadas mientras tu cuenta esté activa para que puedas acceder a ellas. Puedes descargar una copia de tus datos o eliminar tu cuenta en cualquier momento desde la página Cuenta. Al eliminar tu cuenta se borran tu acceso, tu perfil, tu historial de créditos, los selfis subidos y las imágenes generadas.']
+            }
+        ]
+    },
+    terms: {
+        title: 'Términos del servicio',
+        intro: 'Al usar AI Headshot Generator (el «Servicio»), aceptas estos Términos del servicio. Léelos con atención.',
+        sections: [
+            {
+                heading: '1. Tu cuenta',
+                paragraphs: ['Eres responsable de proteger tu cuenta. Te comprometes a no revelar tu contraseña a terceros. Debes avisarnos de inmediato en cuanto tengas conocimiento de cualquier brecha de seguridad o uso no autorizado de tu cuenta.']
+            },
+            {
+                heading: '2. Uso del Servicio',
+                paragraphs: ['Te comprometes a usar el Servicio solo con fines lícitos. No debes subir imágenes ilegales, obscenas o difamatorias, ni que vulneren los derechos de propiedad intelectual de terceros. Conservas todos los derechos sobre los selfis que subes.']
+            },
+            {
+                heading: '3. Contenido generado',
+                paragraphs: ['Se te concede la plena propiedad y los derechos comerciales sobre los retratos que el Servicio genera a partir de tus imágenes. El Servicio utiliza IA y el contenido generado puede contener ocasionalmente artefactos o imprecisiones. No somos responsables de dichas imperfecciones.']
+            },
+            {
+                heading: '4. Créditos y pago',
+                paragraphs: ['El Servicio funciona con créditos. Los créditos se compran en packs y no son reembolsables. Cada ciclo de generación consume un número fijo de créditos, según se indica en la página de precios. Si una generación falla por un error técnico de nuestra parte, se reembolsarán los créditos.']
+            },
+            {
+                heading: '5. Terminación',
+                paragraphs: ['Podemos cancelar o suspender tu cuenta de inmediato, sin previo aviso ni responsabilidad, por cualquier motivo, incluido, entre otros, el incumplimiento de los Términos.']
+            }
+        ]
+    }
+};
+
+const es = { messages, legal };
+
+export default es;
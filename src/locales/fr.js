@@ -0,0 +1,490 @@
+// --- Français ---
+
+const messages = {
+    // Shared
+    'app.name': 'AI Headshot Generator',
+    'app.authenticating': 'Authentification...',
+    'common.error': 'Une erreur est survenue. Veuillez réessayer.',
+    'common.loading': 'Chargement...',
+    'common.save': 'Enregistrer',
+    'common.cancel': 'Annuler',
+    'common.delete': 'Supprimer',
+    'common.dismiss': 'Masquer',
+    'common.close': 'Fermer',
+    'common.credits_one': '{count} crédit',
+    'common.credits_other': '{count} crédits',
+    'common.headshots_one': '{count} portrait',
+    'common.headshots_other': '{count} portraits',
+    'common.selfies_one': '{count} selfie',
+    'common.selfies_other': '{count} selfies',
+    'language.label': 'Langue',
+    'legal.updated': 'Dernière mise à jour : {date}',
+
+    // Navigation and page titles
+    'nav.dashboard': 'Tableau de bord',
+    'nav.presets': 'Modèles',
+    'nav.bio': 'Bio',
+    'nav.organizations': 'Organisations',
+    'nav.admin': 'Admin',
+    'nav.account': 'Compte',
+    'nav.signOut': 'Se déconnecter',
+    'nav.terms': "Conditions d'utilisation",
+    'nav.privacy': 'Politique de confidentialité',
+    'nav.backToDashboard': 'Retour au tableau de bord',
+    'nav.backToHome': "Retour à l'accueil",
+    'title.dashboard': 'Tableau de bord',
+    'title.session': 'Séance de portraits',
+    'title.account': 'Compte',
+    'title.presets': 'Modèles de style',
+    'title.preset': 'Modèle de style',
+    'title.bio': 'Rédacteur de bio',
+    'title.organizations': 'Organisations',
+    'title.admin': "Console d'administration",
+
+    // Landing page
+    'landing.getStarted': 'Connexion / Commencer',
+    'landing.signInTitle': 'Connectez-vous pour commencer',
+    'landing.title': 'Des portraits de qualité studio.',
+    'landing.titleLine2': 'Créés en quelques minutes.',
+    'landing.subtitle': 'Importez vos selfies et laissez notre IA créer des portraits professionnels pour LinkedIn, votre site web ou votre CV. Sans séance photo.',
+    'landing.cta': 'Obtenir mes portraits',
+    'landing.examples': 'Exemples',
+    'landing.exampleAlt': 'Exemple {number}',
+    'landing.pricing.title': 'Un tarif simple, sans abonnement',
+    'landing.pricing.pack': 'Pack Découverte',
+    'landing.pricing.oneTime': 'Achat unique',
+    'landing.pricing.credits': '{count} crédits de portraits IA',
+    'landing.pricing.styles': 'De nombreux styles professionnels',
+    'landing.pricing.resolution': 'Téléchargements en haute résolution',
+    'landing.pricing.ownership': 'Pleine propriété de vos images',
+    'landing.pricing.buy': 'Acheter',
+    'landing.faq.title': 'Questions fréquentes',
+    'landing.faq.how': 'Comment ça marche ?',
+    'landing.faq.howAnswer': "Vous importez 1 à {max} selfies du quotidien. Notre modèle d'IA analyse les traits de votre visage, puis génère une série de nouveaux portraits professionnels dans différents styles et décors.",
+    'landing.faq.ownership': 'À qui appartiennent les images générées ?',
+    'landing.faq.ownershipAnswer': "À vous ! Vous disposez de tous les droits commerciaux pour utiliser vos portraits où vous le souhaitez.",
+    'landing.faq.quality': 'Quelle est la qualité des photos ?',
+    'landing.faq.qualityAnswer': "Les images sont générées en haute résolution, adaptées à l'impression comme aux écrans haute définition et aux sites comme LinkedIn.",
+    'landing.copyright': '© 2024 AI Headshot Generator. Tous droits réservés.',
+
+    // Sign-in
+    'signIn.title': 'Connectez-vous pour continuer',
+    'signIn.subtitle': 'Vous reviendrez directement à la page que vous vouliez ouvrir.',
+    'signIn.checkInbox': 'Consultez votre boîte de réception',
+    'signIn.linkSent': "Nous avons envoyé un lien de connexion à {email}. Ouvrez-le sur cet appareil pour continuer.",
+    'signIn.continueWith': 'Continuer avec {provider}',
+    'signIn.or': 'ou',
+    'signIn.emailLabel': 'Adresse e-mail',
+    'signIn.emailPlaceholder': 'vous@entreprise.fr',
+    'signIn.sendLink': "Recevoir un lien de connexion par e-mail",
+    'signIn.confirmEmail': 'Veuillez confirmer votre adresse e-mail pour terminer la connexion.',
+    'auth.method.emailLink': 'un lien par e-mail',
+    'auth.method.password': 'e-mail et mot de passe',
+    'auth.error.thisEmail': 'Cette adresse e-mail',
+    'auth.error.accountExists': '{email} a déjà un compte. Connectez-vous comme la dernière fois et nous y associerons votre compte {provider}.',
+    'auth.error.accountExistsWith': '{email} a déjà un compte (connexion avec {methods}). Connectez-vous comme la dernière fois et nous y associerons votre compte {provider}.',
+    'auth.error.popupBlocked': 'Votre navigateur a bloqué la fenêtre de connexion. Autorisez les fenêtres pop-up pour ce site et réessayez.',
+    'auth.error.invalidEmail': "Cette adresse e-mail ne semble pas valide.",
+    'auth.error.expiredLink': 'Ce lien de connexion a expiré ou a déjà été utilisé. Demandez-en un nouveau.',
+    'auth.error.notEnabled': "Cette méthode de connexion n'est pas encore activée.",
+    'auth.error.emailNeeded': 'Une adresse e-mail est nécessaire pour terminer la connexion.',
+    'auth.error.generic': 'La connexion a échoué. Veuillez réessayer.',
+
+    // Dashboard
+    'dashboard.paymentReceived': 'Paiement reçu ! Vos crédits apparaîtront dès que le paiement sera confirmé.',
+    'dashboard.checkoutCancelled': "Paiement annulé. Aucun montant ne vous a été facturé.",
+    'dashboard.credits': 'Vos crédits',
+    'dashboard.creditsUnit': 'crédits',
+    'dashboard.history': 'Historique des transactions',
+    'dashboard.payWith': 'Payer avec',
+    'dashboard.payWithMine': 'Mes crédits ({count})',
+    'dashboard.payWithOrg': '{name} ({count} disponibles)',
+    'dashboard.buy': 'Acheter {count} crédits',
+    'dashboard.upload': '1. Importez vos selfies',
+    'dashboard.uploadHint': "Importez 1 à {max} photos nettes. Pour de meilleurs résultats, variez les angles.",
+    'dashboard.checkingSelfies': 'Vérification de vos photos...',
+    'dashboard.style': '2. Décrivez votre style',
+    'dashboard.suggestStyles': '✨ Suggérer des styles',
+    'dashboard.styleHint': "Choisissez jusqu'à {max} styles, par ex. « noir et blanc, éclairage cinématographique » ou « extérieur, arrière-plan naturel ».",
+    'dashboard.savePreset': 'Enregistrer comme modèle',
+    'dashboard.generate': '3. Générez vos portraits',
+    'dashboard.styles_one': '{count} style',
+    'dashboard.styles_other': '{count} styles',
+    'dashboard.variants_one': '{count} variante',
+    'dashboard.variants_other': '{count} variantes',
+    'dashboard.runSummary': '{styles} × {variants} × {selfies} = {headshots}.',
+    'dashboard.runCost': 'Cela utilisera {credits} crédits ({cost} par variante de style).',
+    'dashboard.generateButton': 'Générer les portraits ({credits} crédits)',
+    'dashboard.gallery': 'Vos portraits générés',
+    'dashboard.uploading': 'Import de vos selfies...',
+    'dashboard.emptyGallery': 'Votre galerie est vide',
+    'dashboard.emptyGalleryHint': 'Suivez les étapes à gauche pour générer votre première série de portraits.',
+    'dashboard.upgrade': 'Améliorez votre profil',
+    'dashboard.upgradeHint': "Accompagnez votre nouveau portrait d'une bio pour LinkedIn, X/Twitter, les programmes de conférences et la page équipe de votre entreprise.",
+    'dashboard.writeBios': '✨ Rédiger mes bios',
+
+    // Errors shown on the dashboard, gallery and account pages
+    'error.linkAccount': "Impossible d'associer votre compte : {message}",
+    'error.checkout': 'Impossible de lancer le paiement. Veuillez réessayer.',
+    'error.exportAccount': "Impossible d'exporter vos données : {message}",
+    'error.deleteAccount': 'Impossible de supprimer votre compte : {message}',
+    'error.maxSelfies': "Vous pouvez importer {max} images au maximum.",
+    'error.noSelfies': 'Veuillez importer au moins un selfie.',
+    'error.prepareSelfie': 'Impossible de préparer {name} : {message}',
+    'error.orgCredits': 'Cette génération nécessite {credits} crédits, mais vous pouvez en utiliser {available} de {name}.',
+    'error.credits': 'Il vous faut au moins {credits} crédits pour cette génération.',
+    'error.startGeneration': 'Impossible de lancer la génération : {message}',
+    'error.favorites': 'Impossible de mettre à jour vos favoris. Veuillez réessayer.',
+    'error.delete': 'Suppression impossible : {message}',
+    'error.exportHeadshots': "Impossible d'exporter vos portraits : {message}",
+    'error.suggestStyles': 'Impossible de générer des suggestions de style. Veuillez réessayer.',
+    'error.download': 'Impossible de télécharger ce portrait. Veuillez réessayer.',
+
+    // Classified failures (src/lib/errors.js) and what to do about them
+    'error.code.quota-exceeded': 'Trop de requêtes pour le moment. Patientez une minute puis réessayez.',
+    'error.code.safety-blocked': 'Cette demande a été bloquée par nos règles de contenu : {reason}',
+    'error.code.network': 'Vous semblez être hors ligne. Vérifiez votre connexion puis réessayez.',
+    'error.code.auth-expired': 'Votre session a expiré. Veuillez vous reconnecter.',
+    'error.code.insufficient-credits': "Vous n'avez pas assez de crédits pour cela.",
+    'error.action.buyCredits': 'Acheter des crédits',
+    'error.action.signIn': 'Se reconnecter',
+
+    // Shown when a page fails to render
+    'error.boundary.title': 'Une erreur est survenue',
+    'error.boundary.text': 'Cette page a rencontré un problème. Un rechargement suffit généralement.',
+    'error.boundary.reload': 'Recharger la page',
+
+    // Gallery
+    'gallery.allHeadshots': 'Tous les portraits',
+    'gallery.sessionMissing': "Cette séance n'existe pas ou a été supprimée.",
+    'gallery.earlier': 'Plus ancien',
+    'gallery.favoritesOnly': 'Favoris uniquement',
+    'gallery.filterByStyle': 'Filtrer par style',
+    'gallery.allStyles': 'Tous les styles',
+    'gallery.sort': 'Trier les portraits',
+    'gallery.sortOrder': 'Ordre de génération',
+    'gallery.sortScore': "Meilleur score d'abord",
+    'gallery.selectAll': 'Tout sélectionner',
+    'gallery.noMatches': 'Aucun portrait ne correspond à ces filtres.',
+    'gallery.deleteSession': 'Supprimer la séance',
+    'gallery.imageLabel': '{style}, portrait {number}',
+    'gallery.download': 'Télécharger {label}',
+    'gallery.deleteImage': 'Supprimer {label}',
+    'gallery.select': 'Sélectionner {label}',
+    'gallery.addFavorite': 'Ajouter {label} aux favoris',
+    'gallery.removeFavorite': 'Retirer {label} des favoris',
+    'gallery.score': 'Score de qualité {score} sur 100',
+    'gallery.score.likeness': 'Ressemblance',
+    'gallery.score.framing': 'Cadrage',
+    'gallery.score.artifacts': 'Image nette',
+    'gallery.score.prompt': 'Respect du style',
+    'gallery.confirmDeleteImage': 'Supprimer ce portrait ? Cette action est irréversible.',
+    'gallery.confirmDeleteSession': 'Supprimer les {count} portraits de cette séance ? Cette action est irréversible.',
+    'gallery.view': 'Afficher {label}',
+    'gallery.compareSelected': 'Comparer la sélection',
+
+    // Lightbox
+    'lightbox.title': 'Visionneuse de portraits',
+    'lightbox.mode': "Mode d'affichage",
+    'lightbox.mode.view': 'Seul',
+    'lightbox.mode.beforeAfter': 'Avant/après',
+    'lightbox.mode.compare': 'Comparer',
+    'lightbox.noSelfie': "Le selfie de ce portrait n'a pas été enregistré.",
+    'lightbox.zoomIn': 'Zoom avant',
+    'lightbox.zoomOut': 'Zoom arrière',
+    'lightbox.resetZoom': 'Réinitialiser le zoom',
+    'lightbox.close': 'Fermer',
+    'lightbox.previous': 'Portrait précédent',
+    'lightbox.next': 'Portrait suivant',
+    'lightbox.imageLabel': 'Portrait {style}, {position} sur {total}',
+    'lightbox.selfie': 'Selfie',
+    'lightbox.headshot': 'Portrait',
+    'lightbox.selfieMissing': "Le selfie de ce portrait n'est plus disponible.",
+    'lightbox.divider': 'Déplacer le séparateur entre le selfie et le portrait',
+    'lightbox.compareHint': 'Le portrait de gauche reste en place. ← et → changent celui de droite.',
+    'lightbox.keys': '← → parcourir · + − zoomer · 0 réinitialiser · glisser pour déplacer · Échap fermer',
+
+    // Export
+    'export.selected_one': '{count} portrait sélectionné',
+    'export.selected_other': '{count} portraits sélectionnés',
+    'export.clear': 'Effacer la sélection',
+    'export.format': 'Format',
+    'export.quality': 'Qualité',
+    'export.preparing': 'Préparation de {done} sur {total}...',
+    'export.download_one': 'Télécharger le ZIP ({count} fichier)',
+    'export.download_other': 'Télécharger le ZIP ({count} fichiers)',
+    'export.profile.linkedin': 'LinkedIn',
+    'export.profile.slack': 'Avatar Slack',
+    'export.profile.square-1024': 'Carré',
+    'export.profile.transparent': 'Fond transparent',
+    'export.profile.print': 'Impression',
+    'export.size.print': '10 × 12,5 cm à 300 DPI',
+
+    // Selfies
+    'selfie.status.ok': 'Parfait',
+    'selfie.status.warning': 'À vérifier',
+    'selfie.status.rejected': 'Inutilisable',
+    'selfie.remove': 'Retirer {name}',
+    'selfie.issue.tooSmall': "Trop petite ({width}×{height}). Utilisez une photo d'au moins {min} px de côté.",
+    'selfie.issue.lowResolution': 'Basse résolution ({width}×{height}) ; le résultat risque de manquer de netteté.',
+    'selfie.issue.blurry': 'Semble floue. Une photo plus nette donne une meilleure ressemblance.',
+    'selfie.issue.noFace': 'Aucun visage détecté. Utilisez une photo où votre visage est bien visible.',
+    'selfie.issue.manyFaces': 'Plusieurs visages détectés. Les photos où vous êtes seul·e donnent les meilleurs résultats.',
+    'selfie.issue.unreadable': "Ce fichier n'est pas une image lisible. Essayez un JPEG ou un PNG.",
+
+    // Styles
+    'styles.yourPresets': 'Vos modèles',
+    'styles.managePresets': 'Gérer les modèles',
+    'styles.noPresets': 'Enregistrez un style comme modèle pour le réutiliser à chaque génération.',
+    'styles.builtIn.corporate-grey': 'Corporate gris',
+    'styles.builtIn.outdoor-natural': 'Extérieur naturel',
+    'styles.builtIn.bw-cinematic': 'N&B cinéma',
+    'styles.builtIn.modern-office': 'Bureau moderne',
+    'styles.customPlaceholder': 'Saisissez un style personnalisé...',
+    'styles.custom': 'Personnalisé',
+    'styles.customNumbered': 'Personnalisé {number}',
+    'styles.addCustom': '+ Ajouter comme autre style',
+    'styles.remove': 'Retirer {name}',
+    'styles.variants': 'Variantes par style',
+
+    // Generation jobs
+    'job.status.queued': "En file d'attente",
+    'job.status.running': 'Génération de vos portraits...',
+    'job.status.succeeded': 'Tous les portraits sont prêts',
+    'job.status.partial': "Certains portraits n'ont pas pu être générés",
+    'job.status.failed': 'La génération a échoué',
+    'job.item.pending': 'En attente',
+    'job.item.running': 'Génération...',
+    'job.item.succeeded': 'Terminé',
+    'job.item.failed': 'Échec',
+    'job.item.selfie': 'Selfie {number}',
+    'job.item.styled': '{style} · selfie {number}',
+    'job.item.styledVariant': '{style} · v{variant} · selfie {number}',
+    'job.item.retry': '(essai {count})',
+    'job.item.improving': '(amélioration de la qualité)',
+    'job.headshotAlt': 'Portrait {number}',
+    'job.refunded_one': "{credits} crédits ont été remboursés pour l'image en échec.",
+    'job.refunded_other': '{credits} crédits ont été remboursés pour les images en échec.',
+    'jobCard.state.queued': 'en attente',
+    'jobCard.state.running': 'en cours',
+    'jobCard.state.succeeded': 'réussi',
+    'jobCard.state.partial': 'partiel',
+    'jobCard.state.failed': 'échec',
+    'jobCard.state.pending': 'à venir',
+    'jobCard.refunded': '{count} remboursés',
+    'jobCard.attempts': '{count} tentatives',
+    'jobCard.defaultStyle': 'style par défaut',
+    'jobCard.output': 'Résultat {number}',
+
+    // Credit history
+    'credits.none': 'Aucune transaction pour le moment.',
+    'credits.balance': 'Solde {balance}',
+    'credits.type.purchase': 'Achat',
+    'credits.type.debit': 'Génération',
+    'credits.type.refund': 'Remboursement',
+    'credits.type.grant': 'Crédits offerts',
+
+    // Account
+    'account.profile': 'Profil',
+    'account.signedInAs': 'Connecté en tant que',
+    'account.balance': 'Solde de crédits :',
+    'account.history': 'Historique des transactions',
+    'account.data': 'Vos données',
+    'account.dataHint': "Téléchargez un ZIP contenant votre profil, l'historique de vos crédits, les selfies importés et chaque portrait généré avec le prompt qui l'a produit.",
+    'account.download': 'Télécharger mes données',
+    'account.preparing': "Préparation de l'archive...",
+    'account.preparingFiles': "Préparation de l'archive... {done} fichiers sur {total}",
+    'account.delete': 'Supprimer le compte',
+    'account.deleteHint': "Cette action supprime définitivement votre connexion, votre profil, vos crédits restants, l'historique de vos crédits, vos selfies et vos portraits. Les organisations dont vous êtes propriétaire sont fermées et leurs membres retirés. Elle est irréversible.",
+    'account.deleteHintExport': "Téléchargez d'abord vos données si vous souhaitez conserver quelque chose.",
+    'account.typeToConfirm': 'Saisissez {phrase} pour confirmer',
+    'account.deleting': 'Suppression...',
+    'account.deleteButton': 'Supprimer mon compte',
+    'account.deletedNotice': "Votre compte est en cours de suppression. Vos portraits, selfies et l'historique de vos crédits seront effacés d'ici quelques minutes.",
+    'account.analytics': "Statistiques d'utilisation",
+    'account.analyticsHint': "Partager des statistiques d'utilisation, comme les étapes que vous terminez et la durée des générations. Aucune adresse e-mail, aucun nom, aucune photo ni aucun prompt n'est envoyé.",
+
+    // Analytics consent
+    'consent.label': 'Consentement aux statistiques',
+    'consent.text': "Pouvons-nous enregistrer des statistiques d'utilisation pour voir comment améliorer l'application ? Rien n'est enregistré sans votre accord, et vous pouvez changer d'avis sur la page Compte.",
+    'consent.accept': 'Autoriser les statistiques',
+    'consent.decline': 'Non merci',
+
+    // Presets
+    'presets.title': 'Modèles de style',
+    'presets.new': 'Nouveau modèle',
+    'presets.intro': "Définissez un look une fois et réutilisez-le à chaque génération. Partagez le lien d'un modèle pour que toute votre entreprise obtienne des portraits assortis.",
+    'presets.empty': "Aucun modèle pour l'instant. Enregistrez-en un ici, ou depuis une suggestion du tableau de bord.",
+    'presets.edit': 'Modifier',
+    'presets.share': 'Partager',
+    'presets.copyLink': 'Copier le lien',
+    'presets.linkCopied': 'Lien copié',
+    'presets.stopSharing': 'Ne plus partager',
+    'presets.confirmShareExample': "Vos portraits sont privés : l'image d'exemple est donc retirée lorsque vous partagez ce modèle. Le partager ?",
+    'presets.confirmDelete': 'Supprimer le modèle « {name} » ? Les personnes avec qui vous l\'avez partagé conservent leur copie.',
+    'preset.exampleAlt': 'Exemple de {name}',
+    'preset.background': 'Arrière-plan',
+    'preset.lighting': 'Éclairage :',
+    'preset.attire': 'Tenue :',
+    'preset.namePlaceholder': 'Nom du modèle, par ex. Marque Acme',
+    'preset.promptPlaceholder': 'Décrivez le style',
+    'preset.lightingPlaceholder': 'Éclairage, par ex. lumière douce de studio',
+    'preset.attirePlaceholder': 'Tenue, par ex. blazer bleu marine',
+    'preset.backgroundColor': "Couleur d'arrière-plan",
+    'preset.exampleImage': "Image d'exemple",
+    'preset.saving': 'Enregistrement...',
+    'preset.save': 'Enregistrer le modèle',
+    'preset.error.name': 'Donnez un nom au modèle.',
+    'preset.error.empty': 'Décrivez le style, ou choisissez un arrière-plan, un éclairage ou une tenue.',
+    'sharedPreset.missing': "Ce modèle n'existe pas ou n'est plus partagé.",
+    'sharedPreset.title': 'Modèle de style partagé',
+    'sharedPreset.own': "C'est votre modèle. Toute personne disposant de ce lien peut l'ajouter à sa bibliothèque.",
+    'sharedPreset.adding': 'Ajout...',
+    'sharedPreset.add': 'Ajouter à mes modèles',
+    'sharedPreset.toDashboard': 'Aller au tableau de bord',
+
+    // Bio writer
+    'bio.about': 'À propos de vous',
+    'bio.field.name': 'Nom',
+    'bio.field.role': 'Poste',
+    'bio.field.industry': "Secteur d'activité",
+    'bio.field.years': "Années d'expérience",
+    'bio.field.achievements': 'Réalisations clés',
+    'bio.field.audience': 'Public',
+    'bio.placeholder.name': 'Ada Lovelace',
+    'bio.placeholder.role': "Directrice de l'ingénierie",
+    'bio.placeholder.industry': 'Fintech',
+    'bio.placeholder.years': '12',
+    'bio.placeholder.achievements': "Équipe passée de 5 à 40 personnes ; lancement de...",
+    'bio.placeholder.audience': 'Recruteurs, clients potentiels, organisateurs de conférences',
+    'bio.tone': 'Ton',
+    'bio.tone.formal': 'Formel',
+    'bio.tone.friendly': 'Chaleureux',
+    'bio.tone.bold': 'Affirmé',
+    'bio.length': 'Longueur',
+    'bio.length.short': 'Courte',
+    'bio.length.medium': 'Moyenne',
+    'bio.length.long': 'Longue',
+    'bio.platforms': 'Plateformes',
+    'bio.platform.linkedin': 'Infos LinkedIn',
+    'bio.platform.twitter': 'Bio X/Twitter',
+    'bio.platform.speaker': "Bio d'intervenant",
+    'bio.platform.team': "Page équipe",
+    'bio.writing': 'Rédaction...',
+    'bio.write': '✨ Rédiger mes bios',
+    'bio.needRole': 'Indiquez au moins votre poste pour commencer.',
+    'bio.copy': 'Copier',
+    'bio.copied': 'Copié',
+    'bio.saveDraft': 'Enregistrer le brouillon',
+    'bio.saving': 'Enregistrement...',
+    'bio.saved': 'Enregistré',
+    'bio.savedDrafts': 'Brouillons enregistrés',
+    'bio.noDrafts': "Aucun brouillon enregistré pour cette plateforme pour l'instant.",
+    'bio.restore': 'Restaurer',
+    'bio.compareHint': 'Cochez deux brouillons pour les comparer.',
+    'bio.confirmDelete': 'Supprimer ce brouillon ?',
+    'bio.error': "Impossible de rédiger vos bios. Veuillez réessayer.",
+
+    // Organizations
+    'orgs.invitations': 'Invitations',
+    'orgs.spendingLimit': 'Plafond de dépenses : {limit}',
+    'orgs.join': 'Rejoindre',
+    'orgs.decline': 'Refuser',
+    'orgs.yours': 'Vos organisations',
+    'orgs.none': "Vous ne faites encore partie d'aucune organisation.",
+    'orgs.ownerSummary': 'Propriétaire · {credits} crédits dans la réserve',
+    'orgs.memberSummary': '{limit} · {available} disponibles maintenant',
+    'orgs.start': 'Créer une organisation',
+    'orgs.namePlaceholder': "Nom de l'organisation",
+    'orgs.create': 'Créer',
+    'orgs.introTitle': 'Des crédits partagés pour votre équipe',
+    'orgs.intro': "Le propriétaire d'une organisation achète des crédits dans une réserve commune et invite ses collègues par e-mail, chacun avec un plafond de dépenses facultatif. Les membres choisissent l'organisation sous « Payer avec » dans le tableau de bord, et le propriétaire voit ici les générations et la consommation de chacun.",
+    'orgs.pool': 'Réserve partagée :',
+    'orgs.buy': 'Acheter des crédits pour la réserve',
+    'orgs.members': 'Membres',
+    'orgs.emailPlaceholder': 'collegue@example.com',
+    'orgs.limitPlaceholder': 'Plafond (facultatif)',
+    'orgs.invite': 'Inviter',
+    'orgs.error.inviteEmail': "L'invitation pour {email} a été enregistrée, mais l'e-mail n'a pas pu être envoyé. La personne peut quand même l'accepter après s'être connectée.",
+    'orgs.member': 'Membre',
+    'orgs.spent': 'Dépensé',
+    'orgs.limit': 'Plafond',
+    'orgs.owner': 'propriétaire',
+    'orgs.invited': '(invité)',
+    'orgs.noLimit': 'Sans plafond',
+    'orgs.limitLeft': '{left} crédits restants sur {limit}',
+    'orgs.remove': 'Retirer',
+    'orgs.confirmRemove': 'Retirer {email} de {name} ?',
+    'orgs.withdraw': 'Annuler',
+    'orgs.poolHistory': 'Historique de la réserve',
+    'orgs.formerMember': 'ancien membre',
+    'orgs.generations': 'Générations des membres',
+    'orgs.noGenerations': "Personne n'a encore généré de portraits avec la réserve.",
+    'orgs.formerMemberByline': 'Ancien membre'
+};
+
+const legal = {
+    notice: 'Cette traduction vous est fournie à titre informatif. Seule la version anglaise fait foi.',
+    privacy: {
+        title: 'Politique de confidentialité',
+        intro: 'Votre vie privée est importante pour nous. Cette politique de confidentialité explique comment nous collectons, utilisons et partageons des informations vous concernant lorsque vous utilisez notre service AI Headshot Generator.',
+        sections: [
+            {
+                heading: 'Informations que nous collectons',
+                items: [
+                    { term: 'Informations de compte :', text: 'Lorsque vous créez un compte, nous collectons votre adresse e-mail et votre nom tels que transmis par votre fournisseur de connexion (Google, Microsoft ou Apple), ou l\'adresse e-mail que vous utilisez pour la connexion par lien e-mail.' },
+                    { term: 'Images importées :', text: 'Nous collectons les selfies que vous importez pour générer vos portraits. Ces images sont stockées de manière sécurisée et servent uniquement à générer vos portraits IA.' },
+                    { term: 'Images générées :', text: 'Nous stockons les portraits générés pour vous, accessibles uniquement depuis votre compte.' },
+                    { term: "Données d'utilisation :", text: "Avec votre consentement, nous enregistrons des événements d'utilisation via Google Analytics for Firebase, comme les étapes que vous terminez (connexion, envois, générations, achats, téléchargements) et la durée des générations. Ces événements ne contiennent ni adresse e-mail, ni nom, ni photo, ni prompt. Vous pouvez retirer votre consentement à tout moment sur la page Compte." }
+                ]
+            },
+            {
+                heading: 'Utilisation de vos informations',
+                items: [
+                    { text: 'Fournir, maintenir et améliorer notre service.' },
+                    { text: 'Traiter vos demandes de génération de portraits IA.' },
+                    { text: 'Communiquer avec vous au sujet de votre compte et de nos services.' },
+                    { text: 'Faire respecter nos conditions et prévenir la fraude.' }
+                ]
+            },
+            {
+                heading: 'Partage des données',
+                paragraphs: ["Nous ne vendons pas vos informations personnelles. Nous pouvons partager vos images importées avec notre fournisseur de modèles d'IA (Google Gemini) dans le seul but de générer vos portraits. Ces images ne servent pas à entraîner le modèle d'IA."]
+            },
+            {
+                heading: 'Conservation des données',
+                paragraphs: ["Nous conservons vos images importées et générées tant que votre compte est actif, afin que vous puissiez y accéder. Vous pouvez à tout moment télécharger une copie de vos données ou supprimer votre compte depuis la page Compte. La suppression de votre compte efface votre connexion, votre profil, l'historique de vos crédits, vos selfies importés et vos images générées."]
+            }
+        ]
+    },
+    terms: {
+        title: "Conditions d'utilisation",
+        intro: "En utilisant AI Headshot Generator (le « Service »), vous acceptez les présentes conditions d'utilisation. Veuillez les lire attentivement.",
+        sections: [
+            {
+                heading: '1. Votre compte',
+                paragraphs: ["Vous êtes responsable de la sécurité de votre compte. Vous vous engagez à ne pas communiquer votre mot de passe à des tiers. Vous devez nous avertir immédiatement dès que vous avez connaissance d'une faille de sécurité ou d'une utilisation non autorisée de votre compte."]
+            },
+            {
+                heading: '2. Utilisation du Service',
+                paragraphs: ["Vous vous engagez à n'utiliser le Service qu'à des fins licites. Vous ne devez pas importer d'images illégales, obscènes, diffamatoires ou portant atteinte aux droits de propriété intellectuelle d'autrui. Vous conservez tous les droits de propriété sur les selfies que vous importez."]
+            },
+            {
+                heading: '3. Contenu généré',
+                paragraphs: ["Vous bénéficiez de la pleine propriété et des droits commerciaux sur les portraits générés par le Service à partir de vos images. Le Service utilise l'IA et le contenu généré peut parfois comporter des artefacts ou des imprécisions. Nous ne sommes pas responsables de telles imperfections."]
+            },
+            {
+                heading: '4. Crédits et paiement',
+                paragraphs: ["Le Service fonctionne avec des crédits. Les crédits sont achetés par packs et ne sont pas remboursables. Un cycle de génération consomme un nombre fixe de crédits, comme indiqué sur la page des tarifs. Si une génération échoue à cause d'une erreur technique de notre part, les crédits sont remboursés."]
+            },
+            {
+                heading: '5. Résiliation',
+                paragraphs: ["Nous pouvons résilier ou suspendre votre compte immédiatement, sans préavis ni responsabilité, pour quelque raison que ce soit, notamment en cas de violation des Conditions."]
+            }
+        ]
+    }
+};
+
+const fr = { messages, legal };
+
+export default fr;
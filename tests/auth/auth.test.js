@@ -0,0 +1,99 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { initializeApp, deleteApp } = require('firebase/app');
+const {
+    getAuth,
+    connectAuthEmulator,
+    signOut,
+    sendSignInLinkToEmail,
+    isSignInWithEmailLink,
+    signInWithEmailLink,
+    signInWithCredential,
+    linkWithCredential,
+    GoogleAuthProvider,
+    OAuthCredential
+} = require('firebase/auth');
+
+// Runs against the Auth emulator: `npm run test:emulators`. Covers the flows
+// in src/lib/auth.js with the same SDK calls, minus the browser storage.
+
+const PROJECT_ID = 'demo-instanthspro';
+const HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+const EMULATOR = `http://${HOST}/emulator/v1/projects/${PROJECT_ID}`;
+const EMAIL = 'ada@example.com';
+
+let app;
+let auth;
+
+before(() => {
+    app = initializeApp({ apiKey: 'demo-key', projectId: PROJECT_ID }, 'auth-test');
+    auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${HOST}`, { disableWarnings: true });
+});
+
+beforeEach(async () => {
+    await signOut(auth);
+    await fetch(`${EMULATOR}/accounts`, { method: 'DELETE' });
+});
+
+after(async () => {
+    await deleteApp(app);
+});
+
+// The link the emulator would have emailed to `email` just now.
+const sendLink = async (email) => {
+    await sendSignInLinkToEmail(auth, email, { url: 'http://localhost:3000/signin', handleCodeInApp: true });
+    const { oobCodes } = await (await fetch(`${EMULATOR}/oobCodes`)).json();
+    const code = oobCodes.reverse().find((entry) => entry.email === email && entry.requestType === 'EMAIL_SIGNIN');
+    assert.ok(code, `no sign-in link was sent to ${email}`);
+    return code.oobLink;
+};
+
+// The emulator accepts an unsigned JSON token in place of Google's id token.
+const googleCredential = (email) => GoogleAuthProvider.credential(JSON.stringify({
+    sub: `google-${email}`,
+    email,
+    email_verified: true
+}));
+
+test('an email link signs in, and a second link reaches the same account', async () => {
+    const link = await sendLink(EMAIL);
+    assert.ok(isSignInWithEmailLink(auth, link));
+    const first = await signInWithEmailLink(auth, EMAIL, link);
+    assert.strictEqual(first.user.email, EMAIL);
+    assert.ok(first.user.emailVerified);
+
+    await signOut(auth);
+    const again = await signInWithEmailLink(auth, EMAIL, await sendLink(EMAIL));
+    assert.strictEqual(again.user.uid, first.user.uid);
+});
+
+test('an email link cannot be used twice or for another address', async () => {
+    const other = await sendLink(EMAIL);
+    await assert.rejects(() => signInWithEmailLink(auth, 'eve@example.com', other), { code: 'auth/invalid-email' });
+    const link = await sendLink(EMAIL);
+    await signInWithEmailLink(auth, EMAIL, link);
+    await signOut(auth);
+    await assert.rejects(() => signInWithEmailLink(auth, EMAIL, link), { code: 'auth/invalid-action-code' });
+});
+
+test('a second provider for the same email is refused, then linked to the first account', async () => {
+    const { user } = await signInWithEmailLink(auth, EMAIL, await sendLink(EMAIL));
+    await signOut(auth);
+
+    const refused = await signInWithCredential(auth, googleCredential(EMAIL)).catch((err) => err);
+    assert.strictEqual(refused.code, 'auth/account-exists-with-different-credential');
+    assert.strictEqual(refused.customData.email, EMAIL);
+    // explainSignInError keeps the credential as JSON until the user is back.
+    const pending = JSON.stringify(GoogleAuthProvider.credentialFromError(refused).toJSON());
+
+    const signedIn = await signInWithEmailLink(auth, EMAIL, await sendLink(EMAIL));
+    const linked = await linkWithCredential(signedIn.user, OAuthCredential.fromJSON(JSON.parse(pending)));
+    assert.strictEqual(linked.user.uid, user.uid);
+    assert.deepStrictEqual(linked.user.providerData.map((info) => info.providerId).sort(), ['google.com', 'password']);
+
+    // From now on either way in leads to the same uid.
+    await signOut(auth);
+    const viaGoogle = await signInWithCredential(auth, googleCredential(EMAIL));
+    assert.strictEqual(viaGoogle.user.uid, user.uid);
+});
@@ -0,0 +1,143 @@
+const { test, before, beforeEach, after } = require('node:test');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    initializeTestEnvironment,
+    assertFails,
+    assertSucceeds
+} = require('@firebase/rules-unit-testing');
+const {
+    doc,
+    collection,
+    getDoc,
+    getDocs,
+    setDoc,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    where,
+    arrayUnion,
+    serverTimestamp
+} = require('firebase/firestore');
+
+// Runs against the Firestore emulator: `npm run test:emulators`.
+
+let env;
+
+before(async () => {
+    env = await initializeTestEnvironment({
+        projectId: 'demo-instanthspro',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '../../firestore.rules'), 'utf8') }
+    });
+});
+
+beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'profiles/alice'), { userId: 'alice', email: 'alice@example.com', credits: 50 });
+        await setDoc(doc(db, 'profiles/alice/ledger/purchase-1'), { type: 'purchase', amount: 50, balanceAfter: 50 });
+        await setDoc(doc(db, 'generations/g1'), { userId: 'alice', images: [], favorites: [] });
+        await setDoc(doc(db, 'generationJobs/j1'), { userId: 'alice', status: 'running' });
+        await setDoc(doc(db, 'stylePresets/private'), { name: 'Studio', prompt: 'Grey backdrop', ownerUid: 'alice', shared: false });
+        await setDoc(doc(db, 'stylePresets/shared'), { name: 'Outdoor', prompt: 'Park', ownerUid: 'alice', shared: true });
+        await setDoc(doc(db, 'organizations/acme'), { name: 'Acme', credits: 500 });
+    });
+});
+
+after(() => env.cleanup());
+
+const as = (uid) => env.authenticatedContext(uid, { email: `${uid}@example.com` }).firestore();
+const anonymous = () => env.unauthenticatedContext().firestore();
+
+test('only the server changes credits', async () => {
+    const db = as('alice');
+    await assertSucceeds(getDoc(doc(db, 'profiles/alice')));
+    await assertFails(updateDoc(doc(db, 'profiles/alice'), { credits: 1000000 }));
+    await assertFails(setDoc(doc(db, 'profiles/alice'), { userId: 'alice', email: 'alice@example.com', credits: 1000000 }));
+    await assertFails(deleteDoc(doc(db, 'profiles/alice')));
+    await assertFails(setDoc(doc(db, 'profiles/alice/ledger/gift'), { type: 'purchase', amount: 1000000 }));
+    await assertFails(setDoc(doc(db, 'organizations/acme'), { name: 'Acme', credits: 1000000 }));
+});
+
+test('a new profile starts empty and belongs to its user', async () => {
+    const db = as('bob');
+    await assertFails(setDoc(doc(db, 'profiles/bob'), { userId: 'bob', email: 'bob@example.com', credits: 50 }));
+    await assertFails(setDoc(doc(db, 'profiles/bob'), { userId: 'alice', email: 'bob@example.com', credits: 0 }));
+    await assertFails(setDoc(doc(db, 'profiles/bob'), { userId: 'bob', email: 'alice@example.com', credits: 0 }));
+    await assertFails(setDoc(doc(db, 'profiles/bob'), { userId: 'bob', email: 'bob@example.com', credits: 0, admin: true }));
+    await assertSucceeds(setDoc(doc(db, 'profiles/bob'), { userId: 'bob', email: 'bob@example.com', credits: 0 }));
+    await assertFails(setDoc(doc(as('mallory'), 'profiles/bob2'), { userId: 'bob2', email: 'mallory@example.com', credits: 0 }));
+});
+
+test('users only see their own profile, ledger, generations and jobs', async () => {
+    const db = as('bob');
+    await assertFails(getDoc(doc(db, 'profiles/alice')));
+    await assertFails(getDocs(collection(db, 'profiles/alice/ledger')));
+    await assertFails(getDoc(doc(db, 'generations/g1')));
+    await assertFails(getDocs(collection(db, 'generations')));
+    await assertFails(getDocs(query(collection(db, 'generationJobs'), where('userId', '==', 'alice'))));
+    await assertFails(getDoc(doc(anonymous(), 'generations/g1')));
+
+    const owner = as('alice');
+    await assertSucceeds(getDocs(query(collection(owner, 'generations'), where('userId', '==', 'alice'))));
+    await assertSucceeds(getDocs(query(collection(owner, 'generationJobs'), where('userId', '==', 'alice'))));
+    await assertSucceeds(getDocs(collection(owner, 'profiles/alice/ledger')));
+});
+
+test('generations can only be starred by their owner', async () => {
+    const db = as('alice');
+    await assertSucceeds(updateDoc(doc(db, 'generations/g1'), { favorites: arrayUnion('users/alice/generations/g1/0.png') }));
+    await assertFails(updateDoc(doc(db, 'generations/g1'), { userId: 'bob' }));
+    await assertFails(updateDoc(doc(db, 'generations/g1'), { images: [{ path: 'users/bob/generations/x/0.png' }] }));
+    await assertFails(updateDoc(doc(as('bob'), 'generations/g1'), { favorites: [] }));
+    await assertFails(setDoc(doc(db, 'generations/g2'), { userId: 'alice', images: [] }));
+    await assertFails(addDoc(collection(as('bob'), 'generations'), { userId: 'alice', images: [] }));
+    await assertFails(deleteDoc(doc(db, 'generations/g1')));
+    await assertFails(setDoc(doc(db, 'generationJobs/j2'), { userId: 'alice', status: 'queued' }));
+});
+
+test('presets belong to their owner and shared ones are readable by link only', async () => {
+    const bob = as('bob');
+    await assertFails(getDoc(doc(bob, 'stylePresets/private')));
+    await assertSucceeds(getDoc(doc(bob, 'stylePresets/shared')));
+    await assertFails(getDoc(doc(anonymous(), 'stylePresets/shared')));
+    await assertFails(getDocs(query(collection(bob, 'stylePresets'), where('shared', '==', true))));
+    await assertFails(getDocs(query(collection(bob, 'stylePresets'), where('ownerUid', '==', 'alice'))));
+    await assertSucceeds(getDocs(query(collection(bob, 'stylePresets'), where('ownerUid', '==', 'bob'))));
+    await assertFails(updateDoc(doc(bob, 'stylePresets/shared'), { name: 'Mine now' }));
+    await assertFails(deleteDoc(doc(bob, 'stylePresets/shared')));
+    await assertFails(addDoc(collection(bob, 'stylePresets'), { name: 'Copy', prompt: 'Park', ownerUid: 'alice', shared: false }));
+    await assertSucceeds(addDoc(collection(bob, 'stylePresets'), {
+        name: 'Copy', prompt: 'Park', ownerUid: 'bob', shared: false, sourcePresetId: 'shared', createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+    }));
+
+    const alice = as('alice');
+    const example = 'https://firebasestorage.googleapis.com/v0/b/demo/o/thumb.webp?alt=media&token=t';
+    await assertSucceeds(updateDoc(doc(alice, 'stylePresets/private'), { thumbnailUrl: example }));
+    await assertFails(updateDoc(doc(alice, 'stylePresets/private'), { thumbnailUrl: 'data:image/png;base64,AAAA' }));
+    await assertFails(updateDoc(doc(alice, 'stylePresets/private'), { shared: true }));
+    await assertFails(updateDoc(doc(alice, 'stylePresets/shared'), { thumbnailUrl: example }));
+    await assertSucceeds(updateDoc(doc(alice, 'stylePresets/private'), { shared: true, thumbnailUrl: null }));
+    await assertFails(updateDoc(doc(alice, 'stylePresets/private'), { ownerUid: 'bob' }));
+    await assertSucceeds(deleteDoc(doc(alice, 'stylePresets/private')));
+});
+
+test('bio drafts are private to their owner', async () => {
+    const draft = { platform: 'linkedin', tone: 'warm', length: 'short', text: 'Hello.', inputs: { role: 'Designer' }, createdAt: serverTimestamp() };
+    await assertSucceeds(addDoc(collection(as('alice'), 'profiles/alice/bioDrafts'), draft));
+    await assertFails(addDoc(collection(as('bob'), 'profiles/alice/bioDrafts'), draft));
+    await assertFails(getDocs(collection(as('bob'), 'profiles/alice/bioDrafts')));
+    await assertFails(addDoc(collection(as('alice'), 'profiles/alice/bioDrafts'), { ...draft, credits: 50 }));
+});
+
+test('server-only collections are closed to clients', async () => {
+    const db = as('alice');
+    for (const name of ['organizationMembers', 'organizationInvites', 'adminAuditLog', 'moderationDecisions', 'accountDeletions', 'checkoutSessions', 'aiUsage']) {
+        await assertFails(getDoc(doc(db, name, 'any')));
+        await assertFails(setDoc(doc(db, name, 'any'), { userId: 'alice' }));
+    }
+    await assertFails(getDoc(doc(db, 'organizations/acme')));
+    await assertFails(getDocs(collection(db, 'organizations/acme/ledger')));
+});
@@ -0,0 +1,62 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    initializeTestEnvironment,
+    assertFails,
+    assertSucceeds
+} = require('@firebase/rules-unit-testing');
+const { ref, uploadBytes, getBytes, deleteObject, listAll } = require('firebase/storage');
+
+// Runs against the Storage emulator: `npm run test:emulators`.
+
+let env;
+
+const image = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+const as = (uid) => env.authenticatedContext(uid).storage();
+
+before(async () => {
+    env = await initializeTestEnvironment({
+        projectId: 'demo-instanthspro',
+        storage: { rules: fs.readFileSync(path.join(__dirname, '../../storage.rules'), 'utf8') }
+    });
+});
+
+beforeEach(async () => {
+    await env.clearStorage();
+    await env.withSecurityRulesDisabled(async (context) => {
+        const storage = context.storage();
+        await uploadBytes(ref(storage, 'users/alice/uploads/job1/0'), image, { contentType: 'image/jpeg' });
+        await uploadBytes(ref(storage, 'users/alice/generations/run1/0.png'), image, { contentType: 'image/png' });
+    });
+});
+
+after(() => env.cleanup());
+
+test('users upload selfies into their own folder only', async () => {
+    await assertSucceeds(uploadBytes(ref(as('alice'), 'users/alice/uploads/job2/0'), image, { contentType: 'image/jpeg' }));
+    await assertFails(uploadBytes(ref(as('bob'), 'users/alice/uploads/job2/0'), image, { contentType: 'image/jpeg' }));
+    await assertFails(uploadBytes(ref(env.unauthenticatedContext().storage(), 'users/alice/uploads/job2/0'), image, { contentType: 'image/jpeg' }));
+    await assertFails(uploadBytes(ref(as('alice'), 'users/alice/uploads/job2/1'), image, { contentType: 'text/html' }));
+    // Selfies cannot be replaced after upload.
+    await assertFails(uploadBytes(ref(as('alice'), 'users/alice/uploads/job1/0'), image, { contentType: 'image/jpeg' }));
+});
+
+test('generated headshots are read-only and private', async () => {
+    await assertSucceeds(getBytes(ref(as('alice'), 'users/alice/generations/run1/0.png')));
+    await assertFails(getBytes(ref(as('bob'), 'users/alice/generations/run1/0.png')));
+    await assertFails(getBytes(ref(as('bob'), 'users/alice/uploads/job1/0')));
+    await assertFails(uploadBytes(ref(as('alice'), 'users/alice/generations/run2/0.png'), image, { contentType: 'image/png' }));
+    await assertFails(deleteObject(ref(as('alice'), 'users/alice/generations/run1/0.png')));
+    await assertFails(uploadBytes(ref(as('alice'), 'public/0.png'), image, { contentType: 'image/png' }));
+});
+
+test('owners can list their uploads for the account export', async () => {
+    const { prefixes } = await assertSucceeds(listAll(ref(as('alice'), 'users/alice/uploads')));
+    assert.deepStrictEqual(prefixes.map((prefix) => prefix.name), ['job1']);
+    const { items } = await assertSucceeds(listAll(ref(as('alice'), 'users/alice/uploads/job1')));
+    assert.deepStrictEqual(items.map((item) => item.fullPath), ['users/alice/uploads/job1/0']);
+    await assertFails(listAll(ref(as('bob'), 'users/alice/uploads')));
+    await assertFails(listAll(ref(env.unauthenticatedContext().storage(), 'users/alice/uploads/job1')));
+});